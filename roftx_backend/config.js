@@ -2,14 +2,29 @@
 // Single source of truth for environment-derived configuration:
 //   • JWT secret (with dev fallback) and production secret validation
 //   • CORS allow-list sourced from configuration
-//   • Plan definitions and per-plan generation allowances
+//   • Admin allow-list for operator endpoints
+//   • Default plan catalog: allowances, prices and entitlements
+//   • Prepaid credit packs
+//   • Model list prices for generation cost estimates
+//   • Banned-phrase list for the post linter
+//   • Prompt A/B experiment config
+//   • Idempotency-Key replay window for /api/generate
+//   • Quota reconciliation schedule
 //   • Billing-enabled feature flag
+//   • Stripe payment-provider settings
+//   • Notification thresholds and mail transport
+//   • AI dispatch timeouts, retries and circuit breakers
+//   • Offline AI mode (mock / record / replay) and its fixtures directory
+//   • Structured AI output default
 //
 // This module is pure with respect to side effects: it reads env once at import
 // time and exposes the resolved values. `validateStartupSecret` is a pure
 // function returning a halt decision, so it can be unit-tested without touching
 // process state (no process.exit here — the caller decides how to halt).
 
+import path from 'path';
+import { fileURLToPath } from 'url';
+
 // ─── Built-in Default Secret ──────────────────────────────────────────────────
 // Matches the historical fallback used by server.js. A production boot that ends
 // up using this value (or no value) is treated as misconfigured.
@@ -86,19 +101,156 @@ export const ALLOWED_ORIGINS =
   parseOrigins(process.env.ALLOWED_ORIGINS) || DEFAULT_ALLOWED_ORIGINS;
 
 // ─── Plan Definitions ─────────────────────────────────────────────────────────
-// Per-plan monthly allowances. The metered action is POST CREATION only — the
-// `post` generation type. Topics, voice analysis, hooks, refinements, and
-// regenerations are NOT counted against the allowance (see Quota_Service and
-// the Generation_Service post-only enforcement). Free accounts can create up to
-// 10 posts per period.
+// The default plan catalog. The catalog lives in the `plans` table (see
+// services/plans.js), which is seeded with these definitions on first start and
+// can then be edited by operators; these also serve whenever the database is
+// unavailable.
+//
+// `allowance` is the monthly post allowance. The metered action is POST
+// CREATION only — the generation types in METERED_GEN_TYPES (plain `post`s and
+// `carousel` document posts). Topics, voice analysis, hooks, refinements,
+// regenerations, comment replies and repurposed versions of a post are NOT
+// counted against the allowance (see Quota_Service and the Generation_Service
+// post-only enforcement). Free accounts can create up to 10 posts per period.
+// `monthlyPrice` is in the smallest unit of `currency` (display metadata; the
+// payment provider's prices are what is charged).
+//
+// Entitlements:
+//   • `genTypes`          the generation types the plan may run (null = all)
+//   • `qualityTier`       whether quality-tier generations (posts, voice
+//                         analysis, rewrites) use the quality model; without it
+//                         they run on the fast one
+//   • `maxVoiceProfiles`  how many voice profiles may be saved (null = no limit)
+//   • `maxVariants`       how many drafts one `post` request may ask for with
+//                         `variants: N`; a variant batch is metered as ONE post
+//   • `brandingRemovable` white-label output: the user's brand guidelines may
+//                         turn off the #RoftX hashtag the prompts otherwise add
+//                         to every call to action
+// `rank` orders the plans from entry level up; upgrade hints name the lowest
+// ranked plan that grants what was refused.
 export const PLANS = {
-  free: { id: 'free', allowance: 10 },
-  paid: { id: 'paid', allowance: 500 },
+  free: {
+    id: 'free', name: 'Free', rank: 0, allowance: 10, monthlyPrice: 0, currency: 'usd',
+    genTypes: null, qualityTier: true, maxVoiceProfiles: 3, maxVariants: 2, brandingRemovable: false,
+  },
+  paid: {
+    id: 'paid', name: 'Paid', rank: 10, allowance: 500, monthlyPrice: 1900, currency: 'usd',
+    genTypes: null, qualityTier: true, maxVoiceProfiles: 10, maxVariants: 5, brandingRemovable: true,
+  },
+  pro: {
+    id: 'pro', name: 'Pro', rank: 20, allowance: 2000, monthlyPrice: 4900, currency: 'usd',
+    genTypes: null, qualityTier: true, maxVoiceProfiles: 25, maxVariants: 5, brandingRemovable: true,
+  },
+  team: {
+    id: 'team', name: 'Team', rank: 30, allowance: 10000, monthlyPrice: 14900, currency: 'usd',
+    genTypes: null, qualityTier: true, maxVoiceProfiles: null, maxVariants: 5, brandingRemovable: true,
+  },
+};
+
+// How often each server reloads the plan catalog from the database, so an
+// operator's edit reaches every instance.
+export const PLAN_CATALOG_REFRESH_MS = 5 * 60 * 1000;
+
+export const METERED_GEN_TYPES = ['post', 'carousel'];
+
+// ─── Credit Packs ─────────────────────────────────────────────────────────────
+// One-time purchases of prepaid post credits. A user whose plan allowance for
+// the period is used up draws one credit per post from their balance
+// (users.credits_remaining); credits never expire.
+export const CREDIT_PACKS = {
+  'credits-50': { id: 'credits-50', credits: 50 },
+  'credits-200': { id: 'credits-200', credits: 200 },
+};
+
+// ─── Admin Allow-List ─────────────────────────────────────────────────────────
+// Operator accounts allowed to call the /api/admin/* endpoints, sourced from the
+// ADMIN_EMAILS env var (comma-separated, case-insensitive). Empty by default, so
+// admin endpoints are closed unless explicitly configured.
+function parseEmails(raw) {
+  if (typeof raw !== 'string') return [];
+  return raw
+    .split(',')
+    .map((e) => e.trim().toLowerCase())
+    .filter((e) => e.length > 0);
+}
+
+export const ADMIN_EMAILS = parseEmails(process.env.ADMIN_EMAILS);
+
+// ─── Model Pricing ────────────────────────────────────────────────────────────
+// List prices in USD per 1M tokens, used only to ESTIMATE generation cost in the
+// usage cost report (provider invoices remain the source of truth). Models not
+// listed here — e.g. a self-hosted model behind the OpenAI-compatible adapter —
+// are reported with token counts but no cost estimate.
+export const MODEL_PRICING = {
+  'gpt-4o-mini':                { input: 0.15, output: 0.60 },
+  'gpt-4o':                     { input: 2.50, output: 10.00 },
+  'claude-haiku-4-5-20251001':  { input: 1.00, output: 5.00 },
+  'claude-sonnet-4-5-20250929': { input: 3.00, output: 15.00 },
 };
 
+// ─── Post Lint: Banned Phrases ────────────────────────────────────────────────
+// Corporate clichés the post linter flags (services/lint.js), from the
+// LINT_BANNED_PHRASES env var (comma-separated, case-insensitive). When unset
+// this is null and the linter uses its built-in list; when set it replaces it.
+function parsePhrases(raw) {
+  if (typeof raw !== 'string' || raw.trim() === '') return null;
+  const phrases = raw
+    .split(',')
+    .map((p) => p.trim().toLowerCase())
+    .filter((p) => p.length > 0);
+  return phrases.length > 0 ? phrases : null;
+}
+
+export const LINT_BANNED_PHRASES = parsePhrases(process.env.LINT_BANNED_PHRASES);
+
+// ─── Prompt Experiments ───────────────────────────────────────────────────────
+// A/B splits between prompt-builder versions, from the PROMPT_EXPERIMENTS env
+// var: a JSON array of { id, builder, versions: { <version>: <weight> } }
+// (see services/experiments.js, which validates each entry). Unset means no
+// experiments; null means the value was not a JSON array, and is reported at
+// startup rather than halting it.
+function parseExperiments(raw) {
+  if (typeof raw !== 'string' || raw.trim() === '') return [];
+  try {
+    const parsed = JSON.parse(raw);
+    return Array.isArray(parsed) ? parsed : null;
+  } catch {
+    return null;
+  }
+}
+
+export const PROMPT_EXPERIMENTS = parseExperiments(process.env.PROMPT_EXPERIMENTS);
+
+// ─── Idempotency Window ───────────────────────────────────────────────────────
+// How long an `Idempotency-Key` on /api/generate keeps replaying the stored
+// response (see services/idempotency.js), from the IDEMPOTENCY_WINDOW_HOURS env
+// var. Defaults to 24 hours; an unset or invalid value uses the default.
+export const DEFAULT_IDEMPOTENCY_WINDOW_HOURS = 24;
+
+function parsePositiveNumber(raw, fallback) {
+  if (typeof raw !== 'string' || raw.trim() === '') return fallback;
+  const value = Number(raw.trim());
+  return Number.isFinite(value) && value > 0 ? value : fallback;
+}
+
+export const IDEMPOTENCY_WINDOW_MS =
+  parsePositiveNumber(process.env.IDEMPOTENCY_WINDOW_HOURS, DEFAULT_IDEMPOTENCY_WINDOW_HOURS) * 60 * 60 * 1000;
+
+// ─── Quota Reconciliation ─────────────────────────────────────────────────────
+// How often the server rebuilds the usage_quotas counters from the generations
+// log (see services/quota.js), from the QUOTA_RECONCILE_MINUTES env var.
+// Counters touched within the last QUOTA_RECONCILE_IDLE_MS may have requests in
+// flight and are left alone; it is well above the longest generation.
+export const DEFAULT_QUOTA_RECONCILE_MINUTES = 60;
+
+export const QUOTA_RECONCILE_INTERVAL_MS =
+  parsePositiveNumber(process.env.QUOTA_RECONCILE_MINUTES, DEFAULT_QUOTA_RECONCILE_MINUTES) * 60 * 1000;
+
+export const QUOTA_RECONCILE_IDLE_MS = 15 * 60 * 1000;
+
 // ─── Billing Feature Flag ─────────────────────────────────────────────────────
-// Billing is opt-in via the BILLING_ENABLED env flag. When disabled, every user
-// is treated as Free and billing endpoints are not registered.
+// Billing is opt-in via the BILLING_ENABLED env flag. When disabled, checkout
+// and the payment webhook are not registered; promo codes still work.
 function parseBoolean(raw) {
   if (typeof raw !== 'string') return false;
   return ['true', '1', 'yes', 'on'].includes(raw.trim().toLowerCase());
@@ -106,5 +258,104 @@ function parseBoolean(raw) {
 
 export const BILLING_ENABLED = parseBoolean(process.env.BILLING_ENABLED);
 
+// ─── Stripe ───────────────────────────────────────────────────────────────────
+// The Stripe payment-provider adapter (services/stripe.js) is used when billing
+// is enabled and STRIPE_SECRET_KEY is set. `priceIds` maps each paid Plan id to
+// the Stripe Price its checkout subscribes to, and each credit pack id to the
+// one-time Price its checkout charges. STRIPE_API_BASE points the
+// adapter at another API host, e.g. the local fake (services/stripe-fake.js).
+export const STRIPE = {
+  secretKey: process.env.STRIPE_SECRET_KEY || '',
+  webhookSecret: process.env.STRIPE_WEBHOOK_SECRET || '',
+  priceIds: {
+    paid: process.env.STRIPE_PRICE_PAID || '',
+    pro: process.env.STRIPE_PRICE_PRO || '',
+    team: process.env.STRIPE_PRICE_TEAM || '',
+    'credits-50': process.env.STRIPE_PRICE_CREDITS_50 || '',
+    'credits-200': process.env.STRIPE_PRICE_CREDITS_200 || '',
+  },
+  successUrl: process.env.STRIPE_SUCCESS_URL || 'http://localhost:5500/account.html?checkout=success',
+  cancelUrl: process.env.STRIPE_CANCEL_URL || 'http://localhost:5500/account.html?checkout=cancelled',
+  apiBase: process.env.STRIPE_API_BASE || 'https://api.stripe.com',
+};
+
+// ─── Notifications & Mail ─────────────────────────────────────────────────────
+// Users are notified (services/notifications.js) when their metered posts
+// cross each NOTIFY_QUOTA_THRESHOLDS percentage of the allowance, and
+// DOWNGRADE_NOTICE_HOURS before a scheduled plan change. Notifications are
+// mailed through MAIL_TRANSPORT (services/mailer.js): 'console' logs them,
+// 'file' appends them to MAIL_FILE, and 'smtp' sends them via SMTP_HOST.
+function parseThresholds(raw) {
+  const values = String(raw ?? '')
+    .split(',')
+    .map((part) => Number(part.trim()))
+    .filter((value) => Number.isInteger(value) && value >= 1 && value <= 100);
+  return values.length ? [...new Set(values)].sort((a, b) => a - b) : [80, 100];
+}
+
+export const NOTIFY_QUOTA_THRESHOLDS = parseThresholds(process.env.NOTIFY_QUOTA_THRESHOLDS);
+
+export const DOWNGRADE_NOTICE_MS =
+  parsePositiveNumber(process.env.DOWNGRADE_NOTICE_HOURS, 72) * 60 * 60 * 1000;
+
+export const MAIL = {
+  transport: (process.env.MAIL_TRANSPORT || 'console').trim().toLowerCase(),
+  from: process.env.MAIL_FROM || 'RoftX <no-reply@roftx.local>',
+  file: process.env.MAIL_FILE || 'mail.log',
+  smtp: {
+    host: process.env.SMTP_HOST || '',
+    port: parsePositiveNumber(process.env.SMTP_PORT, 587),
+    // Implicit TLS (port 465); otherwise STARTTLS is used when offered.
+    secure: parseBoolean(process.env.SMTP_SECURE),
+    user: process.env.SMTP_USER || '',
+    pass: process.env.SMTP_PASS || '',
+  },
+};
+
+// ─── AI Dispatch Resilience ───────────────────────────────────────────────────
+// Per-attempt timeout, retries with exponential backoff, and the per-provider
+// circuit breaker for AI dispatch (see services/generation.js). An unset or
+// invalid value uses the default; AI_MAX_RETRIES=0 turns retries off.
+function parseNonNegativeInt(raw, fallback) {
+  const n = Number.parseInt(raw, 10);
+  return Number.isInteger(n) && n >= 0 ? n : fallback;
+}
+
+export const AI_TIMEOUT_MS          = parsePositiveNumber(process.env.AI_TIMEOUT_MS, 60000);
+export const AI_MAX_RETRIES         = parseNonNegativeInt(process.env.AI_MAX_RETRIES, 2);
+export const AI_RETRY_BASE_MS       = parsePositiveNumber(process.env.AI_RETRY_BASE_MS, 500);
+export const AI_RETRY_MAX_MS        = parsePositiveNumber(process.env.AI_RETRY_MAX_MS, 8000);
+export const AI_BREAKER_THRESHOLD   = parsePositiveNumber(process.env.AI_BREAKER_THRESHOLD, 5);
+export const AI_BREAKER_COOLDOWN_MS = parsePositiveNumber(process.env.AI_BREAKER_COOLDOWN_MS, 30000);
+
+// ─── Offline AI Mode ──────────────────────────────────────────────────────────
+// AI_MOCK_MODE answers AI requests without a provider: 'mock' from the
+// deterministic mock provider, 'replay' from the fixtures in AI_FIXTURES_DIR,
+// and 'record' saves the real chain's responses there (see services/mock.js).
+// Unset, 'off' or an unknown value means normal provider dispatch.
+const AI_MOCK_MODES = new Set(['mock', 'record', 'replay']);
+
+function parseMockMode(raw) {
+  const mode = typeof raw === 'string' ? raw.trim().toLowerCase() : '';
+  if (mode === '' || mode === 'off') return null;
+  if (!AI_MOCK_MODES.has(mode)) {
+    console.warn(`⚠️  Unknown AI_MOCK_MODE "${raw}" ignored (expected mock, record or replay)`);
+    return null;
+  }
+  return mode;
+}
+
+export const AI_MOCK_MODE = parseMockMode(process.env.AI_MOCK_MODE);
+
+export const AI_FIXTURES_DIR =
+  process.env.AI_FIXTURES_DIR?.trim() ||
+  path.join(path.dirname(fileURLToPath(import.meta.url)), 'fixtures', 'ai');
+
+// ─── Structured AI Output ─────────────────────────────────────────────────────
+// AI_STRUCTURED_OUTPUT asks the provider for JSON matching a schema on the
+// generation types that declare one (see services/structured.js). Off unless
+// set to true; a request's `structured` field overrides it.
+export const AI_STRUCTURED_OUTPUT = parseBoolean(process.env.AI_STRUCTURED_OUTPUT);
+
 // Re-export the resolved environment for callers that need it for logging.
 export { NODE_ENV };
@@ -1,6 +1,6 @@
 // db/persistence.js - RoftX Platform Persistence_Service
 //
-// Ownership-scoped CRUD for Voice_Profiles and Post_Records. Every operation
+// Ownership-scoped CRUD for Voice_Profiles, brand guidelines and Post_Records. Every operation
 // takes the authenticated `userId` (derived from the verified Session_Token by
 // the caller, never from client input) as its ownership key, and every query is
 // parameterized ($1, $2, ...) to prevent SQL injection — matching the existing
@@ -17,7 +17,7 @@
 //
 // NOT-FOUND CONVENTION (cross-owner isolation, Requirements 6.3/7.5/15.2):
 //   Operations targeting a specific record by id (deleteVoiceProfile,
-//   upsertPost-with-id, finalizePost, deletePost) affect ONLY rows that match
+//   upsertPost-with-id, finalizePost, getPost, deletePost) affect ONLY rows that match
 //   BOTH the record id AND the owning user_id. When that matches zero rows —
 //   whether the record does not exist or is owned by another User — the method
 //   throws a `NotFoundError` (HTTP 404 semantics) and discloses no record data.
@@ -28,6 +28,8 @@
 // Account export/cascade delete/field update (task 4.8) and post-history
 // search/status filtering (task 4.6) are also implemented below.
 
+import { METERED_GEN_TYPES } from '../config.js';
+
 /**
  * Error signaling that a requested record does not exist or is not owned by the
  * requesting User. Carries `status = 404` so route handlers can translate it to
@@ -84,12 +86,143 @@ function mapPost(row) {
     topic: row.topic,
     chosenHook: row.chosen_hook,
     content: row.content,
+    contentType: row.content_type,
+    slides: row.slides ?? null,
+    sourcePostId: row.source_post_id ?? null,
+    experiments: row.experiments ?? null,
+    status: row.status,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at,
+  };
+}
+
+function mapBrandGuidelines(row) {
+  return {
+    bannedWords: row.banned_words ?? [],
+    requiredHashtags: row.required_hashtags ?? [],
+    ctaStyle: row.cta_style ?? '',
+    emojiPolicy: row.emoji_policy ?? null,
+    spellingLocale: row.spelling_locale ?? null,
+    audience: row.audience ?? '',
+    roftxBranding: row.roftx_branding !== false,
+    updatedAt: row.updated_at,
+  };
+}
+
+// Jobs are returned without their stored request body, which the owner already
+// has and which can be large (a 10,000-character writing sample).
+function mapJob(row) {
+  return {
+    id: row.id,
+    type: row.gen_type,
     status: row.status,
+    resultStatus: row.result_status ?? null,
+    result: row.result ?? null,
     createdAt: row.created_at,
+    startedAt: row.started_at ?? null,
+    finishedAt: row.finished_at ?? null,
+  };
+}
+
+function mapPlan(row) {
+  return {
+    id: row.id,
+    name: row.name,
+    rank: row.rank,
+    allowance: row.allowance,
+    monthlyPrice: row.monthly_price,
+    currency: row.currency,
+    entitlements: row.entitlements || {},
+    active: row.active,
     updatedAt: row.updated_at,
   };
 }
 
+function mapCreditEntry(row) {
+  return {
+    id: row.id,
+    kind: row.kind,
+    delta: row.delta,
+    balance: row.balance,
+    reference: row.reference ?? null,
+    createdAt: row.created_at,
+  };
+}
+
+function mapPromoCode(row) {
+  return {
+    code: row.code,
+    plan: row.plan,
+    durationDays: row.duration_days,
+    maxRedemptions: row.max_redemptions ?? null,
+    redemptions: row.redemptions,
+    expiresAt: row.expires_at ?? null,
+    active: row.active,
+    createdAt: row.created_at,
+  };
+}
+
+function mapPromoRedemption(row) {
+  return {
+    id: row.id,
+    code: row.code,
+    userId: row.user_id,
+    plan: row.plan,
+    previousPlan: row.previous_plan,
+    trialEndsAt: row.trial_ends_at,
+    redeemedAt: row.redeemed_at,
+  };
+}
+
+function mapNotification(row) {
+  return {
+    id: row.id,
+    kind: row.kind,
+    key: row.dedupe_key,
+    subject: row.subject,
+    body: row.body,
+    data: row.data ?? null,
+    delivery: row.delivery,
+    deliveryError: row.delivery_error ?? null,
+    createdAt: row.created_at,
+    sentAt: row.sent_at ?? null,
+    readAt: row.read_at ?? null,
+  };
+}
+
+// Webhook events are listed without their raw payload; getWebhookEvent adds it.
+function mapWebhookEvent(row) {
+  const event = {
+    id: row.id,
+    provider: row.provider,
+    eventId: row.event_id ?? null,
+    type: row.event_type ?? null,
+    verified: row.verified,
+    status: row.status,
+    outcome: row.outcome ?? null,
+    error: row.error ?? null,
+    deliveryCount: row.delivery_count,
+    replayCount: row.replay_count,
+    receivedAt: row.received_at,
+    lastReceivedAt: row.last_received_at,
+    claimedAt: row.claimed_at ?? null,
+    processedAt: row.processed_at ?? null,
+  };
+  if (row.payload !== undefined) event.payload = row.payload;
+  return event;
+}
+
+function mapReply(row) {
+  return {
+    id: row.id,
+    postId: row.post_id,
+    comment: row.comment,
+    commenter: row.commenter,
+    replies: row.replies,
+    createdAt: row.created_at,
+  };
+}
+
 // Map a `users` row to the camelCase profile shape (design Domain Type: User).
 // Identity/billing columns are exposed read-only; they are never editable via
 // updateAccount (see EDITABLE_PROFILE_COLUMNS below).
@@ -104,6 +237,8 @@ function mapUser(row) {
     pictureUrl: row.picture_url,
     locale: row.locale,
     plan: row.plan,
+    pendingPlan: row.pending_plan ?? null,
+    planChangeAt: row.plan_change_at ?? null,
     creditsRemaining: row.credits_remaining,
     lastLogin: row.last_login,
     createdAt: row.created_at,
@@ -114,7 +249,69 @@ function mapUser(row) {
 // The list of columns the SELECT/RETURNING for profile reads must request so
 // mapUser receives every field it maps.
 const USER_PROFILE_COLUMNS =
-  'id, google_id, email, full_name, given_name, family_name, picture_url, locale, plan, credits_remaining, last_login, created_at, updated_at';
+  'id, google_id, email, full_name, given_name, family_name, picture_url, locale, plan, pending_plan, plan_change_at, credits_remaining, last_login, created_at, updated_at';
+
+// The columns every posts SELECT/RETURNING requests, so mapPost receives every
+// field it maps.
+const POST_COLUMNS =
+  'id, user_id, niche, topic, chosen_hook, content, content_type, slides, source_post_id, experiments, status, created_at, updated_at';
+
+// The columns every brand_guidelines SELECT/RETURNING requests (mapBrandGuidelines).
+const BRAND_COLUMNS =
+  'banned_words, required_hashtags, cta_style, emoji_policy, spelling_locale, audience, roftx_branding, updated_at';
+
+// The columns every generation_jobs SELECT/RETURNING for the owner requests (mapJob).
+const JOB_COLUMNS =
+  'id, gen_type, status, result_status, result, created_at, started_at, finished_at';
+
+// The columns every webhook_events SELECT/RETURNING requests (mapWebhookEvent),
+// without the raw payload.
+const WEBHOOK_EVENT_COLUMNS =
+  'id, provider, event_id, event_type, verified, status, outcome, error, delivery_count, replay_count, received_at, last_received_at, claimed_at, processed_at';
+
+// The columns every promo_codes / promo_redemptions SELECT/RETURNING requests
+// (mapPromoCode, mapPromoRedemption).
+const PROMO_CODE_COLUMNS =
+  'code, plan, duration_days, max_redemptions, redemptions, expires_at, active, created_at';
+const PROMO_REDEMPTION_COLUMNS =
+  'id, code, user_id, plan, previous_plan, trial_ends_at, redeemed_at';
+
+// The columns every notifications SELECT/RETURNING requests (mapNotification).
+const NOTIFICATION_COLUMNS =
+  'id, kind, dedupe_key, subject, body, data, delivery, delivery_error, created_at, sent_at, read_at';
+
+// The `settled` CTEs for the statements that end generation jobs: the jobs the
+// CTE named `source` returns (user_id, period, `held`, whether the job held a
+// quota reservation, and `credit`, whether a prepaid credit paid for it) give
+// their reservations back to usage_quotas and their credits back to the user,
+// with a ledger refund. When `commit` (an SQL boolean) is true the posts move
+// into `used` instead and the credits stay spent.
+function settleJobReservations(source, commit = 'FALSE') {
+  return `settled AS (
+         UPDATE usage_quotas q
+            SET reserved = GREATEST(q.reserved - s.count, 0),
+                used = q.used + CASE WHEN ${commit} THEN s.count ELSE 0 END,
+                updated_at = NOW()
+           FROM (SELECT user_id, period, COUNT(*)::int AS count
+                   FROM ${source}
+                  WHERE held
+                  GROUP BY user_id, period) s
+          WHERE q.user_id = s.user_id AND q.period = s.period
+       ), refunded AS (
+         UPDATE users u
+            SET credits_remaining = u.credits_remaining + r.count, updated_at = NOW()
+           FROM (SELECT user_id, MIN(period) AS period, COUNT(*)::int AS count
+                   FROM ${source}
+                  WHERE held AND credit AND NOT ${commit}
+                  GROUP BY user_id) r
+          WHERE u.id = r.user_id
+          RETURNING u.id, u.credits_remaining, r.count, r.period
+       ), refund_entries AS (
+         INSERT INTO credit_ledger (user_id, kind, delta, balance, reference)
+         SELECT id, 'refund', count, credits_remaining, period
+           FROM refunded
+       )`;
+}
 
 // Allow-list of editable account fields: maps the camelCase field name accepted
 // from callers to its snake_case DB column. Identity and billing columns
@@ -157,19 +354,34 @@ export function createPersistence(pool) {
   // ─── Voice Profiles ──────────────────────────────────────────────────────
 
   /**
-   * Save a Voice_Profile owned by `userId`.
+   * Save a Voice_Profile owned by `userId`. With `maxProfiles`, the profile is
+   * only inserted while the User has fewer than that many, checked in the
+   * INSERT itself so the check and the write cannot be split.
    * @param {number} userId
    * @param {{ label: string, content: string }} profile
-   * @returns {Promise<{ id: number }>} the new profile's identifier
+   * @param {{ maxProfiles?: number | null }} [options] the plan's cap (null or
+   *        omitted for none)
+   * @returns {Promise<{ id: number } | null>} the new profile's identifier, or
+   *          null when the User already has `maxProfiles` profiles
    */
-  async function saveVoiceProfile(userId, { label, content } = {}) {
+  async function saveVoiceProfile(userId, { label, content } = {}, { maxProfiles = null } = {}) {
+    if (maxProfiles === null) {
+      const { rows } = await pool.query(
+        `INSERT INTO voice_profiles (user_id, label, content)
+         VALUES ($1, $2, $3)
+         RETURNING id`,
+        [userId, label, content]
+      );
+      return { id: rows[0].id };
+    }
     const { rows } = await pool.query(
       `INSERT INTO voice_profiles (user_id, label, content)
-       VALUES ($1, $2, $3)
+       SELECT $1, $2, $3
+        WHERE (SELECT COUNT(*) FROM voice_profiles WHERE user_id = $1) < $4
        RETURNING id`,
-      [userId, label, content]
+      [userId, label, content, maxProfiles]
     );
-    return { id: rows[0].id };
+    return rows.length ? { id: rows[0].id } : null;
   }
 
   /**
@@ -188,6 +400,21 @@ export function createPersistence(pool) {
     return rows.map(mapVoiceProfile);
   }
 
+  /**
+   * Count the Voice_Profiles owned by `userId` (for the plan's limit).
+   * @param {number} userId
+   * @returns {Promise<number>}
+   */
+  async function countVoiceProfiles(userId) {
+    const { rows } = await pool.query(
+      `SELECT COUNT(*) AS count
+         FROM voice_profiles
+        WHERE user_id = $1`,
+      [userId]
+    );
+    return Number.parseInt(rows[0].count, 10) || 0;
+  }
+
   /**
    * Delete a Voice_Profile owned by `userId`.
    * Throws {@link NotFoundError} when the profile does not exist or is owned by
@@ -208,6 +435,88 @@ export function createPersistence(pool) {
     return { id, deleted: true };
   }
 
+  // ─── Brand Guidelines ────────────────────────────────────────────────────
+
+  /**
+   * The brand guidelines of `userId`, or null when none are saved.
+   * @param {number} userId
+   * @returns {Promise<object | null>}
+   */
+  async function getBrandGuidelines(userId) {
+    const { rows } = await pool.query(
+      `SELECT ${BRAND_COLUMNS}
+         FROM brand_guidelines
+        WHERE user_id = $1`,
+      [userId]
+    );
+    return rows.length ? mapBrandGuidelines(rows[0]) : null;
+  }
+
+  /**
+   * Create or replace the brand guidelines of `userId` (validated by the
+   * caller, see services/brand.js).
+   * @param {number} userId
+   * @param {{ bannedWords: string[], requiredHashtags: string[], ctaStyle: string,
+   *   emojiPolicy: string | null, spellingLocale: string | null, audience: string,
+   *   roftxBranding: boolean }} guidelines
+   * @returns {Promise<object>} the saved guidelines
+   */
+  async function saveBrandGuidelines(userId, {
+    bannedWords = [],
+    requiredHashtags = [],
+    ctaStyle = '',
+    emojiPolicy = null,
+    spellingLocale = null,
+    audience = '',
+    roftxBranding = true,
+  } = {}) {
+    const { rows } = await pool.query(
+      `INSERT INTO brand_guidelines
+         (user_id, banned_words, required_hashtags, cta_style, emoji_policy,
+          spelling_locale, audience, roftx_branding)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+       ON CONFLICT (user_id) DO UPDATE
+         SET banned_words      = EXCLUDED.banned_words,
+             required_hashtags = EXCLUDED.required_hashtags,
+             cta_style         = EXCLUDED.cta_style,
+             emoji_policy      = EXCLUDED.emoji_policy,
+             spelling_locale   = EXCLUDED.spelling_locale,
+             audience          = EXCLUDED.audience,
+             roftx_branding    = EXCLUDED.roftx_branding,
+             updated_at        = NOW()
+       RETURNING ${BRAND_COLUMNS}`,
+      [
+        userId,
+        JSON.stringify(bannedWords),
+        JSON.stringify(requiredHashtags),
+        ctaStyle || null,
+        nz(emojiPolicy),
+        nz(spellingLocale),
+        audience || null,
+        roftxBranding !== false,
+      ]
+    );
+    return mapBrandGuidelines(rows[0]);
+  }
+
+  /**
+   * Delete the brand guidelines of `userId`, reverting to the defaults.
+   * Throws {@link NotFoundError} when none are saved.
+   * @param {number} userId
+   * @returns {Promise<{ deleted: true }>}
+   */
+  async function deleteBrandGuidelines(userId) {
+    const { rowCount } = await pool.query(
+      `DELETE FROM brand_guidelines
+        WHERE user_id = $1`,
+      [userId]
+    );
+    if (rowCount === 0) {
+      throw new NotFoundError('Brand guidelines not found');
+    }
+    return { deleted: true };
+  }
+
   // ─── Posts ───────────────────────────────────────────────────────────────
 
   /**
@@ -219,34 +528,51 @@ export function createPersistence(pool) {
    * Content is stored byte-for-byte. Throws {@link NotFoundError} when an `id`
    * is supplied but matches no record owned by `userId`.
    *
+   * Carousels pass `contentType: 'carousel'` and their `slides` array, which is
+   * stored as JSON; the content type defaults to 'text' on insert.
+   *
+   * Derivatives (repurposed versions of a post) pass the original's id as
+   * `sourcePostId` on insert. The link is only stored when the original is also
+   * owned by `userId`; the source of an existing post never changes. Likewise
+   * `experiments` (the owner's prompt-experiment arms, see
+   * services/experiments.js) is recorded once, when the post is created.
+   *
    * @param {number} userId
-   * @param {{ id?: number, niche?: string, topic?: string, chosenHook?: string, content?: string, status?: string }} post
+   * @param {{ id?: number, niche?: string, topic?: string, chosenHook?: string, content?: string, contentType?: string, slides?: Array, sourcePostId?: number, experiments?: Record<string, string>, status?: string }} post
    * @returns {Promise<object>} the persisted Post_Record (camelCase)
    */
   async function upsertPost(userId, post = {}) {
-    const { id, niche, topic, chosenHook, content, status } = post;
+    const { id, niche, topic, chosenHook, content, contentType, slides, sourcePostId, experiments, status } = post;
+    const slidesJson = Array.isArray(slides) ? JSON.stringify(slides) : null;
 
     if (id === undefined || id === null) {
       const { rows } = await pool.query(
-        `INSERT INTO posts (user_id, niche, topic, chosen_hook, content, status)
-         VALUES ($1, $2, $3, $4, $5, COALESCE($6, 'draft'))
-         RETURNING id, user_id, niche, topic, chosen_hook, content, status, created_at, updated_at`,
-        [userId, nz(niche), nz(topic), nz(chosenHook), nz(content), nz(status)]
+        `INSERT INTO posts
+           (user_id, niche, topic, chosen_hook, content, content_type, slides, source_post_id, experiments, status)
+         VALUES ($1, $2, $3, $4, $5, COALESCE($6, 'text'), $7,
+                 (SELECT id FROM posts WHERE id = $8 AND user_id = $1), $9, COALESCE($10, 'draft'))
+         RETURNING ${POST_COLUMNS}`,
+        [
+          userId, nz(niche), nz(topic), nz(chosenHook), nz(content), nz(contentType), slidesJson,
+          nz(sourcePostId), experiments && Object.keys(experiments).length ? JSON.stringify(experiments) : null, nz(status),
+        ]
       );
       return mapPost(rows[0]);
     }
 
     const { rows } = await pool.query(
       `UPDATE posts
-          SET niche       = COALESCE($3, niche),
-              topic       = COALESCE($4, topic),
-              chosen_hook = COALESCE($5, chosen_hook),
-              content     = COALESCE($6, content),
-              status      = COALESCE($7, status),
-              updated_at  = NOW()
+          SET niche        = COALESCE($3, niche),
+              topic        = COALESCE($4, topic),
+              chosen_hook  = COALESCE($5, chosen_hook),
+              content      = COALESCE($6, content),
+              content_type = COALESCE($7, content_type),
+              slides       = COALESCE($8, slides),
+              status       = COALESCE($9, status),
+              updated_at   = NOW()
         WHERE id = $1 AND user_id = $2
-        RETURNING id, user_id, niche, topic, chosen_hook, content, status, created_at, updated_at`,
-      [id, userId, nz(niche), nz(topic), nz(chosenHook), nz(content), nz(status)]
+        RETURNING ${POST_COLUMNS}`,
+      [id, userId, nz(niche), nz(topic), nz(chosenHook), nz(content), nz(contentType), slidesJson, nz(status)]
     );
     if (rows.length === 0) {
       throw new NotFoundError('Post not found');
@@ -268,7 +594,28 @@ export function createPersistence(pool) {
           SET status = 'final',
               updated_at = NOW()
         WHERE id = $1 AND user_id = $2
-        RETURNING id, user_id, niche, topic, chosen_hook, content, status, created_at, updated_at`,
+        RETURNING ${POST_COLUMNS}`,
+      [id, userId]
+    );
+    if (rows.length === 0) {
+      throw new NotFoundError('Post not found');
+    }
+    return mapPost(rows[0]);
+  }
+
+  /**
+   * Read one Post_Record owned by `userId`.
+   * Throws {@link NotFoundError} when the post does not exist or is owned by
+   * another User.
+   * @param {number} userId
+   * @param {number} id
+   * @returns {Promise<object>} the Post_Record (camelCase)
+   */
+  async function getPost(userId, id) {
+    const { rows } = await pool.query(
+      `SELECT ${POST_COLUMNS}
+         FROM posts
+        WHERE id = $1 AND user_id = $2`,
       [id, userId]
     );
     if (rows.length === 0) {
@@ -318,7 +665,7 @@ export function createPersistence(pool) {
     }
 
     const { rows } = await pool.query(
-      `SELECT id, user_id, niche, topic, chosen_hook, content, status, created_at, updated_at
+      `SELECT ${POST_COLUMNS}
          FROM posts
         WHERE ${conditions.join(' AND ')}
         ORDER BY updated_at DESC, id DESC`,
@@ -327,6 +674,27 @@ export function createPersistence(pool) {
     return rows.map(mapPost);
   }
 
+  /**
+   * List the derivatives of a Post_Record owned by `userId` — the repurposed
+   * versions linked to it through `source_post_id` — newest first. Throws
+   * {@link NotFoundError} when the post does not exist or is owned by another
+   * User.
+   * @param {number} userId
+   * @param {number} id the source post
+   * @returns {Promise<Array>} derivative Post_Records (camelCase)
+   */
+  async function listDerivatives(userId, id) {
+    await getPost(userId, id);
+    const { rows } = await pool.query(
+      `SELECT ${POST_COLUMNS}
+         FROM posts
+        WHERE source_post_id = $1 AND user_id = $2
+        ORDER BY created_at DESC, id DESC`,
+      [id, userId]
+    );
+    return rows.map(mapPost);
+  }
+
   /**
    * Delete a Post_Record owned by `userId`.
    * Throws {@link NotFoundError} when the post does not exist or is owned by
@@ -347,16 +715,65 @@ export function createPersistence(pool) {
     return { id, deleted: true };
   }
 
+  // ─── Post Replies ────────────────────────────────────────────────────────
+
+  /**
+   * Record the reply options generated for a comment on a Post_Record owned by
+   * `userId`. The insert only matches an owned post, so replies can never be
+   * attached to another User's post; a post that does not exist or is owned by
+   * someone else throws {@link NotFoundError}.
+   * @param {number} userId
+   * @param {number} postId
+   * @param {{ comment: string, commenter?: string, replies: Array<{ intent: string, text: string }> }} entry
+   * @returns {Promise<object>} the stored reply-history entry (camelCase)
+   */
+  async function saveReplies(userId, postId, { comment, commenter, replies } = {}) {
+    const { rows } = await pool.query(
+      `INSERT INTO post_replies (user_id, post_id, comment, commenter, replies)
+       SELECT $1, id, $3, $4, $5
+         FROM posts
+        WHERE id = $2 AND user_id = $1
+       RETURNING id, post_id, comment, commenter, replies, created_at`,
+      [userId, postId, comment, nz(commenter), JSON.stringify(replies || [])]
+    );
+    if (rows.length === 0) {
+      throw new NotFoundError('Post not found');
+    }
+    return mapReply(rows[0]);
+  }
+
+  /**
+   * List the reply history of a Post_Record owned by `userId`, newest first.
+   * Throws {@link NotFoundError} when the post does not exist or is owned by
+   * another User.
+   * @param {number} userId
+   * @param {number} postId
+   * @returns {Promise<Array>} reply-history entries (camelCase)
+   */
+  async function listReplies(userId, postId) {
+    await getPost(userId, postId);
+    const { rows } = await pool.query(
+      `SELECT id, post_id, comment, commenter, replies, created_at
+         FROM post_replies
+        WHERE post_id = $1 AND user_id = $2
+        ORDER BY created_at DESC, id DESC`,
+      [postId, userId]
+    );
+    return rows.map(mapReply);
+  }
+
   // ─── Account Management (export / delete / field update) ───────────────────
 
   /**
    * Export every piece of data owned by `userId`: their profile row plus their
-   * Voice_Profiles and Post_Records (Requirement 13.3). All three are
+   * Voice_Profiles, brand guidelines, Post_Records, reply history and credit
+   * ledger (Requirement 13.3). All are
    * owner-scoped — only rows whose `user_id` (or, for the profile, `id`) equals
    * `userId` are returned, so no other User's data can ever be disclosed.
    *
    * @param {number} userId
-   * @returns {Promise<{ profile: object | null, voiceProfiles: Array, posts: Array }>}
+   * @returns {Promise<{ profile: object | null, voiceProfiles: Array, brandGuidelines: object | null, posts: Array,
+   *   replies: Array, credits: Array }>}
    */
   async function exportAccount(userId) {
     const { rows } = await pool.query(
@@ -366,17 +783,37 @@ export function createPersistence(pool) {
       [userId]
     );
     const profile = rows.length ? mapUser(rows[0]) : null;
-    const [voiceProfiles, posts] = await Promise.all([
+    const [voiceProfiles, brandGuidelines, posts, replies, credits, promoRedemptions, notifications] = await Promise.all([
       listVoiceProfiles(userId),
+      getBrandGuidelines(userId),
       listPosts(userId),
+      pool.query(
+        `SELECT id, post_id, comment, commenter, replies, created_at
+           FROM post_replies
+          WHERE user_id = $1
+          ORDER BY created_at DESC, id DESC`,
+        [userId]
+      ).then(({ rows }) => rows.map(mapReply)),
+      listCreditLedger(userId, { limit: null }),
+      pool.query(
+        `SELECT ${PROMO_REDEMPTION_COLUMNS}
+           FROM promo_redemptions
+          WHERE user_id = $1
+          ORDER BY redeemed_at DESC, id DESC`,
+        [userId]
+      ).then(({ rows }) => rows.map(mapPromoRedemption)),
+      listNotifications(userId, { limit: null }).then(({ notifications: list }) => list),
     ]);
-    return { profile, voiceProfiles, posts };
+    return { profile, voiceProfiles, brandGuidelines, posts, replies, credits, promoRedemptions, notifications };
   }
 
   /**
    * Delete the account owned by `userId`, removing every row that User owns
-   * across `users`, `voice_profiles`, `posts`, and `generations` (Requirement
-   * 13.4 / Property 19: zero rows remain for that User in any of the four tables).
+   * across `users`, `voice_profiles`, `brand_guidelines`, `posts`, `post_replies`,
+   * `generations`, `generation_jobs`, `idempotency_keys`, `usage_quotas`,
+   * `credit_ledger`, `promo_redemptions` and `notifications`
+   * (Requirement 13.4 / Property 19: zero rows remain for that User in any of
+   * these tables).
    *
    * Approach: the schema declares `ON DELETE CASCADE` from each child table to
    * `users(id)`, so deleting the `users` row alone is sufficient in PostgreSQL.
@@ -391,8 +828,16 @@ export function createPersistence(pool) {
    */
   async function deleteAccount(userId) {
     const childDeletes = [
+      ['DELETE FROM idempotency_keys WHERE user_id = $1', [userId]],
+      ['DELETE FROM usage_quotas WHERE user_id = $1', [userId]],
+      ['DELETE FROM credit_ledger WHERE user_id = $1', [userId]],
+      ['DELETE FROM promo_redemptions WHERE user_id = $1', [userId]],
+      ['DELETE FROM notifications WHERE user_id = $1', [userId]],
+      ['DELETE FROM generation_jobs WHERE user_id = $1', [userId]],
       ['DELETE FROM generations WHERE user_id = $1', [userId]],
       ['DELETE FROM voice_profiles WHERE user_id = $1', [userId]],
+      ['DELETE FROM brand_guidelines WHERE user_id = $1', [userId]],
+      ['DELETE FROM post_replies WHERE user_id = $1', [userId]],
       ['DELETE FROM posts WHERE user_id = $1', [userId]],
       ['DELETE FROM users WHERE id = $1', [userId]],
     ];
@@ -461,84 +906,1394 @@ export function createPersistence(pool) {
     return rows.length ? mapUser(rows[0]) : null;
   }
 
-  // ─── Generation Event Logging ──────────────────────────────────────────────
+  // ─── Plan Catalog ──────────────────────────────────────────────────────────
+  // The `plans` table behind services/plans.js. Entitlements are stored as one
+  // JSONB object, validated by the catalog before they are written.
 
   /**
-   * Append a Generation_Event for `userId`, stamping the Quota_Period in which
-   * the event's timestamp falls (Requirements 8.1, 8.2). The `period` column is
-   * the `'YYYY-MM'` key computed from `timestamp` (UTC) at insert time, so the
-   * bucket is fixed at write time and never shifts with read-time clocks.
+   * Every plan in the catalog, inactive ones included, lowest rank first.
+   * @returns {Promise<Array<{ id: string, name: string, rank: number, allowance: number,
+   *   monthlyPrice: number, currency: string, entitlements: object, active: boolean }>>}
+   */
+  async function listPlans() {
+    const { rows } = await pool.query(
+      `SELECT id, name, rank, allowance, monthly_price, currency, entitlements, active, updated_at
+         FROM plans
+        ORDER BY rank, id`
+    );
+    return rows.map(mapPlan);
+  }
+
+  /**
+   * Insert or update one catalog plan.
+   * @param {{ id: string, name: string, rank: number, allowance: number, monthlyPrice: number,
+   *   currency: string, entitlements: object, active: boolean }} plan
+   * @param {{ overwrite?: boolean }} [options] with `overwrite: false` an
+   *        existing plan is left as it is (used to seed the defaults)
+   * @returns {Promise<object | null>} the stored plan, or null when it existed
+   *          and was not overwritten
+   */
+  async function savePlan(plan, { overwrite = true } = {}) {
+    const { rows } = await pool.query(
+      `INSERT INTO plans (id, name, rank, allowance, monthly_price, currency, entitlements, active)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+       ON CONFLICT (id) DO ${overwrite ? `UPDATE
+         SET name = EXCLUDED.name, rank = EXCLUDED.rank, allowance = EXCLUDED.allowance,
+             monthly_price = EXCLUDED.monthly_price, currency = EXCLUDED.currency,
+             entitlements = EXCLUDED.entitlements, active = EXCLUDED.active, updated_at = NOW()` : 'NOTHING'}
+       RETURNING id, name, rank, allowance, monthly_price, currency, entitlements, active, updated_at`,
+      [
+        plan.id, plan.name, plan.rank, plan.allowance, plan.monthlyPrice, plan.currency,
+        JSON.stringify(plan.entitlements ?? {}), plan.active !== false,
+      ]
+    );
+    return rows.length ? mapPlan(rows[0]) : null;
+  }
+
+  // ─── Plans ─────────────────────────────────────────────────────────────────
+  // Plan changes applied by the Billing_Service. An upgrade takes effect at
+  // once; a downgrade is scheduled for the end of the paid period and stored as
+  // `pending_plan`/`plan_change_at` until the downgrade scheduler
+  // (services/downgrades.js) applies it. Reads go through getUserPlan, which
+  // already honours a due downgrade, so a plan change never waits on the
+  // scheduler.
+
+  /**
+   * Set `userId`'s plan, effective immediately, and drop any scheduled
+   * downgrade (a renewed or resumed subscription cancels it). The allowance is
+   * accepted for the Billing_Service contract only: allowances always come
+   * from the plan catalog (services/plans.js), so they are never stored per
+   * user.
+   * With `effectiveAt`, the change is scheduled instead (see scheduleDowngrade).
    *
-   * This is **best-effort** (Requirement 8.4): the authoritative usage count is
-   * derived from the `generations` table, so a dropped log under-counts rather
-   * than blocking the user. Any failure is logged and swallowed — this method
-   * never throws — returning `{ ok: false }` so the caller's already-completed
-   * generation response is never disrupted by a logging failure.
+   * @param {number} userId
+   * @param {string} plan the Plan id
+   * @param {number} [allowance] ignored (see above)
+   * @param {{ effectiveAt?: Date | string }} [options]
+   * @returns {Promise<object | null>} the updated profile (camelCase), or null
+   *          if the User does not exist
+   */
+  async function updateUserPlan(userId, plan, allowance, { effectiveAt } = {}) {
+    if (effectiveAt) return scheduleDowngrade(userId, plan, effectiveAt);
+    const { rows } = await pool.query(
+      `UPDATE users
+          SET plan = $2, pending_plan = NULL, plan_change_at = NULL, updated_at = NOW()
+        WHERE id = $1
+        RETURNING ${USER_PROFILE_COLUMNS}`,
+      [userId, plan]
+    );
+    return rows.length ? mapUser(rows[0]) : null;
+  }
+
+  /**
+   * Schedule `userId`'s move to `plan` at `effectiveAt`, replacing any change
+   * already scheduled. The current plan stays in force until then.
    *
-   * @param {number} userId owning User (from the verified Session_Token)
-   * @param {string} genType generation type (topics|voice|hooks|post|refine|regenerate)
-   * @param {Date | string | number} [timestamp] event time (defaults to now)
-   * @returns {Promise<{ ok: true, period: string } | { ok: false }>}
+   * @param {number} userId
+   * @param {string} plan the Plan id to move to
+   * @param {Date | string} effectiveAt when the change takes effect
+   * @returns {Promise<object | null>} the updated profile (camelCase), or null
+   *          if the User does not exist
    */
-  async function appendGenerationEvent(userId, genType, timestamp = new Date()) {
-    const period = periodKey(timestamp);
-    try {
-      await pool.query(
-        `INSERT INTO generations (user_id, gen_type, period)
-         VALUES ($1, $2, $3)`,
-        [userId, genType, period]
-      );
-      return { ok: true, period };
-    } catch (err) {
-      // Best-effort: log and swallow so logging can never block the caller.
-      console.error(
-        `appendGenerationEvent failed for user ${userId} (type=${genType}, period=${period}):`,
-        err
-      );
-      return { ok: false };
-    }
+  async function scheduleDowngrade(userId, plan, effectiveAt) {
+    const { rows } = await pool.query(
+      `UPDATE users
+          SET pending_plan = $2, plan_change_at = $3, updated_at = NOW()
+        WHERE id = $1
+        RETURNING ${USER_PROFILE_COLUMNS}`,
+      [userId, plan, new Date(effectiveAt)]
+    );
+    return rows.length ? mapUser(rows[0]) : null;
   }
 
   /**
-   * Return the count of `userId`'s POST creations whose stamped `period` matches
-   * `period`. Only `gen_type = 'post'` events are counted — post creation is the
-   * single metered action. Topics, voice, hooks, refine, and regenerate events
-   * are deliberately excluded so they never consume the allowance (regeneration
-   * in particular does not count). The query is owner-scoped and parameterized;
-   * the COUNT(*) is coerced to a JS integer (pg returns counts as strings). This
-   * is the authoritative usage figure the Quota_Service consumes.
+   * The plan in force for `userId`: the scheduled plan once its change is due,
+   * the stored plan otherwise.
    *
-   * @param {number} userId owning User (from the verified Session_Token)
-   * @param {string} period the `'YYYY-MM'` Quota_Period key
-   * @returns {Promise<number>} the number of matching post events (0 when none)
+   * @param {number} userId
+   * @returns {Promise<string | null>} the Plan id, or null if the User does not exist
    */
-  async function getUsage(userId, period) {
+  async function getUserPlan(userId) {
     const { rows } = await pool.query(
-      `SELECT COUNT(*) AS count
-         FROM generations
-        WHERE user_id = $1 AND period = $2 AND gen_type = 'post'`,
-      [userId, period]
+      `SELECT CASE WHEN pending_plan IS NOT NULL AND plan_change_at <= NOW()
+                   THEN pending_plan ELSE plan END AS plan
+         FROM users
+        WHERE id = $1`,
+      [userId]
     );
-    return Number.parseInt(rows[0].count, 10) || 0;
+    return rows.length ? rows[0].plan : null;
+  }
+
+  /**
+   * Apply every scheduled plan change that is due.
+   *
+   * @returns {Promise<Array<{ userId: number, plan: string }>>} the Users moved
+   *          and their new plan
+   */
+  async function applyDueDowngrades() {
+    const { rows } = await pool.query(
+      `UPDATE users
+          SET plan = pending_plan, pending_plan = NULL, plan_change_at = NULL, updated_at = NOW()
+        WHERE pending_plan IS NOT NULL AND plan_change_at <= NOW()
+        RETURNING id, plan`
+    );
+    return rows.map((row) => ({ userId: row.id, plan: row.plan }));
+  }
+
+  // ─── Promo Codes ───────────────────────────────────────────────────────────
+  // Codes that grant a plan for a number of days (see services/promos.js).
+  // Redeeming one upgrades the User at once and schedules their return to the
+  // plan they would otherwise be on as the pending plan change, which the
+  // downgrade scheduler applies like a cancelled subscription's. A paid upgrade
+  // in the meantime clears it (see updateUserPlan), so the trial never ends a
+  // subscription.
+
+  /**
+   * Create a promo code. Returns null when the code already exists.
+   *
+   * @param {{ code: string, plan: string, durationDays: number, maxRedemptions?: number | null,
+   *   expiresAt?: Date | string | null }} promo
+   * @returns {Promise<object | null>} the created code (camelCase)
+   */
+  async function createPromoCode({ code, plan, durationDays, maxRedemptions = null, expiresAt = null } = {}) {
+    const { rows } = await pool.query(
+      `INSERT INTO promo_codes (code, plan, duration_days, max_redemptions, expires_at)
+       VALUES ($1, $2, $3, $4, $5)
+       ON CONFLICT (code) DO NOTHING
+       RETURNING ${PROMO_CODE_COLUMNS}`,
+      [code, plan, durationDays, nz(maxRedemptions), expiresAt ? new Date(expiresAt) : null]
+    );
+    return rows.length ? mapPromoCode(rows[0]) : null;
+  }
+
+  /**
+   * Fetch a promo code, or null when it does not exist.
+   * @param {string} code
+   * @returns {Promise<object | null>}
+   */
+  async function getPromoCode(code) {
+    const { rows } = await pool.query(
+      `SELECT ${PROMO_CODE_COLUMNS}
+         FROM promo_codes
+        WHERE code = $1`,
+      [code]
+    );
+    return rows.length ? mapPromoCode(rows[0]) : null;
+  }
+
+  /**
+   * Every promo code, most recent first.
+   * @returns {Promise<object[]>}
+   */
+  async function listPromoCodes() {
+    const { rows } = await pool.query(
+      `SELECT ${PROMO_CODE_COLUMNS}
+         FROM promo_codes
+        ORDER BY created_at DESC, code`
+    );
+    return rows.map(mapPromoCode);
+  }
+
+  /**
+   * Turn a promo code on or off. Trials already granted are unaffected.
+   * Throws {@link NotFoundError} when the code does not exist.
+   *
+   * @param {string} code
+   * @param {boolean} active
+   * @returns {Promise<object>} the updated code (camelCase)
+   */
+  async function setPromoCodeActive(code, active) {
+    const { rows } = await pool.query(
+      `UPDATE promo_codes
+          SET active = $2
+        WHERE code = $1
+        RETURNING ${PROMO_CODE_COLUMNS}`,
+      [code, active === true]
+    );
+    if (rows.length === 0) {
+      throw new NotFoundError('Promo code not found');
+    }
+    return mapPromoCode(rows[0]);
+  }
+
+  /**
+   * Redeem `code` for `userId`, in one statement: the use is counted only
+   * while the code is active, unexpired and under its cap, and only once per
+   * User. On success the User moves to the code's plan and returns to their
+   * previous plan (the scheduled one, if any, replacing it) when the trial
+   * ends. Throws {@link NotFoundError} when the User does not exist.
+   *
+   * @param {number} userId
+   * @param {string} code
+   * @returns {Promise<{ redeemed: true, redemption: object }
+   *   | { redeemed: false, reason: 'not_found' | 'already_redeemed' | 'expired' | 'exhausted' }>}
+   */
+  async function redeemPromoCode(userId, code) {
+    const { rows } = await pool.query(
+      `WITH account AS (
+         SELECT id, COALESCE(pending_plan, plan) AS previous_plan
+           FROM users
+          WHERE id = $1
+            FOR UPDATE
+       ), promo AS (
+         SELECT code, plan, duration_days
+           FROM promo_codes
+          WHERE code = $2
+            AND active
+            AND (expires_at IS NULL OR expires_at > NOW())
+            AND (max_redemptions IS NULL OR redemptions < max_redemptions)
+            FOR UPDATE
+       ), redemption AS (
+         INSERT INTO promo_redemptions (code, user_id, plan, previous_plan, trial_ends_at)
+         SELECT promo.code, account.id, promo.plan, account.previous_plan,
+                NOW() + make_interval(days => promo.duration_days)
+           FROM promo, account
+         ON CONFLICT (code, user_id) DO NOTHING
+         RETURNING ${PROMO_REDEMPTION_COLUMNS}
+       ), counted AS (
+         UPDATE promo_codes
+            SET redemptions = redemptions + 1
+           FROM redemption
+          WHERE promo_codes.code = redemption.code
+       ), upgraded AS (
+         UPDATE users
+            SET plan = redemption.plan, pending_plan = redemption.previous_plan,
+                plan_change_at = redemption.trial_ends_at, updated_at = NOW()
+           FROM redemption
+          WHERE users.id = redemption.user_id
+       )
+       SELECT * FROM redemption`,
+      [userId, code]
+    );
+    if (rows.length) return { redeemed: true, redemption: mapPromoRedemption(rows[0]) };
+
+    const why = await pool.query(
+      `SELECT EXISTS (SELECT 1 FROM users WHERE id = $1)                       AS user_exists,
+              c.active,
+              EXISTS (SELECT 1 FROM promo_redemptions r
+                       WHERE r.code = c.code AND r.user_id = $1)             AS redeemed,
+              COALESCE(c.expires_at <= NOW(), FALSE)                        AS expired,
+              COALESCE(c.redemptions >= c.max_redemptions, FALSE)           AS exhausted
+         FROM (SELECT 1) one
+         LEFT JOIN promo_codes c ON c.code = $2`,
+      [userId, code]
+    );
+    const state = why.rows[0];
+    if (!state.user_exists) {
+      throw new NotFoundError('User not found');
+    }
+    if (!state.active) return { redeemed: false, reason: 'not_found' };
+    if (state.redeemed) return { redeemed: false, reason: 'already_redeemed' };
+    return { redeemed: false, reason: state.expired ? 'expired' : 'exhausted' };
+  }
+
+  /**
+   * The redemptions of `code`, most recent first.
+   *
+   * @param {string} code
+   * @param {{ limit?: number }} [options]
+   * @returns {Promise<object[]>}
+   */
+  async function listPromoRedemptions(code, { limit = 100 } = {}) {
+    const { rows } = await pool.query(
+      `SELECT ${PROMO_REDEMPTION_COLUMNS}
+         FROM promo_redemptions
+        WHERE code = $1
+        ORDER BY redeemed_at DESC, id DESC
+        LIMIT $2`,
+      [code, limit]
+    );
+    return rows.map(mapPromoRedemption);
+  }
+
+  // ─── Notifications ─────────────────────────────────────────────────────────
+  // The notification log and in-app feed (see services/notifications.js). A
+  // notification is recorded before it is mailed, and at most once per
+  // (user_id, dedupe_key), so concurrent checks never send one twice.
+
+  /**
+   * Record a notification for `userId` unless one with the same `key` exists.
+   *
+   * @param {number} userId
+   * @param {{ kind: string, key: string, subject: string, body: string, data?: object }} notification
+   * @returns {Promise<{ notification: object, email: string | null } | null>} the
+   *          recorded notification and the address to mail it to, or null when
+   *          it was already recorded
+   */
+  async function recordNotification(userId, { kind, key, subject, body, data = null } = {}) {
+    const { rows } = await pool.query(
+      `WITH created AS (
+         INSERT INTO notifications (user_id, kind, dedupe_key, subject, body, data)
+         VALUES ($1, $2, $3, $4, $5, $6)
+         ON CONFLICT (user_id, dedupe_key) DO NOTHING
+         RETURNING user_id, ${NOTIFICATION_COLUMNS}
+       )
+       SELECT created.*, users.email
+         FROM created
+         JOIN users ON users.id = created.user_id`,
+      [userId, kind, key, subject, body, data === null ? null : JSON.stringify(data)]
+    );
+    return rows.length ? { notification: mapNotification(rows[0]), email: rows[0].email ?? null } : null;
+  }
+
+  /**
+   * Record the mail outcome of a notification.
+   *
+   * @param {number} id
+   * @param {{ delivery: 'sent' | 'failed' | 'skipped', error?: string }} outcome
+   * @returns {Promise<object | null>} the updated notification (camelCase)
+   */
+  async function finishNotification(id, { delivery, error = null } = {}) {
+    const { rows } = await pool.query(
+      `UPDATE notifications
+          SET delivery = $2, delivery_error = $3,
+              sent_at = CASE WHEN $2 = 'sent' THEN NOW() ELSE sent_at END
+        WHERE id = $1
+        RETURNING ${NOTIFICATION_COLUMNS}`,
+      [id, delivery, nz(error)]
+    );
+    return rows.length ? mapNotification(rows[0]) : null;
+  }
+
+  /**
+   * `userId`'s notifications, most recent first, with their unread count.
+   *
+   * @param {number} userId
+   * @param {{ limit?: number | null, unreadOnly?: boolean }} [options] at most
+   *        `limit` notifications (all when null)
+   * @returns {Promise<{ notifications: object[], unread: number }>}
+   */
+  async function listNotifications(userId, { limit = 50, unreadOnly = false } = {}) {
+    const [list, unread] = await Promise.all([
+      pool.query(
+        `SELECT ${NOTIFICATION_COLUMNS}
+           FROM notifications
+          WHERE user_id = $1 AND ($2::boolean IS FALSE OR read_at IS NULL)
+          ORDER BY created_at DESC, id DESC
+          LIMIT $3`,
+        [userId, unreadOnly === true, limit]
+      ),
+      pool.query(
+        'SELECT COUNT(*) AS unread FROM notifications WHERE user_id = $1 AND read_at IS NULL',
+        [userId]
+      ),
+    ]);
+    return {
+      notifications: list.rows.map(mapNotification),
+      unread: Number(unread.rows[0]?.unread) || 0,
+    };
+  }
+
+  /**
+   * Mark `userId`'s notifications read: those in `ids`, or all of them.
+   *
+   * @param {number} userId
+   * @param {number[] | null} [ids]
+   * @returns {Promise<{ updated: number }>}
+   */
+  async function markNotificationsRead(userId, ids = null) {
+    const { rowCount } = await pool.query(
+      `UPDATE notifications
+          SET read_at = NOW()
+        WHERE user_id = $1 AND read_at IS NULL
+          AND ($2::int[] IS NULL OR id = ANY($2::int[]))`,
+      [userId, ids]
+    );
+    return { updated: rowCount };
+  }
+
+  /**
+   * The scheduled plan changes that take effect within `withinMs` from now
+   * (not those already due).
+   *
+   * @param {number} withinMs
+   * @returns {Promise<Array<{ userId: number, plan: string, pendingPlan: string, planChangeAt: Date }>>}
+   */
+  async function listUpcomingPlanChanges(withinMs) {
+    const { rows } = await pool.query(
+      `SELECT id, plan, pending_plan, plan_change_at
+         FROM users
+        WHERE pending_plan IS NOT NULL
+          AND pending_plan <> plan
+          AND plan_change_at > NOW()
+          AND plan_change_at <= NOW() + make_interval(secs => $1)
+        ORDER BY plan_change_at, id`,
+      [withinMs / 1000]
+    );
+    return rows.map((row) => ({
+      userId: row.id,
+      plan: row.plan,
+      pendingPlan: row.pending_plan,
+      planChangeAt: row.plan_change_at,
+    }));
+  }
+
+  // ─── Generation Jobs ───────────────────────────────────────────────────────
+  // Queue operations for the job worker (services/jobs.js). Jobs move
+  // queued → running → succeeded | failed, or to cancelled from queued or
+  // running; every move out of queued/running settles the quota reservation
+  // in the same statement (committed for a succeeded job, released otherwise).
+
+  /**
+   * Queue a generation job owned by `userId`.
+   * @param {number} userId
+   * @param {{ genType: string, request: object, plan: string, period: string, reserveQuota?: boolean }} job
+   * @returns {Promise<object>} the queued job (camelCase)
+   */
+  async function createJob(userId, { genType, request, plan, period, reserveQuota = false, reserveCredit = false } = {}) {
+    const { rows } = await pool.query(
+      `INSERT INTO generation_jobs (user_id, gen_type, request, plan, period, quota_reserved, credit_reserved)
+       VALUES ($1, $2, $3, $4, $5, $6, $7)
+       RETURNING ${JOB_COLUMNS}`,
+      [
+        userId, genType, JSON.stringify(request ?? {}), plan || 'free', period, reserveQuota === true,
+        reserveQuota === true && reserveCredit === true,
+      ]
+    );
+    return mapJob(rows[0]);
+  }
+
+  /**
+   * Fetch a job owned by `userId`. Throws {@link NotFoundError} when it does
+   * not exist or is owned by another User.
+   * @param {number} userId
+   * @param {number} id
+   * @returns {Promise<object>}
+   */
+  async function getJob(userId, id) {
+    const { rows } = await pool.query(
+      `SELECT ${JOB_COLUMNS}
+         FROM generation_jobs
+        WHERE id = $1 AND user_id = $2`,
+      [id, userId]
+    );
+    if (rows.length === 0) {
+      throw new NotFoundError('Job not found');
+    }
+    return mapJob(rows[0]);
+  }
+
+  /**
+   * Cancel a queued or running job owned by `userId`, releasing its quota
+   * reservation. A job that already finished is returned unchanged with
+   * `cancelled: false`. Throws {@link NotFoundError} when the job does not
+   * exist or is owned by another User.
+   * @param {number} userId
+   * @param {number} id
+   * @returns {Promise<{ job: object, cancelled: boolean }>}
+   */
+  async function cancelJob(userId, id) {
+    const { rows } = await pool.query(
+      `WITH cancelled AS (
+         UPDATE generation_jobs j
+            SET status = 'cancelled', quota_reserved = FALSE, credit_reserved = FALSE, finished_at = NOW()
+           FROM (SELECT id AS job_id, quota_reserved AS held, credit_reserved AS credit
+                   FROM generation_jobs
+                  WHERE id = $1 AND user_id = $2 AND status IN ('queued', 'running')
+                    FOR UPDATE) prior
+          WHERE j.id = prior.job_id AND j.status IN ('queued', 'running')
+          RETURNING ${JOB_COLUMNS}, j.user_id, j.period, prior.held, prior.credit
+       ), ${settleJobReservations('cancelled')}
+       SELECT ${JOB_COLUMNS}
+         FROM cancelled`,
+      [id, userId]
+    );
+    if (rows.length) return { job: mapJob(rows[0]), cancelled: true };
+    return { job: await getJob(userId, id), cancelled: false };
+  }
+
+  /**
+   * Claim the oldest queued job for a worker, marking it running. Concurrent
+   * workers (other instances) never claim the same job: the row is locked and
+   * skipped by the others.
+   * @returns {Promise<{ id: number, userId: number, type: string, request: object, plan: string } | null>}
+   */
+  async function claimNextJob() {
+    const { rows } = await pool.query(
+      `UPDATE generation_jobs
+          SET status = 'running', started_at = NOW()
+        WHERE id = (
+          SELECT id
+            FROM generation_jobs
+           WHERE status = 'queued'
+           ORDER BY id
+           LIMIT 1
+           FOR UPDATE SKIP LOCKED
+        )
+        RETURNING id, user_id, gen_type, request, plan`
+    );
+    if (rows.length === 0) return null;
+    const row = rows[0];
+    return { id: row.id, userId: row.user_id, type: row.gen_type, request: row.request ?? {}, plan: row.plan };
+  }
+
+  /**
+   * Record the outcome of a running job and settle its quota reservation: a
+   * succeeded job uses the reserved post, a failed one releases it. A job
+   * cancelled while it ran keeps its cancelled status.
+   * @param {number} id
+   * @param {{ status: 'succeeded' | 'failed', resultStatus: number, result: object }} outcome
+   * @returns {Promise<boolean>} whether the job was still running
+   */
+  async function finishJob(id, { status, resultStatus, result } = {}) {
+    const { rows } = await pool.query(
+      `WITH finished AS (
+         UPDATE generation_jobs j
+            SET status = $2, result_status = $3, result = $4, quota_reserved = FALSE, credit_reserved = FALSE,
+                finished_at = NOW()
+           FROM (SELECT id AS job_id, quota_reserved AS held, credit_reserved AS credit
+                   FROM generation_jobs
+                  WHERE id = $1 AND status = 'running'
+                    FOR UPDATE) prior
+          WHERE j.id = prior.job_id AND j.status = 'running'
+          RETURNING j.user_id, j.period, prior.held, prior.credit
+       ), ${settleJobReservations('finished', '$5')}
+       SELECT COUNT(*) AS count
+         FROM finished`,
+      [id, status, resultStatus, JSON.stringify(result ?? null), status === 'succeeded']
+    );
+    return Number.parseInt(rows[0].count, 10) > 0;
+  }
+
+  /**
+   * The ids among `ids` whose job has been cancelled, so a worker can stop
+   * work another instance was asked to cancel.
+   * @param {number[]} ids
+   * @returns {Promise<number[]>}
+   */
+  async function listCancelledJobs(ids) {
+    if (!ids.length) return [];
+    const { rows } = await pool.query(
+      `SELECT id
+         FROM generation_jobs
+        WHERE id = ANY($1) AND status = 'cancelled'`,
+      [ids]
+    );
+    return rows.map((row) => row.id);
+  }
+
+  /**
+   * Fail jobs left running for longer than `maxRunningMs` — a worker that
+   * stopped mid-job (restart, crash) never finishes them — and release their
+   * quota reservations.
+   * @param {number} maxRunningMs
+   * @returns {Promise<number>} the number of jobs failed
+   */
+  async function failStaleJobs(maxRunningMs) {
+    const { rows } = await pool.query(
+      `WITH failed AS (
+         UPDATE generation_jobs j
+            SET status = 'failed', result_status = 500, result = $2,
+                quota_reserved = FALSE, credit_reserved = FALSE, finished_at = NOW()
+           FROM (SELECT id AS job_id, quota_reserved AS held, credit_reserved AS credit
+                   FROM generation_jobs
+                  WHERE status = 'running' AND started_at < NOW() - ($1 * INTERVAL '1 millisecond')
+                    FOR UPDATE SKIP LOCKED) prior
+          WHERE j.id = prior.job_id AND j.status = 'running'
+          RETURNING j.user_id, j.period, prior.held, prior.credit
+       ), ${settleJobReservations('failed')}
+       SELECT COUNT(*) AS count
+         FROM failed`,
+      [maxRunningMs, JSON.stringify({ error: 'The job did not finish. Please try again.' })]
+    );
+    return Number.parseInt(rows[0].count, 10) || 0;
+  }
+
+  // ─── Idempotency Keys ──────────────────────────────────────────────────────
+
+  /**
+   * Claim `key` for a request of `userId` with the given fingerprint. The key
+   * is claimed when it is new, has expired, or was left pending for longer
+   * than `pendingTimeoutMs` (its request never finished); otherwise the
+   * existing record is returned for the caller to replay or reject. The
+   * owner's expired keys are purged on the way.
+   *
+   * @param {number} userId
+   * @param {string} key
+   * @param {{ fingerprint: string, windowMs: number, pendingTimeoutMs: number }} options
+   * @returns {Promise<{ claimed: true } | { claimed: false, fingerprint: string,
+   *   status: 'pending' | 'completed', response: { status: number, body: object } | null }>}
+   */
+  async function claimIdempotencyKey(userId, key, { fingerprint, windowMs, pendingTimeoutMs } = {}) {
+    await pool.query(
+      `DELETE FROM idempotency_keys
+        WHERE user_id = $1 AND expires_at < NOW()`,
+      [userId]
+    );
+    const claimed = await pool.query(
+      `INSERT INTO idempotency_keys (user_id, key, fingerprint, expires_at)
+       VALUES ($1, $2, $3, NOW() + ($4 * INTERVAL '1 millisecond'))
+       ON CONFLICT (user_id, key) DO UPDATE
+         SET fingerprint = EXCLUDED.fingerprint, status = 'pending',
+             response_status = NULL, response_body = NULL,
+             created_at = NOW(), expires_at = EXCLUDED.expires_at
+       WHERE idempotency_keys.expires_at < NOW()
+          OR (idempotency_keys.status = 'pending'
+              AND idempotency_keys.created_at < NOW() - ($5 * INTERVAL '1 millisecond'))
+       RETURNING key`,
+      [userId, key, fingerprint, windowMs, pendingTimeoutMs]
+    );
+    if (claimed.rows.length) return { claimed: true };
+
+    const { rows } = await pool.query(
+      `SELECT fingerprint, status, response_status, response_body
+         FROM idempotency_keys
+        WHERE user_id = $1 AND key = $2`,
+      [userId, key]
+    );
+    // Deleted between the two statements (account deletion): nothing to replay.
+    if (rows.length === 0) return { claimed: true };
+    const row = rows[0];
+    return {
+      claimed: false,
+      fingerprint: row.fingerprint,
+      status: row.status,
+      response: row.status === 'completed' ? { status: row.response_status, body: row.response_body } : null,
+    };
+  }
+
+  /**
+   * Store the final response of the request holding `key`.
+   * @param {number} userId
+   * @param {string} key
+   * @param {{ status: number, body: object }} response
+   * @returns {Promise<void>}
+   */
+  async function completeIdempotencyKey(userId, key, { status, body } = {}) {
+    await pool.query(
+      `UPDATE idempotency_keys
+          SET status = 'completed', response_status = $3, response_body = $4
+        WHERE user_id = $1 AND key = $2`,
+      [userId, key, status, JSON.stringify(body ?? null)]
+    );
+  }
+
+  /**
+   * Drop `key` so the next request with it runs again.
+   * @param {number} userId
+   * @param {string} key
+   * @returns {Promise<void>}
+   */
+  async function releaseIdempotencyKey(userId, key) {
+    await pool.query(
+      `DELETE FROM idempotency_keys
+        WHERE user_id = $1 AND key = $2`,
+      [userId, key]
+    );
+  }
+
+  // ─── Usage Quotas ──────────────────────────────────────────────────────────
+  // The metering counters (see services/quota.js): a metered post is reserved
+  // before its AI call, then committed when it succeeds or released when it
+  // does not. Past the allowance a reservation is paid with a prepaid credit,
+  // which a release refunds. Jobs settle theirs through the job statements
+  // above.
+
+  /**
+   * Reserve one post of `userId`'s `allowance` for `period`. The reservation
+   * is taken only while `used + reserved` is below the allowance, in a single
+   * statement, so concurrent requests can never take more than the allowance
+   * between them. A period's counter row is created by its first reservation,
+   * seeded from the `generations` log.
+   *
+   * @param {number} userId owning User (from the verified Session_Token)
+   * @param {string} period the `'YYYY-MM'` Quota_Period key
+   * @param {number} allowance the Plan's Generation_Allowance
+   * @returns {Promise<{ reserved: boolean, used: number }>} whether the post
+   *          was reserved, and the posts used or reserved in the period
+   *          (including this one)
+   */
+  async function reserveQuota(userId, period, allowance) {
+    if (allowance > 0) {
+      const { rows } = await pool.query(
+        `INSERT INTO usage_quotas (user_id, period, used, reserved)
+         SELECT $1, $2, seed.used, 1
+           FROM (SELECT COUNT(*)::int AS used
+                   FROM generations
+                  WHERE user_id = $1 AND period = $2 AND gen_type = ANY($4) AND success) seed
+          WHERE seed.used < $3
+         ON CONFLICT (user_id, period) DO UPDATE
+           SET reserved = usage_quotas.reserved + 1, updated_at = NOW()
+         WHERE usage_quotas.used + usage_quotas.reserved < $3
+         RETURNING used + reserved AS count`,
+        [userId, period, allowance, METERED_GEN_TYPES]
+      );
+      if (rows.length) return { reserved: true, used: Number.parseInt(rows[0].count, 10) };
+    }
+    return { reserved: false, used: await getUsage(userId, period) };
+  }
+
+  /**
+   * Reserve one post for `period` paid with one of `userId`'s prepaid credits,
+   * for when the allowance is used up. The credit is taken (and recorded as a
+   * 'consumption') only while the balance is positive, in the same statement
+   * that counts the reservation, so concurrent requests never overdraw it.
+   *
+   * @param {number} userId
+   * @param {string} period the `'YYYY-MM'` Quota_Period key
+   * @returns {Promise<{ reserved: boolean, credits: number }>} whether a credit
+   *          was taken, and the balance left
+   */
+  async function reserveCredit(userId, period) {
+    const { rows } = await pool.query(
+      `WITH drawn AS (
+         UPDATE users
+            SET credits_remaining = credits_remaining - 1, updated_at = NOW()
+          WHERE id = $1 AND credits_remaining > 0
+          RETURNING id, credits_remaining
+       ), consumed AS (
+         INSERT INTO credit_ledger (user_id, kind, delta, balance, reference)
+         SELECT id, 'consumption', -1, credits_remaining, $2
+           FROM drawn
+       ), counted AS (
+         INSERT INTO usage_quotas (user_id, period, used, reserved)
+         SELECT drawn.id, $2, seed.used, 1
+           FROM drawn,
+                (SELECT COUNT(*)::int AS used
+                   FROM generations
+                  WHERE user_id = $1 AND period = $2 AND gen_type = ANY($3) AND success) seed
+         ON CONFLICT (user_id, period) DO UPDATE
+           SET reserved = usage_quotas.reserved + 1, updated_at = NOW()
+       )
+       SELECT credits_remaining
+         FROM drawn`,
+      [userId, period, METERED_GEN_TYPES]
+    );
+    if (rows.length) return { reserved: true, credits: rows[0].credits_remaining };
+    return { reserved: false, credits: await getCredits(userId) };
+  }
+
+  /**
+   * Turn one of `userId`'s reservations for `period` into a used post.
+   * @param {number} userId
+   * @param {string} period
+   * @returns {Promise<void>}
+   */
+  async function commitQuota(userId, period) {
+    await pool.query(
+      `UPDATE usage_quotas
+          SET used = used + 1, reserved = GREATEST(reserved - 1, 0), updated_at = NOW()
+        WHERE user_id = $1 AND period = $2`,
+      [userId, period]
+    );
+  }
+
+  /**
+   * Give one of `userId`'s reservations for `period` back to the allowance,
+   * and with `credit` refund the credit that paid for it.
+   * @param {number} userId
+   * @param {string} period
+   * @param {{ credit?: boolean }} [options]
+   * @returns {Promise<void>}
+   */
+  async function releaseQuota(userId, period, { credit = false } = {}) {
+    await pool.query(
+      `WITH released AS (
+         UPDATE usage_quotas
+            SET reserved = GREATEST(reserved - 1, 0), updated_at = NOW()
+          WHERE user_id = $1 AND period = $2
+       ), refunded AS (
+         UPDATE users
+            SET credits_remaining = credits_remaining + 1, updated_at = NOW()
+          WHERE id = $1 AND $3
+          RETURNING id, credits_remaining
+       )
+       INSERT INTO credit_ledger (user_id, kind, delta, balance, reference)
+       SELECT id, 'refund', 1, credits_remaining, $2
+         FROM refunded`,
+      [userId, period, credit === true]
+    );
+  }
+
+  /**
+   * Rebuild the counters of `period` from the source of truth: `used` from the
+   * successful metered events in `generations`, `reserved` from the jobs
+   * holding a reservation. This repairs drift such as a reservation stranded by
+   * a restart between an AI call and its commit. The reservations of
+   * synchronous requests in flight are recorded nowhere else, so counters
+   * changed within the last `idleMs` are left alone.
+   *
+   * @param {string} period the `'YYYY-MM'` Quota_Period key
+   * @param {{ idleMs: number }} options
+   * @returns {Promise<number>} the number of counters corrected or created
+   */
+  async function reconcileQuotas(period, { idleMs } = {}) {
+    const { rowCount } = await pool.query(
+      `INSERT INTO usage_quotas (user_id, period, used, reserved)
+       SELECT user_id, $1, SUM(used)::int, SUM(reserved)::int
+         FROM (SELECT user_id, COUNT(*) AS used, 0 AS reserved
+                 FROM generations
+                WHERE period = $1 AND gen_type = ANY($2) AND success
+                GROUP BY user_id
+               UNION ALL
+               SELECT user_id, 0, COUNT(*)
+                 FROM generation_jobs
+                WHERE period = $1 AND quota_reserved
+                GROUP BY user_id
+               UNION ALL
+               SELECT user_id, 0, 0
+                 FROM usage_quotas
+                WHERE period = $1) counts
+        GROUP BY user_id
+       ON CONFLICT (user_id, period) DO UPDATE
+         SET used = EXCLUDED.used, reserved = EXCLUDED.reserved, updated_at = NOW()
+       WHERE (usage_quotas.used, usage_quotas.reserved) IS DISTINCT FROM (EXCLUDED.used, EXCLUDED.reserved)
+         AND usage_quotas.updated_at < NOW() - ($3 * INTERVAL '1 millisecond')`,
+      [period, METERED_GEN_TYPES, idleMs]
+    );
+    return rowCount;
+  }
+
+  // ─── Credits ───────────────────────────────────────────────────────────────
+  // The prepaid credit balance (users.credits_remaining) and its ledger. Every
+  // statement that changes the balance records the change in credit_ledger.
+
+  /**
+   * `userId`'s prepaid credit balance (0 for an unknown User).
+   * @param {number} userId
+   * @returns {Promise<number>}
+   */
+  async function getCredits(userId) {
+    const { rows } = await pool.query(
+      `SELECT credits_remaining
+         FROM users
+        WHERE id = $1`,
+      [userId]
+    );
+    return rows.length ? rows[0].credits_remaining : 0;
+  }
+
+  /**
+   * Add `amount` credits to `userId`'s balance, recorded as a ledger entry of
+   * `kind` ('grant' or 'purchase'). A purchase is added at most once per
+   * `reference` (the provider event that paid for it): a repeat is ignored.
+   * Throws {@link NotFoundError} when the User does not exist.
+   *
+   * @param {number} userId
+   * @param {number} amount a positive number of credits
+   * @param {{ kind?: 'grant' | 'purchase', reference?: string | null }} [options]
+   * @returns {Promise<{ added: boolean, credits: number }>} whether the credits
+   *          were added, and the balance
+   */
+  async function addCredits(userId, amount, { kind = 'grant', reference = null } = {}) {
+    const { rows } = await pool.query(
+      `WITH entry AS (
+         INSERT INTO credit_ledger (user_id, kind, delta, balance, reference)
+         SELECT id, $2, $3, credits_remaining + $3, $4
+           FROM (SELECT id, credits_remaining
+                   FROM users
+                  WHERE id = $1
+                    FOR UPDATE) u
+         ON CONFLICT (user_id, reference) WHERE kind = 'purchase' DO NOTHING
+         RETURNING user_id
+       )
+       UPDATE users
+          SET credits_remaining = credits_remaining + $3, updated_at = NOW()
+         FROM entry
+        WHERE users.id = entry.user_id
+       RETURNING credits_remaining`,
+      [userId, kind, amount, nz(reference)]
+    );
+    if (rows.length) return { added: true, credits: rows[0].credits_remaining };
+
+    const existing = await pool.query('SELECT credits_remaining FROM users WHERE id = $1', [userId]);
+    if (existing.rows.length === 0) {
+      throw new NotFoundError('User not found');
+    }
+    return { added: false, credits: existing.rows[0].credits_remaining };
+  }
+
+  /**
+   * `userId`'s credit ledger, most recent first.
+   *
+   * @param {number} userId
+   * @param {{ limit?: number | null }} [options] at most `limit` entries (all when null)
+   * @returns {Promise<Array<{ id: number, kind: string, delta: number, balance: number,
+   *   reference: string | null, createdAt: Date }>>}
+   */
+  async function listCreditLedger(userId, { limit = 50 } = {}) {
+    const { rows } = await pool.query(
+      `SELECT id, kind, delta, balance, reference, created_at
+         FROM credit_ledger
+        WHERE user_id = $1
+        ORDER BY created_at DESC, id DESC
+        LIMIT $2`,
+      [userId, limit]
+    );
+    return rows.map(mapCreditEntry);
+  }
+
+  // ─── Webhook Events ────────────────────────────────────────────────────────
+  // The payment-provider webhook log (services/webhooks.js). A verified event
+  // is stored once per (provider, event id); redeliveries are counted on it.
+
+  /**
+   * Record a webhook delivery. A verified delivery of an event already stored
+   * is not inserted again: the stored event gets another delivery counted and
+   * is returned with `duplicate: true`.
+   *
+   * @param {{ provider: string, eventId?: string | null, eventType?: string | null, payload: string,
+   *   signature?: string | null, verified: boolean, status?: string }} delivery
+   * @returns {Promise<{ event: object, duplicate: boolean }>}
+   */
+  async function recordWebhookEvent({
+    provider, eventId = null, eventType = null, payload, signature = null, verified, status = 'received',
+  } = {}) {
+    const params = [provider, nz(eventId), nz(eventType), payload, nz(signature), verified === true, status];
+    if (verified === true && eventId) {
+      const inserted = await pool.query(
+        `INSERT INTO webhook_events (provider, event_id, event_type, payload, signature, verified, status)
+         VALUES ($1, $2, $3, $4, $5, $6, $7)
+         ON CONFLICT (provider, event_id) WHERE verified DO NOTHING
+         RETURNING ${WEBHOOK_EVENT_COLUMNS}`,
+        params
+      );
+      if (inserted.rows.length) return { event: mapWebhookEvent(inserted.rows[0]), duplicate: false };
+
+      const { rows } = await pool.query(
+        `UPDATE webhook_events
+            SET delivery_count = delivery_count + 1, last_received_at = NOW()
+          WHERE provider = $1 AND event_id = $2 AND verified
+          RETURNING ${WEBHOOK_EVENT_COLUMNS}`,
+        [provider, eventId]
+      );
+      return { event: mapWebhookEvent(rows[0]), duplicate: true };
+    }
+
+    const { rows } = await pool.query(
+      `INSERT INTO webhook_events (provider, event_id, event_type, payload, signature, verified, status)
+       VALUES ($1, $2, $3, $4, $5, $6, $7)
+       RETURNING ${WEBHOOK_EVENT_COLUMNS}`,
+      params
+    );
+    return { event: mapWebhookEvent(rows[0]), duplicate: false };
+  }
+
+  /**
+   * Take a stored event for (re)processing: its status moves back to
+   * 'received', but only from one of `fromStatuses`, so two deliveries (or a
+   * delivery and a replay) never process it at the same time. With `staleMs`
+   * an event claimed longer ago than that and still 'received' (its processing
+   * was abandoned) can be claimed too.
+   *
+   * @param {number} id
+   * @param {string[]} fromStatuses
+   * @param {{ staleMs?: number | null }} [options]
+   * @returns {Promise<object | null>} the event with its payload, or null when
+   *          it is not in one of those statuses
+   */
+  async function claimWebhookEvent(id, fromStatuses, { staleMs = null } = {}) {
+    const { rows } = await pool.query(
+      `UPDATE webhook_events
+          SET status = 'received', error = NULL, claimed_at = NOW()
+        WHERE id = $1
+          AND (status = ANY($2)
+               OR (status = 'received' AND $3::integer IS NOT NULL
+                   AND claimed_at < NOW() - ($3 * INTERVAL '1 millisecond')))
+        RETURNING ${WEBHOOK_EVENT_COLUMNS}, payload`,
+      [id, fromStatuses, staleMs]
+    );
+    return rows.length ? mapWebhookEvent(rows[0]) : null;
+  }
+
+  /**
+   * Record the outcome of processing a stored event.
+   *
+   * @param {number} id
+   * @param {{ status: string, outcome?: object | null, error?: string | null, replayed?: boolean }} result
+   * @returns {Promise<object | null>} the updated event
+   */
+  async function finishWebhookEvent(id, { status, outcome = null, error = null, replayed = false } = {}) {
+    const { rows } = await pool.query(
+      `UPDATE webhook_events
+          SET status = $2, outcome = $3, error = $4, processed_at = NOW(),
+              replay_count = replay_count + CASE WHEN $5 THEN 1 ELSE 0 END
+        WHERE id = $1
+        RETURNING ${WEBHOOK_EVENT_COLUMNS}`,
+      [id, status, outcome === null ? null : JSON.stringify(outcome), nz(error), replayed === true]
+    );
+    return rows.length ? mapWebhookEvent(rows[0]) : null;
+  }
+
+  /**
+   * A stored webhook event, with its raw payload. Throws {@link NotFoundError}
+   * when it does not exist.
+   * @param {number} id
+   * @returns {Promise<object>}
+   */
+  async function getWebhookEvent(id) {
+    const { rows } = await pool.query(
+      `SELECT ${WEBHOOK_EVENT_COLUMNS}, payload
+         FROM webhook_events
+        WHERE id = $1`,
+      [id]
+    );
+    if (rows.length === 0) {
+      throw new NotFoundError('Webhook event not found');
+    }
+    return mapWebhookEvent(rows[0]);
+  }
+
+  /**
+   * List stored webhook events, most recently received first, optionally
+   * filtered by status and provider.
+   *
+   * @param {{ status?: string, provider?: string, limit?: number }} [options]
+   * @returns {Promise<Array>} events without their payloads
+   */
+  async function listWebhookEvents({ status, provider, limit = 50 } = {}) {
+    const conditions = [];
+    const params = [];
+    if (typeof status === 'string' && status.trim() !== '') {
+      params.push(status);
+      conditions.push(`status = $${params.length}`);
+    }
+    if (typeof provider === 'string' && provider.trim() !== '') {
+      params.push(provider);
+      conditions.push(`provider = $${params.length}`);
+    }
+    params.push(limit);
+    const { rows } = await pool.query(
+      `SELECT ${WEBHOOK_EVENT_COLUMNS}
+         FROM webhook_events
+        ${conditions.length ? `WHERE ${conditions.join(' AND ')}` : ''}
+        ORDER BY last_received_at DESC, id DESC
+        LIMIT $${params.length}`,
+      params
+    );
+    return rows.map(mapWebhookEvent);
+  }
+
+  // ─── Generation Event Logging ──────────────────────────────────────────────
+
+  /**
+   * Append a Generation_Event for `userId`, stamping the Quota_Period in which
+   * the event's timestamp falls (Requirements 8.1, 8.2). The `period` column is
+   * the `'YYYY-MM'` key computed from `timestamp` (UTC) at insert time, so the
+   * bucket is fixed at write time and never shifts with read-time clocks.
+   *
+   * `details` carries the usage record for the event: the provider and model
+   * that served it, whether that was a fallback provider, the reported token
+   * counts, the latency, and whether the generation succeeded. Every field is
+   * optional; an event logged without details is a successful one.
+   *
+   * This is **best-effort** (Requirement 8.4): the authoritative usage count is
+   * derived from the `generations` table, so a dropped log under-counts rather
+   * than blocking the user. Any failure is logged and swallowed — this method
+   * never throws — returning `{ ok: false }` so the caller's already-completed
+   * generation response is never disrupted by a logging failure.
+   *
+   * @param {number} userId owning User (from the verified Session_Token)
+   * @param {string} genType generation type (topics|voice|hooks|post|refine|regenerate|...)
+   * @param {Date | string | number} [timestamp] event time (defaults to now)
+   * @param {{ provider?: string, model?: string, fallback?: boolean, inputTokens?: number,
+   *           outputTokens?: number, latencyMs?: number, success?: boolean,
+   *           promptVersion?: string, promptExperiment?: string }} [details]
+   * @returns {Promise<{ ok: true, period: string } | { ok: false }>}
+   */
+  async function appendGenerationEvent(userId, genType, timestamp = new Date(), details = {}) {
+    const period = periodKey(timestamp);
+    const {
+      provider, model, fallback = false, inputTokens, outputTokens, latencyMs, success = true,
+      promptVersion, promptExperiment,
+    } = details || {};
+    try {
+      await pool.query(
+        `INSERT INTO generations
+           (user_id, gen_type, period, provider, model, fallback, input_tokens, output_tokens, latency_ms, success,
+            prompt_version, prompt_experiment)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12)`,
+        [
+          userId, genType, period, nz(provider), nz(model), fallback === true,
+          nz(inputTokens), nz(outputTokens), nz(latencyMs), success !== false,
+          nz(promptVersion), nz(promptExperiment),
+        ]
+      );
+      return { ok: true, period };
+    } catch (err) {
+      // Best-effort: log and swallow so logging can never block the caller.
+      console.error(
+        `appendGenerationEvent failed for user ${userId} (type=${genType}, period=${period}):`,
+        err
+      );
+      return { ok: false };
+    }
+  }
+
+  /**
+   * Return the count of `userId`'s POST creations in `period`: the period's
+   * usage_quotas counter (posts used plus posts reserved by requests and jobs
+   * in flight), or, before the period's first reservation, the successful POST
+   * creations whose stamped `period` matches `period`. Only events of the
+   * METERED_GEN_TYPES (`post` and `carousel`) are counted — post creation is
+   * the single metered action — and failed generations (logged for cost
+   * tracking) never consume the allowance. Topics, voice, hooks, refine, and
+   * regenerate events are deliberately excluded so they never consume the
+   * allowance (regeneration in particular does not count). The query is
+   * owner-scoped and parameterized; the COUNT(*) is coerced to a JS integer (pg
+   * returns counts as strings). This is the authoritative usage figure the
+   * Quota_Service consumes.
+   *
+   * @param {number} userId owning User (from the verified Session_Token)
+   * @param {string} period the `'YYYY-MM'` Quota_Period key
+   * @returns {Promise<number>} the number of posts used and reserved (0 when
+   *          none)
+   */
+  async function getUsage(userId, period) {
+    const { rows } = await pool.query(
+      `SELECT COALESCE(
+                (SELECT used + reserved
+                   FROM usage_quotas
+                  WHERE user_id = $1 AND period = $2),
+                (SELECT COUNT(*)
+                   FROM generations
+                  WHERE user_id = $1 AND period = $2 AND gen_type = ANY($3) AND success)
+              ) AS count`,
+      [userId, period, METERED_GEN_TYPES]
+    );
+    return Number.parseInt(rows[0].count, 10) || 0;
+  }
+
+  /**
+   * Aggregate generation usage for cost reporting, grouped by user, generation
+   * type, provider and model, over an inclusive range of Quota_Periods. Pass
+   * `userId` to restrict the report to one User; omit it for every User (admin
+   * reporting). Counts and token sums are coerced to JS numbers; events without
+   * reported usage contribute 0 tokens.
+   *
+   * @param {{ userId?: number, fromPeriod: string, toPeriod: string }} range
+   * @returns {Promise<Array<{ userId: number, genType: string, provider: string | null,
+   *   model: string | null, events: number, failures: number, fallbacks: number,
+   *   inputTokens: number, outputTokens: number, avgLatencyMs: number | null }>>}
+   */
+  async function getGenerationCosts({ userId, fromPeriod, toPeriod } = {}) {
+    const conditions = ['period >= $1', 'period <= $2'];
+    const params = [fromPeriod, toPeriod];
+    if (userId !== undefined && userId !== null) {
+      params.push(userId);
+      conditions.push(`user_id = $${params.length}`);
+    }
+
+    const { rows } = await pool.query(
+      `SELECT user_id, gen_type, provider, model,
+              COUNT(*)                                   AS events,
+              COUNT(*) FILTER (WHERE NOT success)        AS failures,
+              COUNT(*) FILTER (WHERE fallback)           AS fallbacks,
+              COALESCE(SUM(input_tokens), 0)             AS input_tokens,
+              COALESCE(SUM(output_tokens), 0)            AS output_tokens,
+              ROUND(AVG(latency_ms))                     AS avg_latency_ms
+         FROM generations
+        WHERE ${conditions.join(' AND ')}
+        GROUP BY user_id, gen_type, provider, model
+        ORDER BY user_id, gen_type, provider, model`,
+      params
+    );
+    return rows.map((row) => ({
+      userId: row.user_id,
+      genType: row.gen_type,
+      provider: row.provider,
+      model: row.model,
+      events: Number(row.events) || 0,
+      failures: Number(row.failures) || 0,
+      fallbacks: Number(row.fallbacks) || 0,
+      inputTokens: Number(row.input_tokens) || 0,
+      outputTokens: Number(row.output_tokens) || 0,
+      avgLatencyMs: row.avg_latency_ms === null ? null : Number(row.avg_latency_ms),
+    }));
+  }
+
+  /**
+   * Daily activity of one User over an inclusive range of Quota_Periods:
+   *   - `generations`: successful generations per day and type (days with none
+   *     are absent);
+   *   - `posts`: the posts created in each period and how many of those are
+   *     finalized now.
+   * Days and post periods are taken in UTC, like `periodKey`, so a day never
+   * straddles two periods. `created_at` is a TIMESTAMP written as the session's
+   * local time, so it is read as that (`::timestamptz`) before converting.
+   *
+   * @param {{ userId: number, fromPeriod: string, toPeriod: string }} range
+   * @returns {Promise<{ generations: Array<{ date: string, period: string, genType: string, count: number }>,
+   *   posts: Array<{ period: string, posts: number, finalized: number }> }>}
+   */
+  async function getGenerationHistory({ userId, fromPeriod, toPeriod } = {}) {
+    // Posts are filtered on created_at from the first instant of fromPeriod up
+    // to (not including) the first instant of the period after toPeriod.
+    const [toYear, toMonth] = toPeriod.split('-').map(Number);
+    const from = new Date(`${fromPeriod}-01T00:00:00Z`);
+    const until = new Date(Date.UTC(toYear, toMonth, 1));
+    const [generations, posts] = await Promise.all([
+      pool.query(
+        `SELECT to_char(created_at::timestamptz AT TIME ZONE 'UTC', 'YYYY-MM-DD') AS day,
+                period, gen_type, COUNT(*) AS count
+           FROM generations
+          WHERE user_id = $1 AND period >= $2 AND period <= $3 AND success
+          GROUP BY day, period, gen_type
+          ORDER BY day, gen_type`,
+        [userId, fromPeriod, toPeriod]
+      ),
+      pool.query(
+        `SELECT to_char(created_at::timestamptz AT TIME ZONE 'UTC', 'YYYY-MM') AS period,
+                COUNT(*)                                     AS posts,
+                COUNT(*) FILTER (WHERE status = 'final')     AS finalized
+           FROM posts
+          WHERE user_id = $1 AND created_at::timestamptz >= $2 AND created_at::timestamptz < $3
+          GROUP BY 1
+          ORDER BY 1`,
+        [userId, from, until]
+      ),
+    ]);
+    return {
+      generations: generations.rows.map((row) => ({
+        date: row.day,
+        period: row.period,
+        genType: row.gen_type,
+        count: Number(row.count) || 0,
+      })),
+      posts: posts.rows.map((row) => ({
+        period: row.period,
+        posts: Number(row.posts) || 0,
+        finalized: Number(row.finalized) || 0,
+      })),
+    };
+  }
+
+  /**
+   * Outcome counts for prompt experiments, per experiment and arm (prompt
+   * version), across every User:
+   *   - `generations`: the generations each version produced, by type, with
+   *     how many succeeded and how many distinct Users they served;
+   *   - `posts`: the posts created by Users in each arm (from the arm snapshot
+   *     in `posts.experiments`) and how many of those were finalized.
+   *
+   * @param {string[]} experimentIds
+   * @returns {Promise<{ generations: Array<{ experiment: string, version: string, genType: string,
+   *   events: number, successes: number, users: number }>, posts: Array<{ experiment: string,
+   *   version: string, posts: number, finalized: number }> }>}
+   */
+  async function getPromptExperimentOutcomes(experimentIds = []) {
+    const [generations, posts] = await Promise.all([
+      pool.query(
+        `SELECT prompt_experiment, prompt_version, gen_type,
+                COUNT(*)                           AS events,
+                COUNT(*) FILTER (WHERE success)    AS successes,
+                COUNT(DISTINCT user_id)            AS users
+           FROM generations
+          WHERE prompt_experiment = ANY($1)
+          GROUP BY prompt_experiment, prompt_version, gen_type
+          ORDER BY prompt_experiment, prompt_version, gen_type`,
+        [experimentIds]
+      ),
+      pool.query(
+        `SELECT arm.key                                      AS experiment,
+                arm.value                                    AS version,
+                COUNT(*)                                     AS posts,
+                COUNT(*) FILTER (WHERE posts.status = 'final') AS finalized
+           FROM posts
+          CROSS JOIN LATERAL jsonb_each_text(posts.experiments) AS arm
+          WHERE arm.key = ANY($1)
+          GROUP BY arm.key, arm.value
+          ORDER BY arm.key, arm.value`,
+        [experimentIds]
+      ),
+    ]);
+    return {
+      generations: generations.rows.map((row) => ({
+        experiment: row.prompt_experiment,
+        version: row.prompt_version,
+        genType: row.gen_type,
+        events: Number(row.events) || 0,
+        successes: Number(row.successes) || 0,
+        users: Number(row.users) || 0,
+      })),
+      posts: posts.rows.map((row) => ({
+        experiment: row.experiment,
+        version: row.version,
+        posts: Number(row.posts) || 0,
+        finalized: Number(row.finalized) || 0,
+      })),
+    };
   }
 
   return {
     // voice profiles
     saveVoiceProfile,
     listVoiceProfiles,
+    countVoiceProfiles,
     deleteVoiceProfile,
+    // brand guidelines
+    getBrandGuidelines,
+    saveBrandGuidelines,
+    deleteBrandGuidelines,
     // posts
     upsertPost,
     finalizePost,
+    getPost,
     listPosts,
+    listDerivatives,
     deletePost,
+    // post replies
+    saveReplies,
+    listReplies,
     // account management
     exportAccount,
     deleteAccount,
     updateAccount,
+    // plan catalog
+    listPlans,
+    savePlan,
+    // plans
+    updateUserPlan,
+    scheduleDowngrade,
+    getUserPlan,
+    applyDueDowngrades,
+    // promo codes
+    createPromoCode,
+    getPromoCode,
+    listPromoCodes,
+    setPromoCodeActive,
+    redeemPromoCode,
+    listPromoRedemptions,
+    // notifications
+    recordNotification,
+    finishNotification,
+    listNotifications,
+    markNotificationsRead,
+    listUpcomingPlanChanges,
+    // generation jobs
+    createJob,
+    getJob,
+    cancelJob,
+    claimNextJob,
+    finishJob,
+    listCancelledJobs,
+    failStaleJobs,
+    // idempotency keys
+    claimIdempotencyKey,
+    completeIdempotencyKey,
+    releaseIdempotencyKey,
+    // usage quotas
+    reserveQuota,
+    reserveCredit,
+    commitQuota,
+    releaseQuota,
+    reconcileQuotas,
+    // credits
+    getCredits,
+    addCredits,
+    listCreditLedger,
+    // webhook events
+    recordWebhookEvent,
+    claimWebhookEvent,
+    finishWebhookEvent,
+    getWebhookEvent,
+    listWebhookEvents,
     // generation event logging
     appendGenerationEvent,
     getUsage,
+    getGenerationCosts,
+    getGenerationHistory,
+    getPromptExperimentOutcomes,
   };
 }
 
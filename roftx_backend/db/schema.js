@@ -1,5 +1,5 @@
 // db/schema.js - RoftX Platform database schema
-// Creates all five tables idempotently (CREATE TABLE IF NOT EXISTS).
+// Creates all platform tables idempotently (CREATE TABLE IF NOT EXISTS).
 // Errors are surfaced to the caller, never swallowed. The operation is
 // safe to retry because every statement is idempotent and existing data
 // is never dropped or altered destructively.
@@ -8,7 +8,11 @@
 // users (extended from today's identity table). Existing identity columns
 // (google_id, email, full_name, given_name, family_name, picture_url, locale,
 // last_login) are preserved; plan, credits_remaining, created_at, and
-// updated_at are added for the multi-user SaaS platform.
+// updated_at are added for the multi-user SaaS platform. `pending_plan` is a
+// scheduled plan change (a cancelled subscription's downgrade, or the end of a
+// promo-code trial) that takes effect at `plan_change_at`. `credits_remaining`
+// is the prepaid post-credit balance; every change to it is recorded in
+// `credit_ledger`.
 const USERS_TABLE = `
   CREATE TABLE IF NOT EXISTS users (
     id                SERIAL PRIMARY KEY,
@@ -20,7 +24,9 @@ const USERS_TABLE = `
     picture_url       TEXT,
     locale            VARCHAR(10),
     plan              VARCHAR(32)  NOT NULL DEFAULT 'free',
-    credits_remaining INTEGER      NOT NULL DEFAULT 10,
+    credits_remaining INTEGER      NOT NULL DEFAULT 0,
+    pending_plan      VARCHAR(32),
+    plan_change_at    TIMESTAMP,
     last_login        TIMESTAMP DEFAULT NOW(),
     created_at        TIMESTAMP DEFAULT NOW(),
     updated_at        TIMESTAMP DEFAULT NOW()
@@ -29,19 +35,31 @@ const USERS_TABLE = `
 
 // Migrations for a pre-existing `users` table created by an older version of
 // the app. CREATE TABLE IF NOT EXISTS never alters an existing table, so the
-// platform columns (plan, credits_remaining, created_at, updated_at) — and any
-// identity columns that predate the current schema — are added here with
-// ADD COLUMN IF NOT EXISTS. Every statement is idempotent and non-destructive,
-// so running them repeatedly is safe and existing data is preserved.
+// platform columns (plan, credits_remaining, pending_plan, plan_change_at,
+// created_at, updated_at) — and any identity columns that predate the current
+// schema — are added here with ADD COLUMN IF NOT EXISTS. Every statement is
+// idempotent and non-destructive, so running them repeatedly is safe and
+// existing data is preserved.
 const USERS_COLUMN_MIGRATIONS = [
   `ALTER TABLE users ADD COLUMN IF NOT EXISTS given_name        VARCHAR(255)`,
   `ALTER TABLE users ADD COLUMN IF NOT EXISTS family_name       VARCHAR(255)`,
   `ALTER TABLE users ADD COLUMN IF NOT EXISTS picture_url        TEXT`,
   `ALTER TABLE users ADD COLUMN IF NOT EXISTS locale            VARCHAR(10)`,
   `ALTER TABLE users ADD COLUMN IF NOT EXISTS plan              VARCHAR(32)  NOT NULL DEFAULT 'free'`,
-  `ALTER TABLE users ADD COLUMN IF NOT EXISTS credits_remaining INTEGER      NOT NULL DEFAULT 10`,
+  `ALTER TABLE users ADD COLUMN IF NOT EXISTS credits_remaining INTEGER      NOT NULL DEFAULT 0`,
+  `ALTER TABLE users ALTER COLUMN credits_remaining SET DEFAULT 0`,
+  `ALTER TABLE users ADD COLUMN IF NOT EXISTS pending_plan      VARCHAR(32)`,
+  `ALTER TABLE users ADD COLUMN IF NOT EXISTS plan_change_at    TIMESTAMP`,
   `ALTER TABLE users ADD COLUMN IF NOT EXISTS created_at        TIMESTAMP DEFAULT NOW()`,
   `ALTER TABLE users ADD COLUMN IF NOT EXISTS updated_at        TIMESTAMP DEFAULT NOW()`,
+  // Users created while credits_remaining defaulted to 10 hold a balance no
+  // ledger row explains. Record it once as an opening 'grant' so the ledger
+  // accounts for every credit; a user with any ledger row is left alone.
+  `INSERT INTO credit_ledger (user_id, kind, delta, balance, reference)
+   SELECT u.id, 'grant', u.credits_remaining, u.credits_remaining, 'legacy'
+     FROM users u
+    WHERE u.credits_remaining = 10
+      AND NOT EXISTS (SELECT 1 FROM credit_ledger l WHERE l.user_id = u.id)`,
 ];
 
 const VOICE_PROFILES_TABLE = `
@@ -54,53 +72,362 @@ const VOICE_PROFILES_TABLE = `
   )
 `;
 
+// brand_guidelines: at most one row per user (see services/brand.js). The list
+// fields are JSON arrays of strings; `required_hashtags` entries carry their '#'.
+const BRAND_GUIDELINES_TABLE = `
+  CREATE TABLE IF NOT EXISTS brand_guidelines (
+    user_id           INTEGER PRIMARY KEY REFERENCES users(id) ON DELETE CASCADE,
+    banned_words      JSONB NOT NULL DEFAULT '[]',
+    required_hashtags JSONB NOT NULL DEFAULT '[]',
+    cta_style         TEXT,
+    emoji_policy      VARCHAR(16),
+    spelling_locale   VARCHAR(16),
+    audience          TEXT,
+    roftx_branding    BOOLEAN NOT NULL DEFAULT TRUE,
+    created_at        TIMESTAMP DEFAULT NOW(),
+    updated_at        TIMESTAMP DEFAULT NOW()
+  )
+`;
+
+// posts: `content_type` is 'text' for plain posts and 'carousel' for document
+// posts, whose ordered slides are kept in `slides` (a JSON array of
+// { kind, title, body, visualHint }) while `content` holds a plain-text
+// rendering of them so search and listings keep working. Repurposed versions
+// of a post (see services/repurpose.js) are posts whose `content_type` is the
+// target format and whose `source_post_id` points at the original; deleting the
+// original keeps its derivatives and clears the link. `experiments` records the
+// owner's arm in each prompt experiment running when the post was created (a
+// JSON object of experiment id → prompt version).
 const POSTS_TABLE = `
   CREATE TABLE IF NOT EXISTS posts (
-    id          SERIAL PRIMARY KEY,
-    user_id     INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
-    niche       VARCHAR(200),
-    topic       VARCHAR(500),
-    chosen_hook TEXT,
-    content     TEXT NOT NULL,
-    status      VARCHAR(16) NOT NULL DEFAULT 'draft',
-    created_at  TIMESTAMP DEFAULT NOW(),
-    updated_at  TIMESTAMP DEFAULT NOW()
+    id             SERIAL PRIMARY KEY,
+    user_id        INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    niche          VARCHAR(200),
+    topic          VARCHAR(500),
+    chosen_hook    TEXT,
+    content        TEXT NOT NULL,
+    content_type   VARCHAR(16) NOT NULL DEFAULT 'text',
+    slides         JSONB,
+    source_post_id INTEGER REFERENCES posts(id) ON DELETE SET NULL,
+    experiments    JSONB,
+    status         VARCHAR(16) NOT NULL DEFAULT 'draft',
+    created_at     TIMESTAMP DEFAULT NOW(),
+    updated_at     TIMESTAMP DEFAULT NOW()
   )
 `;
 
+// Migrations for a `posts` table created before carousels and derivatives.
+// Existing rows are plain-text original posts, which is what the `content_type`
+// default and a NULL `source_post_id` say.
+const POSTS_COLUMN_MIGRATIONS = [
+  `ALTER TABLE posts ADD COLUMN IF NOT EXISTS content_type   VARCHAR(16) NOT NULL DEFAULT 'text'`,
+  `ALTER TABLE posts ADD COLUMN IF NOT EXISTS slides         JSONB`,
+  `ALTER TABLE posts ADD COLUMN IF NOT EXISTS source_post_id INTEGER REFERENCES posts(id) ON DELETE SET NULL`,
+  `ALTER TABLE posts ADD COLUMN IF NOT EXISTS experiments    JSONB`,
+];
+
+// generations: one row per generation that reached the AI call. Besides the
+// metering fields (user_id, gen_type, period) each row records the provider and
+// model that served it, reported token usage, latency, whether a fallback
+// provider was used, and whether the generation succeeded. Only successful
+// rows count toward the allowance. `prompt_version` is the version of the
+// prompt builder that produced it and `prompt_experiment` the A/B experiment
+// that picked that version, if any (see services/experiments.js).
 const GENERATIONS_TABLE = `
   CREATE TABLE IF NOT EXISTS generations (
+    id                SERIAL PRIMARY KEY,
+    user_id           INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    gen_type          VARCHAR(32) NOT NULL,
+    period            VARCHAR(7)  NOT NULL,
+    provider          VARCHAR(64),
+    model             VARCHAR(128),
+    fallback          BOOLEAN NOT NULL DEFAULT FALSE,
+    input_tokens      INTEGER,
+    output_tokens     INTEGER,
+    latency_ms        INTEGER,
+    success           BOOLEAN NOT NULL DEFAULT TRUE,
+    prompt_version    VARCHAR(64),
+    prompt_experiment VARCHAR(64),
+    created_at        TIMESTAMP DEFAULT NOW()
+  )
+`;
+
+// Migrations for a `generations` table created before usage tracking and prompt
+// versioning (older rows have no recorded prompt version). Existing
+// rows predate failure logging, so `success` defaults to TRUE and they keep
+// counting toward the allowance exactly as before.
+const GENERATIONS_COLUMN_MIGRATIONS = [
+  `ALTER TABLE generations ADD COLUMN IF NOT EXISTS provider          VARCHAR(64)`,
+  `ALTER TABLE generations ADD COLUMN IF NOT EXISTS model             VARCHAR(128)`,
+  `ALTER TABLE generations ADD COLUMN IF NOT EXISTS fallback          BOOLEAN NOT NULL DEFAULT FALSE`,
+  `ALTER TABLE generations ADD COLUMN IF NOT EXISTS input_tokens      INTEGER`,
+  `ALTER TABLE generations ADD COLUMN IF NOT EXISTS output_tokens     INTEGER`,
+  `ALTER TABLE generations ADD COLUMN IF NOT EXISTS latency_ms        INTEGER`,
+  `ALTER TABLE generations ADD COLUMN IF NOT EXISTS success           BOOLEAN NOT NULL DEFAULT TRUE`,
+  `ALTER TABLE generations ADD COLUMN IF NOT EXISTS prompt_version    VARCHAR(64)`,
+  `ALTER TABLE generations ADD COLUMN IF NOT EXISTS prompt_experiment VARCHAR(64)`,
+];
+
+// post_replies: reply-assistant history. One row per `reply` generation linked
+// to a saved post: the comment that was answered and the reply options
+// generated for it (a JSON array of { intent, text }).
+const POST_REPLIES_TABLE = `
+  CREATE TABLE IF NOT EXISTS post_replies (
     id         SERIAL PRIMARY KEY,
     user_id    INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
-    gen_type   VARCHAR(32) NOT NULL,
-    period     VARCHAR(7)  NOT NULL,
+    post_id    INTEGER NOT NULL REFERENCES posts(id) ON DELETE CASCADE,
+    comment    TEXT NOT NULL,
+    commenter  VARCHAR(255),
+    replies    JSONB NOT NULL,
     created_at TIMESTAMP DEFAULT NOW()
   )
 `;
 
+// generation_jobs: `/api/generate` requests run in job mode (see
+// services/jobs.js). `request` is the request body as received and `plan` the
+// owner's plan when it was queued. `quota_reserved` marks a metered job that
+// holds one post of its `period`'s allowance: set when the job is queued and
+// cleared when it finishes (a successful job's generation event then counts
+// instead) or is cancelled. `credit_reserved` marks a reservation paid with a
+// prepaid credit, which is refunded unless the job succeeds. `result_status`
+// and `result` are the HTTP status and body the synchronous request would have
+// returned.
+const GENERATION_JOBS_TABLE = `
+  CREATE TABLE IF NOT EXISTS generation_jobs (
+    id             SERIAL PRIMARY KEY,
+    user_id        INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    gen_type       VARCHAR(32) NOT NULL,
+    request        JSONB NOT NULL,
+    plan           VARCHAR(32) NOT NULL DEFAULT 'free',
+    status         VARCHAR(16) NOT NULL DEFAULT 'queued',
+    period         VARCHAR(7)  NOT NULL,
+    quota_reserved BOOLEAN NOT NULL DEFAULT FALSE,
+    credit_reserved BOOLEAN NOT NULL DEFAULT FALSE,
+    result_status  INTEGER,
+    result         JSONB,
+    created_at     TIMESTAMP DEFAULT NOW(),
+    started_at     TIMESTAMP,
+    finished_at    TIMESTAMP
+  )
+`;
+
+// Credit columns for a `generation_jobs` table created before credit packs.
+const GENERATION_JOBS_COLUMN_MIGRATIONS = [
+  `ALTER TABLE generation_jobs ADD COLUMN IF NOT EXISTS credit_reserved BOOLEAN NOT NULL DEFAULT FALSE`,
+];
+
+// idempotency_keys: `Idempotency-Key`s sent to /api/generate (see
+// services/idempotency.js). `fingerprint` is a SHA-256 of the request; while
+// the request runs the row is 'pending', then 'completed' with the response
+// that retries replay until `expires_at`.
+const IDEMPOTENCY_KEYS_TABLE = `
+  CREATE TABLE IF NOT EXISTS idempotency_keys (
+    user_id         INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    key             VARCHAR(255) NOT NULL,
+    fingerprint     CHAR(64) NOT NULL,
+    status          VARCHAR(16) NOT NULL DEFAULT 'pending',
+    response_status INTEGER,
+    response_body   JSONB,
+    created_at      TIMESTAMP DEFAULT NOW(),
+    expires_at      TIMESTAMP NOT NULL,
+    PRIMARY KEY (user_id, key)
+  )
+`;
+
+// webhook_events: every payment-provider webhook delivery (see
+// services/webhooks.js), with the raw payload exactly as signed. `event_id` is
+// the provider's event id; a verified event is stored once per provider and
+// redeliveries only bump `delivery_count`. Unverified deliveries are kept as
+// separate 'rejected' rows for inspection and never block the genuine event.
+// `status` is received → processed | ignored | failed, or rejected; `outcome`
+// is the Billing_Service result of the last processing. `claimed_at` is when
+// processing last started: an event still 'received' long after that was
+// abandoned (the server stopped mid-processing) and can be claimed again.
+const WEBHOOK_EVENTS_TABLE = `
+  CREATE TABLE IF NOT EXISTS webhook_events (
+    id               SERIAL PRIMARY KEY,
+    provider         VARCHAR(32)  NOT NULL,
+    event_id         VARCHAR(255),
+    event_type       VARCHAR(128),
+    payload          TEXT NOT NULL,
+    signature        TEXT,
+    verified         BOOLEAN NOT NULL,
+    status           VARCHAR(16)  NOT NULL DEFAULT 'received',
+    outcome          JSONB,
+    error            TEXT,
+    delivery_count   INTEGER NOT NULL DEFAULT 1,
+    replay_count     INTEGER NOT NULL DEFAULT 0,
+    received_at      TIMESTAMP DEFAULT NOW(),
+    last_received_at TIMESTAMP DEFAULT NOW(),
+    claimed_at       TIMESTAMP DEFAULT NOW(),
+    processed_at     TIMESTAMP
+  )
+`;
+
+// Claim column for a `webhook_events` table created before stale claims were
+// reclaimed.
+const WEBHOOK_EVENTS_COLUMN_MIGRATIONS = [
+  `ALTER TABLE webhook_events ADD COLUMN IF NOT EXISTS claimed_at TIMESTAMP DEFAULT NOW()`,
+];
+
+const WEBHOOK_EVENTS_DEDUPE_INDEX = `
+  CREATE UNIQUE INDEX IF NOT EXISTS webhook_events_verified_event
+    ON webhook_events (provider, event_id)
+    WHERE verified
+`;
+
+// usage_quotas: the metering counters (see services/quota.js). Per user and
+// period, `used` counts the metered posts generated and `reserved` the ones in
+// flight: a synchronous request between its reservation and its outcome, or a
+// queued or running job (generation_jobs.quota_reserved). A reservation is
+// taken only while `used + reserved` is below the allowance, in one statement,
+// so concurrent requests cannot overspend it. The `generations` log stays the
+// source of truth; reconciliation rebuilds the counters from it.
 const USAGE_QUOTAS_TABLE = `
   CREATE TABLE IF NOT EXISTS usage_quotas (
     id         SERIAL PRIMARY KEY,
     user_id    INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
     period     VARCHAR(7) NOT NULL,
     used       INTEGER NOT NULL DEFAULT 0,
+    reserved   INTEGER NOT NULL DEFAULT 0,
+    updated_at TIMESTAMP DEFAULT NOW(),
     UNIQUE (user_id, period)
   )
 `;
 
+// Metering columns for a `usage_quotas` table created before it was used.
+const USAGE_QUOTAS_COLUMN_MIGRATIONS = [
+  `ALTER TABLE usage_quotas ADD COLUMN IF NOT EXISTS reserved   INTEGER NOT NULL DEFAULT 0`,
+  `ALTER TABLE usage_quotas ADD COLUMN IF NOT EXISTS updated_at TIMESTAMP DEFAULT NOW()`,
+];
+
+// credit_ledger: every change to a user's prepaid credit balance
+// (users.credits_remaining), as a signed `delta` with the `balance` it left:
+// a 'grant' of free credits (the opening balance of users created before the
+// ledger), a 'purchase' of a credit pack, the
+// 'consumption' of a credit by a post past the plan allowance, or the 'refund'
+// of one whose generation failed. `reference` is the provider event id of a
+// purchase (at most one purchase per event) and the period of a consumption
+// or refund.
+const CREDIT_LEDGER_TABLE = `
+  CREATE TABLE IF NOT EXISTS credit_ledger (
+    id         SERIAL PRIMARY KEY,
+    user_id    INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    kind       VARCHAR(16) NOT NULL,
+    delta      INTEGER NOT NULL,
+    balance    INTEGER NOT NULL,
+    reference  VARCHAR(255),
+    created_at TIMESTAMP DEFAULT NOW()
+  )
+`;
+
+const CREDIT_LEDGER_PURCHASE_INDEX = `
+  CREATE UNIQUE INDEX IF NOT EXISTS credit_ledger_purchase
+    ON credit_ledger (user_id, reference)
+    WHERE kind = 'purchase'
+`;
+
+// plans: the plan catalog (see services/plans.js), seeded from the defaults in
+// config.js. `monthly_price` is in the smallest unit of `currency`;
+// `entitlements` holds the feature limits (genTypes, qualityTier,
+// maxVoiceProfiles, maxVariants, brandingRemovable). An inactive plan is no
+// longer offered, but Users already on it keep it.
+const PLANS_TABLE = `
+  CREATE TABLE IF NOT EXISTS plans (
+    id            VARCHAR(32) PRIMARY KEY,
+    name          VARCHAR(64) NOT NULL,
+    rank          INTEGER NOT NULL DEFAULT 0,
+    allowance     INTEGER NOT NULL,
+    monthly_price INTEGER NOT NULL DEFAULT 0,
+    currency      VARCHAR(3) NOT NULL DEFAULT 'usd',
+    entitlements  JSONB NOT NULL DEFAULT '{}',
+    active        BOOLEAN NOT NULL DEFAULT TRUE,
+    created_at    TIMESTAMP DEFAULT NOW(),
+    updated_at    TIMESTAMP DEFAULT NOW()
+  )
+`;
+
+// promo_codes: codes that grant a plan for `duration_days` (a trial), no
+// payment provider involved. `redemptions` counts the uses, capped by
+// `max_redemptions` (unlimited when NULL); a code stops working at
+// `expires_at` (never when NULL) or once deactivated.
+const PROMO_CODES_TABLE = `
+  CREATE TABLE IF NOT EXISTS promo_codes (
+    code            VARCHAR(64) PRIMARY KEY,
+    plan            VARCHAR(32) NOT NULL,
+    duration_days   INTEGER NOT NULL,
+    max_redemptions INTEGER,
+    redemptions     INTEGER NOT NULL DEFAULT 0,
+    expires_at      TIMESTAMP,
+    active          BOOLEAN NOT NULL DEFAULT TRUE,
+    created_at      TIMESTAMP DEFAULT NOW()
+  )
+`;
+
+// promo_redemptions: which User redeemed which code (at most once each), the
+// plan it granted and the one they return to at `trial_ends_at` (scheduled as
+// users.pending_plan, like a cancelled subscription's downgrade).
+const PROMO_REDEMPTIONS_TABLE = `
+  CREATE TABLE IF NOT EXISTS promo_redemptions (
+    id            SERIAL PRIMARY KEY,
+    code          VARCHAR(64) NOT NULL REFERENCES promo_codes(code) ON DELETE CASCADE,
+    user_id       INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    plan          VARCHAR(32) NOT NULL,
+    previous_plan VARCHAR(32) NOT NULL,
+    trial_ends_at TIMESTAMP NOT NULL,
+    redeemed_at   TIMESTAMP DEFAULT NOW(),
+    UNIQUE (code, user_id)
+  )
+`;
+
+// notifications: the messages sent to a User (see services/notifications.js),
+// also shown in their in-app feed. `dedupe_key` names what a notification is
+// about — a usage threshold in a period, a scheduled plan change — so each is
+// sent at most once. `delivery` is the mail outcome: 'pending', 'sent',
+// 'failed' (with `delivery_error`) or 'skipped' (no address to mail).
+const NOTIFICATIONS_TABLE = `
+  CREATE TABLE IF NOT EXISTS notifications (
+    id             SERIAL PRIMARY KEY,
+    user_id        INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    kind           VARCHAR(32) NOT NULL,
+    dedupe_key     VARCHAR(128) NOT NULL,
+    subject        VARCHAR(255) NOT NULL,
+    body           TEXT NOT NULL,
+    data           JSONB,
+    delivery       VARCHAR(16) NOT NULL DEFAULT 'pending',
+    delivery_error TEXT,
+    created_at     TIMESTAMP DEFAULT NOW(),
+    sent_at        TIMESTAMP,
+    read_at        TIMESTAMP,
+    UNIQUE (user_id, dedupe_key)
+  )
+`;
+
 // Order matters: child tables reference users(id), so users must exist first.
 const SCHEMA_STATEMENTS = [
   USERS_TABLE,
   VOICE_PROFILES_TABLE,
+  BRAND_GUIDELINES_TABLE,
   POSTS_TABLE,
+  POST_REPLIES_TABLE,
   GENERATIONS_TABLE,
+  GENERATION_JOBS_TABLE,
+  IDEMPOTENCY_KEYS_TABLE,
   USAGE_QUOTAS_TABLE,
+  WEBHOOK_EVENTS_TABLE,
+  WEBHOOK_EVENTS_DEDUPE_INDEX,
+  CREDIT_LEDGER_TABLE,
+  CREDIT_LEDGER_PURCHASE_INDEX,
+  PLANS_TABLE,
+  PROMO_CODES_TABLE,
+  PROMO_REDEMPTIONS_TABLE,
+  NOTIFICATIONS_TABLE,
 ];
 
 /**
  * Idempotently ensure all platform tables exist.
  *
- * Runs every CREATE TABLE IF NOT EXISTS statement in dependency order. Any
+ * Runs every CREATE ... IF NOT EXISTS statement in dependency order. Any
  * error from the database is allowed to propagate to the caller so failures
  * are surfaced (not swallowed). Because all statements are idempotent and
  * non-destructive, a partial run can safely be retried without corrupting
@@ -125,6 +452,25 @@ export async function ensureSchema(pool) {
   for (const statement of USERS_COLUMN_MIGRATIONS) {
     await pool.query(statement);
   }
+
+  // Same for the carousel columns on `posts`, the usage-tracking columns on
+  // `generations`, the credit column on `generation_jobs`, the metering
+  // columns on `usage_quotas` and the claim column on `webhook_events`.
+  for (const statement of POSTS_COLUMN_MIGRATIONS) {
+    await pool.query(statement);
+  }
+  for (const statement of GENERATIONS_COLUMN_MIGRATIONS) {
+    await pool.query(statement);
+  }
+  for (const statement of GENERATION_JOBS_COLUMN_MIGRATIONS) {
+    await pool.query(statement);
+  }
+  for (const statement of USAGE_QUOTAS_COLUMN_MIGRATIONS) {
+    await pool.query(statement);
+  }
+  for (const statement of WEBHOOK_EVENTS_COLUMN_MIGRATIONS) {
+    await pool.query(statement);
+  }
 }
 
 export default ensureSchema;
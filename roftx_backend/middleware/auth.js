@@ -10,9 +10,11 @@
 //                                       attaches req.user = { userId, googleId, email }
 //   • resolveOwnerUserId(...)    — derive the owning user id from req.user,
 //                                   resolving by googleId when userId is null
+//   • requireAdmin(req,res,next) — 403 unless the token's email is on the
+//                                   ADMIN_EMAILS allow-list
 
 import jwt from 'jsonwebtoken';
-import { JWT_SECRET } from '../config.js';
+import { JWT_SECRET, ADMIN_EMAILS } from '../config.js';
 
 // ─── Token Expiry ─────────────────────────────────────────────────────────────
 // Session_Tokens live for 7 days (Requirement 2.3).
@@ -23,6 +25,7 @@ export const SESSION_TOKEN_EXPIRY = '7d';
 // Handling section so existing clients see no behavioral change.
 export const MISSING_TOKEN_ERROR = 'Access denied. Missing authentication token.';
 export const INVALID_TOKEN_ERROR = 'Invalid or expired session. Please log in again.';
+export const ADMIN_ONLY_ERROR = 'Admin access required.';
 
 /**
  * Sign a Session_Token for the given payload.
@@ -124,3 +127,22 @@ export async function resolveOwnerUserId(user, db) {
   const result = await db.query('SELECT id FROM users WHERE google_id = $1', [user.googleId]);
   return result.rows.length > 0 ? result.rows[0].id : null;
 }
+
+/**
+ * Express middleware restricting a route to operator accounts. Must run AFTER
+ * `authenticateToken`: the check uses the email from the verified token, which
+ * Google has already verified at sign-in, against the ADMIN_EMAILS allow-list.
+ *
+ * @param {string[]} [adminEmails] allow-list override (defaults to ADMIN_EMAILS),
+ *        lower-cased; provided for tests.
+ * @returns {(req, res, next) => void}
+ */
+export function requireAdmin(adminEmails = ADMIN_EMAILS) {
+  return function adminGuard(req, res, next) {
+    const email = typeof req.user?.email === 'string' ? req.user.email.toLowerCase() : '';
+    if (!email || !adminEmails.includes(email)) {
+      return res.status(403).json({ error: ADMIN_ONLY_ERROR });
+    }
+    next();
+  };
+}
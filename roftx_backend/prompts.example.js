@@ -4,33 +4,71 @@
 // For production deployment: add prompts.js as a Secret File on Render.
 //
 // Each function receives interpolated variables and returns a full prompt string.
+//
+// Every builder also receives the user's brand guidelines as its LAST argument
+// (see services/brand.js): { bannedWords, requiredHashtags, ctaStyle,
+// emojiPolicy, spellingLocale, audience, roftxBranding }. Calls to action should
+// carry the requiredHashtags, plus #RoftX unless roftxBranding is false.
 
 // ─── PROMPT 1: Trending Topic Suggestions ────────────────────────────────────
-export function buildTopicSuggestionsPrompt(niche) {
-  return `[Your topic suggestion prompt here. Variable: ${niche}]`;
+export function buildTopicSuggestionsPrompt(niche, brand = {}) {
+  return `[Your topic suggestion prompt here. Variables: ${niche}, ${JSON.stringify(brand)}]`;
 }
 
 // ─── PROMPT 2: Voice Analysis ────────────────────────────────────────────────
-export function buildVoiceAnalysisPrompt(writingSample) {
-  return `[Your voice analysis prompt here. Variable: ${writingSample}]`;
+export function buildVoiceAnalysisPrompt(writingSample, brand = {}) {
+  return `[Your voice analysis prompt here. Variables: ${writingSample}, ${JSON.stringify(brand)}]`;
 }
 
 // ─── PROMPT 3: Hook Generator ─────────────────────────────────────────────────
-export function buildHookGeneratorPrompt(niche, topic, voiceProfile, extra = '') {
-  return `[Your hook generator prompt here. Variables: ${niche}, ${topic}, ${voiceProfile}, ${extra}]`;
+export function buildHookGeneratorPrompt(niche, topic, voiceProfile, extra = '', brand = {}) {
+  return `[Your hook generator prompt here. Variables: ${niche}, ${topic}, ${voiceProfile}, ${extra}, ${JSON.stringify(brand)}]`;
 }
 
 // ─── PROMPT 4: Full Post Generator ───────────────────────────────────────────
-export function buildFullPostPrompt(niche, topic, chosenHook, voiceProfile) {
-  return `[Your post generator prompt here. Variables: ${niche}, ${topic}, ${chosenHook}, ${voiceProfile}]`;
+export function buildFullPostPrompt(niche, topic, chosenHook, voiceProfile, brand = {}) {
+  return `[Your post generator prompt here. Variables: ${niche}, ${topic}, ${chosenHook}, ${voiceProfile}, ${JSON.stringify(brand)}]`;
 }
 
 // ─── PROMPT 5: Smart Refinement ──────────────────────────────────────────────
-export function buildRefinementPrompt(currentPost, instruction, voiceProfile) {
-  return `[Your refinement prompt here. Variables: ${currentPost}, ${instruction}, ${voiceProfile}]`;
+export function buildRefinementPrompt(currentPost, instruction, voiceProfile, brand = {}) {
+  return `[Your refinement prompt here. Variables: ${currentPost}, ${instruction}, ${voiceProfile}, ${JSON.stringify(brand)}]`;
 }
 
 // ─── PROMPT 6: Voice-Matched Regeneration ────────────────────────────────────
-export function buildRegenerationPrompt(currentPost, niche, topic, voiceProfile) {
-  return `[Your regeneration prompt here. Variables: ${currentPost}, ${niche}, ${topic}, ${voiceProfile}]`;
+export function buildRegenerationPrompt(currentPost, niche, topic, voiceProfile, brand = {}) {
+  return `[Your regeneration prompt here. Variables: ${currentPost}, ${niche}, ${topic}, ${voiceProfile}, ${JSON.stringify(brand)}]`;
+}
+
+// ─── PROMPT 7: Carousel (Document Post) Generator ────────────────────────────
+// The output must use `SLIDE N — COVER|CONTENT|CTA` headers followed by
+// `Title:`, `Body:` and `Visual:` lines (see parseCarousel in services/generation.js).
+export function buildCarouselPrompt(niche, topic, chosenHook, voiceProfile, slideCount = 8, brand = {}) {
+  return `[Your carousel prompt here. Variables: ${niche}, ${topic}, ${chosenHook}, ${voiceProfile}, ${slideCount}, ${JSON.stringify(brand)}]`;
+}
+
+// ─── PROMPT 8: Comment Reply Assistant ───────────────────────────────────────
+// The output must use `REPLY N — THANK|EXTEND|PUSH BACK` headers, each followed
+// by the reply text (see parseReplies in services/generation.js).
+export function buildReplyPrompt(post, comment, voiceProfile, commenter = '', brand = {}) {
+  return `[Your reply prompt here. Variables: ${post}, ${comment}, ${voiceProfile}, ${commenter}, ${JSON.stringify(brand)}]`;
+}
+
+// ─── PROMPT 9: Cross-Platform Repurposing ────────────────────────────────────
+// `format` is one of x_thread, newsletter, instagram, video_script. The output
+// must use the labels each format's parser expects (see services/repurpose.js):
+// `TWEET N` headers; `HEADLINE:` / `BODY:`; `CAPTION:` / `HASHTAGS:`;
+// `HOOK:` / `SCRIPT:` / `CTA:`.
+export function buildRepurposePrompt(post, format, voiceProfile, brand = {}) {
+  return `[Your repurposing prompt here. Variables: ${post}, ${format}, ${voiceProfile}, ${JSON.stringify(brand)}]`;
 }
+
+// ─── Prompt Versions ─────────────────────────────────────────────────────────
+// Alternative versions of the builders above, for A/B experiments (see
+// services/experiments.js and PROMPT_EXPERIMENTS in .env.example). The builders
+// above are version "v1"; each entry here adds named versions with the same
+// signature, e.g.
+//   buildHookGeneratorPrompt: {
+//     v2: (niche, topic, voiceProfile, extra = '', brand = {}) => `...`,
+//   },
+export const PROMPT_VERSIONS = {};
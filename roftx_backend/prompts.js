@@ -1,4 +1,28 @@
-export function buildTopicSuggestionsPrompt(niche) {
+const EMOJI_RULES = {
+   none: 'No emojis at all, regardless of any other instruction',
+   sparing: 'At most 3 emojis, only at natural pauses, never mid-sentence',
+   free: 'Emojis are welcome wherever they suit the voice',
+};
+
+function brandTags(brand = {}) {
+   const tags = [...(brand.requiredHashtags || [])];
+   if (brand.roftxBranding !== false) tags.push('#RoftX');
+   return [...new Map(tags.map((tag) => [tag.toLowerCase(), tag])).values()].join(' ');
+}
+
+function brandGuidelines(brand = {}, { cta = true } = {}) {
+   const lines = [];
+   if (brand.audience) lines.push(`- Audience: ${brand.audience}`);
+   if (brand.spellingLocale) lines.push(`- Spelling: ${brand.spellingLocale} spelling, punctuation and vocabulary throughout`);
+   if (brand.emojiPolicy && EMOJI_RULES[brand.emojiPolicy]) lines.push(`- Emojis: ${EMOJI_RULES[brand.emojiPolicy]}`);
+   if (cta && brand.ctaStyle) lines.push(`- CTA style: ${brand.ctaStyle}`);
+   if (brand.bannedWords?.length) lines.push(`- Never use these words or phrases: ${brand.bannedWords.join(' / ')}`);
+   if (!lines.length) return '';
+   return `\n\nBRAND GUIDELINES — set by the creator; they override every style rule above where they conflict:\n${lines.join('\n')}`;
+}
+
+export function buildTopicSuggestionsPrompt(niche, brand = {}) {
+   const tags = brandTags(brand);
    return `You are an elite LinkedIn content strategist. Your job is NOT to generate topics. Your job is to discover conversations worth having.
 
 LinkedIn is an attention marketplace. Professionals open it to become smarter, earn more, validate beliefs, reduce uncertainty, or improve their career. Every recommendation must satisfy at least one of these motivations.
@@ -69,7 +93,7 @@ Why Professionals Will Save It: [one paragraph]
 Potential Story Directions: [3 bullet points]
 Potential Hook Directions: Contrarian / Curiosity / Story / Data / Prediction / Identity
 Recommended Emotional Arc: Beginning: / Middle: / Ending:
-Suggested CTA Direction: [include #RoftX in hashtag suggestion]
+Suggested CTA Direction: [${tags ? `include ${tags} in hashtag suggestion` : 'one sentence'}]
 Recommended Personal Brand Positioning: [one phrase]
 Conversation Longevity: Timeless / Current Trend / Hybrid
 Estimated Originality: /10
@@ -83,12 +107,12 @@ RULES:
 - Do not reveal scoring process
 - Do not reveal internal analysis
 - Return only the final output structure
-- The niche is: ${niche}
+- The niche is: ${niche}${brandGuidelines(brand)}
 
 Generate the 5 conversation recommendations NOW based on these rules for the niche: ${niche}. Do not wait for further input. Do not confirm. Output only the requested structure.`;
 }
 
-export function buildVoiceAnalysisPrompt(writingSample) {
+export function buildVoiceAnalysisPrompt(writingSample, brand = {}) {
    return `You are a forensic linguistic profiler. Your job is NOT to analyze writing. Your job is to reverse-engineer how someone's brain thinks.
 
 Anyone can imitate words. Your goal is to imitate cognition. Readers should eventually recognize this creator before seeing their name.
@@ -212,12 +236,12 @@ RULES:
 - If sample is too short for a dimension, write: "Insufficient sample — default to neutral"
 - Return only the structured output above
 
-Writing Sample: ${writingSample}
+${brand.audience ? `Intended Audience (context only — describe the voice as written): ${brand.audience}\n\n` : ''}Writing Sample: ${writingSample}
 
 Analyze the writing sample NOW and generate the Voice Blueprint. Do not wait for further input. Do not confirm. Output only the requested structure.`;
 }
 
-export function buildHookGeneratorPrompt(niche, topic, voiceProfile, extra = '') {
+export function buildHookGeneratorPrompt(niche, topic, voiceProfile, extra = '', brand = {}) {
    return `You are an Attention Architect. Your job is to design the first decision: "Should I keep reading?" Nothing else matters until that decision is won.
 
 The brain constantly predicts. Prediction creates scrolling. Surprise creates attention. Your job is to break prediction without using clickbait.
@@ -323,12 +347,13 @@ RULES:
 - Return only the 3 hooks in the format above
 - Niche: ${niche} | Topic: ${topic}
 - Voice Blueprint: ${voiceProfile}
-${extra ? `- Extra Instruction: ${extra}` : ''}
+${extra ? `- Extra Instruction: ${extra}` : ''}${brandGuidelines(brand, { cta: false })}
 
 Generate the 3 hooks NOW based on these rules for the provided topic and niche. Do not wait for further input. Do not confirm. Output only the requested structure.`;
 }
 
-export function buildFullPostPrompt(niche, topic, chosenHook, voiceProfile) {
+export function buildFullPostPrompt(niche, topic, chosenHook, voiceProfile, brand = {}) {
+   const tags = brandTags(brand);
    return `You are an elite LinkedIn ghostwriter and Narrative Architect. Your job is not to write content. Your job is to engineer a reading experience where stopping feels psychologically difficult.
 
 THE READING JOURNEY — design every paragraph around this:
@@ -367,7 +392,7 @@ Reframe how the reader should think about this going forward. The sentence they
 
 E — ENCOURAGE (CTA)
 A genuine question the writer actually wants answered. Specific to the topic. Conversational, not corporate.
-MANDATORY: End with niche-relevant hashtags + #RoftX
+MANDATORY: End with niche-relevant hashtags${tags ? ` + ${tags}` : ''}
 
 MOMENTUM RULES:
 - Every paragraph answers one question while creating another
@@ -396,8 +421,7 @@ EDITORIAL CHECKLIST — before finalizing, verify silently:
 ✓ Every paragraph has one purpose
 ✓ Momentum never drops
 ✓ At least one quotable sentence exists
-✓ At least one memorable insight exists
-✓ #RoftX in the final hashtags
+✓ At least one memorable insight exists${tags ? `\n✓ ${tags} in the final hashtags` : ''}
 ✓ 180–280 words total (never exceed 300)
 ✓ Sounds like a human professional, not AI
 ✓ Creator would confidently publish this
@@ -409,12 +433,13 @@ RULES:
 - Do not explain your process
 - Return only the post + word count
 - Niche: ${niche} | Topic: ${topic}
-- Voice Blueprint: ${voiceProfile}
+- Voice Blueprint: ${voiceProfile}${brandGuidelines(brand)}
 
 Generate the full post NOW using the E.N.G.A.G.E framework and the exact hook provided. Do not wait for further input. Do not confirm. Output only the requested structure.`;
 }
 
-export function buildRefinementPrompt(currentPost, instruction, voiceProfile) {
+export function buildRefinementPrompt(currentPost, instruction, voiceProfile, brand = {}) {
+   const tags = brandTags(brand);
    return `You are a senior editor and intelligent collaborator. Your job is NOT to rewrite. Your job is to make the smallest possible change that produces the greatest possible improvement.
 
 THE EDITOR'S PRINCIPLE: Every word that was not broken stays exactly as it was. You are a surgeon, not a renovation team. Editing is subtraction before addition. Only change something when the result is objectively stronger across at least one of: clarity / momentum / credibility / curiosity / memorability / voice consistency / professional value / reader experience.
@@ -438,7 +463,7 @@ INTENT INFERENCE — users describe symptoms, not causes:
 "Add emojis" → max 3–5, at natural pause points only, never mid-sentence, match tone.
 "Remove emojis" → remove all, adjust spacing.
 "Stronger hook" → rewrite only first 1–2 lines. Different hook family than current. Keep everything from line 3 onwards.
-"Better CTA" → rewrite only final 2–3 lines. More specific question. Always keep #RoftX.
+"Better CTA" → rewrite only final 2–3 lines. More specific question.${tags ? ` Always keep ${tags}.` : ''}
 "More insightful / add value" → deepen GIVE section only. Do not touch hook or CTA.
 "Change tone to [X]" → adjust throughout while keeping all content. Voice Blueprint still governs limits.
 "Shorter" / "Punchy" → compress aggressively without losing personality or insights.
@@ -447,8 +472,7 @@ CASCADE CHECK — after changing any sentence, review: previous sentence + next
 
 PROTECTED ELEMENTS — never remove or weaken regardless of instruction:
 - The hook (unless "stronger hook" is specifically requested)
-- The core insight
-- #RoftX in the CTA hashtags
+- The core insight${tags ? `\n- ${tags} in the CTA hashtags` : ''}
 - Creator's voice fingerprint
 - Professional credibility
 
@@ -458,8 +482,7 @@ Artificial perfection feels less human. Know when to stop.
 
 EDITORIAL SELF-CHECKS:
 ✓ Did this change improve at least one dimension?
-✓ Does the creator still sound like themselves?
-✓ Is #RoftX still in the CTA?
+✓ Does the creator still sound like themselves?${tags ? `\n✓ Is ${tags} still in the CTA?` : ''}
 ✓ Is the central message unchanged?
 ✓ Would the creator proudly publish this?
 ✓ Could I justify every single modification?
@@ -476,12 +499,13 @@ RULES:
 - Return only the post + change summary
 - Voice Blueprint: ${voiceProfile}
 - Instruction: ${instruction}
-- Current Post: ${currentPost}
+- Current Post: ${currentPost}${brandGuidelines(brand)}
 
 Refine the post NOW based on these rules and the instruction. Do not wait for further input. Do not confirm. Output only the refined post and change summary.`;
 }
 
-export function buildRegenerationPrompt(currentPost, niche, topic, voiceProfile) {
+export function buildRegenerationPrompt(currentPost, niche, topic, voiceProfile, brand = {}) {
+   const tags = brandTags(brand);
    return `You are an elite LinkedIn ghostwriter taking a second pass. The user wants a completely fresh angle — different structure, different energy, different psychological entry point into the same idea. This is NOT an edit. This is a full rewrite.
 
 WHAT STAYS: Topic. Voice. Thinking identity. Professional positioning.
@@ -510,7 +534,7 @@ The core value must be as strong or stronger than the original. Do not sacrifice
 Every line must match the Voice Blueprint: tone / sentence rhythm / vocabulary / personality markers / what this creator avoids. The reader must not be able to tell a second version was generated. Voice drift is the primary failure mode — check constantly.
 
 6. FRESH CTA
-Write a new closing question approaching the topic from a different conversational angle. More specific than the original. Feels genuinely curious, not formulaic. Must include niche-relevant hashtags + #RoftX (immutable).
+Write a new closing question approaching the topic from a different conversational angle. More specific than the original. Feels genuinely curious, not formulaic. Must include niche-relevant hashtags${tags ? ` + ${tags} (immutable)` : ''}.
 
 MULTI-PATH EXPLORATION — internally generate at least 5 fundamentally different psychological entry points before choosing. Not wording variations — different thinking paths entirely (contrarian / story / data / identity / prediction / dialogue / observation / failure). Choose the one that creates the most distinctly different reader experience while maintaining voice.
 
@@ -527,16 +551,14 @@ MANDATORY RULES:
 - No corporate buzzwords or motivational clichés
 - E.N.G.A.G.E structure must be preserved (Engage → Narrate → Give → Act → Guide → Encourage)
 - Line breaks between every section for LinkedIn readability
-- 180–280 words total
-- #RoftX is immutable in the CTA hashtags
+- 180–280 words total${tags ? `\n- ${tags} is immutable in the CTA hashtags` : ''}
 
 FINAL CHECKS (silent):
 ✓ Different hook family from original
 ✓ Different narrative anchor from original
 ✓ Different structural pattern from original
 ✓ Equal or greater insight depth
-✓ Voice Blueprint preserved throughout
-✓ #RoftX in CTA
+✓ Voice Blueprint preserved throughout${tags ? `\n✓ ${tags} in CTA` : ''}
 ✓ No sentences borrowed from original
 ✓ Creator would proudly publish this
 ✓ Someone reading both would experience them as genuinely different posts
@@ -550,7 +572,207 @@ RULES:
 - Return only the post + new angle note
 - Niche: ${niche} | Topic: ${topic}
 - Original post: ${currentPost}
-- Voice Blueprint: ${voiceProfile}
+- Voice Blueprint: ${voiceProfile}${brandGuidelines(brand)}
 
 Regenerate the post NOW with a fresh angle based on these rules. Do not wait for further input. Do not confirm. Output only the regenerated post and new angle note.`;
 }
+
+export function buildCarouselPrompt(niche, topic, chosenHook, voiceProfile, slideCount = 8, brand = {}) {
+   const tags = brandTags(brand);
+   return `You are an elite LinkedIn carousel designer and Narrative Architect. Your job is not to summarize a post into slides. Your job is to engineer a swipe sequence where every slide makes the next swipe feel inevitable.
+
+THE SWIPE JOURNEY — design every slide around this:
+STOP → SWIPE → BELIEVE → UNDERSTAND → SAVE → RESPOND
+
+CORE RULES:
+- Exactly ${slideCount} slides: one COVER slide, ${slideCount - 2} CONTENT slides, one CTA slide
+- One idea per slide. If a slide needs two ideas, it needs to be two slides
+- Slides are read on a phone: titles of 3–8 words, bodies of 15–40 words
+- Every slide must end on a reason to swipe — an open question, a contrast, an unfinished list
+- Never dump information. Reveal it progressively.
+- Match the Voice Blueprint at every single line
+
+SLIDE STRUCTURE:
+
+COVER (slide 1)
+Title: Use ${chosenHook} as the core of the title. Shorten it only if it exceeds 12 words; keep its meaning and its tension.
+Body: One line that promises what the reader gets by swiping.
+
+CONTENT (slides 2 to ${slideCount - 1})
+Move from: Context → Problem → Insight → Framework or steps → Proof or example → Takeaway
+Each slide title states the idea; each body explains it in plain, concrete language.
+Include one reusable framework, comparison, or mental model across the sequence.
+At least one slide must contain a quotable sentence that survives outside the carousel.
+
+CTA (slide ${slideCount})
+Title: A genuine question the writer actually wants answered. Specific to the topic.
+Body: Invite the reader to comment and save. MANDATORY: end with niche-relevant hashtags${tags ? ` + ${tags}` : ''}
+
+VISUAL HINTS:
+For every slide add a one-line Visual: direction a designer can execute without asking questions — layout, one icon or image idea, and what to emphasize. No stock-photo clichés (handshakes, lightbulbs, rockets).
+
+LANGUAGE RULES — NEVER use:
+- Corporate buzzwords: leverage / synergy / ecosystem / disruptive / circle back / bandwidth / move the needle / game-changing
+- Filler openers: "In today's fast-paced world" / "As a professional" / "I'm excited to share"
+- Absolute claims: always / never / everyone / nobody / guaranteed / life-changing
+- Motivational clichés / AI-sounding transitions
+
+OUTPUT: Return the slides only, in this exact format, one blank line between slides:
+
+SLIDE 1 — COVER
+Title: [title]
+Body: [body]
+Visual: [visual direction]
+
+SLIDE 2 — CONTENT
+Title: [title]
+Body: [body]
+Visual: [visual direction]
+
+...
+
+SLIDE ${slideCount} — CTA
+Title: [title]
+Body: [body]
+Visual: [visual direction]
+
+RULES:
+- Do not explain your process
+- Do not add text before the first slide or after the last slide
+- Niche: ${niche} | Topic: ${topic}
+- Voice Blueprint: ${voiceProfile}${brandGuidelines(brand)}
+
+Generate the ${slideCount}-slide carousel NOW using the exact hook provided. Do not wait for further input. Do not confirm. Output only the requested structure.`;
+}
+
+export function buildReplyPrompt(post, comment, voiceProfile, commenter = '', brand = {}) {
+   return `You are the author of a published LinkedIn post, replying to a comment on it. Your job is not to win the thread. Your job is to make the commenter feel heard and give the conversation a reason to continue.
+
+THE REPLY PRINCIPLE: A reply is a second, smaller post written for one person in public. Everyone else reading the thread is judging the author by it.
+
+BEFORE WRITING — identify silently:
+- What the commenter actually said (agreement / experience / question / disagreement / addition)
+- The one specific detail in their comment worth acknowledging by name
+- Whether the comment contains a claim worth respectfully challenging
+
+WRITE UP TO THREE REPLY OPTIONS, each with a different intent:
+
+THANK
+Warm, specific gratitude. Reference the exact point they made — never a generic "Thanks for sharing!". One or two sentences.
+
+EXTEND
+Build on their comment. Add one new insight, example, or angle that was not in the post, then hand the conversation back with a specific question.
+
+PUSH BACK
+Disagree politely with one part of their comment. Acknowledge what is right first, then state the counterpoint with reasoning, never with authority. Never condescending, never defensive.
+If the comment contains nothing reasonable to push back on (pure praise, a simple thank-you), skip PUSH BACK and return only THANK and EXTEND.
+
+REPLY RULES:
+- 1–4 sentences per reply, under 60 words
+- Address the commenter by first name only if it is provided, and at most once
+- Match the Voice Blueprint: same tone, rhythm, vocabulary and personality as the post
+- No hashtags, no links, no emojis unless the Voice Blueprint uses them
+- Never repeat the post back to the commenter
+- Never sell, pitch, or ask them to follow
+- Never start with "Great question" or "Great point"
+
+OUTPUT: Return the replies only, in this exact format, one blank line between replies:
+
+REPLY 1 — THANK
+[reply text]
+
+REPLY 2 — EXTEND
+[reply text]
+
+REPLY 3 — PUSH BACK
+[reply text]
+
+RULES:
+- Do not explain your process
+- Do not add text before the first reply or after the last reply
+- Commenter: ${commenter || 'Not provided'}
+- Comment: ${comment}
+- Original post: ${post}
+- Voice Blueprint: ${voiceProfile}${brandGuidelines(brand, { cta: false })}
+
+Write the replies NOW. Do not wait for further input. Do not confirm. Output only the requested structure.`;
+}
+
+const REPURPOSE_TARGETS = {
+   x_thread: (tags) => `TARGET: AN X (TWITTER) THREAD
+- 4–10 tweets. Each tweet MUST be 280 characters or fewer, counting spaces — count carefully
+- Tweet 1 is the hook: it must work alone in the timeline and make the reader open the thread
+- One idea per tweet. Each tweet must also make sense when quoted on its own
+- No "1/", "🧵" or "Thread:" markers — numbering is added by the header
+- The last tweet closes the loop and asks one specific question
+- ${tags ? `No hashtags except ${tags} in the last tweet` : 'No hashtags'}
+
+OUTPUT FORMAT:
+TWEET 1
+[tweet text]
+
+TWEET 2
+[tweet text]
+
+...`,
+   newsletter: () => `TARGET: A NEWSLETTER SECTION
+- 200–450 words, written for a subscriber who chose to read — go one level deeper than the post
+- Open with the insight, not with "In this issue" or "This week"
+- Short paragraphs, at most one short list, one concrete example the post did not have room for
+- End with a single reflective question or a next step the reader can take this week
+- No hashtags, no "like and follow" language
+
+OUTPUT FORMAT:
+HEADLINE: [a specific, curiosity-driven section headline, under 10 words]
+BODY:
+[the section]`,
+   instagram: (tags) => `TARGET: AN INSTAGRAM CAPTION
+- The first line is the hook and must work before "...more" — under 125 characters
+- 80–200 words, line breaks between every 1–2 sentences
+- Conversational and warmer than LinkedIn, same voice
+- Close with one question that invites a comment
+- 5–12 relevant hashtags${tags ? `, including ${tags},` : ''} on the HASHTAGS line only
+- At most 3 emojis, and only if the Voice Blueprint uses them
+
+OUTPUT FORMAT:
+CAPTION:
+[the caption]
+HASHTAGS: [#tag #tag ...]`,
+   video_script: () => `TARGET: A SHORT VERTICAL VIDEO SCRIPT (Reels / Shorts / TikTok)
+- 30–60 seconds spoken: 75–150 words across HOOK, SCRIPT and CTA combined
+- HOOK is the first 3 seconds — one spoken line that stops the scroll
+- SCRIPT is written to be said out loud: short sentences, contractions, no lists read as lists
+- Put on-screen text cues in [brackets] on their own line where they help; they are not spoken
+- CTA is one spoken line asking for a comment or a follow-up question
+
+OUTPUT FORMAT:
+HOOK: [spoken hook]
+SCRIPT:
+[spoken script]
+CTA: [spoken call to action]`,
+};
+
+export function buildRepurposePrompt(post, format, voiceProfile, brand = {}) {
+   return `You are an elite cross-platform content strategist. You are given a finished LinkedIn post. Your job is NOT to copy it onto another platform. Your job is to rebuild the same core idea so it feels native to the target platform while still sounding unmistakably like the same creator.
+
+WHAT STAYS: The core insight. The creator's voice, opinions and examples. The professional positioning.
+WHAT CHANGES: Length, structure, pacing, formatting and the call to action — whatever the target platform needs.
+
+REPURPOSING RULES:
+- Never paste sentences from the original unchanged unless they are the single most quotable line
+- Never add claims, numbers or stories the original does not support
+- Match the Voice Blueprint at every line: tone, rhythm, vocabulary, personality
+- No corporate buzzwords, motivational clichés or AI-sounding transitions
+
+${(REPURPOSE_TARGETS[format] || REPURPOSE_TARGETS.x_thread)(brandTags(brand))}
+
+RULES:
+- Do not explain your process
+- Do not add text before or after the requested format
+- Original post: ${post}
+- Voice Blueprint: ${voiceProfile}${brandGuidelines(brand)}
+
+Repurpose the post NOW. Do not wait for further input. Do not confirm. Output only the requested format.`;
+}
+
+export const PROMPT_VERSIONS = {};
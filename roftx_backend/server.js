@@ -1,5 +1,6 @@
 // server.js - Production Ready | RoftX Backend
-// Supports: OpenAI (primary) + Claude (fallback) | Google Auth | Security Hardened
+// Supports: pluggable AI providers (OpenAI → Claude → OpenAI-compatible by default)
+//           | Google Auth | Security Hardened
 // Elite Prompt System — 6 prompts via prompts.js
 
 import { createRequire } from 'module';
@@ -16,7 +17,6 @@ import express from 'express';
 import cors from 'cors';
 import pg from 'pg';
 import { OAuth2Client } from 'google-auth-library';
-import fetch from 'node-fetch';
 import helmet from 'helmet';
 import rateLimit from 'express-rate-limit';
 import jwt from 'jsonwebtoken';
@@ -24,34 +24,68 @@ import {
   validateStartupSecret,
   JWT_SECRET,
   ALLOWED_ORIGINS,
-  PLANS,
+  CREDIT_PACKS,
   NODE_ENV,
   DEFAULT_JWT_SECRET,
   BILLING_ENABLED,
+  QUOTA_RECONCILE_INTERVAL_MS,
+  STRIPE,
+  MAIL,
+  METERED_GEN_TYPES,
+  AI_MOCK_MODE,
 } from './config.js';
 import { ensureSchema } from './db/schema.js';
 // Authentication & ownership resolution (single source of truth) and the
 // platform service modules wired in below (task 9.2).
-import { authenticateToken, resolveOwnerUserId } from './middleware/auth.js';
+import { authenticateToken, resolveOwnerUserId, requireAdmin } from './middleware/auth.js';
 import { createPersistence } from './db/persistence.js';
 import { createQuotaService } from './services/quota.js';
-import { createGenerationService } from './services/generation.js';
+import {
+  createGenerationService,
+  wantsEventStream,
+  sendGenerationStream,
+  callAI,
+  providerRegistry,
+  AI_PROVIDER_CHAIN,
+  describeProviders,
+  promptRegistry,
+  checkGenerationRequest,
+  GENERATION_TYPES,
+  POST_VARIANT_ANGLES,
+} from './services/generation.js';
+import { createPlanCatalog } from './services/plans.js';
+import { createJobService, wantsJob } from './services/jobs.js';
+import { createDowngradeScheduler } from './services/downgrades.js';
+import {
+  createIdempotencyService,
+  isValidIdempotencyKey,
+  IDEMPOTENCY_HEADER,
+  REPLAYED_HEADER,
+} from './services/idempotency.js';
 import { createBillingService } from './services/billing.js';
+import { createStripeProvider } from './services/stripe.js';
+import { createWebhookService } from './services/webhooks.js';
+import { createPromoService } from './services/promos.js';
+import { createMailer } from './services/mailer.js';
+import { createNotificationService } from './services/notifications.js';
+import { createUsageService, HISTORY_MAX_PERIODS } from './services/usage.js';
+import { renderCarouselHtml, renderCarouselPdf } from './services/carousel.js';
+import { REPURPOSE_FORMATS } from './services/repurpose.js';
+import { lintPost, summarizeLint } from './services/lint.js';
+import { validateBrandGuidelines, DEFAULT_BRAND_GUIDELINES } from './services/brand.js';
 
 const { Pool } = pg;
 
 // ─── Environment Variables ────────────────────────────────────────────────────
 const GOOGLE_CLIENT_ID    = process.env.GOOGLE_CLIENT_ID;
-const CLAUDE_API_KEY      = process.env.CLAUDE_API_KEY;
-const OPENAI_API_KEY      = process.env.OPENAI_API_KEY;
 const DATABASE_URL        = process.env.DATABASE_URL?.trim();
 const DATABASE_PASSWORD   = process.env.DATABASE_PASSWORD?.trim();
 const PORT                = process.env.PORT || 3000;
 
-// Determine which AI providers are available
-const hasOpenAI = !!OPENAI_API_KEY;
-const hasClaude = !!CLAUDE_API_KEY;
-const AI_PROVIDER = hasOpenAI ? 'openai' : hasClaude ? 'claude' : null;
+// Determine which AI providers are available: the configured adapters from the
+// provider registry, in AI_PROVIDER_CHAIN order. The first one is primary.
+const AI_PROVIDERS = providerRegistry.chain(AI_PROVIDER_CHAIN);
+const AI_PROVIDER = AI_PROVIDERS[0]?.id || null;
 
 // ─── Startup Validation ───────────────────────────────────────────────────────
 if (!GOOGLE_CLIENT_ID) {
@@ -59,7 +93,11 @@ if (!GOOGLE_CLIENT_ID) {
   process.exit(1);
 }
 if (!AI_PROVIDER) {
-  console.error('❌ FATAL: No AI API key found. Set OPENAI_API_KEY or CLAUDE_API_KEY in .env');
+  console.error(
+    '❌ FATAL: No AI provider configured. Set OPENAI_API_KEY, CLAUDE_API_KEY or ' +
+    'OPENAI_COMPATIBLE_BASE_URL in .env (and check AI_PROVIDER_CHAIN), or set ' +
+    'AI_MOCK_MODE=mock to run offline'
+  );
   process.exit(1);
 }
 if (!DATABASE_URL && !DATABASE_PASSWORD) {
@@ -118,11 +156,18 @@ app.use(cors({
     console.warn(`⚠️  CORS blocked: ${origin}`);
     cb(new Error('Not allowed by CORS'));
   },
-  methods: ['GET', 'POST', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization'],
+  // DELETE cancels a job; `Prefer: respond-async` requests job mode. The client
+  // sends Idempotency-Key on /api/generate and must be able to read whether the
+  // response was a replay.
+  methods: ['GET', 'POST', 'DELETE', 'OPTIONS'],
+  allowedHeaders: ['Content-Type', 'Authorization', 'Prefer', IDEMPOTENCY_HEADER],
+  exposedHeaders: [REPLAYED_HEADER],
   credentials: false,
 }));
 
+// The billing webhook keeps its raw body: the provider's signature covers the
+// exact bytes it sent, which a parse/re-serialize round trip would not reproduce.
+app.use('/api/billing/webhook', express.raw({ type: () => true, limit: '256kb' }));
 app.use(express.json({ limit: '50kb' })); // Prevent large payload attacks
 
 // ─── Rate Limiting ────────────────────────────────────────────────────────────
@@ -195,17 +240,57 @@ try {
 // connection; queries simply fail until the DB connects, which is surfaced as a
 // 503 by the availability guard.
 let persistence = null;
+let planCatalog = null;
 let quotaService = null;
+let usageService = null;
 let billingService = null;
+let webhookService = null;
+let promoService = null;
+let notificationService = null;
+
+// Outgoing mail (console, file or SMTP; MAIL in config.js). A misconfigured
+// transport stops the server here rather than dropping mail later.
+const mailer = createMailer(MAIL);
 
 if (pool) {
   persistence = createPersistence(pool);
-  quotaService = createQuotaService({ persistence });
+}
+
+// The plan catalog (see services/plans.js): the configured PLANS until the
+// plans table has been read, and always in no-DB mode. Quota and billing read
+// plans through it, so an edited plan applies without a restart.
+planCatalog = createPlanCatalog({
+  persistence,
+  generationTypes: GENERATION_TYPES,
+  maxVariants: POST_VARIANT_ANGLES.length,
+  isAvailable: () => isDatabaseAvailable,
+});
+
+if (persistence) {
+  quotaService = createQuotaService({ persistence, plans: () => planCatalog.plans });
+  usageService = createUsageService({ persistence, generationTypes: GENERATION_TYPES });
+  notificationService = createNotificationService({
+    persistence,
+    mailer,
+    quota: quotaService,
+    catalog: planCatalog,
+    isAvailable: () => isDatabaseAvailable,
+  });
   if (BILLING_ENABLED) {
-    // Provider/persistence are injectable; the payment-provider adapter is not
-    // wired yet, so checkout will report "not configured" until one is supplied.
-    billingService = createBillingService({ persistence });
+    // Stripe is the payment provider when STRIPE_SECRET_KEY is set (pointed at
+    // the local fake with STRIPE_API_BASE for offline runs); without it,
+    // checkout reports "not configured".
+    billingService = createBillingService({
+      persistence,
+      plans: () => planCatalog.plans,
+      provider: STRIPE.secretKey ? createStripeProvider(STRIPE) : null,
+      webhookSecret: STRIPE.webhookSecret || undefined,
+    });
+    webhookService = createWebhookService({ persistence, billing: billingService });
   }
+  // Promo codes grant trials without a payment provider, so they work whether
+  // or not billing is enabled.
+  promoService = createPromoService({ persistence, catalog: planCatalog });
 }
 
 // ─── Input Sanitisation Helper ────────────────────────────────────────────────
@@ -227,18 +312,28 @@ function requireDb(res) {
 }
 
 // Resolve a user's Plan id from their DB record (defaults to 'free'). Identity is
-// always the token-derived owning userId — never a client-supplied value.
+// always the token-derived owning userId — never a client-supplied value. It is
+// read per request, so a billing upgrade applies on the next request and a
+// scheduled downgrade as soon as it is due (see services/downgrades.js).
 async function loadUserPlan(userId) {
-  if (!isDatabaseAvailable || !pool || userId == null) return 'free';
+  if (!isDatabaseAvailable || !persistence || userId == null) return 'free';
   try {
-    const result = await pool.query('SELECT plan FROM users WHERE id = $1', [userId]);
-    return result.rows.length ? (result.rows[0].plan || 'free') : 'free';
+    return (await persistence.getUserPlan(userId)) || 'free';
   } catch (err) {
     console.error('loadUserPlan failed (defaulting to free):', err.message);
     return 'free';
   }
 }
 
+// Usage notifications for `userId` after a post was counted (see
+// services/notifications.js). Best-effort: never delays or fails the request.
+function notifyUsage(userId) {
+  if (!notificationService || !isDatabaseAvailable || userId == null) return;
+  loadUserPlan(userId)
+    .then((plan) => notificationService.checkQuota(userId, plan))
+    .catch((err) => console.error('usage notification failed (non-fatal):', err?.message || err));
+}
+
 // Owner-scoped route wrapper. Resolves the owning userId STRICTLY from the
 // verified token (never from req.body/req.query), enforces DB availability, and
 // translates thrown `{status}` errors (e.g. persistence NotFoundError → 404) into
@@ -270,98 +365,20 @@ async function withOwner(req, res, handler) {
   }
 }
 
-// ─── AI Provider: OpenAI ──────────────────────────────────────────────────────
-const OPENAI_MODELS = {
-  fast:    'gpt-4o-mini',   // topic suggestions, hooks
-  quality: 'gpt-4o',        // full post generation
-};
-
-async function callOpenAI(prompt, tier = 'fast') {
-  const model = OPENAI_MODELS[tier] || OPENAI_MODELS.fast;
-  const response = await fetch('https://api.openai.com/v1/chat/completions', {
-    method: 'POST',
-    headers: {
-      'Authorization': `Bearer ${OPENAI_API_KEY}`,
-      'Content-Type': 'application/json',
-    },
-    body: JSON.stringify({
-      model,
-      max_tokens: tier === 'quality' ? 1200 : 600,
-      temperature: 0.75,
-      messages: [{ role: 'user', content: prompt }],
-    }),
-  });
-
-  const data = await response.json();
-  if (!response.ok) {
-    const msg = data.error?.message || 'OpenAI error';
-    console.error('❌ OpenAI error:', data.error);
-    throw Object.assign(new Error(msg), { status: response.status, provider: 'openai' });
-  }
-  return data.choices?.[0]?.message?.content?.trim() || '';
-}
-
-// ─── AI Provider: Claude ──────────────────────────────────────────────────────
-const CLAUDE_MODELS = {
-  fast:    'claude-haiku-4-5-20251001',
-  quality: 'claude-sonnet-4-5-20250929',
-};
-
-async function callClaude(prompt, tier = 'fast') {
-  const model = CLAUDE_MODELS[tier] || CLAUDE_MODELS.fast;
-  const response = await fetch('https://api.anthropic.com/v1/messages', {
-    method: 'POST',
-    headers: {
-      'x-api-key': CLAUDE_API_KEY,
-      'anthropic-version': '2023-06-01',
-      'content-type': 'application/json',
-    },
-    body: JSON.stringify({
-      model,
-      max_tokens: tier === 'quality' ? 1200 : 600,
-      temperature: 0.75,
-      messages: [{ role: 'user', content: prompt }],
-    }),
-  });
-
-  const data = await response.json();
-  if (!response.ok) {
-    const msg = data.error?.message || 'Claude error';
-    console.error('❌ Claude error:', data.error);
-    throw Object.assign(new Error(msg), { status: response.status, provider: 'claude' });
-  }
-  return data.content?.[0]?.text?.trim() || '';
-}
-
-// ─── Unified AI Dispatcher ────────────────────────────────────────────────────
-// Tries OpenAI first if available, falls back to Claude, vice-versa.
-async function callAI(prompt, tier = 'fast') {
-  if (hasOpenAI) {
-    try { return await callOpenAI(prompt, tier); }
-    catch (err) {
-      if (hasClaude && err.status !== 400) {
-        console.warn('⚠️  OpenAI failed, falling back to Claude:', err.message);
-        return await callClaude(prompt, tier);
-      }
-      throw err;
-    }
-  } else if (hasClaude) {
-    return await callClaude(prompt, tier);
-  }
-  throw new Error('No AI provider configured');
-}
-
 // ═══════════════════════════════════════════════════════════════════════════════
 // ROUTES
 // ═══════════════════════════════════════════════════════════════════════════════
 
 // Health Check
+// `ai_providers` lists the provider chain with each provider's circuit-breaker
+// state (closed / open / half-open), so a provider being skipped is visible.
 app.get('/', (req, res) => {
   res.json({
     status: 'ok',
     service: 'RoftX API',
     version: '2.0.0',
     ai_provider: AI_PROVIDER,
+    ai_providers: describeProviders(),
     database: isDatabaseAvailable ? 'connected' : 'unavailable',
     timestamp: new Date().toISOString(),
   });
@@ -372,6 +389,11 @@ app.get('/api/config', (req, res) => {
   res.json({ googleClientId: GOOGLE_CLIENT_ID });
 });
 
+// ─── Plans (the catalog on offer: prices and entitlements) ───────────────────
+app.get('/api/plans', (req, res) => {
+  res.json({ plans: planCatalog.list() });
+});
+
 // ─── Google Auth ──────────────────────────────────────────────────────────────
 app.post('/api/auth/google', authLimiter, async (req, res) => {
   const { token } = req.body;
@@ -413,11 +435,12 @@ app.post('/api/auth/google', authLimiter, async (req, res) => {
     try {
       const existing = await pool.query('SELECT id FROM users WHERE google_id = $1', [user.google_id]);
       if (existing.rows.length === 0) {
-        // New-user defaults: Free plan and the Free plan's generation allowance.
+        // New-user defaults: Free plan and no prepaid credits (the Free
+        // plan's allowance is metered per period, see services/quota.js).
         const inserted = await pool.query(
-          `INSERT INTO users (google_id,email,full_name,given_name,family_name,picture_url,locale,plan,credits_remaining,last_login)
-           VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,NOW()) RETURNING id`,
-          [user.google_id, user.email, user.full_name, user.given_name, user.family_name, user.picture_url, user.locale, 'free', PLANS.free.allowance]
+          `INSERT INTO users (google_id,email,full_name,given_name,family_name,picture_url,locale,plan,last_login)
+           VALUES ($1,$2,$3,$4,$5,$6,$7,$8,NOW()) RETURNING id`,
+          [user.google_id, user.email, user.full_name, user.given_name, user.family_name, user.picture_url, user.locale, 'free']
         );
         user.id = inserted.rows[0].id;
         console.log(`✨ New user: ${user.email}`);
@@ -489,29 +512,43 @@ app.post('/api/gemini', aiLimiter, authenticateToken, async (req, res) => {
 
 // ─── /api/generate — Elite Prompt Route (Generation_Service) ─────────────────
 // The generation capability (prompt builders + AI dispatcher + tolerant parsers)
-// now lives in ./services/generation.js. We wire it with the local `callAI`
-// dispatcher, a quota adapter, and the persistence service. Authentication runs
+// now lives in ./services/generation.js. We wire it with the registry-backed
+// `callAI` dispatcher, a quota adapter, and the persistence service. Authentication runs
 // FIRST via `authenticateToken`; the fixed, security-relevant order of checks
 // (field validation → quota → AI call → parse → persist/log) is enforced inside
-// the service. Response shapes are preserved byte-for-byte.
+// the service. Response shapes are preserved byte-for-byte. Clients that send
+// `Accept: text/event-stream` (or `stream: true`) receive the output as
+// Server-Sent Events instead; see `sendGenerationStream`.
 
 // Quota adapter for generation: fail-open when the DB is unavailable or the owner
 // id cannot be resolved, so generation keeps working in no-DB mode (quota is a
 // best-effort guard, never a hard dependency for the AI workflow). When the DB is
-// available the real Quota_Service enforces the per-plan allowance before any AI
-// call (HTTP 429, no AI call, when the allowance is reached).
+// available the real Quota_Service reserves a post of the per-plan allowance
+// before any AI call (HTTP 429, no AI call, when the allowance is reached). A
+// request let through without a reservation has no period, so nothing is
+// committed or released for it.
 const quotaForGeneration = {
-  enforce: async (userId, plan) => {
+  reserve: async (userId, plan) => {
     if (!quotaService || !isDatabaseAvailable || userId == null) {
       return { exceeded: false, ok: true };
     }
     try {
-      return await quotaService.enforce(userId, plan);
+      return await quotaService.reserve(userId, plan);
     } catch (err) {
-      console.error('quota enforce failed (allowing request):', err.message);
+      console.error('quota reserve failed (allowing request):', err.message);
       return { exceeded: false, ok: true };
     }
   },
+  commit: async (userId, period) => {
+    await quotaService.commit(userId, period);
+    notifyUsage(userId);
+  },
+  release: (userId, period, options) => quotaService.release(userId, period, options),
+  // Plan bound on post variants; a pure lookup, so it needs no live DB.
+  getMaxVariants: (plan) => (quotaService ? quotaService.getMaxVariants(plan) : planCatalog.get('free').maxVariants),
+  canRemoveBranding: (plan) => (
+    quotaService ? quotaService.canRemoveBranding(plan) : planCatalog.get('free').brandingRemovable
+  ),
 };
 
 // Thin wrapper that always delegates to the current `persistence` value.
@@ -521,14 +558,65 @@ const quotaForGeneration = {
 const persistenceProxy = {
   appendGenerationEvent: (...args) => persistence?.appendGenerationEvent?.(...args),
   upsertPost: (...args) => persistence?.upsertPost?.(...args),
+  // Reads must fail loudly rather than resolve to undefined: the generation
+  // service turns the thrown `{status}` into its HTTP outcome.
+  getPost: (...args) => requirePersistence().getPost(...args),
+  saveReplies: (...args) => persistence?.saveReplies?.(...args),
+  getBrandGuidelines: (...args) => persistence?.getBrandGuidelines?.(...args),
 };
 
+function requirePersistence() {
+  if (!isDatabaseAvailable || !persistence) {
+    throw Object.assign(new Error('Database unavailable. Please try again later.'), { status: 503 });
+  }
+  return persistence;
+}
+
 const generationService = createGenerationService({
   callAI,
   quota: quotaForGeneration,
+  entitlements: planCatalog,
   persistence: persistenceProxy,
 });
 
+// Background worker for job-mode generations (see services/jobs.js). It needs
+// the database for its queue, so it exists only when the pool does and idles
+// while the DB is unavailable. Started once the server is listening.
+const jobService = persistence
+  ? createJobService({
+    persistence,
+    generate: generationService.generate,
+    quota: quotaService,
+    onFinished: (job, outcome) => {
+      if (outcome.status < 400 && METERED_GEN_TYPES.includes(job.type)) notifyUsage(job.userId);
+    },
+    isAvailable: () => isDatabaseAvailable,
+  })
+  : null;
+
+// Applies the downgrades of cancelled subscriptions at the end of their paid
+// period (see services/downgrades.js). Started with the job worker.
+const downgradeScheduler = persistence
+  ? createDowngradeScheduler({ persistence, isAvailable: () => isDatabaseAvailable })
+  : null;
+
+// Periodic rebuild of the usage_quotas counters from the generations log (see
+// services/quota.js), started with the job worker.
+let quotaReconcileTimer = null;
+
+async function reconcileQuotas() {
+  if (!quotaService || !isDatabaseAvailable) return;
+  try {
+    const corrected = await quotaService.reconcile();
+    if (corrected) console.log(`🔁 Quota reconciliation corrected ${corrected} counter(s)`);
+  } catch (err) {
+    console.error('quota reconciliation failed:', err?.message || err);
+  }
+}
+
+// Idempotency-Key store for /api/generate (see services/idempotency.js).
+const idempotencyService = persistence ? createIdempotencyService({ persistence }) : null;
+
 app.post('/api/generate', aiLimiter, authenticateToken, async (req, res) => {
   // Resolve the owning userId and Plan strictly from the verified token identity
   // (never from req.body). The Plan drives the quota allowance; ownership drives
@@ -545,14 +633,84 @@ app.post('/api/generate', aiLimiter, authenticateToken, async (req, res) => {
   }
 
   const body = req.body || {};
-  console.log(`🎯 /api/generate | type:${body.type}`);
+  const job = wantsJob(req);
+  const stream = !job && wantsEventStream(req);
+  console.log(`🎯 /api/generate | type:${body.type}${stream ? ' (stream)' : ''}${job ? ' (job)' : ''}`);
 
-  try {
-    const { status, body: payload } = await generationService.generate(body.type, body, user);
+  function send({ status, body: payload }) {
+    if (job && status === 202) res.location(`/api/jobs/${payload.job.id}`);
     return res.status(status).json(payload);
+  }
+
+  // Idempotency-Key: a retry of a finished request replays its response (no AI
+  // call, no new generation event); a key reused for another request, or for one
+  // still running, gets 409. Otherwise the key is held while the request runs and
+  // `settle` records the outcome. Keys are per owner, so they need the database.
+  let settle = async (outcome) => outcome;
+  const idempotencyKey = req.get(IDEMPOTENCY_HEADER);
+  if (idempotencyKey !== undefined) {
+    if (!isValidIdempotencyKey(idempotencyKey)) {
+      return res.status(400).json({ error: `${IDEMPOTENCY_HEADER} must be 1-255 printable characters without spaces.` });
+    }
+    if (idempotencyService && isDatabaseAvailable && user.userId != null) {
+      let started;
+      try {
+        started = await idempotencyService.begin(user.userId, idempotencyKey, { job, body });
+      } catch (err) {
+        console.error('❌ /api/generate idempotency check failed:', err?.message || err);
+        return res.status(503).json({ error: 'Could not check the Idempotency-Key. Please try again.' });
+      }
+      if (!started.proceed) {
+        if (started.replayed) res.set(REPLAYED_HEADER, 'true');
+        if (stream && started.replayed) return sendGenerationStream(res, async () => started.response);
+        return send(started.response);
+      }
+      settle = async (outcome) => {
+        await idempotencyService.finish(user.userId, idempotencyKey, outcome);
+        return outcome;
+      };
+    }
+  }
+  const failed = (error) => settle({ status: 500, body: { error } });
+
+  // Job mode: validate, queue and answer 202 { job } at once; the pipeline runs
+  // in the background worker. Poll GET /api/jobs/:id for the result.
+  if (job) {
+    const invalid = checkGenerationRequest(body.type, body) || planCatalog.checkGenType(user.plan, body.type);
+    if (invalid) return send(await settle(invalid));
+    if (!jobService || !isDatabaseAvailable || user.userId == null) {
+      return send(await settle({
+        status: 503,
+        body: { error: 'Background jobs are unavailable. Please try again later.' },
+      }));
+    }
+    try {
+      return send(await settle(await jobService.enqueue(user.userId, user.plan, body.type, body)));
+    } catch (err) {
+      console.error('❌ /api/generate job enqueue failed:', err?.message || err);
+      return send(await failed('Could not queue the generation. Please try again.'));
+    }
+  }
+
+  // Streaming mode: the same pipeline, with token deltas forwarded as SSE. Quota,
+  // event logging and `body.save` still run once, after the stream completes. A
+  // client that disconnects cancels the provider call (see sendGenerationStream).
+  if (stream) {
+    return sendGenerationStream(res, async (onDelta, signal) => {
+      try {
+        return await settle(await generationService.generate(body.type, body, user, { onDelta, signal }));
+      } catch (err) {
+        await failed('AI generation failed. Please try again.');
+        throw err;
+      }
+    });
+  }
+
+  try {
+    return send(await settle(await generationService.generate(body.type, body, user)));
   } catch (err) {
     console.error('❌ /api/generate unexpected error:', err?.message || err);
-    return res.status(500).json({ error: 'AI generation failed. Please try again.' });
+    return send(await failed('AI generation failed. Please try again.'));
   }
 });
 
@@ -571,10 +729,19 @@ app.post('/api/voice-profiles', authenticateToken, (req, res) =>
     if (!label || !content) {
       return res.status(400).json({ error: 'label and content required.' });
     }
+    const plan = await loadUserPlan(userId);
+    const refused = planCatalog.checkVoiceProfiles(plan, await persistence.countVoiceProfiles(userId));
+    if (refused) return res.status(refused.status).json(refused.body);
+    const { maxVoiceProfiles } = planCatalog.get(plan);
     const result = await persistence.saveVoiceProfile(userId, {
       label: sanitise(label, 255),
       content: sanitise(content, 20000),
-    });
+    }, { maxProfiles: maxVoiceProfiles });
+    if (!result) {
+      // Another request saved a profile after the count above.
+      const atCap = planCatalog.checkVoiceProfiles(plan, maxVoiceProfiles);
+      return res.status(atCap.status).json(atCap.body);
+    }
     res.status(201).json(result);
   })
 );
@@ -597,22 +764,123 @@ app.delete('/api/voice-profiles/:id', authenticateToken, (req, res) =>
   })
 );
 
+// ─── Brand Guidelines ─────────────────────────────────────────────────────────
+// One set per user, passed to every prompt builder (see services/brand.js). GET
+// returns the defaults (with `updatedAt: null`) when none are saved; PUT
+// replaces the whole set. Turning off the #RoftX branding needs a plan that
+// allows it (white-label), reported as `brandingRemovable`; otherwise PUT answers
+// 402 with the plan to upgrade to.
+app.get('/api/brand-guidelines', authenticateToken, (req, res) =>
+  withOwner(req, res, async (userId) => {
+    const saved = await persistence.getBrandGuidelines(userId);
+    const plan = await loadUserPlan(userId);
+    res.json({
+      brandGuidelines: saved || { ...DEFAULT_BRAND_GUIDELINES, updatedAt: null },
+      brandingRemovable: quotaService.canRemoveBranding(plan),
+    });
+  })
+);
+
+app.put('/api/brand-guidelines', authenticateToken, (req, res) =>
+  withOwner(req, res, async (userId) => {
+    const result = validateBrandGuidelines(req.body);
+    if (!result.ok) {
+      return res.status(400).json({ error: result.errors[0], errors: result.errors });
+    }
+    if (!result.value.roftxBranding) {
+      const refused = planCatalog.checkWhiteLabel(await loadUserPlan(userId));
+      if (refused) return res.status(refused.status).json(refused.body);
+    }
+    const brandGuidelines = await persistence.saveBrandGuidelines(userId, result.value);
+    res.json({ brandGuidelines });
+  })
+);
+
+app.delete('/api/brand-guidelines', authenticateToken, (req, res) =>
+  withOwner(req, res, async (userId) => {
+    const result = await persistence.deleteBrandGuidelines(userId);
+    res.json(result);
+  })
+);
+
+// ─── Generation Jobs ──────────────────────────────────────────────────────────
+// Job-mode `/api/generate` requests. A finished job carries `resultStatus` and
+// `result`: the status and body the synchronous request would have returned.
+// DELETE cancels a queued or running job (releasing its quota reservation) and
+// answers 409 for one that already finished.
+app.get('/api/jobs/:id', authenticateToken, (req, res) =>
+  withOwner(req, res, async (userId) => {
+    const id = Number.parseInt(req.params.id, 10);
+    if (!Number.isInteger(id)) {
+      return res.status(400).json({ error: 'Invalid job id.' });
+    }
+    const job = await jobService.get(userId, id);
+    res.json({ job });
+  })
+);
+
+app.delete('/api/jobs/:id', authenticateToken, (req, res) =>
+  withOwner(req, res, async (userId) => {
+    const id = Number.parseInt(req.params.id, 10);
+    if (!Number.isInteger(id)) {
+      return res.status(400).json({ error: 'Invalid job id.' });
+    }
+    const { job, cancelled } = await jobService.cancel(userId, id);
+    if (!cancelled) {
+      return res.status(409).json({ error: `Job already ${job.status}.`, job });
+    }
+    res.json({ job });
+  })
+);
+
 // ─── Posts ────────────────────────────────────────────────────────────────────
+// Besides plain posts and carousels, a saved post can be a derivative in one of
+// the repurposing formats (see services/repurpose.js).
+const POST_CONTENT_TYPES = ['text', 'carousel', ...Object.keys(REPURPOSE_FORMATS)];
+const SLIDE_KINDS = ['cover', 'content', 'cta'];
+
 app.post('/api/posts', authenticateToken, (req, res) =>
   withOwner(req, res, async (userId) => {
-    const { id, niche, topic, chosenHook, content, status } = req.body || {};
+    const { id, niche, topic, chosenHook, content, contentType, slides, status } = req.body || {};
+    if (contentType !== undefined && !POST_CONTENT_TYPES.includes(contentType)) {
+      return res.status(400).json({ error: `contentType must be one of ${POST_CONTENT_TYPES.join(', ')}.` });
+    }
+    if (slides !== undefined && !Array.isArray(slides)) {
+      return res.status(400).json({ error: 'slides must be an array.' });
+    }
     const post = await persistence.upsertPost(userId, {
       id,
       niche: niche === undefined ? undefined : sanitise(niche, 200),
       topic: topic === undefined ? undefined : sanitise(topic, 500),
       chosenHook: chosenHook === undefined ? undefined : sanitise(chosenHook, 1000),
       content: content === undefined ? undefined : sanitise(content, 20000),
+      contentType,
+      slides: slides === undefined ? undefined : slides.slice(0, 20).map((slide) => ({
+        kind: SLIDE_KINDS.includes(slide?.kind) ? slide.kind : 'content',
+        title: sanitise(slide?.title || '', 300),
+        body: sanitise(slide?.body || '', 2000),
+        visualHint: sanitise(slide?.visualHint || '', 500),
+      })),
       status,
+      // New posts record the owner's prompt-experiment arms (ignored on update).
+      experiments: promptRegistry.assignments(userId),
     });
     res.json({ post });
   })
 );
 
+// Instant quality report for a draft (services/lint.js). Pure JS with no AI
+// call and no database access, so it is not metered and works in no-DB mode.
+app.post('/api/posts/lint', authenticateToken, (req, res) => {
+  const { content } = req.body || {};
+  if (typeof content !== 'string') {
+    return res.status(400).json({ error: 'content required.' });
+  }
+  res.json({ lint: lintPost(content.slice(0, 20000)) });
+});
+
+// Finalizing returns the post with a lint summary, so a client can show what
+// to fix before publishing; the summary never blocks the finalize.
 app.post('/api/posts/:id/finalize', authenticateToken, (req, res) =>
   withOwner(req, res, async (userId) => {
     const id = Number.parseInt(req.params.id, 10);
@@ -620,7 +888,65 @@ app.post('/api/posts/:id/finalize', authenticateToken, (req, res) =>
       return res.status(400).json({ error: 'Invalid post id.' });
     }
     const post = await persistence.finalizePost(userId, id);
-    res.json({ post });
+    res.json({ post, lint: summarizeLint(lintPost(post.content)) });
+  })
+);
+
+// Export a saved carousel as a PDF (default) or a standalone HTML deck, one
+// slide per page. `notes=1` adds each slide's visual hint for the designer.
+const CAROUSEL_EXPORTS = {
+  pdf:  { type: 'application/pdf', render: renderCarouselPdf },
+  html: { type: 'text/html; charset=utf-8', render: renderCarouselHtml },
+};
+
+app.get('/api/posts/:id/export', authenticateToken, (req, res) =>
+  withOwner(req, res, async (userId) => {
+    const id = Number.parseInt(req.params.id, 10);
+    if (!Number.isInteger(id)) {
+      return res.status(400).json({ error: 'Invalid post id.' });
+    }
+    const format = typeof req.query.format === 'string' ? req.query.format.toLowerCase() : 'pdf';
+    const exporter = CAROUSEL_EXPORTS[format];
+    if (!exporter) {
+      return res.status(400).json({ error: 'format must be pdf or html.' });
+    }
+    const post = await persistence.getPost(userId, id);
+    if (post.contentType !== 'carousel' || !Array.isArray(post.slides) || post.slides.length === 0) {
+      return res.status(400).json({ error: 'Only carousel posts can be exported.' });
+    }
+    const document = exporter.render(post.slides, {
+      title: post.topic || 'RoftX carousel',
+      notes: req.query.notes === '1' || req.query.notes === 'true',
+    });
+    res.set('Content-Type', exporter.type);
+    res.set('Content-Disposition', `attachment; filename="roftx-carousel-${id}.${format}"`);
+    res.send(document);
+  })
+);
+
+// Repurposed versions of a saved post (`type: 'repurpose'` with `postId`),
+// newest first.
+app.get('/api/posts/:id/derivatives', authenticateToken, (req, res) =>
+  withOwner(req, res, async (userId) => {
+    const id = Number.parseInt(req.params.id, 10);
+    if (!Number.isInteger(id)) {
+      return res.status(400).json({ error: 'Invalid post id.' });
+    }
+    const posts = await persistence.listDerivatives(userId, id);
+    res.json({ posts });
+  })
+);
+
+// Reply history of a saved post: every comment answered with `type: 'reply'`
+// and `postId`, newest first, with the reply options generated for it.
+app.get('/api/posts/:id/replies', authenticateToken, (req, res) =>
+  withOwner(req, res, async (userId) => {
+    const id = Number.parseInt(req.params.id, 10);
+    if (!Number.isInteger(id)) {
+      return res.status(400).json({ error: 'Invalid post id.' });
+    }
+    const replies = await persistence.listReplies(userId, id);
+    res.json({ replies });
   })
 );
 
@@ -646,12 +972,66 @@ app.delete('/api/posts/:id', authenticateToken, (req, res) =>
   })
 );
 
-// ─── Usage (current-period quota report) ──────────────────────────────────────
+// ─── Usage (current-period quota report and credit balance) ──────────────────
 app.get('/api/usage', authenticateToken, (req, res) =>
   withOwner(req, res, async (userId) => {
     const plan = await loadUserPlan(userId);
     const report = await quotaService.report(userId, plan);
-    res.json(report); // { used, allowance, period }
+    res.json(report); // { used, allowance, period, credits }
+  })
+);
+
+// ─── Usage History (own activity per period and per day, funnel ratios) ──────
+// `from`/`to` are YYYY-MM periods (inclusive, at most HISTORY_MAX_PERIODS of
+// them); both default to the current one.
+app.get('/api/usage/history', authenticateToken, (req, res) =>
+  withOwner(req, res, async (userId) => {
+    const range = usageService.parsePeriodRange(req.query, { maxPeriods: HISTORY_MAX_PERIODS });
+    if (range.error) {
+      return res.status(400).json({ error: range.error });
+    }
+    const history = await usageService.historyReport({ userId, ...range });
+    res.json(history);
+  })
+);
+
+// ─── Usage Costs (own generations: tokens, latency, estimated cost) ──────────
+// `from`/`to` are YYYY-MM periods (inclusive); both default to the current one.
+app.get('/api/usage/costs', authenticateToken, (req, res) =>
+  withOwner(req, res, async (userId) => {
+    const range = usageService.parsePeriodRange(req.query);
+    if (range.error) {
+      return res.status(400).json({ error: range.error });
+    }
+    const report = await usageService.costReport({ userId, ...range });
+    res.json(report);
+  })
+);
+
+// ─── Notifications (usage warnings, upcoming plan changes) ───────────────────
+// Most recent first, with the unread count. `limit` is 1-200 (default 50);
+// `unread=true` lists only unread ones. POST .../read marks the given `ids`
+// read, or all of them without `ids`.
+app.get('/api/notifications', authenticateToken, (req, res) =>
+  withOwner(req, res, async (userId) => {
+    const limit = req.query.limit === undefined ? 50 : Number(req.query.limit);
+    if (!Number.isInteger(limit) || limit < 1 || limit > 200) {
+      return res.status(400).json({ error: 'limit must be an integer between 1 and 200.' });
+    }
+    const feed = await notificationService.list(userId, { limit, unreadOnly: req.query.unread === 'true' });
+    res.json(feed); // { notifications, unread }
+  })
+);
+
+app.post('/api/notifications/read', authenticateToken, (req, res) =>
+  withOwner(req, res, async (userId) => {
+    const ids = req.body?.ids;
+    const valid = Array.isArray(ids) && ids.length <= 200 && ids.every((id) => Number.isInteger(id) && id > 0);
+    if (ids !== undefined && !valid) {
+      return res.status(400).json({ error: 'ids must be an array of notification ids.' });
+    }
+    const result = await notificationService.markRead(userId, ids ?? null);
+    res.json(result);
   })
 );
 
@@ -680,51 +1060,218 @@ app.delete('/api/account', authenticateToken, (req, res) =>
   })
 );
 
+// ═══════════════════════════════════════════════════════════════════════════════
+// ADMIN ROUTES (operator accounts on the ADMIN_EMAILS allow-list)
+// ═══════════════════════════════════════════════════════════════════════════════
+// Admin routes span every user, so they are not owner-scoped; `requireAdmin`
+// gates them on the verified token's email instead.
+
+// Per-user and per-type generation cost report over a period range.
+app.get('/api/admin/usage/costs', authenticateToken, requireAdmin(), async (req, res) => {
+  if (!requireDb(res)) return;
+  const range = usageService.parsePeriodRange(req.query);
+  if (range.error) {
+    return res.status(400).json({ error: range.error });
+  }
+  try {
+    const report = await usageService.costReport({ ...range, byUser: true });
+    res.json(report);
+  } catch (err) {
+    console.error('admin cost report failed:', err?.message || err);
+    res.status(500).json({ error: 'Request failed. Please try again.' });
+  }
+});
+
+// Outcomes of the running prompt experiments, per arm: generations, posts
+// created and posts finalized (see services/experiments.js).
+app.get('/api/admin/experiments', authenticateToken, requireAdmin(), async (req, res) => {
+  if (!requireDb(res)) return;
+  try {
+    const report = await usageService.experimentReport({ experiments: promptRegistry.listExperiments() });
+    res.json(report);
+  } catch (err) {
+    console.error('admin experiment report failed:', err?.message || err);
+    res.status(500).json({ error: 'Request failed. Please try again.' });
+  }
+});
+
+// The whole plan catalog, including plans no longer offered.
+app.get('/api/admin/plans', authenticateToken, requireAdmin(), (req, res) => {
+  const plans = Object.values(planCatalog.plans).sort((a, b) => a.rank - b.rank || a.id.localeCompare(b.id));
+  res.json({ plans });
+});
+
+// Create or replace a plan (see services/plans.js for the fields). Setting
+// `active: false` withdraws it from GET /api/plans; users already on it keep it.
+app.put('/api/admin/plans/:id', authenticateToken, requireAdmin(), async (req, res) => {
+  if (!requireDb(res)) return;
+  try {
+    const result = await planCatalog.save({ ...(req.body || {}), id: req.params.id });
+    if (!result.ok) {
+      return res.status(400).json({ error: result.errors[0], errors: result.errors });
+    }
+    res.json({ plan: result.plan });
+  } catch (err) {
+    console.error('admin plan save failed:', err?.message || err);
+    res.status(500).json({ error: 'Request failed. Please try again.' });
+  }
+});
+
 // ═══════════════════════════════════════════════════════════════════════════════
 // BILLING ROUTES (registered only when BILLING_ENABLED)
 // ═══════════════════════════════════════════════════════════════════════════════
 if (BILLING_ENABLED && billingService) {
   // Checkout requires the user's Session_Token; the owning userId is token-derived.
-  app.post('/api/billing/checkout', authenticateToken, (req, res) =>
-    withOwner(req, res, async (userId) => {
+  // `{ plan }` subscribes to a Plan; `{ pack }` buys a one-time credit pack
+  // (CREDIT_PACKS in config.js).
+  app.post('/api/billing/checkout', authenticateToken, (req, res) => {
+    const pack = req.body?.pack;
+    if (pack !== undefined && !Object.hasOwn(CREDIT_PACKS, pack)) {
+      return res.status(400).json({ error: `Unknown credit pack. Choose one of: ${Object.keys(CREDIT_PACKS).join(', ')}.` });
+    }
+    return withOwner(req, res, async (userId) => {
       const session = await billingService.createCheckoutSession({
         userId,
         plan: req.body?.plan,
+        pack,
+        email: req.user?.email,
       });
       if (!session) {
         return res.status(503).json({ error: 'Billing is not available.' });
       }
       res.json(session); // { url }
-    })
-  );
+    });
+  });
 
   // Webhook does NOT require the user JWT — it is authenticated by the payment
-  // provider's signature (verified inside the Billing_Service). On an
-  // unverifiable signature the service returns a 400 and makes NO plan change.
-  //
-  // LIMITATION: express.json() has already parsed the body, so the raw bytes the
-  // provider signed are not preserved here; the default verifier re-serializes
-  // req.body with JSON.stringify. A provider whose signature is computed over the
-  // exact raw payload will require a raw-body parser mounted specifically on this
-  // route before production use. This is intentionally kept simple per task 9.2
-  // and does not affect any other route.
+  // provider's signature, verified over the raw request body. Every delivery is
+  // stored (services/webhooks.js); an unverifiable one is answered 400 with NO
+  // plan change, and a redelivered event is not processed twice.
   app.post('/api/billing/webhook', async (req, res) => {
+    if (!requireDb(res)) return;
     try {
       const signature =
         req.headers['x-webhook-signature'] ||
         req.headers['stripe-signature'] ||
         req.headers['x-signature'] ||
         '';
-      const result = await billingService.handleWebhook({ payload: req.body, signature });
-      return res.status(result.status || 200).json(result);
+      const payload = Buffer.isBuffer(req.body) ? req.body.toString('utf8') : '';
+      const result = await webhookService.receive({ payload, signature });
+      return res.status(result.status).json(result.body);
     } catch (err) {
-      const status = err?.status || 400;
+      // The delivery could not be stored; a 503 makes the provider retry it.
       console.error('billing webhook error:', err?.message || err);
-      return res.status(status).json({ error: err?.message || 'Webhook could not be processed.' });
+      return res.status(503).json({ error: 'Webhook could not be recorded. Please retry.' });
+    }
+  });
+
+  // Stored webhook deliveries, most recent first (admin only). Filters:
+  // `status` (received | processed | ignored | failed | rejected), `provider`
+  // and `limit` (1-200, default 50). Payloads are not included.
+  app.get('/api/admin/webhooks', authenticateToken, requireAdmin(), async (req, res) => {
+    if (!requireDb(res)) return;
+    const limit = req.query.limit === undefined ? 50 : Number(req.query.limit);
+    if (!Number.isInteger(limit) || limit < 1 || limit > 200) {
+      return res.status(400).json({ error: 'limit must be an integer between 1 and 200.' });
+    }
+    try {
+      const events = await webhookService.list({
+        status: typeof req.query.status === 'string' ? req.query.status : undefined,
+        provider: typeof req.query.provider === 'string' ? req.query.provider : undefined,
+        limit,
+      });
+      res.json({ events });
+    } catch (err) {
+      console.error('admin webhook list failed:', err?.message || err);
+      res.status(500).json({ error: 'Request failed. Please try again.' });
+    }
+  });
+
+  // Process a stored, verified webhook event again (admin only), e.g. after
+  // fixing whatever made it fail. Its signature is not re-checked.
+  app.post('/api/admin/webhooks/:id/replay', authenticateToken, requireAdmin(), async (req, res) => {
+    if (!requireDb(res)) return;
+    const id = Number(req.params.id);
+    if (!Number.isInteger(id) || id < 1) {
+      return res.status(400).json({ error: 'Invalid webhook event id.' });
+    }
+    try {
+      const result = await webhookService.replay(id);
+      res.status(result.status).json(result.body);
+    } catch (err) {
+      const status = err?.status || 500;
+      if (status >= 500) console.error('admin webhook replay failed:', err?.message || err);
+      res.status(status).json({ error: status === 404 ? 'Not found.' : 'Request failed. Please try again.' });
     }
   });
 }
 
+// ═══════════════════════════════════════════════════════════════════════════════
+// PROMO CODE ROUTES
+// ═══════════════════════════════════════════════════════════════════════════════
+// Redeem a promo code: `{ code }`. The User moves to the code's plan until
+// the trial ends, then back to their previous plan (services/promos.js). Works
+// with or without billing enabled.
+app.post('/api/billing/redeem', authenticateToken, (req, res) =>
+  withOwner(req, res, async (userId) => {
+    const result = await promoService.redeem(userId, req.body?.code);
+    res.status(result.status).json(result.body);
+  })
+);
+
+// Promo codes (admin only): list them with their redemption counts, create
+// one (`{ code, plan, durationDays, maxRedemptions?, expiresAt? }`), turn one
+// on or off (`{ active }`) and list who redeemed it.
+app.get('/api/admin/promo-codes', authenticateToken, requireAdmin(), async (req, res) => {
+  if (!requireDb(res)) return;
+  try {
+    res.json({ promoCodes: await promoService.list() });
+  } catch (err) {
+    console.error('admin promo code list failed:', err?.message || err);
+    res.status(500).json({ error: 'Request failed. Please try again.' });
+  }
+});
+
+app.post('/api/admin/promo-codes', authenticateToken, requireAdmin(), async (req, res) => {
+  if (!requireDb(res)) return;
+  try {
+    const result = await promoService.createCode(req.body);
+    res.status(result.status).json(result.body);
+  } catch (err) {
+    console.error('admin promo code create failed:', err?.message || err);
+    res.status(500).json({ error: 'Request failed. Please try again.' });
+  }
+});
+
+app.patch('/api/admin/promo-codes/:code', authenticateToken, requireAdmin(), async (req, res) => {
+  if (!requireDb(res)) return;
+  if (typeof req.body?.active !== 'boolean') {
+    return res.status(400).json({ error: 'active must be true or false.' });
+  }
+  try {
+    const promoCode = await promoService.setActive(req.params.code, req.body.active);
+    res.json({ promoCode });
+  } catch (err) {
+    const status = err?.status || 500;
+    if (status >= 500) console.error('admin promo code update failed:', err?.message || err);
+    res.status(status).json({ error: status === 404 ? 'Not found.' : 'Request failed. Please try again.' });
+  }
+});
+
+app.get('/api/admin/promo-codes/:code/redemptions', authenticateToken, requireAdmin(), async (req, res) => {
+  if (!requireDb(res)) return;
+  const limit = req.query.limit === undefined ? 100 : Number(req.query.limit);
+  if (!Number.isInteger(limit) || limit < 1 || limit > 500) {
+    return res.status(400).json({ error: 'limit must be an integer between 1 and 500.' });
+  }
+  try {
+    res.json({ redemptions: await promoService.redemptions(req.params.code, { limit }) });
+  } catch (err) {
+    console.error('admin promo redemption list failed:', err?.message || err);
+    res.status(500).json({ error: 'Request failed. Please try again.' });
+  }
+});
+
 // ─── 404 & Error Handlers ─────────────────────────────────────────────────────
 app.use((req, res) => {
   res.status(404).json({ error: 'Endpoint not found.' });
@@ -744,16 +1291,32 @@ const server = app.listen(PORT, () => {
   console.log(`  Env:         ${NODE_ENV}`);
   console.log(`  Port:        ${PORT}`);
   console.log(`  AI Provider: ${AI_PROVIDER?.toUpperCase()}`);
-  if (hasOpenAI)  console.log(`  OpenAI:      ✅ gpt-4o-mini / gpt-4o`);
-  if (hasClaude)  console.log(`  Claude:      ${hasOpenAI ? '⬇️  Fallback' : '✅ Primary'} (Haiku / Sonnet)`);
+  if (AI_MOCK_MODE) console.log(`  AI Mode:     🧪 ${AI_MOCK_MODE} (offline AI_MOCK_MODE)`);
+  AI_PROVIDERS.forEach((provider, i) => {
+    const role = i === 0 ? '✅ Primary ' : '⬇️  Fallback';
+    console.log(`  ${`${provider.label}:`.padEnd(13)}${role} (${provider.models.fast} / ${provider.models.quality})`);
+  });
   console.log(`  Database:    ${isDatabaseAvailable ? '✅ Connected' : '⚠️  No-DB mode'}`);
   console.log(`  Started:     ${new Date().toLocaleString()}`);
   console.log(`${line}\n`);
+  planCatalog.start();
+  jobService?.start();
+  downgradeScheduler?.start();
+  notificationService?.start();
+  if (quotaService) {
+    quotaReconcileTimer = setInterval(reconcileQuotas, QUOTA_RECONCILE_INTERVAL_MS);
+    quotaReconcileTimer.unref();
+  }
 });
 
 // ─── Graceful Shutdown ────────────────────────────────────────────────────────
 async function shutdown(signal) {
   console.log(`\n⚠️  ${signal} received — shutting down...`);
+  planCatalog.stop();
+  jobService?.stop();
+  downgradeScheduler?.stop();
+  notificationService?.stop();
+  clearInterval(quotaReconcileTimer);
   server.close(async () => {
     if (pool && isDatabaseAvailable) await pool.end();
     console.log('✅ Clean shutdown complete.');
@@ -2,14 +2,16 @@
 //
 // Implements the optional plans/billing capability described in the design's
 // "Billing_Service" section and Requirement 14:
-//   • createCheckoutSession(...)        -> creates a provider checkout session and
-//                                          returns its redirect target (14.1)
+//   • createCheckoutSession(...)        -> creates a provider checkout session (a
+//                                          plan subscription, or a one-time credit
+//                                          pack) and returns its redirect target (14.1)
 //   • verifyWebhookSignature(...)       -> verifies a payment-provider callback
 //                                          signature (boolean) (14.4)
 //   • handleWebhook(event)              -> on verified success upgrades the user's
 //                                          plan to paid and updates allowance (14.2);
 //                                          on cancel/expire schedules a downgrade to
 //                                          free at the end of the paid period (14.3);
+//                                          on a paid credit pack adds its credits;
 //                                          on an unverifiable signature rejects with a
 //                                          400-style result and makes NO plan change
 //                                          of any kind (14.4)
@@ -20,9 +22,10 @@
 // ------------
 // The module is intentionally provider-agnostic and dependency-injected so that
 // property/unit tests can run without any external network calls:
-//   • `provider`    — the payment provider adapter (mockable). Only two methods are
-//                     used: `createCheckoutSession(args)` and (optionally)
-//                     `verifySignature(payload, signature, secret)`.
+//   • `provider`    — the payment provider adapter (mockable). It must expose
+//                     `createCheckoutSession(args)`, and may expose
+//                     `verifySignature(payload, signature, secret)` and
+//                     `normalizeEvent(event)` (see services/stripe.js).
 //   • `persistence` — the plan-update dependency (mockable). Used to apply plan
 //                     changes; the DB is never wired directly here.
 //
@@ -30,7 +33,7 @@
 // every user is treated as being on the Free plan.
 
 import crypto from 'crypto';
-import { BILLING_ENABLED as CONFIG_BILLING_ENABLED, PLANS } from '../config.js';
+import { BILLING_ENABLED as CONFIG_BILLING_ENABLED, CREDIT_PACKS, PLANS } from '../config.js';
 
 // ─── Plan identifiers ─────────────────────────────────────────────────────────
 export const FREE_PLAN = PLANS.free.id; // 'free'
@@ -54,9 +57,13 @@ const CANCEL_EVENTS = new Set([
   'subscription.deleted',
 ]);
 
+// A one-time credit pack was paid for (see CREDIT_PACKS).
+const CREDIT_EVENTS = new Set(['credits.purchased']);
+
 function classifyEventType(type) {
   if (SUCCESS_EVENTS.has(type)) return 'success';
   if (CANCEL_EVENTS.has(type)) return 'cancel';
+  if (CREDIT_EVENTS.has(type)) return 'credits';
   return 'ignored';
 }
 
@@ -127,9 +134,14 @@ export function verifyWebhookSignature(payload, signature, secret) {
  * @param {object}  [deps.provider]        Payment provider adapter (mockable):
  *                                           - createCheckoutSession(args) -> { url } | string
  *                                           - verifySignature?(payload, signature, secret) -> boolean
+ *                                           - normalizeEvent?(event) -> { id, type, userId, plan, pack }
  * @param {object}  [deps.persistence]     Plan-update dependency (mockable):
  *                                           - updateUserPlan(userId, plan, allowance) -> Promise|void
  *                                           - scheduleDowngrade?(userId, plan, effectiveAt) -> Promise|void
+ *                                           - addCredits?(userId, amount, { kind, reference }) -> Promise
+ * @param {object | (() => object)} [deps.plans] Plan definitions map, or a function
+ *                                         returning the current one (the plan catalog);
+ *                                         defaults to config PLANS.
  * @param {string}  [deps.webhookSecret]   Secret used to verify webhook signatures.
  * @param {() => Date} [deps.now]          Clock injection for deterministic tests.
  * @returns Billing_Service API
@@ -139,11 +151,13 @@ export function createBillingService(deps = {}) {
     billingEnabled = CONFIG_BILLING_ENABLED,
     provider = null,
     persistence = null,
+    plans = PLANS,
     webhookSecret = process.env.BILLING_WEBHOOK_SECRET || '',
     now = () => new Date(),
   } = deps;
 
   const enabled = billingEnabled === true;
+  const currentPlans = typeof plans === 'function' ? plans : () => plans;
 
   function verifySignature(payload, signature, secret = webhookSecret) {
     // Prefer a provider-supplied verifier when available; otherwise use the
@@ -159,18 +173,29 @@ export function createBillingService(deps = {}) {
   }
 
   /**
-   * Create a checkout session and return its redirect target (14.1).
+   * Create a checkout session and return its redirect target (14.1): a
+   * subscription to `plan`, or with `pack` a one-time purchase of that credit
+   * pack. An unknown pack is a 400-status error.
    * When billing is disabled this is a no-op returning null.
    *
    * @returns {Promise<{ url: string }|null>} the redirect target, or null when disabled.
    */
-  async function createCheckoutSession({ userId, plan = PAID_PLAN, ...rest } = {}) {
+  async function createCheckoutSession({ userId, plan = PAID_PLAN, pack, ...rest } = {}) {
     if (!enabled) return null; // disabled: no-op (14.5)
     if (!provider || typeof provider.createCheckoutSession !== 'function') {
       throw new Error('Billing provider is not configured.');
     }
 
-    const session = await provider.createCheckoutSession({ userId, plan, ...rest });
+    let purchase = { plan };
+    if (pack !== undefined && pack !== null) {
+      const packDef = typeof pack === 'string' ? CREDIT_PACKS[pack] : undefined;
+      if (!packDef) {
+        throw Object.assign(new Error(`Unknown credit pack. Choose one of: ${Object.keys(CREDIT_PACKS).join(', ')}.`), { status: 400 });
+      }
+      purchase = { pack: packDef.id, credits: packDef.credits };
+    }
+
+    const session = await provider.createCheckoutSession({ userId, ...purchase, ...rest });
 
     // Normalize the provider response to a redirect target.
     const url =
@@ -189,13 +214,32 @@ export function createBillingService(deps = {}) {
    * update the allowance applied by the Quota_Service via the persistence dependency.
    */
   async function applyUpgrade(userId, plan = PAID_PLAN) {
-    const planDef = PLANS[plan] || PLANS.paid;
+    const definitions = currentPlans();
+    const planDef = (Object.hasOwn(definitions, plan) && definitions[plan]) || definitions[PAID_PLAN] || PLANS.paid;
     if (persistence && typeof persistence.updateUserPlan === 'function') {
       await persistence.updateUserPlan(userId, planDef.id, planDef.allowance);
     }
     return { plan: planDef.id, allowance: planDef.allowance };
   }
 
+  /**
+   * Add the credits of a paid credit pack. The provider event id is the
+   * purchase's ledger reference, so a redelivered or replayed event adds them
+   * only once.
+   */
+  async function applyCreditPurchase(userId, pack, eventId) {
+    const packDef = CREDIT_PACKS[pack];
+    if (!packDef) throw new Error(`Paid credit pack "${pack}" is not configured.`);
+    if (!persistence || typeof persistence.addCredits !== 'function') {
+      return { pack: packDef.id, credits: packDef.credits };
+    }
+    const { added, credits } = await persistence.addCredits(userId, packDef.credits, {
+      kind: 'purchase',
+      reference: eventId ?? null,
+    });
+    return { pack: packDef.id, credits: added ? packDef.credits : 0, balance: credits };
+  }
+
   /**
    * Schedule/apply the cancel/expire downgrade to Free at the end of the paid
    * period (14.3). If the persistence layer supports scheduling we record the
@@ -203,7 +247,7 @@ export function createBillingService(deps = {}) {
    */
   async function applyDowngrade(userId) {
     const effectiveAt = periodEnd(now());
-    const free = PLANS.free;
+    const free = currentPlans()[FREE_PLAN] || PLANS.free;
     if (persistence && typeof persistence.scheduleDowngrade === 'function') {
       await persistence.scheduleDowngrade(userId, free.id, effectiveAt);
     } else if (persistence && typeof persistence.updateUserPlan === 'function') {
@@ -237,26 +281,70 @@ export function createBillingService(deps = {}) {
       return rejection('Webhook signature could not be verified.');
     }
 
-    // Parse the verified payload into a normalized event.
+    const parsed = parseWebhookEvent(payload, event);
+    if (!parsed) {
+      // Verified transport but unparseable body: treat as a bad request, no change.
+      return rejection('Webhook payload could not be parsed.');
+    }
+    return applyWebhookEvent(parsed);
+  }
+
+  /**
+   * Parse a webhook payload (raw string, Buffer or object) into the normalized
+   * event `{ id, type, userId, plan }`. A provider's native event names (and
+   * where it keeps the user) are mapped by its adapter's `normalizeEvent`.
+   * Does NOT verify the signature.
+   *
+   * @param {string | Buffer | object} payload
+   * @param {object} [fallback] envelope fields used when the payload lacks them
+   * @returns {{ id: string | null, type: string, userId: any, plan: string | undefined,
+   *   pack: string | undefined } | null}
+   *          null when the payload cannot be parsed
+   */
+  function parseWebhookEvent(payload, fallback = {}) {
     let parsed;
     try {
+      const text = Buffer.isBuffer(payload) ? payload.toString('utf8') : payload;
       parsed =
-        typeof payload === 'string'
-          ? JSON.parse(payload)
-          : payload && typeof payload === 'object'
-            ? payload
-            : event;
+        typeof text === 'string'
+          ? JSON.parse(text)
+          : text && typeof text === 'object'
+            ? text
+            : fallback;
     } catch {
-      // Verified transport but unparseable body: treat as a bad request, no change.
-      return rejection('Webhook payload could not be parsed.');
+      return null;
     }
+    if (!parsed || typeof parsed !== 'object') return null;
 
-    const type = parsed.type || event.type;
-    const userId = parsed.userId ?? parsed.user_id ?? event.userId;
-    const plan = parsed.plan || parsed.targetPlan;
+    if (provider && typeof provider.normalizeEvent === 'function') {
+      parsed = provider.normalizeEvent(parsed) || parsed;
+    }
+
+    return {
+      id: typeof parsed.id === 'string' ? parsed.id : null,
+      type: parsed.type || fallback.type,
+      userId: parsed.userId ?? parsed.user_id ?? fallback.userId,
+      plan: parsed.plan || parsed.targetPlan,
+      pack: parsed.pack || undefined,
+    };
+  }
 
+  /**
+   * Apply a verified, normalized webhook event (see parseWebhookEvent): the
+   * upgrade, scheduled downgrade or credit purchase it calls for, or nothing.
+   *
+   * @param {{ id?: string | null, type: string, userId: any, plan?: string, pack?: string }} event
+   * @returns {Promise<{ ok: true, status: 200, planChanged: boolean, action: string, ... }>}
+   */
+  async function applyWebhookEvent({ id, type, userId, plan, pack } = {}) {
     const kind = classifyEventType(type);
 
+    // An event for a customer this app does not know (e.g. another product on
+    // the same provider account) is acknowledged without any plan change.
+    if (kind !== 'ignored' && (userId === undefined || userId === null)) {
+      return { ok: true, status: 200, planChanged: false, action: 'ignored', type };
+    }
+
     if (kind === 'success') {
       const result = await applyUpgrade(userId, plan || PAID_PLAN);
       return { ok: true, status: 200, planChanged: true, action: 'upgrade', userId, ...result };
@@ -267,6 +355,11 @@ export function createBillingService(deps = {}) {
       return { ok: true, status: 200, planChanged: true, action: 'downgrade', userId, ...result };
     }
 
+    if (kind === 'credits') {
+      const result = await applyCreditPurchase(userId, pack, id);
+      return { ok: true, status: 200, planChanged: false, action: 'credits', userId, ...result };
+    }
+
     // Recognized-but-irrelevant event: acknowledge without changing any plan.
     return { ok: true, status: 200, planChanged: false, action: 'ignored', type };
   }
@@ -281,7 +374,7 @@ export function createBillingService(deps = {}) {
   function resolvePlan(user = {}) {
     if (!enabled) return FREE_PLAN;
     const stored = user && typeof user.plan === 'string' ? user.plan : FREE_PLAN;
-    return PLANS[stored] ? stored : FREE_PLAN;
+    return Object.hasOwn(currentPlans(), stored) ? stored : FREE_PLAN;
   }
 
   return {
@@ -289,8 +382,13 @@ export function createBillingService(deps = {}) {
       return enabled;
     },
     createCheckoutSession,
+    get providerName() {
+      return provider?.name || 'generic';
+    },
     verifyWebhookSignature: verifySignature,
     handleWebhook,
+    parseWebhookEvent,
+    applyWebhookEvent,
     resolvePlan,
     periodEnd,
   };
@@ -0,0 +1,167 @@
+// services/brand.js — per-user brand guidelines
+//
+// A user's brand guidelines are stored once (`/api/brand-guidelines`) and
+// threaded into every prompt builder as its last argument, so house rules no
+// longer have to be repeated in `voiceProfile` or the hooks `extra` field:
+//   • bannedWords      -> words and phrases the model must never use
+//   • requiredHashtags -> hashtags every call to action must carry
+//   • ctaStyle         -> how calls to action should read
+//   • emojiPolicy      -> 'none' | 'sparing' | 'free' (null keeps each prompt's
+//                         own emoji rules)
+//   • spellingLocale   -> spelling and vocabulary convention, e.g. 'en-GB'
+//   • audience         -> who the content is written for
+//   • roftxBranding    -> whether calls to action carry #RoftX
+//
+// Only plans with `brandingRemovable` (see the plan catalog, services/plans.js)
+// may turn the #RoftX branding off. The route refuses it on other plans, and the
+// generation service turns it back on for them, so a stored opt-out stops
+// applying after a downgrade.
+
+// ─── Limits ───────────────────────────────────────────────────────────────────
+
+export const BRAND_LIMITS = {
+  maxBannedWords: 50,
+  maxBannedWordChars: 60,
+  // Hashtags are added to every CTA next to the niche ones; LinkedIn reach
+  // drops past a handful (see the linter's maxHashtags).
+  maxRequiredHashtags: 3,
+  maxHashtagChars: 50,
+  maxCtaStyleChars: 300,
+  maxAudienceChars: 500,
+};
+
+export const EMOJI_POLICIES = ['none', 'sparing', 'free'];
+export const SPELLING_LOCALES = ['en-US', 'en-GB', 'en-AU', 'en-CA', 'en-IN'];
+
+export const DEFAULT_BRAND_GUIDELINES = {
+  bannedWords: [],
+  requiredHashtags: [],
+  ctaStyle: '',
+  emojiPolicy: null,
+  spellingLocale: null,
+  audience: '',
+  roftxBranding: true,
+};
+
+// ─── Validation ───────────────────────────────────────────────────────────────
+
+const HASHTAG_BODY = /^[\p{L}\p{N}_]+$/u;
+
+// Trimmed, case-insensitively unique strings, in first-seen order.
+function uniqueStrings(values, { name, max, maxChars }, errors) {
+  if (!Array.isArray(values)) {
+    errors.push(`${name} must be an array of strings.`);
+    return [];
+  }
+  const seen = new Set();
+  const result = [];
+  for (const value of values) {
+    if (typeof value !== 'string') {
+      errors.push(`${name} must be an array of strings.`);
+      return [];
+    }
+    const trimmed = value.trim();
+    if (!trimmed || seen.has(trimmed.toLowerCase())) continue;
+    if ([...trimmed].length > maxChars) {
+      errors.push(`${name} entries must be at most ${maxChars} characters.`);
+      return [];
+    }
+    seen.add(trimmed.toLowerCase());
+    result.push(trimmed);
+  }
+  if (result.length > max) errors.push(`${name} may have at most ${max} entries.`);
+  return result;
+}
+
+function optionalText(value, { name, maxChars }, errors) {
+  if (value === undefined || value === null) return '';
+  if (typeof value !== 'string') {
+    errors.push(`${name} must be a string.`);
+    return '';
+  }
+  const trimmed = value.trim();
+  if ([...trimmed].length > maxChars) errors.push(`${name} must be at most ${maxChars} characters.`);
+  return trimmed;
+}
+
+function optionalChoice(value, { name, choices }, errors) {
+  if (value === undefined || value === null || value === '') return null;
+  if (!choices.includes(value)) errors.push(`${name} must be one of ${choices.join(', ')}.`);
+  return value;
+}
+
+/**
+ * Validate a client-supplied set of brand guidelines. Omitted fields take
+ * their defaults, so a PUT replaces the whole set. Hashtags are accepted with
+ * or without the leading '#' and returned with it.
+ *
+ * @param {unknown} input
+ * @returns {{ ok: true, value: typeof DEFAULT_BRAND_GUIDELINES } | { ok: false, errors: string[] }}
+ */
+export function validateBrandGuidelines(input) {
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    return { ok: false, errors: ['Brand guidelines must be an object.'] };
+  }
+  const errors = [];
+
+  const bannedWords = input.bannedWords === undefined ? [] : uniqueStrings(input.bannedWords, {
+    name: 'bannedWords',
+    max: BRAND_LIMITS.maxBannedWords,
+    maxChars: BRAND_LIMITS.maxBannedWordChars,
+  }, errors);
+
+  const hashtags = input.requiredHashtags === undefined ? [] : uniqueStrings(
+    Array.isArray(input.requiredHashtags)
+      ? input.requiredHashtags.map((tag) => (typeof tag === 'string' ? tag.trim().replace(/^#/, '') : tag))
+      : input.requiredHashtags,
+    { name: 'requiredHashtags', max: BRAND_LIMITS.maxRequiredHashtags, maxChars: BRAND_LIMITS.maxHashtagChars },
+    errors,
+  );
+  if (hashtags.some((tag) => !HASHTAG_BODY.test(tag))) {
+    errors.push('requiredHashtags may contain only letters, digits and underscores.');
+  }
+
+  const ctaStyle = optionalText(input.ctaStyle, { name: 'ctaStyle', maxChars: BRAND_LIMITS.maxCtaStyleChars }, errors);
+  const audience = optionalText(input.audience, { name: 'audience', maxChars: BRAND_LIMITS.maxAudienceChars }, errors);
+  const emojiPolicy = optionalChoice(input.emojiPolicy, { name: 'emojiPolicy', choices: EMOJI_POLICIES }, errors);
+  const spellingLocale = optionalChoice(input.spellingLocale, { name: 'spellingLocale', choices: SPELLING_LOCALES }, errors);
+
+  let roftxBranding = true;
+  if (input.roftxBranding !== undefined) {
+    if (typeof input.roftxBranding === 'boolean') roftxBranding = input.roftxBranding;
+    else errors.push('roftxBranding must be true or false.');
+  }
+
+  if (errors.length) return { ok: false, errors };
+  return {
+    ok: true,
+    value: {
+      bannedWords,
+      requiredHashtags: hashtags.map((tag) => `#${tag}`),
+      ctaStyle,
+      emojiPolicy,
+      spellingLocale,
+      audience,
+      roftxBranding,
+    },
+  };
+}
+
+// ─── Prompt Input ─────────────────────────────────────────────────────────────
+
+/**
+ * The guidelines a generation runs with: the saved set (defaults when there is
+ * none), with #RoftX branding forced on unless the plan may remove it.
+ *
+ * @param {object | null} saved the stored guidelines, or null
+ * @param {{ brandingRemovable?: boolean }} [options]
+ * @returns {typeof DEFAULT_BRAND_GUIDELINES}
+ */
+export function brandForPrompt(saved, { brandingRemovable = false } = {}) {
+  const brand = { ...DEFAULT_BRAND_GUIDELINES };
+  for (const key of Object.keys(DEFAULT_BRAND_GUIDELINES)) {
+    if (saved?.[key] !== undefined && saved[key] !== null) brand[key] = saved[key];
+  }
+  if (!brandingRemovable) brand.roftxBranding = true;
+  return brand;
+}
@@ -0,0 +1,212 @@
+// services/carousel.js — carousel (document post) rendering
+//
+// Turns the ordered slide list produced by the `carousel` generation type —
+// `[{ kind, title, body, visualHint }]`, cover first and CTA last — into the
+// formats the app needs:
+//   • carouselText(slides)          -> plain-text rendering stored in
+//                                      posts.content (search, listings)
+//   • renderCarouselHtml(slides, o) -> self-contained HTML deck, one slide per
+//                                      printed page
+//   • renderCarouselPdf(slides, o)  -> multi-page PDF, one slide per page
+//
+// The PDF is written by hand with the standard Helvetica fonts, so no native
+// or third-party rendering dependency is needed. Text is encoded as WinAnsi:
+// typographic punctuation is mapped, anything else outside Latin-1 becomes '?'.
+// Visual hints are designer notes, so they are only rendered with `notes: true`.
+
+// ─── Plain Text ───────────────────────────────────────────────────────────────
+
+/**
+ * @param {Array<{ title: string, body: string }>} slides
+ * @returns {string} numbered slides separated by blank lines
+ */
+export function carouselText(slides = []) {
+  return slides
+    .map((slide, i) => [`${i + 1}. ${slide.title}`.trim(), slide.body].filter(Boolean).join('\n'))
+    .join('\n\n');
+}
+
+// ─── HTML Deck ────────────────────────────────────────────────────────────────
+
+function escapeHtml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+/**
+ * Render the slides as a standalone HTML document (inline CSS, no scripts).
+ *
+ * @param {Array<{ kind: string, title: string, body: string, visualHint?: string }>} slides
+ * @param {{ title?: string, notes?: boolean }} [options] document title; render visual hints
+ * @returns {string}
+ */
+export function renderCarouselHtml(slides = [], { title = 'Carousel', notes = false } = {}) {
+  const sections = slides.map((slide, i) => `
+  <section class="slide slide--${escapeHtml(slide.kind)}">
+    <div class="slide__number">${i + 1} / ${slides.length}</div>
+    <h2 class="slide__title">${escapeHtml(slide.title)}</h2>
+    <p class="slide__body">${escapeHtml(slide.body).replace(/\n/g, '<br>')}</p>${
+  notes && slide.visualHint ? `\n    <p class="slide__notes">Visual: ${escapeHtml(slide.visualHint)}</p>` : ''}
+  </section>`).join('\n');
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(title)}</title>
+<style>
+  @page { size: 540pt 675pt; margin: 0; }
+  body { margin: 0; background: #e5e7eb; font-family: Helvetica, Arial, sans-serif; }
+  .slide { box-sizing: border-box; width: 540pt; height: 675pt; margin: 24pt auto; padding: 54pt 48pt;
+           background: #ffffff; color: #111827; display: flex; flex-direction: column; justify-content: center;
+           page-break-after: always; break-after: page; }
+  .slide--cover, .slide--cta { background: #111827; color: #ffffff; }
+  .slide__number { font-size: 11pt; opacity: 0.6; margin-bottom: auto; }
+  .slide__title { font-size: 30pt; line-height: 1.15; margin: 0 0 18pt; }
+  .slide__body { font-size: 16pt; line-height: 1.45; margin: 0 0 auto; }
+  .slide__notes { font-size: 10pt; opacity: 0.6; margin: 12pt 0 0; }
+  @media print { body { background: none; } .slide { margin: 0; } }
+</style>
+</head>
+<body>
+${sections}
+</body>
+</html>
+`;
+}
+
+// ─── PDF ──────────────────────────────────────────────────────────────────────
+
+// 4:5 portrait, LinkedIn's document-post proportions, in points.
+const PAGE_WIDTH = 540;
+const PAGE_HEIGHT = 675;
+const MARGIN = 48;
+
+// Unicode → WinAnsi code points for the punctuation models commonly produce.
+const WIN_ANSI = {
+  '–': 0x96, '—': 0x97, '‘': 0x91, '’': 0x92, '“': 0x93,
+  '”': 0x94, '•': 0x95, '…': 0x85, '€': 0x80, '™': 0x99,
+};
+
+function toWinAnsi(text) {
+  let out = '';
+  for (const ch of String(text ?? '')) {
+    const code = ch.codePointAt(0);
+    if (WIN_ANSI[ch]) out += String.fromCharCode(WIN_ANSI[ch]);
+    else if (code === 0x2192) out += '->';
+    else if (code >= 0x20 && code <= 0xff && code !== 0x7f) out += ch;
+    else if (ch === '\t') out += ' ';
+    else out += '?';
+  }
+  return out;
+}
+
+function pdfString(text) {
+  return `(${text.replace(/\\/g, '\\\\').replace(/\(/g, '\\(').replace(/\)/g, '\\)')})`;
+}
+
+// Greedy word wrap using an average glyph width, which is close enough for
+// Helvetica at these sizes to keep lines inside the margins.
+function wrap(text, fontSize, width, bold = false) {
+  const maxChars = Math.max(8, Math.floor(width / (fontSize * (bold ? 0.56 : 0.5))));
+  const lines = [];
+  for (const paragraph of text.split('\n')) {
+    let line = '';
+    for (const word of paragraph.split(/\s+/).filter(Boolean)) {
+      if (line && line.length + 1 + word.length > maxChars) {
+        lines.push(line);
+        line = word;
+      } else {
+        line = line ? `${line} ${word}` : word;
+      }
+    }
+    lines.push(line);
+  }
+  return lines;
+}
+
+function pageContent(slide, index, total, notes) {
+  const dark = slide.kind === 'cover' || slide.kind === 'cta';
+  const textWidth = PAGE_WIDTH - MARGIN * 2;
+  const ops = [];
+
+  ops.push(dark ? '0.067 0.094 0.153 rg' : '1 1 1 rg', `0 0 ${PAGE_WIDTH} ${PAGE_HEIGHT} re f`);
+  const ink = dark ? '1 1 1 rg' : '0.067 0.094 0.153 rg';
+  const muted = dark ? '0.7 0.72 0.76 rg' : '0.42 0.45 0.5 rg';
+
+  const text = (font, size, color, x, y, value) =>
+    ops.push('BT', color, `/${font} ${size} Tf`, `${x} ${y} Td`, `${pdfString(value)} Tj`, 'ET');
+
+  text('F1', 11, muted, MARGIN, PAGE_HEIGHT - MARGIN, `${index + 1} / ${total}`);
+
+  const titleLines = wrap(toWinAnsi(slide.title), 30, textWidth, true);
+  const bodyLines = wrap(toWinAnsi(slide.body), 16, textWidth);
+  const blockHeight = titleLines.length * 35 + 18 + bodyLines.length * 23;
+  let y = Math.min(PAGE_HEIGHT - MARGIN * 2, (PAGE_HEIGHT + blockHeight) / 2);
+
+  for (const line of titleLines) {
+    y -= 35;
+    text('F2', 30, ink, MARGIN, y, line);
+  }
+  y -= 18;
+  for (const line of bodyLines) {
+    y -= 23;
+    if (y < MARGIN) break;
+    text('F1', 16, ink, MARGIN, y, line);
+  }
+
+  if (notes && slide.visualHint) {
+    const noteLines = wrap(toWinAnsi(`Visual: ${slide.visualHint}`), 10, textWidth);
+    noteLines.forEach((line, i) => text('F1', 10, muted, MARGIN, MARGIN + (noteLines.length - 1 - i) * 13, line));
+  }
+  return ops.join('\n');
+}
+
+/**
+ * Render the slides as a PDF document, one 540×675pt page per slide.
+ *
+ * @param {Array<{ kind: string, title: string, body: string, visualHint?: string }>} slides
+ * @param {{ title?: string, notes?: boolean }} [options] document title; render visual hints
+ * @returns {Buffer}
+ */
+export function renderCarouselPdf(slides = [], { title = 'Carousel', notes = false } = {}) {
+  // Object numbers: 1 catalog, 2 page tree, 3 info, 4/5 fonts, then a
+  // page + content-stream pair per slide.
+  const objects = [];
+  const pageIds = slides.map((_, i) => 6 + i * 2);
+
+  objects[1] = '<< /Type /Catalog /Pages 2 0 R >>';
+  objects[2] = `<< /Type /Pages /Kids [${pageIds.map((id) => `${id} 0 R`).join(' ')}] /Count ${slides.length} >>`;
+  objects[3] = `<< /Title ${pdfString(toWinAnsi(title))} /Producer (RoftX) >>`;
+  objects[4] = '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>';
+  objects[5] = '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>';
+
+  slides.forEach((slide, i) => {
+    const pageId = pageIds[i];
+    const content = pageContent(slide, i, slides.length, notes);
+    objects[pageId] =
+      `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${PAGE_WIDTH} ${PAGE_HEIGHT}] ` +
+      `/Resources << /Font << /F1 4 0 R /F2 5 0 R >> >> /Contents ${pageId + 1} 0 R >>`;
+    objects[pageId + 1] =
+      `<< /Length ${Buffer.byteLength(content, 'latin1')} >>\nstream\n${content}\nendstream`;
+  });
+
+  // Offsets are byte offsets, so the document is assembled as latin1 text.
+  let pdf = '%PDF-1.4\n%\xe2\xe3\xcf\xd3\n';
+  const offsets = [];
+  for (let id = 1; id < objects.length; id++) {
+    offsets[id] = Buffer.byteLength(pdf, 'latin1');
+    pdf += `${id} 0 obj\n${objects[id]}\nendobj\n`;
+  }
+  const xref = Buffer.byteLength(pdf, 'latin1');
+  pdf += `xref\n0 ${objects.length}\n0000000000 65535 f \n`;
+  for (let id = 1; id < objects.length; id++) {
+    pdf += `${String(offsets[id]).padStart(10, '0')} 00000 n \n`;
+  }
+  pdf += `trailer\n<< /Size ${objects.length} /Root 1 0 R /Info 3 0 R >>\nstartxref\n${xref}\n%%EOF\n`;
+  return Buffer.from(pdf, 'latin1');
+}
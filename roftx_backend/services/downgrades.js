@@ -0,0 +1,73 @@
+// services/downgrades.js — scheduled plan downgrades
+//
+// A cancelled or expired subscription keeps its plan until the end of the paid
+// period (Requirement 14.3): the Billing_Service records the downgrade with
+// `persistence.scheduleDowngrade(userId, plan, effectiveAt)` and this scheduler
+// applies it once `effectiveAt` has passed. The end of a promo-code trial
+// (services/promos.js) is scheduled the same way and applied here too.
+//
+// Plan reads (`persistence.getUserPlan`) already resolve a due downgrade, so the
+// allowance and plan features change at `effectiveAt` exactly, whenever the
+// scheduler last ran. The scheduler only makes the change permanent in the
+// `users` row, where the account profile and export read it.
+
+/**
+ * Create the downgrade scheduler.
+ *
+ * @param {object} deps
+ * @param {{ applyDueDowngrades: () => Promise<Array<{ userId: number, plan: string }>> }} deps.persistence
+ * @param {() => boolean} [deps.isAvailable] whether the database can be used
+ *        (the scheduler idles while it cannot)
+ * @param {number} [deps.intervalMs] how often due downgrades are applied
+ */
+export function createDowngradeScheduler({
+  persistence,
+  isAvailable = () => true,
+  intervalMs = 5 * 60 * 1000,
+} = {}) {
+  if (!persistence || typeof persistence.applyDueDowngrades !== 'function') {
+    throw new Error('createDowngradeScheduler requires a persistence service exposing applyDueDowngrades()');
+  }
+
+  let timer = null;
+  let ticking = false;
+
+  /**
+   * Apply every downgrade that is due. Never throws.
+   * @returns {Promise<Array<{ userId: number, plan: string }>>} the Users moved
+   */
+  async function tick() {
+    if (ticking || !isAvailable()) return [];
+    ticking = true;
+    try {
+      const applied = await persistence.applyDueDowngrades();
+      for (const { userId, plan } of applied) {
+        console.log(`⬇️  Plan change applied: user ${userId} → ${plan}`);
+      }
+      return applied;
+    } catch (err) {
+      console.error('downgrade scheduler error:', err?.message || err);
+      return [];
+    } finally {
+      ticking = false;
+    }
+  }
+
+  /** Start applying due downgrades, now and then every `intervalMs`. */
+  function start() {
+    if (timer) return;
+    timer = setInterval(tick, intervalMs);
+    timer.unref?.();
+    setImmediate(tick);
+  }
+
+  /** Stop the schedule. */
+  function stop() {
+    if (timer) clearInterval(timer);
+    timer = null;
+  }
+
+  return { tick, start, stop };
+}
+
+export default createDowngradeScheduler;
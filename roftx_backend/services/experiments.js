@@ -0,0 +1,166 @@
+// services/experiments.js — prompt versions and A/B experiments
+//
+// Every prompt builder in prompts.js is version 'v1'. Alternative versions of a
+// builder are registered under a name in PROMPT_VERSIONS (exported by
+// prompts.js), and an experiment splits users between versions of ONE builder:
+//
+//   PROMPT_EXPERIMENTS='[{ "id": "hooks-2026-10", "builder": "buildHookGeneratorPrompt",
+//                          "versions": { "v1": 50, "v2": 50 } }]'
+//
+// Assignment is deterministic: a user's arm is picked from a hash of the
+// experiment id and their user id, weighted by the version weights, so a user
+// sees the same version on every request and across restarts, and arms stay
+// independent between experiments. Requests without a user id get 'v1'.
+//
+// The Generation_Service records the builder version that produced each
+// generation on its event (`prompt_version`, `prompt_experiment`), and every
+// new post records the user's arm in each running experiment (`experiments`),
+// so finalization can be compared per arm — including for builders like the
+// hook generator whose output is selected rather than saved.
+
+import crypto from 'crypto';
+
+export const BASE_PROMPT_VERSION = 'v1';
+
+const EXPERIMENT_ID = /^[A-Za-z0-9][A-Za-z0-9._-]{0,63}$/;
+
+// Position of a user in an experiment, uniform in [0, 1).
+function bucket(experimentId, userId) {
+  const digest = crypto.createHash('sha256').update(`${experimentId}:${userId}`, 'utf8').digest();
+  return digest.readUInt32BE(0) / 0x100000000;
+}
+
+/**
+ * Create a prompt registry.
+ *
+ * Invalid experiments (unknown builder or version, no positive weights, a
+ * duplicate id, or a second experiment on the same builder) are skipped with a
+ * warning rather than failing startup.
+ *
+ * @param {object} [options]
+ * @param {Record<string, Function>} [options.builders] the 'v1' builder map
+ * @param {Record<string, Record<string, Function>>} [options.versions] extra
+ *        versions by builder name, then version name
+ * @param {Array<{ id: string, builder: string, versions: Record<string, number>, enabled?: boolean }> | null} [options.experiments]
+ *        experiment config (null when PROMPT_EXPERIMENTS could not be parsed)
+ * @param {(message: string) => void} [options.warn]
+ */
+export function createPromptRegistry({
+  builders = {},
+  versions = {},
+  experiments = [],
+  warn = (message) => console.warn(`⚠️  ${message}`),
+} = {}) {
+  const versionsOf = (builder) => {
+    if (typeof builders[builder] !== 'function') return [];
+    return [BASE_PROMPT_VERSION, ...Object.keys(versions[builder] || {})];
+  };
+
+  function builderFor(builder, version) {
+    if (version === BASE_PROMPT_VERSION) return builders[builder];
+    return versions[builder]?.[version];
+  }
+
+  if (experiments === null) {
+    warn('PROMPT_EXPERIMENTS is not a JSON array of experiments; prompt experiments are disabled');
+    experiments = [];
+  }
+
+  // Validated, running experiments keyed by builder.
+  const active = new Map();
+  const ids = new Set();
+  for (const experiment of experiments) {
+    const { id, builder, enabled = true } = experiment || {};
+    const skip = (reason) => warn(`Prompt experiment ${JSON.stringify(id ?? null)} skipped: ${reason}`);
+    if (typeof id !== 'string' || !EXPERIMENT_ID.test(id)) { skip('id must be 1-64 letters, digits, ".", "_" or "-"'); continue; }
+    if (ids.has(id)) { skip('duplicate id'); continue; }
+    ids.add(id);
+    if (enabled === false) continue;
+    if (!versionsOf(builder).length) { skip(`unknown builder ${JSON.stringify(builder ?? null)}`); continue; }
+    if (active.has(builder)) { skip(`${builder} is already in experiment ${active.get(builder).id}`); continue; }
+
+    const known = versionsOf(builder);
+    const arms = Object.entries(experiment.versions || {});
+    const unknown = arms.filter(([version]) => !known.includes(version)).map(([version]) => version);
+    if (unknown.length) { skip(`unknown version(s) ${unknown.join(', ')} of ${builder}`); continue; }
+    const weighted = arms.filter(([, weight]) => Number.isFinite(weight) && weight > 0);
+    if (!weighted.length) { skip('no version has a positive weight'); continue; }
+
+    const total = weighted.reduce((sum, [, weight]) => sum + weight, 0);
+    active.set(builder, { id, builder, arms: weighted.map(([version, weight]) => ({ version, weight })), total });
+  }
+
+  /**
+   * The version of `builder` a user gets, and the experiment that decided it.
+   *
+   * @param {string} builder builder name
+   * @param {number | null} userId
+   * @returns {{ version: string, experiment: string | null }}
+   */
+  function assign(builder, userId) {
+    const experiment = active.get(builder);
+    if (!experiment || userId === null || userId === undefined) {
+      return { version: BASE_PROMPT_VERSION, experiment: null };
+    }
+    let point = bucket(experiment.id, userId) * experiment.total;
+    for (const arm of experiment.arms) {
+      point -= arm.weight;
+      if (point < 0) return { version: arm.version, experiment: experiment.id };
+    }
+    return { version: experiment.arms[experiment.arms.length - 1].version, experiment: experiment.id };
+  }
+
+  /**
+   * The builder map for one user's request. Each builder resolves to the
+   * user's version; `chosen()` reports the builder called last (a request
+   * builds one prompt) with its version and experiment, or null before a call.
+   *
+   * @param {number | null} userId
+   * @returns {{ prompts: Record<string, Function>, chosen: () => ({ builder: string, version: string, experiment: string | null } | null) }}
+   */
+  function forUser(userId) {
+    let chosen = null;
+    const prompts = {};
+    for (const builder of Object.keys(builders)) {
+      prompts[builder] = (...args) => {
+        const assignment = assign(builder, userId);
+        chosen = { builder, ...assignment };
+        return builderFor(builder, assignment.version)(...args);
+      };
+    }
+    return { prompts, chosen: () => chosen };
+  }
+
+  /**
+   * A user's arm in every running experiment, by experiment id (empty without
+   * a user id). Stored on new posts so outcomes can be compared per arm.
+   *
+   * @param {number | null} userId
+   * @returns {Record<string, string>}
+   */
+  function assignments(userId) {
+    if (userId === null || userId === undefined) return {};
+    const result = {};
+    for (const builder of active.keys()) {
+      const { version, experiment } = assign(builder, userId);
+      result[experiment] = version;
+    }
+    return result;
+  }
+
+  /**
+   * The running experiments, for reporting.
+   * @returns {Array<{ id: string, builder: string, versions: Record<string, number> }>}
+   */
+  function listExperiments() {
+    return [...active.values()].map(({ id, builder, arms }) => ({
+      id,
+      builder,
+      versions: Object.fromEntries(arms.map(({ version, weight }) => [version, weight])),
+    }));
+  }
+
+  return { versionsOf, assign, forUser, assignments, listExperiments };
+}
+
+export default createPromptRegistry;
@@ -1,16 +1,17 @@
 // services/generation.js — RoftX Generation_Service
 //
-// This module owns the AI generation capability. Task 7.1 relocates the AI
-// dispatcher (`callAI`) and the two provider callers (`callOpenAI`,
-// `callClaude`) out of server.js, preserving their behavior byte-for-byte.
+// This module owns the AI generation capability: the provider registry and the
+// AI dispatchers built on it (`callAI`, `streamAI`), the tolerant response
+// parsers, and the typed /api/generate orchestration.
 //
-// The only deliberate change is making the provider-config check injectable so
-// the fallback condition can be unit/property tested without real network
-// calls or environment juggling. The default export bindings read provider
-// availability from the environment exactly as server.js did.
+// Provider adapters are registered in a single registry and tried in the order
+// given by the AI_PROVIDER_CHAIN env var. The dispatchers stay injectable (the
+// historical `hasOpenAI`/`hasClaude`/`openai`/`claude` hooks still work) so the
+// fallback condition can be unit/property tested without real network calls or
+// environment juggling.
 //
-// Tolerant parsers (task 7.3) and the /api/generate orchestration (task 7.8)
-// are intentionally NOT implemented here yet.
+// For offline development and tests, AI_MOCK_MODE swaps the chain for the
+// deterministic mock provider or for recorded fixtures (see services/mock.js).
 
 import fetch from 'node-fetch';
 import {
@@ -20,115 +21,856 @@ import {
   buildFullPostPrompt,
   buildRefinementPrompt,
   buildRegenerationPrompt,
+  buildCarouselPrompt,
+  buildReplyPrompt,
+  buildRepurposePrompt,
+  PROMPT_VERSIONS,
 } from '../prompts.js';
+import {
+  createMockProvider,
+  createReplayProvider,
+  createFixtureStore,
+  withRecording,
+} from './mock.js';
+import {
+  PLANS,
+  METERED_GEN_TYPES,
+  PROMPT_EXPERIMENTS,
+  AI_TIMEOUT_MS,
+  AI_MAX_RETRIES,
+  AI_RETRY_BASE_MS,
+  AI_RETRY_MAX_MS,
+  AI_BREAKER_THRESHOLD,
+  AI_BREAKER_COOLDOWN_MS,
+  AI_MOCK_MODE,
+  AI_FIXTURES_DIR,
+  AI_STRUCTURED_OUTPUT,
+} from '../config.js';
+import { carouselText } from './carousel.js';
+import { REPURPOSE_FORMATS } from './repurpose.js';
+import { createPromptRegistry } from './experiments.js';
+import { brandForPrompt } from './brand.js';
+import {
+  TOPICS_OUTPUT,
+  HOOKS_OUTPUT,
+  structuredInstruction,
+  parseStructuredOutput,
+  normalizeTopics,
+  normalizeHooks,
+} from './structured.js';
 
-// ─── Environment: Provider Keys ───────────────────────────────────────────────
-// Read from the environment exactly as server.js did. Used by the provider
-// callers below and to derive default provider availability for the dispatcher.
+// ─── Environment: Provider Configuration ──────────────────────────────────────
+// Read once at import time. A provider takes part in dispatch only when it is
+// configured (API key for the hosted providers, base URL for the generic
+// OpenAI-compatible adapter) AND it is named in the provider chain.
 const OPENAI_API_KEY = process.env.OPENAI_API_KEY;
 const CLAUDE_API_KEY = process.env.CLAUDE_API_KEY;
 
-// ─── AI Provider: OpenAI ──────────────────────────────────────────────────────
-export const OPENAI_MODELS = {
-  fast:    'gpt-4o-mini',   // topic suggestions, hooks
-  quality: 'gpt-4o',        // full post generation
-};
+// Generic OpenAI-compatible endpoint (self-hosted vLLM, Ollama, LM Studio, a
+// llama.cpp server, ...). The API key is optional because most local servers do
+// not check one; the quality model defaults to the fast one.
+const OPENAI_COMPATIBLE_BASE_URL = process.env.OPENAI_COMPATIBLE_BASE_URL?.trim();
+const OPENAI_COMPATIBLE_API_KEY = process.env.OPENAI_COMPATIBLE_API_KEY?.trim();
+const OPENAI_COMPATIBLE_MODEL_FAST = process.env.OPENAI_COMPATIBLE_MODEL_FAST?.trim() || 'llama3.1';
+const OPENAI_COMPATIBLE_MODEL_QUALITY =
+  process.env.OPENAI_COMPATIBLE_MODEL_QUALITY?.trim() || OPENAI_COMPATIBLE_MODEL_FAST;
 
-export async function callOpenAI(prompt, tier = 'fast') {
-  const model = OPENAI_MODELS[tier] || OPENAI_MODELS.fast;
-  const response = await fetch('https://api.openai.com/v1/chat/completions', {
-    method: 'POST',
-    headers: {
-      'Authorization': `Bearer ${OPENAI_API_KEY}`,
-      'Content-Type': 'application/json',
-    },
-    body: JSON.stringify({
-      model,
-      max_tokens: tier === 'quality' ? 1200 : 600,
-      temperature: 0.75,
-      messages: [{ role: 'user', content: prompt }],
-    }),
-  });
+// ─── Shared Request Helpers ───────────────────────────────────────────────────
+
+// Resolve the model for a tier from an adapter's per-tier model map, falling
+// back to the fast model for unknown tiers (the historical behavior).
+function modelFor(models, tier) {
+  return models[tier] || models.fast;
+}
+
+function maxTokensFor(tier) {
+  return tier === 'quality' ? 1200 : 600;
+}
 
-  const data = await response.json();
-  if (!response.ok) {
-    const msg = data.error?.message || 'OpenAI error';
-    console.error('❌ OpenAI error:', data.error);
-    throw Object.assign(new Error(msg), { status: response.status, provider: 'openai' });
+// Build the error every adapter throws for a non-OK response, carrying the HTTP
+// status (which drives the dispatcher's fallback rule) and the provider id.
+// When the response carries a Retry-After hint it is attached as `retryAfterMs`
+// so the retry loop can honor it.
+function providerError(id, label, status, error, headers) {
+  const msg = error?.message || `${label} error`;
+  console.error(`❌ ${label} error:`, error);
+  const err = Object.assign(new Error(msg), { status, provider: id });
+  const retryAfterMs = parseRetryAfter(headers);
+  if (retryAfterMs !== null) err.retryAfterMs = retryAfterMs;
+  return err;
+}
+
+// Read a provider's retry hint in milliseconds: the non-standard `retry-after-ms`
+// header (OpenAI) first, then the standard `Retry-After` in either of its forms
+// (delta-seconds or an HTTP date). Returns null when absent or unparseable.
+function parseRetryAfter(headers) {
+  if (!headers || typeof headers.get !== 'function') return null;
+  const ms = Number.parseFloat(headers.get('retry-after-ms'));
+  if (Number.isFinite(ms) && ms >= 0) return ms;
+  const raw = headers.get('retry-after');
+  if (!raw) return null;
+  const seconds = Number(raw);
+  if (Number.isFinite(seconds) && seconds >= 0) return seconds * 1000;
+  const date = Date.parse(raw);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+// Yield the `data:` payload of every Server-Sent Event in a streamed response
+// body. Lines are reassembled across chunk boundaries; comments, `event:` lines
+// and blank separators are skipped.
+async function* readEventData(body) {
+  const decoder = new TextDecoder();
+  let buffer = '';
+  for await (const chunk of body) {
+    buffer += decoder.decode(chunk, { stream: true });
+    let newline;
+    while ((newline = buffer.indexOf('\n')) !== -1) {
+      const line = buffer.slice(0, newline).replace(/\r$/, '');
+      buffer = buffer.slice(newline + 1);
+      if (line.startsWith('data:')) yield line.slice(5).trim();
+    }
   }
-  return data.choices?.[0]?.message?.content?.trim() || '';
 }
 
-// ─── AI Provider: Claude ──────────────────────────────────────────────────────
+// Parse one `data:` payload, ignoring keep-alives and malformed fragments.
+function parseEventData(data) {
+  try { return JSON.parse(data); }
+  catch { return null; }
+}
+
+// ─── Provider Adapters ────────────────────────────────────────────────────────
+//
+// An adapter is a plain object:
+//
+//   {
+//     id:         'openai',                       // chain / registry key
+//     label:      'OpenAI',                       // used in logs
+//     models:     { fast: '...', quality: '...' }, // model per tier
+//     configured: true,                           // credentials present
+//     call(prompt, tier, { signal, onUsage, schema })     → Promise<string>  full text, trimmed
+//     stream(prompt, tier, onDelta, { signal, onUsage }) → Promise<string>  same, forwarding deltas
+//   }
+//
+// `signal` is the per-attempt AbortSignal owned by the dispatcher (timeouts and
+// the caller's cancellation).
+// `onUsage({ inputTokens, outputTokens })` is called with the token counts the
+// provider reported, when it reported any. `schema` (a descriptor from
+// services/structured.js) asks `call` for JSON matching that schema instead of
+// free text; adapters without native support may ignore it, since the caller
+// validates the reply and falls back to the text parsers anyway. `genType` (the
+// generation type, when known, e.g. 'post', or 'repurpose:x_thread' for a type
+// with sub-formats) is a hint that only the offline adapters in
+// services/mock.js use.
+// Errors are thrown as `Error` objects carrying `{ status, provider }`, plus
+// `retryAfterMs` when the provider sent a Retry-After hint.
+
+/**
+ * Create an adapter for any endpoint speaking the OpenAI Chat Completions API.
+ * OpenAI itself is registered through this factory; pointing `baseUrl` at a
+ * self-hosted or local model server gives the generic adapter.
+ *
+ * @param {object} options
+ * @param {string} options.id registry id
+ * @param {string} [options.label] display name for logs (defaults to `id`)
+ * @param {string} options.baseUrl API root, e.g. `https://api.openai.com/v1`
+ * @param {string} [options.apiKey] bearer token; omitted from the request when unset
+ * @param {{ fast: string, quality?: string }} options.models model per tier
+ * @param {boolean} [options.configured] defaults to whether `baseUrl` is set
+ * @param {boolean} [options.streamUsage] request token usage on streamed
+ *        responses (`stream_options.include_usage`); off by default because not
+ *        every compatible server accepts the option
+ */
+export function createOpenAICompatibleProvider({
+  id,
+  label = id,
+  baseUrl,
+  apiKey,
+  models,
+  configured = !!baseUrl,
+  streamUsage = false,
+}) {
+  const endpoint = `${String(baseUrl || '').replace(/\/+$/, '')}/chat/completions`;
+
+  function request(prompt, tier, { stream = false, signal, schema } = {}) {
+    const headers = { 'Content-Type': 'application/json' };
+    if (apiKey) headers['Authorization'] = `Bearer ${apiKey}`;
+    return fetch(endpoint, {
+      method: 'POST',
+      signal,
+      headers,
+      body: JSON.stringify({
+        model: modelFor(models, tier),
+        max_tokens: schema?.maxTokens || maxTokensFor(tier),
+        temperature: 0.75,
+        ...(stream ? { stream: true } : {}),
+        ...(stream && streamUsage ? { stream_options: { include_usage: true } } : {}),
+        ...(schema ? {
+          response_format: {
+            type: 'json_schema',
+            json_schema: { name: schema.name, schema: schema.schema, strict: true },
+          },
+        } : {}),
+        messages: [{ role: 'user', content: prompt }],
+      }),
+    });
+  }
+
+  function reportUsage(usage, onUsage) {
+    if (usage && typeof onUsage === 'function') {
+      onUsage({ inputTokens: usage.prompt_tokens ?? null, outputTokens: usage.completion_tokens ?? null });
+    }
+  }
+
+  async function call(prompt, tier = 'fast', { signal, onUsage, schema } = {}) {
+    const response = await request(prompt, tier, { signal, schema });
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok) throw providerError(id, label, response.status, data.error, response.headers);
+    reportUsage(data.usage, onUsage);
+    return data.choices?.[0]?.message?.content?.trim() || '';
+  }
+
+  async function stream(prompt, tier = 'fast', onDelta = () => {}, { signal, onUsage } = {}) {
+    const response = await request(prompt, tier, { stream: true, signal });
+    if (!response.ok) {
+      const data = await response.json().catch(() => ({}));
+      throw providerError(id, label, response.status, data.error, response.headers);
+    }
+
+    let text = '';
+    for await (const data of readEventData(response.body)) {
+      if (data === '[DONE]') break;
+      const event = parseEventData(data);
+      // With include_usage the final chunk carries `usage` and no choices.
+      reportUsage(event?.usage, onUsage);
+      const delta = event?.choices?.[0]?.delta?.content;
+      if (delta) {
+        text += delta;
+        onDelta(delta);
+      }
+    }
+    return text.trim();
+  }
+
+  return { id, label, models, configured, call, stream };
+}
+
+/**
+ * Create an adapter for the Anthropic Messages API.
+ *
+ * @param {object} options
+ * @param {string} [options.apiKey]
+ * @param {{ fast: string, quality?: string }} options.models model per tier
+ */
+export function createClaudeProvider({ apiKey, models }) {
+  const id = 'claude';
+  const label = 'Claude';
+
+  // Structured output uses a single tool whose input schema is the requested
+  // schema, with tool_choice forcing the model to call it.
+  function request(prompt, tier, { stream = false, signal, schema } = {}) {
+    return fetch('https://api.anthropic.com/v1/messages', {
+      method: 'POST',
+      signal,
+      headers: {
+        'x-api-key': apiKey,
+        'anthropic-version': '2023-06-01',
+        'content-type': 'application/json',
+      },
+      body: JSON.stringify({
+        model: modelFor(models, tier),
+        max_tokens: schema?.maxTokens || maxTokensFor(tier),
+        temperature: 0.75,
+        ...(stream ? { stream: true } : {}),
+        ...(schema ? {
+          tools: [{ name: schema.name, description: schema.description, input_schema: schema.schema }],
+          tool_choice: { type: 'tool', name: schema.name },
+        } : {}),
+        messages: [{ role: 'user', content: prompt }],
+      }),
+    });
+  }
+
+  async function call(prompt, tier = 'fast', { signal, onUsage, schema } = {}) {
+    const response = await request(prompt, tier, { signal, schema });
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok) throw providerError(id, label, response.status, data.error, response.headers);
+    if (data.usage && typeof onUsage === 'function') {
+      onUsage({ inputTokens: data.usage.input_tokens ?? null, outputTokens: data.usage.output_tokens ?? null });
+    }
+    const toolUse = schema && data.content?.find((block) => block.type === 'tool_use');
+    if (toolUse) return JSON.stringify(toolUse.input);
+    return data.content?.find((block) => block.type === 'text')?.text?.trim() || '';
+  }
+
+  async function stream(prompt, tier = 'fast', onDelta = () => {}, { signal, onUsage } = {}) {
+    const response = await request(prompt, tier, { stream: true, signal });
+    if (!response.ok) {
+      const data = await response.json().catch(() => ({}));
+      throw providerError(id, label, response.status, data.error, response.headers);
+    }
+
+    // Input tokens arrive on `message_start`, the running output count on each
+    // `message_delta`; both are reported once the stream ends.
+    const usage = { inputTokens: null, outputTokens: null };
+    let text = '';
+    for await (const data of readEventData(response.body)) {
+      const event = parseEventData(data);
+      // Mid-stream failures (e.g. overloaded) arrive as an `error` event on a
+      // 200 response; surface them like any other provider error.
+      if (event?.type === 'error') throw providerError(id, label, 500, event.error);
+      if (event?.type === 'message_start') usage.inputTokens = event.message?.usage?.input_tokens ?? null;
+      if (event?.type === 'message_delta') usage.outputTokens = event.usage?.output_tokens ?? usage.outputTokens;
+      if (event?.type === 'message_stop') break;
+      const delta = event?.type === 'content_block_delta' ? event.delta?.text : undefined;
+      if (delta) {
+        text += delta;
+        onDelta(delta);
+      }
+    }
+    if (typeof onUsage === 'function') onUsage(usage);
+    return text.trim();
+  }
+
+  return { id, label, models, configured: !!apiKey, call, stream };
+}
+
+// ─── Built-in Adapters ────────────────────────────────────────────────────────
+export const OPENAI_MODELS = {
+  fast:    'gpt-4o-mini',   // topic suggestions, hooks
+  quality: 'gpt-4o',        // full post generation
+};
+
 export const CLAUDE_MODELS = {
   fast:    'claude-haiku-4-5-20251001',
   quality: 'claude-sonnet-4-5-20250929',
 };
 
-export async function callClaude(prompt, tier = 'fast') {
-  const model = CLAUDE_MODELS[tier] || CLAUDE_MODELS.fast;
-  const response = await fetch('https://api.anthropic.com/v1/messages', {
-    method: 'POST',
-    headers: {
-      'x-api-key': CLAUDE_API_KEY,
-      'anthropic-version': '2023-06-01',
-      'content-type': 'application/json',
-    },
-    body: JSON.stringify({
-      model,
-      max_tokens: tier === 'quality' ? 1200 : 600,
-      temperature: 0.75,
-      messages: [{ role: 'user', content: prompt }],
-    }),
-  });
+export const OPENAI_COMPATIBLE_MODELS = {
+  fast:    OPENAI_COMPATIBLE_MODEL_FAST,
+  quality: OPENAI_COMPATIBLE_MODEL_QUALITY,
+};
+
+export const openaiProvider = createOpenAICompatibleProvider({
+  id: 'openai',
+  label: 'OpenAI',
+  baseUrl: 'https://api.openai.com/v1',
+  apiKey: OPENAI_API_KEY,
+  models: OPENAI_MODELS,
+  configured: !!OPENAI_API_KEY,
+  streamUsage: true,
+});
+
+export const claudeProvider = createClaudeProvider({
+  apiKey: CLAUDE_API_KEY,
+  models: CLAUDE_MODELS,
+});
+
+export const openaiCompatibleProvider = createOpenAICompatibleProvider({
+  id: 'openai-compatible',
+  label: 'OpenAI-compatible',
+  baseUrl: OPENAI_COMPATIBLE_BASE_URL,
+  apiKey: OPENAI_COMPATIBLE_API_KEY,
+  models: OPENAI_COMPATIBLE_MODELS,
+});
+
+// Direct provider callers, kept as named exports for callers and tests that
+// address one provider explicitly.
+export const callOpenAI = openaiProvider.call;
+export const callClaude = claudeProvider.call;
+export const streamOpenAI = openaiProvider.stream;
+export const streamClaude = claudeProvider.stream;
+
+// ─── Provider Registry ────────────────────────────────────────────────────────
 
-  const data = await response.json();
-  if (!response.ok) {
-    const msg = data.error?.message || 'Claude error';
-    console.error('❌ Claude error:', data.error);
-    throw Object.assign(new Error(msg), { status: response.status, provider: 'claude' });
+/**
+ * Create a provider registry. Adapters are keyed by `id`; registering an id a
+ * second time replaces the earlier adapter.
+ *
+ * @param {Array<object>} [adapters] adapters to register up front
+ * @returns {{
+ *   register: (adapter: object) => object,
+ *   get: (id: string) => object | null,
+ *   list: () => object[],
+ *   chain: (order: string[]) => object[],
+ * }}
+ */
+export function createProviderRegistry(adapters = []) {
+  const byId = new Map();
+
+  function register(adapter) {
+    if (!adapter || typeof adapter.id !== 'string' || typeof adapter.call !== 'function') {
+      throw new Error('A provider adapter needs a string id and a call() function');
+    }
+    byId.set(adapter.id, adapter);
+    return adapter;
   }
-  return data.content?.[0]?.text?.trim() || '';
+
+  adapters.forEach(register);
+
+  return {
+    register,
+    get: (id) => byId.get(id) || null,
+    list: () => [...byId.values()],
+    // The configured adapters named in `order`, in that order. Unknown and
+    // unconfigured ids are skipped.
+    chain: (order) => order.map((id) => byId.get(id)).filter((adapter) => adapter?.configured),
+  };
 }
 
-// ─── Unified AI Dispatcher ────────────────────────────────────────────────────
-// Tries OpenAI first if available, falls back to Claude, vice-versa.
+// ─── Offline Modes ────────────────────────────────────────────────────────────
+// AI_MOCK_MODE selects an offline mode (unset = normal provider dispatch):
+//   • mock   — every request is answered by the deterministic mock provider;
+//   • record — the real chain runs and each response is saved as a fixture;
+//   • replay — every request is answered from the saved fixtures.
+// Fixtures live in AI_FIXTURES_DIR (default: roftx_backend/fixtures/ai). Both
+// are read in config.js.
+
+const fixtureStore = createFixtureStore(AI_FIXTURES_DIR);
+
+// In record mode the hosted and generic adapters are wrapped so every response
+// they return is written to the fixture store. The mock and replay adapters are
+// always registered but only serve requests when they are in the chain.
+const liveProviders = [openaiProvider, claudeProvider, openaiCompatibleProvider];
+
+export const providerRegistry = createProviderRegistry([
+  ...(AI_MOCK_MODE === 'record'
+    ? liveProviders.map((adapter) => withRecording(adapter, fixtureStore))
+    : liveProviders),
+  createMockProvider(),
+  createReplayProvider(fixtureStore),
+]);
+
+// Ordered fallback chain, from AI_PROVIDER_CHAIN (comma-separated ids). The
+// default keeps the historical order — OpenAI primary, Claude fallback — with
+// the generic adapter last, so it only takes over when the hosted providers are
+// not configured or have both failed.
+export const DEFAULT_PROVIDER_CHAIN = ['openai', 'claude', 'openai-compatible'];
+
+function parseProviderChain(raw) {
+  if (typeof raw !== 'string' || raw.trim() === '') return null;
+  const ids = raw
+    .split(',')
+    .map((id) => id.trim().toLowerCase())
+    .filter((id) => id.length > 0);
+  return ids.length > 0 ? ids : null;
+}
+
+// The mock and replay modes replace the chain outright, so a stray provider key
+// in the environment can never turn an offline run into a network call.
+export const AI_PROVIDER_CHAIN =
+  AI_MOCK_MODE === 'mock' || AI_MOCK_MODE === 'replay'
+    ? [AI_MOCK_MODE]
+    : parseProviderChain(process.env.AI_PROVIDER_CHAIN) || DEFAULT_PROVIDER_CHAIN;
+
+// Resolve the dispatch chain to `[{ id, label, models, fn }]`, where `fn` is the
+// adapter's `method` ('call' or 'stream'). `overrides` lets callers replace the
+// configured flag or the function of individual providers by id; this is how
+// the historical `hasOpenAI`/`openai` style hooks are honored.
+function resolveDispatchChain(registry, order, method, overrides = {}) {
+  const resolved = [];
+  for (const id of order) {
+    const adapter = registry.get(id);
+    const override = overrides[id] || {};
+    const configured = override.configured ?? adapter?.configured ?? false;
+    const fn = override.fn ?? adapter?.[method];
+    if (configured && typeof fn === 'function') {
+      resolved.push({ id, label: adapter?.label || id, models: adapter?.models || {}, fn });
+    }
+  }
+  return resolved;
+}
+
+function legacyOverrides({ hasOpenAI, hasClaude, openai, claude }) {
+  return {
+    openai: { configured: hasOpenAI, fn: openai },
+    claude: { configured: hasClaude, fn: claude },
+  };
+}
+
+// ─── Dispatch Resilience: Timeouts, Retries, Circuit Breakers ─────────────────
 //
-// Fallback condition (Requirement 4.2): when OpenAI raises an error, fall back
-// to Claude IF AND ONLY IF the error status is not 400 AND Claude is configured;
-// on a 400 error, or when Claude is not configured, the original error is
-// propagated without falling back.
+// Every provider attempt runs under its own AbortController with a timeout. An
+// attempt that fails with 429 or 5xx (a timeout counts as 504) is retried with
+// bounded exponential backoff; a Retry-After hint replaces the computed delay,
+// and a hint longer than the maximum delay ends the retries for that provider
+// (it is asking us to go away — the chain moves on instead of waiting).
 //
-// `createCallAI` makes the provider-config check (and the underlying provider
-// callers) injectable so the fallback condition is testable in isolation. The
-// defaults reproduce server.js behavior byte-for-byte: availability is derived
-// from the presence of each provider's API key.
-export function createCallAI({
-  hasOpenAI = !!OPENAI_API_KEY,
-  hasClaude = !!CLAUDE_API_KEY,
-  openai = callOpenAI,
-  claude = callClaude,
+// Each provider also has a circuit breaker. When a provider's dispatches keep
+// failing (after their retries) the breaker opens and the dispatchers skip that
+// provider for a cool-down; then a single trial dispatch is let through
+// (half-open) and its outcome closes or re-opens the breaker. A 400 is the
+// caller's problem, not the provider's, so it counts as a healthy response.
+//
+// Tuning comes from the environment (see config.js); every knob is also
+// injectable per dispatcher so the behavior is testable with fake clocks and
+// sleeps.
+
+const defaultSleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+function isRetryable(err) {
+  const status = err?.status;
+  return status === 429 || (Number.isInteger(status) && status >= 500);
+}
+
+/**
+ * Create a circuit breaker for one provider.
+ *
+ *   closed    → dispatches flow; consecutive failures are counted
+ *   open      → dispatches are skipped until `cooldownMs` has elapsed
+ *   half-open → exactly one trial dispatch is allowed; success closes the
+ *               breaker, failure re-opens it for another cool-down
+ *
+ * @param {object} [options]
+ * @param {number} [options.failureThreshold] consecutive failures that open the breaker
+ * @param {number} [options.cooldownMs] how long an open breaker skips the provider
+ * @param {() => number} [options.now] clock in epoch ms
+ */
+export function createCircuitBreaker({
+  failureThreshold = AI_BREAKER_THRESHOLD,
+  cooldownMs = AI_BREAKER_COOLDOWN_MS,
+  now = () => Date.now(),
 } = {}) {
-  return async function callAI(prompt, tier = 'fast') {
-    if (hasOpenAI) {
-      try { return await openai(prompt, tier); }
-      catch (err) {
-        if (hasClaude && err.status !== 400) {
-          console.warn('⚠️  OpenAI failed, falling back to Claude:', err.message);
-          return await claude(prompt, tier);
-        }
-        throw err;
+  let state = 'closed';
+  let failures = 0;
+  let openedAt = null;
+  let trialInFlight = false;
+
+  function cooledDown() {
+    return state === 'open' && now() - openedAt >= cooldownMs;
+  }
+
+  // Whether a dispatch may use the provider right now. In half-open state this
+  // claims the single trial slot, so callers must report the outcome.
+  function allow() {
+    if (state === 'closed') return true;
+    if (cooledDown()) {
+      state = 'half-open';
+      trialInFlight = false;
+    }
+    if (state === 'half-open' && !trialInFlight) {
+      trialInFlight = true;
+      return true;
+    }
+    return false;
+  }
+
+  function recordSuccess() {
+    state = 'closed';
+    failures = 0;
+    openedAt = null;
+    trialInFlight = false;
+  }
+
+  function recordFailure() {
+    failures += 1;
+    trialInFlight = false;
+    if (state === 'half-open' || failures >= failureThreshold) {
+      state = 'open';
+      openedAt = now();
+    }
+  }
+
+  // Read-only view for health reporting; never claims the trial slot.
+  function snapshot() {
+    return {
+      state: cooledDown() ? 'half-open' : state,
+      failures,
+      openUntil: state === 'open' ? new Date(openedAt + cooldownMs).toISOString() : null,
+    };
+  }
+
+  return { allow, recordSuccess, recordFailure, snapshot };
+}
+
+/**
+ * Create a per-provider set of circuit breakers, created lazily by provider id.
+ * The default set is shared by `callAI` and `streamAI` so both see the same
+ * provider health.
+ *
+ * @param {Parameters<typeof createCircuitBreaker>[0]} [options] applied to every breaker
+ */
+export function createBreakerRegistry(options = {}) {
+  const breakers = new Map();
+  function get(id) {
+    if (!breakers.has(id)) breakers.set(id, createCircuitBreaker(options));
+    return breakers.get(id);
+  }
+  function snapshot() {
+    return Object.fromEntries([...breakers].map(([id, breaker]) => [id, breaker.snapshot()]));
+  }
+  return { get, snapshot };
+}
+
+export const providerBreakers = createBreakerRegistry();
+
+// Run `fn(signal, touch)` once under a timeout. The race against the abort
+// makes the timeout hold even when `fn` ignores the signal (e.g. an injected
+// test hook). With `idle` the timeout is an idle window rather than a deadline:
+// every `touch()` (a streamed delta) restarts it, so a long stream that keeps
+// producing output is never cut off while a silent one still is. Aborting the
+// caller's `signal` (a cancelled job, a closed client) aborts the attempt too;
+// it then fails with a `cancelled` error, which is never retried.
+async function runWithTimeout(fn, timeoutMs, { id, label }, { signal, idle = false } = {}) {
+  const controller = new AbortController();
+  const message = idle
+    ? `${label} produced no output for ${timeoutMs}ms`
+    : `${label} timed out after ${timeoutMs}ms`;
+  const timeoutErr = Object.assign(new Error(message), {
+    status: 504,
+    provider: id,
+    timeout: true,
+  });
+  const cancelledErr = Object.assign(new Error(`${label} request cancelled`), {
+    status: 499,
+    provider: id,
+    cancelled: true,
+  });
+  if (signal?.aborted) throw cancelledErr;
+  const failure = () => (signal?.aborted ? cancelledErr : timeoutErr);
+  const aborted = new Promise((_, reject) => {
+    controller.signal.addEventListener('abort', () => reject(failure()), { once: true });
+  });
+  const cancel = () => controller.abort();
+  signal?.addEventListener('abort', cancel, { once: true });
+  let timer = setTimeout(cancel, timeoutMs);
+  const touch = () => {
+    if (!idle || controller.signal.aborted) return;
+    clearTimeout(timer);
+    timer = setTimeout(cancel, timeoutMs);
+  };
+  try {
+    return await Promise.race([fn(controller.signal, touch), aborted]);
+  } catch (err) {
+    throw controller.signal.aborted ? failure() : err;
+  } finally {
+    clearTimeout(timer);
+    signal?.removeEventListener('abort', cancel);
+  }
+}
+
+// Run one provider with timeouts and bounded retries. `canRetry()` lets the
+// streaming dispatcher veto a retry once deltas have reached the client.
+async function runWithRetries(provider, fn, {
+  timeoutMs, maxRetries, retryBaseMs, retryMaxMs, sleep, canRetry = () => true, signal, idle,
+}) {
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await runWithTimeout(fn, timeoutMs, provider, { signal, idle });
+    } catch (err) {
+      if (err.cancelled || attempt >= maxRetries || !isRetryable(err) || !canRetry()) throw err;
+      const delay = err.retryAfterMs ?? Math.min(retryMaxMs, retryBaseMs * 2 ** attempt);
+      if (delay > retryMaxMs) throw err;
+      console.warn(
+        `⚠️  ${provider.label} attempt ${attempt + 1} failed (${err.status}), retrying in ${delay}ms:`,
+        err.message
+      );
+      await sleep(delay);
+    }
+  }
+}
+
+// Walk the resolved chain with breakers, retries and the fallback rule shared
+// by both dispatchers. `invoke(provider, signal, state)` performs one attempt;
+// `state.emitted` is set by the streaming dispatcher once a delta went out,
+// `state.onUsage` is the token-usage callback to hand to the adapter,
+// `state.genType` is the generation type hint to hand to it and
+// `state.touch()` restarts the attempt's idle timeout (with `idle`, see
+// runWithTimeout).
+//
+// When the caller supplies a `trace` object it is filled in with what actually
+// served the request (or, on failure, the last provider tried):
+//   { provider, model, fallback, attempts, inputTokens, outputTokens }
+// `fallback` is true when the provider is not the first one in the chain. A
+// `genType` the caller puts on the trace is passed to the adapters as a hint
+// (only the offline adapters use it). Once the caller's `signal` is aborted the
+// attempt in flight is aborted and nothing else is tried; a cancellation says
+// nothing about the provider's health, so its breaker is left as it was.
+function createDispatcher(providers, {
+  breakers,
+  timeoutMs,
+  maxRetries,
+  retryBaseMs,
+  retryMaxMs,
+  sleep,
+  verb,
+  idle = false,
+}) {
+  return async function dispatch(invoke, tier, trace = null, { signal } = {}) {
+    const record = trace && typeof trace === 'object' ? trace : {};
+    record.attempts = 0;
+    let lastErr = null;
+    for (let i = 0; i < providers.length; i++) {
+      const provider = providers[i];
+      const breaker = breakers.get(provider.id);
+      if (!breaker.allow()) {
+        console.warn(`⚠️  ${provider.label} circuit open, skipping`);
+        continue;
       }
-    } else if (hasClaude) {
-      return await claude(prompt, tier);
+
+      Object.assign(record, {
+        provider: provider.id,
+        model: modelFor(provider.models, tier) ?? null,
+        fallback: i > 0,
+        inputTokens: null,
+        outputTokens: null,
+      });
+      const state = {
+        emitted: false,
+        touch: () => {},
+        genType: record.genType ?? null,
+        onUsage: ({ inputTokens = null, outputTokens = null } = {}) => {
+          record.inputTokens = inputTokens;
+          record.outputTokens = outputTokens;
+        },
+      };
+      try {
+        const result = await runWithRetries(provider, (attemptSignal, touch) => {
+          record.attempts += 1;
+          state.touch = touch;
+          return invoke(provider, attemptSignal, state);
+        }, {
+          timeoutMs, maxRetries, retryBaseMs, retryMaxMs, sleep, signal, idle,
+          canRetry: () => !state.emitted,
+        });
+        breaker.recordSuccess();
+        return result;
+      } catch (err) {
+        if (err.cancelled) throw err;
+        if (err.status === 400) breaker.recordSuccess();
+        else breaker.recordFailure();
+
+        const next = providers[i + 1];
+        if (!next || err.status === 400 || state.emitted) throw err;
+        console.warn(`⚠️  ${provider.label} ${verb} failed, falling back to ${next.label}:`, err.message);
+        lastErr = err;
+      }
+    }
+    if (lastErr) throw lastErr;
+    if (providers.length) {
+      throw Object.assign(new Error('All AI providers are temporarily unavailable'), { status: 503 });
     }
     throw new Error('No AI provider configured');
   };
 }
 
+// ─── Unified AI Dispatcher ────────────────────────────────────────────────────
+// Walks the provider chain in order and returns the first provider's result.
+//
+// Fallback condition (Requirement 4.2): when a provider raises an error (after
+// its retries), fall back to the next configured provider IF AND ONLY IF the
+// error status is not 400 AND another provider remains; on a 400 error, or when
+// the chain is exhausted, the original error is propagated. Providers whose
+// circuit breaker is open are skipped.
+//
+// `createCallAI` makes the registry, the chain, the historical per-provider
+// hooks (`hasOpenAI`/`hasClaude`/`openai`/`claude`), the breakers and the
+// timeout/retry tuning injectable so the dispatch rules are testable in
+// isolation. Hooks receive `(prompt, tier, { signal, onUsage, genType, schema })`.
+// The defaults read provider availability, order and tuning from the environment.
+//
+// The returned `callAI(prompt, tier, trace?, { schema, signal }?)` fills the
+// optional `trace` object with the provider, model, token usage and attempt
+// count (see createDispatcher); `schema` requests structured output
+// (services/structured.js) and aborting `signal` cancels the provider request.
+export function createCallAI({
+  registry = providerRegistry,
+  chain = AI_PROVIDER_CHAIN,
+  hasOpenAI,
+  hasClaude,
+  openai,
+  claude,
+  breakers = providerBreakers,
+  timeoutMs = AI_TIMEOUT_MS,
+  maxRetries = AI_MAX_RETRIES,
+  retryBaseMs = AI_RETRY_BASE_MS,
+  retryMaxMs = AI_RETRY_MAX_MS,
+  sleep = defaultSleep,
+} = {}) {
+  const providers = resolveDispatchChain(
+    registry, chain, 'call', legacyOverrides({ hasOpenAI, hasClaude, openai, claude }),
+  );
+  const dispatch = createDispatcher(providers, {
+    breakers, timeoutMs, maxRetries, retryBaseMs, retryMaxMs, sleep, verb: 'call',
+  });
+
+  return function callAI(prompt, tier = 'fast', trace = null, { schema, signal } = {}) {
+    return dispatch(
+      (provider, attemptSignal, state) => provider.fn(prompt, tier, {
+        signal: attemptSignal, onUsage: state.onUsage, genType: state.genType, schema,
+      }),
+      tier,
+      trace,
+      { signal },
+    );
+  };
+}
+
 // Default dispatcher bound to environment-derived provider availability.
 export const callAI = createCallAI();
 
+// ─── Streaming AI Dispatcher ──────────────────────────────────────────────────
+// Same chain, breakers, retries and fallback condition as `createCallAI`, with
+// one extra rule: once a provider has emitted a delta the client has already
+// seen partial text, so a later failure is neither retried nor handed to the
+// next provider (either would splice two different drafts together). The
+// timeout is an idle window here: it bounds the wait for the first delta and
+// the gap between deltas, not the length of the whole stream. Aborting `signal`
+// cancels the provider request.
+export function createStreamAI({
+  registry = providerRegistry,
+  chain = AI_PROVIDER_CHAIN,
+  hasOpenAI,
+  hasClaude,
+  openai,
+  claude,
+  breakers = providerBreakers,
+  timeoutMs = AI_TIMEOUT_MS,
+  maxRetries = AI_MAX_RETRIES,
+  retryBaseMs = AI_RETRY_BASE_MS,
+  retryMaxMs = AI_RETRY_MAX_MS,
+  sleep = defaultSleep,
+} = {}) {
+  const providers = resolveDispatchChain(
+    registry, chain, 'stream', legacyOverrides({ hasOpenAI, hasClaude, openai, claude }),
+  );
+  const dispatch = createDispatcher(providers, {
+    breakers, timeoutMs, maxRetries, retryBaseMs, retryMaxMs, sleep, verb: 'stream', idle: true,
+  });
+
+  return function streamAI(prompt, tier = 'fast', onDelta = () => {}, trace = null, { signal } = {}) {
+    return dispatch((provider, attemptSignal, state) => {
+      const forward = (delta) => { state.touch(); state.emitted = true; onDelta(delta); };
+      return provider.fn(prompt, tier, forward, {
+        signal: attemptSignal, onUsage: state.onUsage, genType: state.genType,
+      });
+    }, tier, trace, { signal });
+  };
+}
+
+// Default streaming dispatcher bound to environment-derived provider availability.
+export const streamAI = createStreamAI();
+
+/**
+ * Describe the configured providers in chain order with their circuit-breaker
+ * state, for the health endpoint. Exposes ids, models and breaker state only —
+ * never credentials or base URLs.
+ *
+ * @param {object} [options]
+ * @returns {Array<{ id: string, label: string, models: object, breaker: { state: string, failures: number, openUntil: string | null } }>}
+ */
+export function describeProviders({
+  registry = providerRegistry,
+  chain = AI_PROVIDER_CHAIN,
+  breakers = providerBreakers,
+} = {}) {
+  return registry.chain(chain).map(({ id, label, models }) => ({
+    id,
+    label,
+    models: { fast: models.fast, quality: models.quality || models.fast },
+    breaker: breakers.get(id).snapshot(),
+  }));
+}
+
 // ─── Tolerant Response Parsers (task 7.3) ─────────────────────────────────────
 //
 // These generalize the original server.js parsers (which split on
@@ -141,6 +883,8 @@ export const callAI = createCallAI();
 //   parseTopics → [{ triggerType, premise, whyItWorks }]
 //   parseHooks  → [{ type, text, whyItWorks }]
 //   splitMeta   → { post, meta }
+// parseTopicAnalysis is the one addition: an opt-in, richer topics parser that
+// only runs when a client asks for it (see TYPE_SPECS.topics).
 
 // parseTopics — whitespace/numbering/bracket tolerant.
 //
@@ -155,11 +899,7 @@ export function parseTopics(text) {
   const topics = [];
   if (typeof text !== 'string') return topics;
 
-  const blocks = text
-    .split(/^[ \t]*CONVERSATION\b[ \t]*[#-]?[ \t]*[\[\({]?[ \t]*\d*[ \t]*[\]\)}]?[ \t]*:?[ \t]*$/im)
-    .filter(b => b.trim());
-
-  for (const block of blocks) {
+  for (const block of splitTopicBlocks(text)) {
     const triggerMatch = block.match(/Primary\s+Trigger\s*:\s*([^\n]+)/i);
     const premiseMatch = block.match(
       /Conversation\s+Premise\s*:\s*([\s\S]+?)(?=\n\s*(?:Unique\s+Perspective|Why\s+This\s+Stops\s+The\s+Scroll|Why\s+Professionals\s+Will\s+Comment)\s*:|$)/i
@@ -176,6 +916,129 @@ export function parseTopics(text) {
   return topics;
 }
 
+function splitTopicBlocks(text) {
+  return text
+    .split(/^[ \t]*CONVERSATION\b[ \t]*[#-]?[ \t]*[\[\({]?[ \t]*\d*[ \t]*[\]\)}]?[ \t]*:?[ \t]*$/im)
+    .filter(b => b.trim());
+}
+
+// parseTopicAnalysis — the opt-in full topic analysis.
+//
+// Recovers every field the topic-suggestions prompt asks for, keyed by the
+// labels below. Labels are matched at the start of a line with the same
+// whitespace tolerance as parseTopics, and a value runs until the next known
+// label, so multi-line values and bullet lists survive. The three fields
+// parseTopics returns keep their names and values, so a full topic is a strict
+// superset of the default one; a block without a premise is skipped, exactly as
+// in parseTopics. Missing fields come back as null (or an empty array).
+const TOPIC_ANALYSIS_FIELDS = [
+  ['triggerType',          'Primary\\s+Trigger'],
+  ['secondaryTrigger',     'Secondary\\s+Trigger'],
+  ['category',             'Conversation\\s+Category'],
+  ['audiencePain',         'Primary\\s+Audience\\s+Pain'],
+  ['beliefChallenged',     'Core\\s+Belief\\s+Being\\s+Challenged'],
+  ['tension',              'Professional\\s+Tension'],
+  ['premise',              'Conversation\\s+Premise'],
+  ['uniquePerspective',    'Unique\\s+Perspective'],
+  ['whyItWorks',           'Why\\s+This\\s+Stops\\s+The\\s+Scroll'],
+  ['whyComment',           'Why\\s+Professionals\\s+Will\\s+Comment'],
+  ['whySave',              'Why\\s+Professionals\\s+Will\\s+Save\\s+It'],
+  ['storyDirections',      'Potential\\s+Story\\s+Directions'],
+  ['hookDirections',       'Potential\\s+Hook\\s+Directions'],
+  ['emotionalArc',         'Recommended\\s+Emotional\\s+Arc'],
+  ['ctaDirection',         'Suggested\\s+CTA\\s+Direction'],
+  ['brandPositioning',     'Recommended\\s+Personal\\s+Brand\\s+Positioning'],
+  ['longevity',            'Conversation\\s+Longevity'],
+  ['originality',          'Estimated\\s+Originality'],
+  ['discussionPotential',  'Estimated\\s+Discussion\\s+Potential'],
+  ['savePotential',        'Estimated\\s+Save\\s+Potential'],
+  ['sharePotential',       'Estimated\\s+Share\\s+Potential'],
+  ['confidence',           'Confidence'],
+];
+
+const TOPIC_ANALYSIS_LABEL = new RegExp(
+  `^[ \\t]*(?:${TOPIC_ANALYSIS_FIELDS.map(([, label]) => `(${label})`).join('|')})[ \\t]*:`,
+  'gim'
+);
+
+// A /10 score: the first number not preceded by a slash ("8/10", "8.5", "7 / 10").
+// An unfilled template ("/10") or an out-of-range number gives null.
+function parseScore(value) {
+  const match = (value || '').match(/(?:^|[^/\d.])(\d+(?:\.\d+)?)/);
+  if (!match) return null;
+  const score = Number(match[1]);
+  return score >= 0 && score <= 10 ? score : null;
+}
+
+// Bullet lines ("- ", "• ", "* ", "1. ") as an array; an unbulleted value is
+// split on its lines instead.
+function parseList(value) {
+  return (value || '')
+    .split('\n')
+    .map((line) => line.replace(/^\s*(?:[-•*]|\d+[.)])\s*/, '').trim())
+    .filter(Boolean);
+}
+
+// "Beginning: x / Middle: y / Ending: z", on one line or several.
+function parseEmotionalArc(value) {
+  const stage = (label) => {
+    const match = (value || '').match(
+      new RegExp(`${label}\\s*:\\s*([\\s\\S]*?)(?=\\s*/?\\s*(?:Beginning|Middle|Ending)\\s*:|$)`, 'i')
+    );
+    return match?.[1].trim() || null;
+  };
+  return { beginning: stage('Beginning'), middle: stage('Middle'), ending: stage('Ending') };
+}
+
+export function parseTopicAnalysis(text) {
+  const topics = [];
+  if (typeof text !== 'string') return topics;
+
+  for (const block of splitTopicBlocks(text)) {
+    // Locate every known label, then slice each value up to the next label.
+    const marks = [];
+    for (const match of block.matchAll(TOPIC_ANALYSIS_LABEL)) {
+      const index = match.slice(1).findIndex((group) => group !== undefined);
+      marks.push({ key: TOPIC_ANALYSIS_FIELDS[index][0], start: match.index, end: match.index + match[0].length });
+    }
+    const raw = {};
+    marks.forEach((mark, i) => {
+      if (raw[mark.key] !== undefined) return; // first occurrence wins
+      raw[mark.key] = block.slice(mark.end, marks[i + 1]?.start ?? block.length).trim();
+    });
+    if (!raw.premise) continue;
+
+    const field = (key) => raw[key] || null;
+    topics.push({
+      triggerType:         (raw.triggerType || 'INSIGHT').toUpperCase(),
+      premise:             raw.premise,
+      whyItWorks:          raw.whyItWorks || '',
+      secondaryTrigger:    field('secondaryTrigger'),
+      category:            field('category'),
+      audiencePain:        field('audiencePain'),
+      beliefChallenged:    field('beliefChallenged'),
+      tension:             field('tension'),
+      uniquePerspective:   field('uniquePerspective'),
+      whyComment:          field('whyComment'),
+      whySave:             field('whySave'),
+      storyDirections:     parseList(raw.storyDirections),
+      hookDirections:      (raw.hookDirections || '').split(/[\/,\n]/).map((h) => h.trim()).filter(Boolean),
+      emotionalArc:        parseEmotionalArc(raw.emotionalArc),
+      ctaDirection:        field('ctaDirection'),
+      brandPositioning:    field('brandPositioning'),
+      longevity:           field('longevity'),
+      scores: {
+        originality:         parseScore(raw.originality),
+        discussionPotential: parseScore(raw.discussionPotential),
+        savePotential:       parseScore(raw.savePotential),
+        sharePotential:      parseScore(raw.sharePotential),
+      },
+      confidence:          field('confidence'),
+    });
+  }
+  return topics;
+}
+
 // parseHooks — delimiter-variant tolerant.
 //
 // Splits the AI response into hook blocks on a `HOOK` header followed by one of
@@ -220,6 +1083,80 @@ export function parseHooks(text) {
   return hooks;
 }
 
+// parseCarousel — slide-header tolerant.
+//
+// Splits the AI response into slides on a `SLIDE` header with the same
+// numbering, bracket and delimiter tolerance as parseHooks (the delimiter and
+// the kind label after it are optional). Each slide recovers its `Title:`,
+// `Body:` (which may span lines) and `Visual:` / `Visual hint:` fields; a slide
+// with neither title nor body is dropped. Kinds are assigned by position — the
+// first slide is the cover, the last the CTA — so the result always has both
+// whatever labels the model used; fewer than three slides is not a carousel and
+// yields an empty list.
+export function parseCarousel(text) {
+  if (typeof text !== 'string') return [];
+
+  const field = (block, label, next) => {
+    const match = block.match(new RegExp(`^[ \\t]*${label}[ \\t]*:[ \\t]*([\\s\\S]*?)(?=${next}|(?![\\s\\S]))`, 'im'));
+    return (match?.[1] || '').trim();
+  };
+  const nextLabel = (labels) => `\\n[ \\t]*(?:${labels.join('|')})[ \\t]*:`;
+
+  const slides = text
+    .split(/^[ \t]*SLIDE\b[ \t]*[\[\({]?[ \t]*\d+[ \t]*[\]\)}]?[^\n]*$/im)
+    .slice(1)
+    .map((block) => ({
+      title:      field(block, 'Title', nextLabel(['Body', 'Visual(?:\\s+hint)?'])),
+      body:       field(block, 'Body', nextLabel(['Visual(?:\\s+hint)?', 'Title'])),
+      visualHint: field(block, 'Visual(?:\\s+hint)?', nextLabel(['Title', 'Body'])),
+    }))
+    .filter((slide) => slide.title || slide.body);
+
+  if (slides.length < 3) return [];
+  return slides.map((slide, i) => ({
+    kind: i === 0 ? 'cover' : i === slides.length - 1 ? 'cta' : 'content',
+    ...slide,
+  }));
+}
+
+// parseReplies — reply-header tolerant.
+//
+// Splits the AI response into reply options on a `REPLY` header with the same
+// numbering, bracket and delimiter tolerance as parseCarousel. The label after
+// the header names the reply's intent (THANK, EXTEND, PUSH BACK and their
+// common spellings); an unrecognized or missing label falls back to the intent
+// expected at that position. Text after a ':' in the label (`REPLY 1 — THANK:
+// Thanks so much…`) is the start of the reply itself. Empty replies are
+// dropped and at most one reply per intent is kept, in the order the model
+// returned them.
+export const REPLY_INTENTS = ['thank', 'extend', 'pushback'];
+
+function replyIntent(label, index) {
+  const key = label.toLowerCase().replace(/[^a-z]/g, '');
+  if (key.startsWith('thank')) return 'thank';
+  if (key.startsWith('extend') || key.startsWith('discuss')) return 'extend';
+  if (key.startsWith('push') || key.startsWith('disagree') || key.startsWith('challenge')) return 'pushback';
+  return REPLY_INTENTS[index] || null;
+}
+
+export function parseReplies(text) {
+  if (typeof text !== 'string') return [];
+
+  const parts = text.split(/^[ \t]*REPLY\b[ \t]*[\[\({]?[ \t]*\d+[ \t]*[\]\)}]?[ \t]*(?:[\u2014\u2013:\-][ \t]*)?([^\n]*)$/im);
+  const replies = [];
+  // parts: [preamble, label1, block1, label2, block2, ...]
+  for (let i = 1; i < parts.length; i += 2) {
+    const colon = parts[i].indexOf(':');
+    const label = colon === -1 ? parts[i] : parts[i].slice(0, colon);
+    const inline = colon === -1 ? '' : parts[i].slice(colon + 1).trim();
+    const intent = replyIntent(label, (i - 1) / 2);
+    const reply = [inline, parts[i + 1].trim()].filter(Boolean).join('\n');
+    if (!reply || !intent || replies.some((r) => r.intent === intent)) continue;
+    replies.push({ intent, text: reply });
+  }
+  return replies;
+}
+
 // splitMeta — marker split with full-text fallback.
 //
 // Splits `text` at the LAST occurrence of `marker` (e.g. `CHANGE MADE:` or
@@ -256,14 +1193,26 @@ export function splitMeta(text, marker) {
 //       topics → { topics }          voice  → { voiceProfile }
 //       hooks  → { hooks }           post   → { post }
 //       refine → { post, changeMade } regenerate → { post, newAngle }
+//       carousel → { slides }         reply  → { replies }
+//       repurpose → { format, ...the format's fields }
 //
 // What this layer ADDS around that capability:
-//   - a quota pre-check (HTTP 429 with NO AI call when the allowance is reached),
-//   - a best-effort generation-event log (a logging failure never breaks the
-//     already-completed response),
+//   - a quota reservation (HTTP 429 with NO AI call when the allowance is
+//     reached), committed when the generation succeeds and released otherwise,
+//   - a best-effort generation-event log recording provider, model, tokens,
+//     latency, success/failure and the prompt version used (a logging failure
+//     never breaks the already-completed response),
+//   - per-user prompt versions: the builder a type maps to resolves to the
+//     version the user's A/B experiment arm selects (services/experiments.js),
+//   - per-user brand guidelines passed to every builder (services/brand.js),
 //   - optional persistence of a `post` result when the client asks for it
 //     (`body.save`), performed as a side effect that never alters the preserved
-//     response shape.
+//     response shape,
+//   - an optional streaming mode: when the caller passes `onDelta`, the AI call
+//     goes through the streaming dispatcher and every text delta is forwarded as
+//     it arrives. The pipeline is otherwise identical — the final result is
+//     parsed into the same shape, and the event log and `body.save` still run
+//     exactly once, only after the stream has completed successfully.
 
 // Input sanitiser — identical to server.js: coerce non-strings to '', cap length,
 // and trim. Applied to every field before it reaches a prompt builder so prompt
@@ -294,63 +1243,177 @@ const DEFAULT_PROMPTS = {
   buildFullPostPrompt,
   buildRefinementPrompt,
   buildRegenerationPrompt,
+  buildCarouselPrompt,
+  buildReplyPrompt,
+  buildRepurposePrompt,
 };
 
-// Per-type specification: the required fields (validated in order, before any AI
-// call), the tier mapped to the type, the prompt builder invocation, and the
-// type's tolerant parser → preserved response shape. This single table is the
-// source of truth for dispatch mapping (type → builder + tier), so there is no
-// way for the builder and tier to drift apart.
+// The prompt registry: the builders above as version 'v1', the alternative
+// versions from prompts.js, and the A/B experiments from PROMPT_EXPERIMENTS.
+// Shared with server.js, which records experiment arms on posts it creates.
+export const promptRegistry = createPromptRegistry({
+  builders: DEFAULT_PROMPTS,
+  versions: PROMPT_VERSIONS,
+  experiments: PROMPT_EXPERIMENTS,
+});
+
+// Carousel length: `slides` on a carousel request, cover and CTA included.
+export const CAROUSEL_SLIDES = { min: 5, max: 12, default: 8 };
+
+function carouselSlideCount(value) {
+  if (value === undefined || value === null || value === '') return CAROUSEL_SLIDES.default;
+  const count = Number(value);
+  if (!Number.isInteger(count) || count < CAROUSEL_SLIDES.min || count > CAROUSEL_SLIDES.max) {
+    throw new Error(`slides must be a whole number from ${CAROUSEL_SLIDES.min} to ${CAROUSEL_SLIDES.max}.`);
+  }
+  return count;
+}
+
+/**
+ * Check the parts of a generation request that need no stored data: a known
+ * type, its required fields, in declaration order (the first missing field is
+ * named), then the type's own `check` (e.g. a carousel's slide count or the
+ * source post of a reply). A field is "missing" when falsy, matching the
+ * original handler's `!field` checks. Lets a caller reject a request before
+ * queueing it.
+ *
+ * @param {string} type generation type
+ * @param {object} [body] request body
+ * @returns {{ status: 400, body: { error: string } } | null} the 400 outcome, or null when valid
+ */
+export function checkGenerationRequest(type, body = {}) {
+  if (!type) {
+    return { status: 400, body: { error: 'Missing type field.' } };
+  }
+  const spec = TYPE_SPECS[type];
+  if (!spec) {
+    return { status: 400, body: { error: `Unknown type: ${type}` } };
+  }
+  for (const field of spec.required) {
+    if (!body[field]) {
+      return { status: 400, body: { error: `${field} required.` } };
+    }
+  }
+  if (typeof spec.check === 'function') {
+    try {
+      spec.check(body);
+    } catch (checkErr) {
+      return { status: 400, body: { error: checkErr.message } };
+    }
+  }
+  return null;
+}
+
+// Outcome of a request whose `signal` was aborted (a cancelled job, a
+// streaming client that disconnected).
+const GENERATION_CANCELLED = { status: 409, body: { error: 'Generation cancelled.' } };
+
+// The source post a `reply` or `repurpose` request names: a positive integer
+// `postId`, or null when the client sends the post text as `currentPost`
+// instead. Throws a 400 error when neither is usable.
+function checkSourcePost(b) {
+  if (b.postId === undefined || b.postId === null || b.postId === '') {
+    if (!b.currentPost) throw Object.assign(new Error('currentPost or postId required.'), { status: 400 });
+    return null;
+  }
+  const postId = Number(b.postId);
+  if (!Number.isInteger(postId) || postId <= 0) {
+    throw Object.assign(new Error('Invalid postId.'), { status: 400 });
+  }
+  return postId;
+}
+
+// The saved post a `reply` or `repurpose` request works from. With `postId` the
+// owned Post_Record is loaded (404 when it is missing or another User's);
+// without it null is returned and the request's `currentPost` is used.
+async function loadSourcePost(b, { persistence, userId }) {
+  const postId = checkSourcePost(b);
+  if (postId === null) return null;
+  if (!persistence || typeof persistence.getPost !== 'function' || userId == null) {
+    throw Object.assign(new Error('Saved posts are unavailable.'), { status: 503 });
+  }
+  return persistence.getPost(userId, postId);
+}
+
+// Per-type specification: the required fields (validated in order, before any
+// AI call), the tier mapped to the type, the prompt builder invocation (every
+// builder also receives the user's brand guidelines last), and the type's
+// tolerant parser → preserved response shape. A type whose inputs come partly
+// from stored data declares an async `resolve` step that returns the extra
+// fields (merged into the body before the build; a thrown `{status}` error
+// becomes that HTTP outcome). A type with inputs beyond its required fields
+// declares a synchronous `check` that throws on a bad value (a 400, before
+// anything is loaded or queued). Types that support structured output also
+// declare the `output` schema descriptor and a `normalize` step mapping a
+// schema-valid reply onto the same shape (null when it has no usable items).
+// This single table is the source of truth for dispatch mapping
+// (type → builder + tier), so there is no way for the builder and tier to drift
+// apart.
 const TYPE_SPECS = {
   topics: {
     tier: 'fast',
     required: ['niche'],
-    build: (b, p) => p.buildTopicSuggestionsPrompt(sanitise(b.niche, 200)),
-    parse: (raw) => {
-      const topics = parseTopics(raw);
+    build: (b, p, brand) => p.buildTopicSuggestionsPrompt(sanitise(b.niche, 200), brand),
+    // `detail: 'full'` opts into the full analysis (scores, arrays, every
+    // field); the default shape stays { triggerType, premise, whyItWorks }.
+    parse: (raw, b) => {
+      const topics = b.detail === 'full' ? parseTopicAnalysis(raw) : parseTopics(raw);
       if (!topics.length) throw new ParseFailureError('Could not parse topics from AI response');
       return { topics };
     },
+    output: TOPICS_OUTPUT,
+    normalize: (value, b) => {
+      const topics = normalizeTopics(value, { detail: b.detail });
+      return topics && { topics };
+    },
   },
   voice: {
     tier: 'quality',
     required: ['writingSample'],
-    build: (b, p) => p.buildVoiceAnalysisPrompt(sanitise(b.writingSample, 10000)),
+    build: (b, p, brand) => p.buildVoiceAnalysisPrompt(sanitise(b.writingSample, 10000), brand),
     parse: (raw) => ({ voiceProfile: raw.trim() }),
   },
   hooks: {
     tier: 'fast',
     required: ['niche', 'topic'],
-    build: (b, p) => p.buildHookGeneratorPrompt(
+    build: (b, p, brand) => p.buildHookGeneratorPrompt(
       sanitise(b.niche, 200),
       sanitise(b.topic, 500),
       sanitise(b.voiceProfile || '', 5000),
       sanitise(b.extra || '', 500),
+      brand,
     ),
     parse: (raw) => {
       const hooks = parseHooks(raw);
       if (!hooks.length) throw new ParseFailureError('Could not parse hooks from AI response');
       return { hooks };
     },
+    output: HOOKS_OUTPUT,
+    normalize: (value) => {
+      const hooks = normalizeHooks(value);
+      return hooks && { hooks };
+    },
   },
   post: {
     tier: 'quality',
     required: ['niche', 'topic', 'chosenHook'],
-    build: (b, p) => p.buildFullPostPrompt(
+    build: (b, p, brand) => p.buildFullPostPrompt(
       sanitise(b.niche, 200),
       sanitise(b.topic, 500),
       sanitise(b.chosenHook, 1000),
       sanitise(b.voiceProfile || '', 5000),
+      brand,
     ),
     parse: (raw) => ({ post: raw.trim() }),
   },
   refine: {
     tier: 'quality',
     required: ['currentPost', 'instruction'],
-    build: (b, p) => p.buildRefinementPrompt(
+    build: (b, p, brand) => p.buildRefinementPrompt(
       sanitise(b.currentPost, 5000),
       sanitise(b.instruction, 500),
       sanitise(b.voiceProfile || '', 5000),
+      brand,
     ),
     parse: (raw) => {
       const { post, meta } = splitMeta(raw, 'CHANGE MADE:');
@@ -360,17 +1423,92 @@ const TYPE_SPECS = {
   regenerate: {
     tier: 'quality',
     required: ['currentPost', 'niche', 'topic'],
-    build: (b, p) => p.buildRegenerationPrompt(
+    build: (b, p, brand) => p.buildRegenerationPrompt(
       sanitise(b.currentPost, 5000),
       sanitise(b.niche, 200),
       sanitise(b.topic, 500),
       sanitise(b.voiceProfile || '', 5000),
+      brand,
     ),
     parse: (raw) => {
       const { post, meta } = splitMeta(raw, 'NEW ANGLE USED:');
       return { post, newAngle: meta };
     },
   },
+  carousel: {
+    tier: 'quality',
+    required: ['niche', 'topic', 'chosenHook'],
+    build: (b, p, brand) => p.buildCarouselPrompt(
+      sanitise(b.niche, 200),
+      sanitise(b.topic, 500),
+      sanitise(b.chosenHook, 1000),
+      sanitise(b.voiceProfile || '', 5000),
+      carouselSlideCount(b.slides),
+      brand,
+    ),
+    check: (b) => { carouselSlideCount(b.slides); },
+    parse: (raw) => {
+      const slides = parseCarousel(raw);
+      if (!slides.length) throw new ParseFailureError('Could not parse carousel slides from AI response');
+      return { slides };
+    },
+  },
+  reply: {
+    tier: 'fast',
+    required: ['comment'],
+    // The post being replied to is the saved Post_Record named by `postId`
+    // (which also files the replies in that post's history) or, for a post
+    // that was never saved, the text in `currentPost`.
+    check: checkSourcePost,
+    resolve: async (b, deps) => {
+      const post = await loadSourcePost(b, deps);
+      return post ? { postId: post.id, currentPost: post.content } : {};
+    },
+    build: (b, p, brand) => p.buildReplyPrompt(
+      sanitise(b.currentPost, 5000),
+      sanitise(b.comment, 2000),
+      sanitise(b.voiceProfile || '', 5000),
+      sanitise(b.commenter || '', 100),
+      brand,
+    ),
+    parse: (raw) => {
+      const replies = parseReplies(raw);
+      if (!replies.length) throw new ParseFailureError('Could not parse replies from AI response');
+      return { replies };
+    },
+  },
+  repurpose: {
+    tier: 'quality',
+    required: ['format'],
+    // `format` names the target (see REPURPOSE_FORMATS); the source post comes
+    // from `postId` or `currentPost` as for replies. A result that breaks the
+    // target's length rules is a parse failure, like an unparseable one.
+    check: (b) => {
+      if (!REPURPOSE_FORMATS[b.format]) {
+        throw new Error(`format must be one of ${Object.keys(REPURPOSE_FORMATS).join(', ')}.`);
+      }
+      checkSourcePost(b);
+    },
+    resolve: async (b, deps) => {
+      const post = await loadSourcePost(b, deps);
+      return post ? { postId: post.id, currentPost: post.content, niche: post.niche, topic: post.topic } : {};
+    },
+    genTypeHint: (b) => `repurpose:${b.format}`,
+    build: (b, p, brand) => p.buildRepurposePrompt(
+      sanitise(b.currentPost, 20000),
+      b.format,
+      sanitise(b.voiceProfile || '', 5000),
+      brand,
+    ),
+    parse: (raw, b) => {
+      const target = REPURPOSE_FORMATS[b.format];
+      const fields = target.parse(raw);
+      if (!fields) throw new ParseFailureError(`Could not parse ${target.label} from AI response`);
+      const problems = target.validate(fields);
+      if (problems.length) throw new ParseFailureError(`AI ${target.label} failed length checks: ${problems.join('; ')}`);
+      return { format: b.format, ...fields };
+    },
+  },
 };
 
 // The tier mapped to each generation type, derived from TYPE_SPECS so it cannot
@@ -382,6 +1520,94 @@ export const TIER_MAP = Object.fromEntries(
 // The set of valid generation types, in declaration order.
 export const GENERATION_TYPES = Object.keys(TYPE_SPECS);
 
+// Run a type's tolerant parser, returning the error instead of throwing.
+function tryParse(spec, raw, body) {
+  try {
+    return { payload: spec.parse(raw, body), error: null };
+  } catch (error) {
+    return { payload: null, error };
+  }
+}
+
+// Fold the trace of a follow-up AI call into the request's trace: the event is
+// attributed to the provider that produced the final text, and token usage and
+// attempts cover both calls.
+function mergeTrace(trace, next) {
+  const sum = (a, b) => (a == null && b == null ? null : (a || 0) + (b || 0));
+  Object.assign(trace, {
+    provider: next.provider ?? trace.provider,
+    model: next.model ?? trace.model,
+    fallback: trace.fallback === true || next.fallback === true,
+    attempts: (trace.attempts || 0) + (next.attempts || 0),
+    inputTokens: sum(trace.inputTokens, next.inputTokens),
+    outputTokens: sum(trace.outputTokens, next.outputTokens),
+  });
+}
+
+// ─── Post Variants ────────────────────────────────────────────────────────────
+// `variants: N` on a `post` request generates N drafts for the same hook, one AI
+// call per draft, each steered by a different angle appended to the post
+// prompt. Angles are assigned in this order, so variant i always uses the same
+// angle and each draft is tagged with the angle it was asked for.
+export const POST_VARIANT_ANGLES = [
+  { angle: 'story',      label: 'Personal story',
+    instruction: 'Open on one specific moment or scene and let the lesson emerge from it.' },
+  { angle: 'contrarian', label: 'Contrarian take',
+    instruction: 'State the common belief early, then argue against it with one clear reason.' },
+  { angle: 'framework',  label: 'Framework',
+    instruction: 'Build the body as a short numbered framework the reader can reuse.' },
+  { angle: 'data',       label: 'Data-led',
+    instruction: 'Anchor the post on one concrete number or observation and explain what it means.' },
+  { angle: 'question',   label: 'Question-led',
+    instruction: 'Build the post around one sharp question and answer it step by step.' },
+];
+
+function variantPrompt(prompt, { label, instruction }) {
+  return `${prompt}\n\nVARIANT ANGLE — ${label}: ${instruction} Keep the chosen hook as the opening line. Output only the post.`;
+}
+
+// Generate `count` post variants concurrently. Variants whose AI call fails or
+// returns nothing are dropped; `error` is the first failure, for when none
+// succeeded. The returned trace covers every call (see mergeTrace), attributed
+// to the provider of the first successful variant.
+async function runVariants(callAIFn, prompt, tier, count, genType, { signal } = {}) {
+  const angles = POST_VARIANT_ANGLES.slice(0, count);
+  const settled = await Promise.allSettled(angles.map(async (angle) => {
+    const trace = { genType };
+    try {
+      const raw = await callAIFn(variantPrompt(prompt, angle), tier, trace, { signal });
+      return { angle, trace, raw };
+    } catch (error) {
+      return { angle, trace, error };
+    }
+  }));
+
+  const trace = { genType };
+  const variants = [];
+  let error = null;
+  let servedBy = null;
+  for (const { value } of settled) {
+    mergeTrace(trace, value.trace);
+    const post = value.raw?.trim();
+    if (post) {
+      variants.push({ angle: value.angle.angle, label: value.angle.label, post });
+      servedBy = servedBy || value.trace;
+    } else {
+      error = error || value.error || new Error('Empty AI response');
+    }
+  }
+  if (servedBy) Object.assign(trace, { provider: servedBy.provider, model: servedBy.model });
+  return { variants, trace, error };
+}
+
+// Map a dispatcher failure onto the response, as the original handler did.
+function aiFailure(err) {
+  if ((err?.status || 500) === 429) {
+    return { status: 429, body: { error: 'AI rate limit reached. Try again in a moment.' } };
+  }
+  return { status: 500, body: { error: 'AI generation failed. Please try again.' } };
+}
+
 /**
  * Create the Generation_Service orchestrator.
  *
@@ -392,79 +1618,175 @@ export const GENERATION_TYPES = Object.keys(TYPE_SPECS);
  * post persistence.
  *
  * @param {object} [deps]
- * @param {(prompt: string, tier: string) => Promise<string>} [deps.callAI]
- *        AI dispatcher (defaults to the environment-bound `callAI`).
- * @param {{ enforce: (userId: number, plan: any) => Promise<{ exceeded: boolean, used?: number, allowance?: number, period?: string }> }} [deps.quota]
- *        Quota_Service; when provided, `enforce` is called before any AI call.
- * @param {{ appendGenerationEvent: Function, upsertPost: Function }} [deps.persistence]
- *        Persistence_Service for best-effort event logging and optional post save.
+ * @param {(prompt: string, tier: string, trace?: object, options?: { schema?: object }) => Promise<string>} [deps.callAI]
+ *        AI dispatcher (defaults to the environment-bound `callAI`). When it
+ *        fills the `trace` object, the provider/model/token usage are logged.
+ * @param {(prompt: string, tier: string, onDelta: (text: string) => void, trace?: object, options?: { signal?: AbortSignal }) => Promise<string>} [deps.streamAI]
+ *        streaming AI dispatcher used when `generate` is given `onDelta`
+ *        (defaults to the environment-bound `streamAI`). When null, streaming
+ *        requests fall back to `callAI` and emit the full text as one delta.
+ * @param {{ reserve: (userId: number, plan: any) => Promise<{ exceeded: boolean, used?: number, allowance?: number, period?: string }>,
+ *           commit: (userId: number, period: string) => Promise<void>,
+ *           release: (userId: number, period: string, options?: { credit?: boolean }) => Promise<void> }} [deps.quota]
+ *        Quota_Service; when provided, a metered request `reserve`s a post
+ *        before any AI call and `commit`s or `release`s it with the outcome,
+ *        and its optional `getMaxVariants`/`canRemoveBranding` plan lookups are used.
+ * @param {{ checkGenType: Function, checkVariants: Function, tierFor: Function }} [deps.entitlements]
+ *        the plan catalog (services/plans.js). When provided, each request is
+ *        checked against the Plan's entitlements (402/403 with an upgrade hint)
+ *        and its AI tier follows the Plan; without it every type is allowed.
+ * @param {{ appendGenerationEvent: Function, upsertPost: Function, getPost?: Function, saveReplies?: Function, getBrandGuidelines?: Function }} [deps.persistence]
+ *        Persistence_Service for best-effort event logging, optional post save,
+ *        the source posts of `reply`/`repurpose` requests, reply history,
+ *        repurposed derivatives and the user's brand guidelines.
  * @param {Record<string, Function>} [deps.prompts] prompt-builder map (defaults to the real builders).
- * @returns {{ generate: (type: string, body?: object, user?: object) => Promise<{ status: number, body: object }> }}
+ * @param {ReturnType<typeof createPromptRegistry>} [deps.promptRegistry] prompt
+ *        versions and experiments (defaults to `promptRegistry` for the real
+ *        builders; a registry with only `prompts`, as version 'v1', otherwise).
+ * @param {boolean} [deps.structuredOutput] default for structured-output mode
+ *        (defaults to AI_STRUCTURED_OUTPUT).
+ * @returns {{ generate: (type: string, body?: object, user?: object, options?: { onDelta?: (text: string) => void, signal?: AbortSignal }) => Promise<{ status: number, body: object }> }}
  */
 export function createGenerationService({
   callAI: callAIDep = callAI,
+  streamAI: streamAIDep = streamAI,
   quota = null,
+  entitlements = null,
   persistence = null,
   prompts = DEFAULT_PROMPTS,
+  promptRegistry: registryDep = null,
+  structuredOutput = AI_STRUCTURED_OUTPUT,
 } = {}) {
+  const registry = registryDep ||
+    (prompts === DEFAULT_PROMPTS ? promptRegistry : createPromptRegistry({ builders: prompts }));
+
+  // The brand guidelines a user's prompts are built with: their saved set, or
+  // the defaults when none is saved or it cannot be loaded (a failed lookup
+  // never fails the generation). Without a Quota_Service every user is treated
+  // as Free, so the #RoftX branding stays on.
+  async function loadBrand(userId, plan) {
+    let saved = null;
+    if (persistence && typeof persistence.getBrandGuidelines === 'function' && userId != null) {
+      try {
+        saved = await persistence.getBrandGuidelines(userId);
+      } catch (brandErr) {
+        console.error('brand guidelines lookup failed (non-fatal):', brandErr?.message || brandErr);
+      }
+    }
+    const brandingRemovable = typeof quota?.canRemoveBranding === 'function'
+      ? quota.canRemoveBranding(plan)
+      : PLANS.free.brandingRemovable;
+    return brandForPrompt(saved, { brandingRemovable });
+  }
+
   /**
    * Run the full generation pipeline for one request.
    *
    * Returns a structured `{ status, body }` HTTP outcome. The fixed order of the
    * checks owned by this layer is:
    *   1. field validation  → 400 naming the missing field, NO AI call (Property 5)
-   *   2. quota pre-check    → 429, NO AI call when allowance reached (Property 16)
+   *      plan entitlements → 402/403 when the Plan does not include the type
+   *   2. quota reservation  → 429, NO AI call when allowance reached (Property 16)
    *   3. AI dispatch        → callAI(prompt, tier) (Property 3)
    *   4. parse by type      → 500 parse-failure for structured types (Property 9)
    *   5. persist/log        → best-effort event log + optional post save
    * and on success the body is exactly the preserved shape for the type (Property 6).
    *
+   * In structured-output mode (topics and hooks only) step 3 requests JSON for
+   * the type's schema and step 4 validates it, falling back to the tolerant
+   * parsers when it does not match; the body then also carries `parsePath`
+   * ('schema' or 'tolerant'). Structured replies are not streamed: a streaming
+   * client receives the result in the final event only.
+   *
+   * A `post` request with `variants: N` (bounded by the Plan's maxVariants)
+   * instead runs N angle-steered generations and returns `{ variants }`; the
+   * batch is quota-checked and logged as one post.
+   *
+   * A Plan without the quality tier has its quality-tier types served on the
+   * fast tier instead of being refused.
+   *
    * @param {string} type generation type
    * @param {object} [body] request body (client-supplied fields)
    * @param {object} [user] authenticated user resolved from the verified token
    *                        ({ userId, googleId, email, plan }); ownership/plan are
    *                        taken from here, never from `body`.
+   * @param {{ onDelta?: (text: string) => void, quotaReserved?: boolean, signal?: AbortSignal }} [options]
+   *        pass `onDelta` to stream the AI output; it receives each text delta
+   *        as it arrives. `quotaReserved` skips the quota reservation for a
+   *        request that already holds one (a queued job, see services/jobs.js;
+   *        the job settles it). Once `signal` is aborted (a cancelled job, a
+   *        streaming client that disconnected) the provider request in flight
+   *        is aborted and the request stops before the next step: a reply that
+   *        arrives afterwards is logged as unsuccessful (so it never counts
+   *        toward the allowance) and not saved.
    */
-  async function generate(type, body = {}, user = {}) {
-    // ── Type resolution ──────────────────────────────────────────────────────
-    if (!type) {
-      return { status: 400, body: { error: 'Missing type field.' } };
-    }
+  async function generate(type, body = {}, user = {}, { onDelta, quotaReserved = false, signal } = {}) {
+    // ── Type resolution + 1. field validation (NO AI call, NO partial result) ─
+    const invalid = checkGenerationRequest(type, body);
+    if (invalid) return invalid;
     const spec = TYPE_SPECS[type];
-    if (!spec) {
-      return { status: 400, body: { error: `Unknown type: ${type}` } };
+
+    // Ownership/plan come from the verified token only (never from the body).
+    const userId = user?.userId ?? user?.id ?? null;
+    const plan = user?.plan;
+    if (entitlements) {
+      const refused = entitlements.checkGenType(plan, type);
+      if (refused) return refused;
     }
+    const tier = entitlements ? entitlements.tierFor(plan, spec.tier) : spec.tier;
 
-    // ── 1. Field validation (NO AI call, NO partial result) ───────────────────
-    // Validate required fields in declaration order; the first missing field is
-    // named in the 400 response. A field is "missing" when falsy (matching the
-    // original handler's `!field` checks).
-    for (const field of spec.required) {
-      if (!body[field]) {
-        return { status: 400, body: { error: `${field} required.` } };
+    // Load stored inputs (e.g. the saved post a reply answers), owner-scoped.
+    if (typeof spec.resolve === 'function') {
+      try {
+        body = { ...body, ...(await spec.resolve(body, { persistence, userId })) };
+      } catch (resolveErr) {
+        return { status: resolveErr.status || 500, body: { error: resolveErr.message } };
       }
     }
 
-    // Build the prompt from sanitised inputs. A builder throwing is treated as a
-    // 400 (bad input) — still before any AI call.
+    // Build the prompt from sanitised inputs and the user's brand guidelines,
+    // with the user's version of the builder (see services/experiments.js). A
+    // builder throwing is treated as a 400 (bad input) — still before any AI call.
+    const brand = await loadBrand(userId, plan);
+    const versioned = registry.forUser(userId);
     let prompt;
     try {
-      prompt = spec.build(body, prompts);
+      prompt = spec.build(body, versioned.prompts, brand);
     } catch (buildErr) {
       return { status: 400, body: { error: buildErr.message } };
     }
 
-    // Ownership/plan come from the verified token only (never from the body).
-    const userId = user?.userId ?? user?.id ?? null;
-    const plan = user?.plan;
+    // Post variants: `variants` must be a whole number within the Plan's bound.
+    // Without a Quota_Service every user is treated as Free.
+    let variantCount = null;
+    if (type === 'post' && body.variants !== undefined && body.variants !== null) {
+      const maxVariants = typeof quota?.getMaxVariants === 'function'
+        ? quota.getMaxVariants(plan)
+        : PLANS.free.maxVariants;
+      const count = Number(body.variants);
+      if (entitlements && Number.isInteger(count) && count > maxVariants) {
+        return entitlements.checkVariants(plan, count);
+      }
+      if (!Number.isInteger(count) || count < 1 || count > maxVariants) {
+        return {
+          status: 400,
+          body: { error: `variants must be a whole number from 1 to ${maxVariants} on your plan.`, maxVariants },
+        };
+      }
+      variantCount = count;
+    }
 
-    // ── 2. Quota pre-check (NO AI call when exceeded) ─────────────────────────
-    // Only POST CREATION (`type === 'post'`) is metered against the allowance.
-    // Topics, voice, hooks, refine, and regenerate are never quota-blocked, so a
-    // user at their post limit can still explore topics/hooks and refine or
-    // regenerate existing posts. Regeneration explicitly does NOT consume a post.
-    if (type === 'post' && quota && typeof quota.enforce === 'function') {
-      const verdict = await quota.enforce(userId, plan);
+    // ── 2. Quota reservation (NO AI call when exceeded) ───────────────────────
+    // Only POST CREATION (`post` and `carousel`, see METERED_GEN_TYPES) is
+    // metered against the allowance. Topics, voice, hooks, refine, regenerate,
+    // reply and repurpose are never quota-blocked, so a user at their post
+    // limit can still explore topics/hooks, rework existing posts and answer
+    // comments. Regeneration and repurposing explicitly do NOT consume a post.
+    // The reserved post is settled together with the event log (see logEvent).
+    let reservedPeriod = null;
+    let reservedCredit = false;
+    if (METERED_GEN_TYPES.includes(type) && !quotaReserved && quota && typeof quota.reserve === 'function') {
+      const verdict = await quota.reserve(userId, plan);
       if (verdict?.exceeded) {
         return {
           status: 429,
@@ -476,79 +1798,322 @@ export function createGenerationService({
           },
         };
       }
+      reservedPeriod = verdict?.period ?? null;
+      reservedCredit = verdict?.credit === true;
     }
 
-    // ── 3. AI dispatch ────────────────────────────────────────────────────────
-    let raw;
-    try {
-      raw = await callAIDep(prompt, spec.tier);
-    } catch (err) {
-      const status = err?.status || 500;
-      if (status === 429) {
-        return { status: 429, body: { error: 'AI rate limit reached. Try again in a moment.' } };
+    // Settle the reservation, if this request holds one: a successful
+    // generation uses the post, anything else gives it back (and refunds the
+    // credit that paid for it). Like the event log it never breaks the
+    // response; reconciliation repairs a lost counter update.
+    async function settleQuota(success) {
+      if (reservedPeriod === null) return;
+      const period = reservedPeriod;
+      reservedPeriod = null;
+      try {
+        await (success
+          ? quota.commit(userId, period)
+          : quota.release(userId, period, { credit: reservedCredit }));
+      } catch (quotaErr) {
+        console.error('quota settlement failed (non-fatal):', quotaErr?.message || quotaErr);
       }
-      return { status: 500, body: { error: 'AI generation failed. Please try again.' } };
-    }
-    if (!raw) {
-      return { status: 500, body: { error: 'AI generation failed. Please try again.' } };
     }
 
-    // ── 4. Parse by type (structured types signal a 500 on no items) ──────────
-    let payload;
-    try {
-      payload = spec.parse(raw);
-    } catch (parseErr) {
-      const status = parseErr?.status || 500;
-      return { status, body: { error: parseErr.message || 'Could not parse AI response' } };
-    }
-
-    // ── 5. Persist / log (post-success side effects; never alter the response) ─
-    // Best-effort generation-event log. appendGenerationEvent already swallows
-    // its own failures, but we additionally guard here so logging can never break
-    // the already-completed response (Requirement 8.4).
-    if (persistence && typeof persistence.appendGenerationEvent === 'function' && userId != null) {
+    // Best-effort generation-event log. Every generation that reached the AI
+    // call is recorded exactly once — successful or not — with the provider and
+    // model that actually served it (after any fallback), the token usage the
+    // provider reported, and the end-to-end latency including retries. Only
+    // successful events count toward the allowance (see getUsage).
+    // appendGenerationEvent already swallows its own failures, but we
+    // additionally guard here so logging can never break the response
+    // (Requirement 8.4).
+    const genTypeHint = typeof spec.genTypeHint === 'function' ? spec.genTypeHint(body) : type;
+    const trace = { genType: genTypeHint };
+    const startedAt = Date.now();
+    async function logEvent(success) {
+      await settleQuota(success);
+      if (!persistence || typeof persistence.appendGenerationEvent !== 'function' || userId == null) return;
       try {
-        await persistence.appendGenerationEvent(userId, type, new Date());
+        await persistence.appendGenerationEvent(userId, type, new Date(), {
+          provider: trace.provider ?? null,
+          model: trace.model ?? null,
+          fallback: trace.fallback === true,
+          inputTokens: trace.inputTokens ?? null,
+          outputTokens: trace.outputTokens ?? null,
+          latencyMs: Date.now() - startedAt,
+          success,
+          promptVersion: versioned.chosen()?.version ?? null,
+          promptExperiment: versioned.chosen()?.experiment ?? null,
+        });
       } catch (logErr) {
         console.error('appendGenerationEvent failed (non-fatal):', logErr?.message || logErr);
       }
     }
 
     // Optional post persistence when the client requests it. This is a side
-    // effect only — the returned body stays exactly `{ post }` (Property 6), so a
-    // persistence failure is logged but never changes the response.
-    if (
-      type === 'post' &&
-      body.save &&
-      persistence &&
-      typeof persistence.upsertPost === 'function' &&
-      userId != null
-    ) {
+    // effect only — it never changes the response, so a persistence failure is
+    // logged and swallowed.
+    async function savePost(content, extra = {}) {
+      if (!body.save || !persistence || typeof persistence.upsertPost !== 'function' || userId == null) return;
       try {
         await persistence.upsertPost(userId, {
           niche: sanitise(body.niche, 200),
           topic: sanitise(body.topic, 500),
           chosenHook: sanitise(body.chosenHook, 1000),
-          content: payload.post,
+          content,
           status: 'draft',
+          experiments: registry.assignments(userId),
+          ...extra,
         });
       } catch (persistErr) {
         console.error('post persistence failed (non-fatal):', persistErr?.message || persistErr);
       }
     }
 
+    // Reply history: replies generated for a saved post are filed under it.
+    // Like savePost this is a side effect that never changes the response.
+    async function saveReplies(replies) {
+      if (!body.postId || !persistence || typeof persistence.saveReplies !== 'function' || userId == null) return;
+      try {
+        await persistence.saveReplies(userId, body.postId, {
+          comment: sanitise(body.comment, 2000),
+          commenter: sanitise(body.commenter || '', 100) || null,
+          replies,
+        });
+      } catch (persistErr) {
+        console.error('reply persistence failed (non-fatal):', persistErr?.message || persistErr);
+      }
+    }
+
+    // Repurposed versions of a saved post are stored as its derivatives: posts
+    // of the target format linked through `sourcePostId`.
+    async function saveDerivative(payload) {
+      if (!body.postId || !persistence || typeof persistence.upsertPost !== 'function' || userId == null) return;
+      try {
+        await persistence.upsertPost(userId, {
+          niche: body.niche,
+          topic: body.topic,
+          content: REPURPOSE_FORMATS[payload.format].text(payload),
+          contentType: payload.format,
+          sourcePostId: body.postId,
+          experiments: registry.assignments(userId),
+          status: 'draft',
+        });
+      } catch (persistErr) {
+        console.error('derivative persistence failed (non-fatal):', persistErr?.message || persistErr);
+      }
+    }
+
+    if (signal?.aborted) {
+      await settleQuota(false);
+      return GENERATION_CANCELLED;
+    }
+
+    // ── 3. AI dispatch: variant batch (post only; never streamed) ─────────────
+    // The batch already passed the quota check as one post and is logged as one
+    // event. The body is `{ variants: [{ angle, label, post }] }` with the drafts
+    // that succeeded, in angle order. With `save`, the variant chosen by
+    // `chosenVariant` (its 1-based position or its angle; default the first) is
+    // persisted.
+    if (variantCount) {
+      const batch = await runVariants(callAIDep, prompt, tier, variantCount, type, { signal });
+      Object.assign(trace, batch.trace);
+      if (signal?.aborted) {
+        await logEvent(false);
+        return GENERATION_CANCELLED;
+      }
+      if (!batch.variants.length) {
+        await logEvent(false);
+        return aiFailure(batch.error);
+      }
+      await logEvent(true);
+
+      const choice = body.chosenVariant ?? 1;
+      const chosen = batch.variants.find((v) => v.angle === choice) || batch.variants[Number(choice) - 1];
+      if (chosen) await savePost(chosen.post);
+      return { status: 200, body: { variants: batch.variants } };
+    }
+
+    // ── 3. AI dispatch: single generation ─────────────────────────────────────
+    const structured = Boolean(spec.output) &&
+      (typeof body.structured === 'boolean' ? body.structured : structuredOutput === true);
+    let raw;
+    try {
+      if (structured) {
+        raw = await callAIDep(prompt + structuredInstruction(spec.output), tier, trace, {
+          schema: spec.output, signal,
+        });
+      } else if (typeof onDelta !== 'function') {
+        raw = await callAIDep(prompt, tier, trace, { signal });
+      } else if (typeof streamAIDep === 'function') {
+        raw = await streamAIDep(prompt, tier, onDelta, trace, { signal });
+      } else {
+        raw = await callAIDep(prompt, tier, trace, { signal });
+        if (raw) onDelta(raw);
+      }
+    } catch (err) {
+      await logEvent(false);
+      return signal?.aborted ? GENERATION_CANCELLED : aiFailure(err);
+    }
+    if (!raw) {
+      await logEvent(false);
+      return { status: 500, body: { error: 'AI generation failed. Please try again.' } };
+    }
+
+    // ── 4. Parse by type (structured types signal a 500 on no items) ──────────
+    // A schema-valid structured reply is used as is. Anything else falls back to
+    // the tolerant parsers: first on the reply itself (some servers ignore the
+    // schema and answer in the labelled format), then on a fresh plain-text
+    // generation.
+    let payload = null;
+    let parsePath = 'tolerant';
+    let parseErr = null;
+    if (structured) {
+      const result = parseStructuredOutput(raw, spec.output);
+      payload = result.ok ? spec.normalize(result.value, body) : null;
+      if (payload) {
+        parsePath = 'schema';
+      } else {
+        const reason = result.ok ? 'no usable items' : result.errors.slice(0, 3).join('; ');
+        console.warn(`⚠️  Structured ${type} output rejected (${reason}), falling back to the text parsers`);
+      }
+    }
+    if (!payload) ({ payload, error: parseErr } = tryParse(spec, raw, body));
+    if (!payload && structured) {
+      const retryTrace = { genType: genTypeHint };
+      try {
+        raw = await callAIDep(prompt, tier, retryTrace, { signal });
+      } catch (err) {
+        mergeTrace(trace, retryTrace);
+        await logEvent(false);
+        return signal?.aborted ? GENERATION_CANCELLED : aiFailure(err);
+      }
+      mergeTrace(trace, retryTrace);
+      ({ payload, error: parseErr } = tryParse(spec, raw || '', body));
+    }
+    if (signal?.aborted) {
+      await logEvent(false);
+      return GENERATION_CANCELLED;
+    }
+    if (!payload) {
+      await logEvent(false);
+      const status = parseErr?.status || 500;
+      return { status, body: { error: parseErr?.message || 'Could not parse AI response' } };
+    }
+    if (structured) payload = { ...payload, parsePath };
+
+    // ── 5. Persist / log (post-success side effects; never alter the response) ─
+    await logEvent(true);
+
+    // The returned body stays exactly `{ post }` (Property 6) whether or not
+    // the save succeeds. Carousels are saved with their slides and a plain-text
+    // rendering as the content.
+    if (type === 'post') await savePost(payload.post);
+    if (type === 'carousel') {
+      await savePost(carouselText(payload.slides), { contentType: 'carousel', slides: payload.slides });
+    }
+    if (type === 'reply') await saveReplies(payload.replies);
+    if (type === 'repurpose') await saveDerivative(payload);
+
     return { status: 200, body: payload };
   }
 
   return { generate };
 }
 
+// ─── Server-Sent Events Transport ─────────────────────────────────────────────
+//
+// Streaming is opt-in per request, via either `Accept: text/event-stream` or a
+// `stream: true` body field. The wire protocol is:
+//
+//     event: delta   data: { "text": "<token delta>" }      (zero or more)
+//     event: done    data: <the preserved response shape>   (exactly once)
+//   or
+//     event: error   data: { "status": <n>, "error": "..." }
+//
+// Outcomes decided BEFORE the first delta (400 validation, 429 quota) are sent
+// as the ordinary JSON response with their real status code, because nothing has
+// been committed to the wire yet. Once the event stream is open the HTTP status
+// is already 200, so a later failure is reported as an `error` event instead.
+
+/**
+ * Whether the client asked for the streamed variant of `/api/generate`.
+ *
+ * @param {import('express').Request} req
+ * @returns {boolean}
+ */
+export function wantsEventStream(req) {
+  if (req.body?.stream === true) return true;
+  const accept = req.headers?.accept;
+  return typeof accept === 'string' && accept.includes('text/event-stream');
+}
+
+/**
+ * Run one generation and write it to `res` as Server-Sent Events. A client
+ * that disconnects before the stream ends aborts the `signal` handed to `run`,
+ * which cancels the provider request rather than letting it run (and use
+ * tokens) for nobody; nothing more is written.
+ *
+ * @param {import('express').Response} res
+ * @param {(onDelta: (text: string) => void, signal: AbortSignal) => Promise<{ status: number, body: object }>} run
+ *        invokes the Generation_Service with the supplied `onDelta` and `signal`.
+ * @returns {Promise<void>}
+ */
+export async function sendGenerationStream(res, run) {
+  let opened = false;
+  const controller = new AbortController();
+  const onClose = () => {
+    if (!res.writableEnded) controller.abort();
+  };
+  res.on('close', onClose);
+
+  function send(event, data) {
+    if (controller.signal.aborted) return;
+    if (!opened) {
+      opened = true;
+      res.status(200);
+      res.set({
+        'Content-Type': 'text/event-stream; charset=utf-8',
+        'Cache-Control': 'no-cache, no-transform',
+        'Connection': 'keep-alive',
+        // Stop reverse proxies (nginx, Render) from buffering the stream.
+        'X-Accel-Buffering': 'no',
+      });
+      res.flushHeaders();
+    }
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  }
+
+  let outcome;
+  try {
+    outcome = await run((text) => send('delta', { text }), controller.signal);
+  } catch (err) {
+    console.error('❌ /api/generate unexpected error:', err?.message || err);
+    outcome = { status: 500, body: { error: 'AI generation failed. Please try again.' } };
+  } finally {
+    res.off('close', onClose);
+  }
+
+  if (controller.signal.aborted) return;
+  const { status, body } = outcome;
+  if (status === 200) {
+    send('done', body);
+  } else if (opened) {
+    send('error', { status, ...body });
+  } else {
+    res.status(status).json(body);
+    return;
+  }
+  res.end();
+}
+
 /**
  * Express adapter for the Generation_Service. Returns a route handler that reads
  * the authenticated user from `req.user` (populated by `authenticateToken`),
  * runs the orchestration, and writes the structured `{ status, body }` outcome
- * to the response. Provided for task 9.2 route mounting; this module performs no
- * mounting itself.
+ * to the response — or streams it as Server-Sent Events when the client asked
+ * for that (see `wantsEventStream`). Provided for task 9.2 route mounting; this
+ * module performs no mounting itself.
  *
  * @param {Parameters<typeof createGenerationService>[0]} [deps]
  * @returns {(req: import('express').Request, res: import('express').Response) => Promise<void>}
@@ -557,6 +2122,10 @@ export function createGenerateHandler(deps = {}) {
   const { generate } = createGenerationService(deps);
   return async function generateHandler(req, res) {
     const body = req.body || {};
+    if (wantsEventStream(req)) {
+      return sendGenerationStream(res, (onDelta, signal) =>
+        generate(body.type, body, req.user || {}, { onDelta, signal }));
+    }
     try {
       const { status, body: payload } = await generate(body.type, body, req.user || {});
       res.status(status).json(payload);
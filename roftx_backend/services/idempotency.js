@@ -0,0 +1,141 @@
+// services/idempotency.js — Idempotency-Key handling for /api/generate
+//
+// Flaky connections make clients retry `POST /api/generate`, and every retry of
+// a post would otherwise run (and meter) another generation. A client that
+// sends an `Idempotency-Key` header gets at-most-once semantics per key:
+//
+//   • first request     -> runs normally; its final `{ status, body }` is stored
+//   • same key and body -> the stored response is replayed (no provider call,
+//                          no new generation event), marked `Idempotent-Replayed`
+//   • same key, other body -> 409
+//   • same key while the first request still runs -> 409 (retry later)
+//
+// Keys are scoped to the owning user and kept for IDEMPOTENCY_WINDOW_MS (see
+// config.js). Outcomes a retry should not be stuck with — 5xx failures (nothing
+// is metered for them), 429 quota refusals, 402/403 plan refusals (an upgrade
+// should let the same request through) and 409 cancellations (a streaming
+// client that disconnected) — are not stored: the key is released so the next
+// retry runs again.
+
+import crypto from 'crypto';
+import { IDEMPOTENCY_WINDOW_MS } from '../config.js';
+
+export const IDEMPOTENCY_HEADER = 'Idempotency-Key';
+export const REPLAYED_HEADER = 'Idempotent-Replayed';
+
+// Printable ASCII without spaces, as for most providers' idempotency keys.
+const KEY_PATTERN = /^[\x21-\x7e]{1,255}$/;
+
+// A request still pending after this long is treated as abandoned (the server
+// stopped while it ran) and its key can be claimed again.
+const DEFAULT_PENDING_TIMEOUT_MS = 10 * 60 * 1000;
+
+// JSON with object keys sorted at every level, so the fingerprint does not
+// depend on the client's key order.
+function canonicalJson(value) {
+  if (Array.isArray(value)) return `[${value.map(canonicalJson).join(',')}]`;
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort()
+      .filter((key) => value[key] !== undefined)
+      .map((key) => `${JSON.stringify(key)}:${canonicalJson(value[key])}`)
+      .join(',')}}`;
+  }
+  return JSON.stringify(value ?? null);
+}
+
+/**
+ * Fingerprint of a generation request: a SHA-256 over its canonical JSON.
+ *
+ * @param {object} request the request body plus anything else that changes the
+ *        response (e.g. job mode)
+ * @returns {string} 64 hex characters
+ */
+export function requestFingerprint(request) {
+  return crypto.createHash('sha256').update(canonicalJson(request), 'utf8').digest('hex');
+}
+
+/**
+ * Whether a header value is a usable idempotency key.
+ * @param {unknown} key
+ * @returns {boolean}
+ */
+export function isValidIdempotencyKey(key) {
+  return typeof key === 'string' && KEY_PATTERN.test(key);
+}
+
+/**
+ * Create the idempotency service.
+ *
+ * @param {object} deps
+ * @param {{ claimIdempotencyKey: Function, completeIdempotencyKey: Function, releaseIdempotencyKey: Function }} deps.persistence
+ * @param {number} [deps.windowMs] how long a key replays its response
+ * @param {number} [deps.pendingTimeoutMs] when a pending key counts as abandoned
+ */
+export function createIdempotencyService({
+  persistence,
+  windowMs = IDEMPOTENCY_WINDOW_MS,
+  pendingTimeoutMs = DEFAULT_PENDING_TIMEOUT_MS,
+} = {}) {
+  if (!persistence || typeof persistence.claimIdempotencyKey !== 'function') {
+    throw new Error('createIdempotencyService requires a persistence service exposing claimIdempotencyKey()');
+  }
+
+  /**
+   * Start a request under `key`. Returns `{ proceed: true }` when the caller
+   * should run the request (and then call `finish`), or `{ proceed: false,
+   * response, replayed }` with the response to send instead: the stored one
+   * (`replayed: true`) or a 409.
+   *
+   * @param {number} userId owning User (from the verified Session_Token)
+   * @param {string} key the validated Idempotency-Key
+   * @param {object} request what the fingerprint covers
+   * @returns {Promise<{ proceed: true } | { proceed: false, replayed: boolean, response: { status: number, body: object } }>}
+   */
+  async function begin(userId, key, request) {
+    const fingerprint = requestFingerprint(request);
+    const existing = await persistence.claimIdempotencyKey(userId, key, { fingerprint, windowMs, pendingTimeoutMs });
+    if (existing.claimed) return { proceed: true };
+
+    if (existing.fingerprint !== fingerprint) {
+      return {
+        proceed: false,
+        replayed: false,
+        response: { status: 409, body: { error: `${IDEMPOTENCY_HEADER} was already used for a different request.` } },
+      };
+    }
+    if (existing.status !== 'completed') {
+      return {
+        proceed: false,
+        replayed: false,
+        response: { status: 409, body: { error: `A request with this ${IDEMPOTENCY_HEADER} is still in progress.` } },
+      };
+    }
+    return { proceed: false, replayed: true, response: existing.response };
+  }
+
+  /**
+   * Record the outcome of a request started with `begin`: stored for replay,
+   * or the key released when the outcome is a 402, 403, 409, 429 or 5xx.
+   * Never throws — the response has already been decided.
+   *
+   * @param {number} userId
+   * @param {string} key
+   * @param {{ status: number, body: object }} response
+   * @returns {Promise<void>}
+   */
+  async function finish(userId, key, response) {
+    try {
+      if ([402, 403, 409, 429].includes(response.status) || response.status >= 500) {
+        await persistence.releaseIdempotencyKey(userId, key);
+      } else {
+        await persistence.completeIdempotencyKey(userId, key, response);
+      }
+    } catch (err) {
+      console.error('idempotency key update failed (non-fatal):', err?.message || err);
+    }
+  }
+
+  return { begin, finish };
+}
+
+export default createIdempotencyService;
@@ -3,10 +3,45 @@
 // This directory will hold the service modules described in the design's
 // Module Layout:
 //   - quota.js      -> Quota_Service: period resolution, usage count,
-//                      allowance lookup, enforcement
+//                      allowance lookup, atomic reserve/commit/release
+//                      metering, prepaid credits past the allowance and
+//                      counter reconciliation
 //   - generation.js -> Generation_Service: dispatcher, tolerant parsers,
 //                      typed /api/generate orchestration
 //   - billing.js    -> optional Billing_Service (gated by BILLING_ENABLED)
+//   - usage.js      -> Usage_Service: generation cost/usage reporting
+//   - mock.js       -> offline AI providers: deterministic mock and
+//                      record/replay fixtures (AI_MOCK_MODE)
+//   - structured.js -> JSON schemas, validation and normalization for the
+//                      structured-output mode (topics, hooks)
+//   - carousel.js   -> carousel slide rendering: plain text, HTML deck, PDF
+//   - repurpose.js  -> repurposing target formats: parsers, length rules and
+//                      plain-text renderings (X thread, newsletter, Instagram,
+//                      short video script)
+//   - lint.js       -> deterministic post linter and quality report (no AI)
+//   - experiments.js -> prompt-builder versions and deterministic per-user
+//                       A/B experiment assignment
+//   - brand.js      -> per-user brand guidelines: validation and the prompt
+//                      input every builder receives
+//   - jobs.js       -> job-mode /api/generate: Postgres-backed queue worker,
+//                      cancellation and quota reservations
+//   - idempotency.js -> Idempotency-Key handling for /api/generate: request
+//                       fingerprints and stored-response replay
+//   - downgrades.js -> applies the scheduled plan downgrades of cancelled
+//                      subscriptions at the end of the paid period
+//   - stripe.js     -> Stripe payment-provider adapter: Checkout sessions,
+//                      Stripe-Signature verification, event normalization
+//   - stripe-fake.js -> local Stripe stand-in and signed fixture events for
+//                       offline billing runs
+//   - webhooks.js   -> stored payment-provider webhook log: dedupe by event
+//                      id, processing outcomes and admin replay
+//   - plans.js      -> database-backed plan catalog: prices, entitlements
+//                      and the 402/403 entitlement checks with upgrade hints
+//   - promos.js     -> promo codes: time-limited plan trials, redemption
+//                      tracking and trial expiry via the downgrade scheduler
+//   - mailer.js     -> outgoing mail: console, file and SMTP transports
+//   - notifications.js -> usage-threshold and upcoming plan-change notices:
+//                         mailed once each and listed in the in-app feed
 //
 // Placeholder index so the directory exists in the repo. Real modules are
 // implemented in later tasks (see .kiro/specs/roftx-platform/tasks.md, task 5+).
@@ -0,0 +1,254 @@
+// services/jobs.js — asynchronous generation jobs
+//
+// Long generations (voice analysis of a 10,000-character sample, quality-tier
+// posts) can outlast the hosting proxy's request timeout. In job mode
+// `/api/generate` answers `202 { job }` at once and the request runs here, in
+// a background worker backed by the `generation_jobs` table:
+//
+//   queued ──▶ running ──▶ succeeded | failed
+//      └──────────┴──────▶ cancelled   (DELETE /api/jobs/:id)
+//
+// The worker runs the unchanged Generation_Service pipeline, so a job's result
+// is exactly the `{ status, body }` the synchronous request would have
+// returned. A job whose generation returns an error status is `failed`.
+//
+// Quota: a metered job (post creation, see METERED_GEN_TYPES) reserves one post
+// of the allowance when it is queued (Quota_Service `reserve`, 429 when none is
+// left) and holds it until the job ends: the statement that finishes a
+// succeeded job commits the post, and the ones that fail or cancel a job
+// release it (refunding the prepaid credit that paid for a post past the
+// allowance). The worker therefore skips the pipeline's own reservation.
+//
+// The queue lives in Postgres, so several instances can run workers: a job is
+// claimed by exactly one of them, cancellation reaches the instance running it
+// on its next poll, and jobs stranded by a restart are failed after
+// `maxRunningMs`.
+
+import { METERED_GEN_TYPES } from '../config.js';
+import { periodKey } from '../db/persistence.js';
+
+export const JOB_STATUSES = ['queued', 'running', 'succeeded', 'failed', 'cancelled'];
+
+// How often a worker looks for stale running jobs.
+const STALE_SWEEP_MS = 60 * 1000;
+
+// Request fields that select a transport, not the generation itself.
+const TRANSPORT_FIELDS = ['job', 'stream'];
+
+/**
+ * Whether the client asked for job mode on `/api/generate`: a `job: true` body
+ * field or a `Prefer: respond-async` header (RFC 7240).
+ *
+ * @param {import('express').Request} req
+ * @returns {boolean}
+ */
+export function wantsJob(req) {
+  if (req.body?.job === true) return true;
+  const prefer = req.headers?.prefer;
+  return typeof prefer === 'string' && /(?:^|[,;\s])respond-async(?:$|[,;\s])/i.test(prefer);
+}
+
+/**
+ * Create the job service.
+ *
+ * @param {object} deps
+ * @param {{ createJob: Function, getJob: Function, cancelJob: Function, claimNextJob: Function,
+ *   finishJob: Function, listCancelledJobs: Function, failStaleJobs: Function }} deps.persistence
+ * @param {(type: string, body: object, user: object, options?: object) => Promise<{ status: number, body: object }>} deps.generate
+ *        the Generation_Service `generate`
+ * @param {{ reserve: Function, release: Function } | null} [deps.quota]
+ *        Quota_Service; without one nothing is metered or reserved
+ * @param {(job: object, outcome: { status: number, body: object }) => unknown} [deps.onFinished]
+ *        called once a job has been finished and its reservation settled (e.g.
+ *        for usage notifications); its failures are logged, never thrown
+ * @param {() => boolean} [deps.isAvailable] whether the database can be used
+ *        (the worker idles while it cannot)
+ * @param {number} [deps.pollMs] how often the worker looks for work
+ * @param {number} [deps.concurrency] jobs one worker runs at a time
+ * @param {number} [deps.maxRunningMs] after this long a running job is failed
+ */
+export function createJobService({
+  persistence,
+  generate,
+  quota = null,
+  onFinished = null,
+  isAvailable = () => true,
+  pollMs = 1000,
+  concurrency = 2,
+  maxRunningMs = 10 * 60 * 1000,
+} = {}) {
+  if (!persistence || typeof persistence.claimNextJob !== 'function') {
+    throw new Error('createJobService requires a persistence service exposing the job queue');
+  }
+  if (typeof generate !== 'function') {
+    throw new Error('createJobService requires the Generation_Service generate()');
+  }
+
+  // Jobs this worker is running, by id, with the controller that cancels them.
+  const running = new Map();
+  let timer = null;
+  let ticking = false;
+  let lastSweep = 0;
+
+  /**
+   * Queue a generation for `userId`. The request must already have passed
+   * `checkGenerationRequest`. Returns the HTTP outcome: `202 { job }`, or the
+   * 429 the synchronous request would get when the allowance is used up.
+   *
+   * @param {number} userId owning User (from the verified Session_Token)
+   * @param {string} plan the User's Plan id
+   * @param {string} type generation type
+   * @param {object} body request body
+   * @returns {Promise<{ status: number, body: object }>}
+   */
+  async function enqueue(userId, plan, type, body) {
+    const metered = METERED_GEN_TYPES.includes(type) && quota && typeof quota.reserve === 'function';
+    let period = periodKey();
+    let credit = false;
+    if (metered) {
+      const verdict = await quota.reserve(userId, plan);
+      if (verdict?.exceeded) {
+        return {
+          status: 429,
+          body: {
+            error: 'Post limit reached for the current period.',
+            used: verdict.used,
+            allowance: verdict.allowance,
+            period: verdict.period,
+          },
+        };
+      }
+      period = verdict.period;
+      credit = verdict.credit === true;
+    }
+
+    const request = { ...body };
+    for (const field of TRANSPORT_FIELDS) delete request[field];
+    let job;
+    try {
+      job = await persistence.createJob(userId, {
+        genType: type,
+        request,
+        plan,
+        period,
+        reserveQuota: Boolean(metered),
+        reserveCredit: credit,
+      });
+    } catch (err) {
+      if (metered) {
+        await quota.release(userId, period, { credit }).catch((releaseErr) => {
+          console.error('quota release failed (non-fatal):', releaseErr?.message || releaseErr);
+        });
+      }
+      throw err;
+    }
+    setImmediate(tick);
+    return { status: 202, body: { job } };
+  }
+
+  /**
+   * A job owned by `userId` (NotFoundError → 404 otherwise).
+   * @param {number} userId
+   * @param {number} id
+   */
+  function get(userId, id) {
+    return persistence.getJob(userId, id);
+  }
+
+  /**
+   * Cancel a job owned by `userId`. A job running on this instance is stopped
+   * at once; one running elsewhere stops at that worker's next poll.
+   *
+   * @param {number} userId
+   * @param {number} id
+   * @returns {Promise<{ job: object, cancelled: boolean }>}
+   */
+  async function cancel(userId, id) {
+    const result = await persistence.cancelJob(userId, id);
+    if (result.cancelled) running.get(id)?.abort();
+    return result;
+  }
+
+  async function run(job) {
+    const controller = new AbortController();
+    running.set(job.id, controller);
+    let outcome;
+    try {
+      outcome = await generate(
+        job.type,
+        job.request,
+        { userId: job.userId, plan: job.plan },
+        { quotaReserved: true, signal: controller.signal },
+      );
+    } catch (err) {
+      console.error(`generation job ${job.id} failed:`, err?.message || err);
+      outcome = { status: 500, body: { error: 'AI generation failed. Please try again.' } };
+    } finally {
+      running.delete(job.id);
+    }
+    try {
+      await persistence.finishJob(job.id, {
+        status: outcome.status < 400 ? 'succeeded' : 'failed',
+        resultStatus: outcome.status,
+        result: outcome.body,
+      });
+    } catch (err) {
+      // The job stays running until failStaleJobs releases it.
+      console.error(`generation job ${job.id} could not be finished:`, err?.message || err);
+      return;
+    }
+    if (onFinished) {
+      try {
+        await onFinished(job, outcome);
+      } catch (err) {
+        console.error(`generation job ${job.id} follow-up failed:`, err?.message || err);
+      }
+    }
+  }
+
+  /**
+   * One worker pass: stop jobs cancelled elsewhere, fail stale jobs, and start
+   * queued jobs up to the concurrency limit. Never throws.
+   */
+  async function tick() {
+    if (ticking || !isAvailable()) return;
+    ticking = true;
+    try {
+      if (running.size) {
+        for (const id of await persistence.listCancelledJobs([...running.keys()])) {
+          running.get(id)?.abort();
+        }
+      }
+      if (Date.now() - lastSweep >= STALE_SWEEP_MS) {
+        lastSweep = Date.now();
+        await persistence.failStaleJobs(maxRunningMs);
+      }
+      while (running.size < concurrency) {
+        const job = await persistence.claimNextJob();
+        if (!job) break;
+        run(job);
+      }
+    } catch (err) {
+      console.error('generation job worker error:', err?.message || err);
+    } finally {
+      ticking = false;
+    }
+  }
+
+  /** Start polling for queued jobs. */
+  function start() {
+    if (timer) return;
+    timer = setInterval(tick, pollMs);
+    timer.unref?.();
+  }
+
+  /** Stop polling. Jobs already running finish on their own. */
+  function stop() {
+    if (timer) clearInterval(timer);
+    timer = null;
+  }
+
+  return { enqueue, get, cancel, tick, start, stop };
+}
+
+export default createJobService;
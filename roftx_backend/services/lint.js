@@ -0,0 +1,225 @@
+// services/lint.js — deterministic post linting and quality report
+//
+// An instant, free pre-publish check of a draft: pure JavaScript over the text,
+// no provider call, so it is never metered against the allowance. Exposed as
+// `POST /api/posts/lint` and summarised on every `finalize`.
+//
+// `lintPost(text)` measures the draft and lists its issues:
+//   • length     -> characters against LinkedIn's 3,000-character limit
+//   • preview    -> the ~210 characters shown before "see more"
+//   • rhythm     -> lines, paragraphs, sentence and paragraph length
+//   • hashtags   -> count (LinkedIn reach drops with more than a handful)
+//   • emoji      -> count and density per 100 words
+//   • readability-> Flesch-Kincaid grade level
+//   • cliches    -> banned corporate phrases (LINT_BANNED_PHRASES, see config.js)
+//   • absolutes  -> absolute claims the prompts tell the model to avoid
+// Each issue is `{ code, severity, message }`; only 'error' issues (a post that
+// cannot be published as is) make `ok` false.
+
+import { LINT_BANNED_PHRASES } from '../config.js';
+
+// ─── Rules ────────────────────────────────────────────────────────────────────
+
+export const LINKEDIN_MAX_CHARS = 3000;
+export const PREVIEW_CHARS = 210;
+// LinkedIn also cuts the preview after three lines, whichever comes first.
+const PREVIEW_LINES = 3;
+
+export const LINT_LIMITS = {
+  maxHashtags: 5,
+  maxEmojiPer100Words: 3,
+  maxWordsPerSentence: 25,
+  maxParagraphChars: 300,
+  maxGrade: 10,
+};
+
+// The language rules the prompt builders give the model.
+export const DEFAULT_BANNED_PHRASES = [
+  'leverage', 'synergy', 'ecosystem', 'disruptive', 'circle back', 'bandwidth',
+  'move the needle', 'game-changing', 'game changer', 'paradigm shift',
+  'low-hanging fruit', 'thought leader', 'deep dive', 'best-in-class',
+  "in today's fast-paced world", 'as a professional', "i'm excited to share",
+  "i'm thrilled to announce", 'humbled and honored',
+];
+
+export const ABSOLUTE_CLAIMS = [
+  'always', 'never', 'everyone', 'everybody', 'nobody', 'no one',
+  'guaranteed', 'guarantee', 'life-changing',
+];
+
+// ─── Measurements ─────────────────────────────────────────────────────────────
+
+const EMOJI = /\p{Extended_Pictographic}/gu;
+const HASHTAG = /(?<![\p{L}\p{N}_&])#[\p{L}\p{N}_]+/gu;
+
+const words = (text) => text.match(/[\p{L}\p{N}][\p{L}\p{N}'’-]*/gu) || [];
+
+function sentences(text) {
+  return text
+    .replace(HASHTAG, ' ')
+    .split(/(?<=[.!?…])\s+|\n+/)
+    .map((s) => s.trim())
+    .filter((s) => words(s).length > 0);
+}
+
+// Vowel-group syllable estimate with the usual silent-e and -le adjustments.
+function syllables(word) {
+  const w = word.toLowerCase().replace(/[^a-z]/g, '');
+  if (!w) return 0;
+  if (w.length <= 3) return 1;
+  const trimmed = w.replace(/(?:[^laeiouy]es|[^laeiouy]ed|[^leiouy]e)$/, '').replace(/^y/, '');
+  return Math.max(1, (trimmed.match(/[aeiouy]{1,2}/g) || []).length);
+}
+
+function escapeRegExp(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Whole-word, case-insensitive occurrences of each phrase, in text order.
+// Hashtags are not prose, so `#never` is not an absolute claim.
+function findPhrases(text, phrases) {
+  const found = [];
+  for (const phrase of phrases) {
+    const pattern = escapeRegExp(phrase.toLowerCase()).replace(/'/g, "['’]");
+    const re = new RegExp(`(?<![\\p{L}\\p{N}#])${pattern}(?![\\p{L}\\p{N}])`, 'giu');
+    for (const match of text.matchAll(re)) {
+      found.push({ phrase, match: match[0], index: match.index });
+    }
+  }
+  return found.sort((a, b) => a.index - b.index);
+}
+
+function previewOf(text) {
+  const byLines = text.split('\n').slice(0, PREVIEW_LINES).join('\n');
+  const chars = [...byLines];
+  if (chars.length <= PREVIEW_CHARS) return byLines;
+  return chars.slice(0, PREVIEW_CHARS).join('').replace(/\s+\S*$/, '');
+}
+
+const round1 = (n) => Math.round(n * 10) / 10;
+
+// ─── Report ───────────────────────────────────────────────────────────────────
+
+/**
+ * Lint a post draft.
+ *
+ * @param {string} text the post as it would be published
+ * @param {{ bannedPhrases?: string[] }} [options] overrides the configured
+ *        banned-phrase list
+ * @returns {{ ok: boolean, length: object, preview: object, rhythm: object,
+ *   hashtags: object, emoji: object, readability: object, cliches: object[],
+ *   absoluteClaims: object[], issues: Array<{ code: string, severity: string, message: string }> }}
+ */
+export function lintPost(text, { bannedPhrases = LINT_BANNED_PHRASES ?? DEFAULT_BANNED_PHRASES } = {}) {
+  const content = String(text ?? '').replace(/\r\n?/g, '\n').trim();
+  const issues = [];
+  const issue = (code, severity, message) => issues.push({ code, severity, message });
+
+  // Length
+  const chars = [...content].length;
+  const length = { chars, limit: LINKEDIN_MAX_CHARS, remaining: LINKEDIN_MAX_CHARS - chars };
+  if (chars === 0) issue('empty', 'error', 'The post is empty.');
+  if (chars > LINKEDIN_MAX_CHARS) {
+    issue('too_long', 'error', `The post is ${chars} characters; LinkedIn allows ${LINKEDIN_MAX_CHARS}.`);
+  }
+
+  // "See more" preview: the hook should finish before the cut.
+  const previewText = previewOf(content);
+  const truncated = previewText.length < content.length;
+  // sentences() drops hashtags, so compare against the preview without them.
+  const firstSentence = sentences(content)[0] || '';
+  const hookVisible = !truncated || previewText.replace(HASHTAG, ' ').includes(firstSentence);
+  const preview = { text: previewText, chars: [...previewText].length, truncated, hookVisible };
+  if (!hookVisible) {
+    issue('hook_cut', 'warning', 'The opening sentence is cut off by "see more"; shorten the hook.');
+  }
+
+  // Rhythm
+  const lines = content ? content.split('\n') : [];
+  const paragraphs = content ? content.split(/\n\s*\n/).map((p) => p.trim()).filter(Boolean) : [];
+  const allSentences = sentences(content);
+  const allWords = words(content.replace(HASHTAG, ' '));
+  const sentenceLengths = allSentences.map((s) => words(s).length);
+  const longestParagraph = Math.max(0, ...paragraphs.map((p) => [...p].length));
+  const rhythm = {
+    lines: lines.filter((l) => l.trim()).length,
+    paragraphs: paragraphs.length,
+    sentences: allSentences.length,
+    words: allWords.length,
+    avgWordsPerSentence: allSentences.length ? round1(allWords.length / allSentences.length) : 0,
+    longestSentenceWords: Math.max(0, ...sentenceLengths),
+    longestParagraphChars: longestParagraph,
+  };
+  if (paragraphs.length === 1 && chars > LINT_LIMITS.maxParagraphChars) {
+    issue('wall_of_text', 'warning', 'The post is a single block; break it into short paragraphs.');
+  } else if (longestParagraph > LINT_LIMITS.maxParagraphChars) {
+    issue('long_paragraph', 'warning', `A paragraph runs ${longestParagraph} characters; keep paragraphs to 1–3 short lines.`);
+  }
+  if (rhythm.avgWordsPerSentence > LINT_LIMITS.maxWordsPerSentence) {
+    issue('long_sentences', 'warning', `Sentences average ${rhythm.avgWordsPerSentence} words; aim for under ${LINT_LIMITS.maxWordsPerSentence}.`);
+  }
+
+  // Hashtags
+  const tags = content.match(HASHTAG) || [];
+  const hashtags = { count: tags.length, tags, max: LINT_LIMITS.maxHashtags };
+  if (tags.length > LINT_LIMITS.maxHashtags) {
+    issue('too_many_hashtags', 'warning', `${tags.length} hashtags; use at most ${LINT_LIMITS.maxHashtags}.`);
+  }
+
+  // Emoji
+  const emojiCount = (content.match(EMOJI) || []).length;
+  const perHundredWords = allWords.length ? round1((emojiCount / allWords.length) * 100) : 0;
+  const emoji = { count: emojiCount, perHundredWords, max: LINT_LIMITS.maxEmojiPer100Words };
+  if (perHundredWords > LINT_LIMITS.maxEmojiPer100Words) {
+    issue('emoji_density', 'warning', `${emojiCount} emoji (${perHundredWords} per 100 words); keep it to ${LINT_LIMITS.maxEmojiPer100Words} or fewer.`);
+  }
+
+  // Readability (Flesch-Kincaid grade level)
+  const syllableCount = allWords.reduce((sum, w) => sum + syllables(w), 0);
+  const grade = allWords.length && allSentences.length
+    ? round1(0.39 * (allWords.length / allSentences.length) + 11.8 * (syllableCount / allWords.length) - 15.59)
+    : 0;
+  const readability = { grade: Math.max(0, grade), max: LINT_LIMITS.maxGrade };
+  if (readability.grade > LINT_LIMITS.maxGrade) {
+    issue('hard_to_read', 'warning', `Reading grade ${readability.grade}; aim for grade ${LINT_LIMITS.maxGrade} or below.`);
+  }
+
+  // Language
+  const cliches = findPhrases(content, bannedPhrases);
+  for (const { match } of cliches) {
+    issue('cliche', 'warning', `Corporate cliché: "${match}".`);
+  }
+  const absoluteClaims = findPhrases(content, ABSOLUTE_CLAIMS);
+  for (const { match } of absoluteClaims) {
+    issue('absolute_claim', 'warning', `Absolute claim: "${match}".`);
+  }
+
+  return {
+    ok: !issues.some((i) => i.severity === 'error'),
+    length,
+    preview,
+    rhythm,
+    hashtags,
+    emoji,
+    readability,
+    cliches,
+    absoluteClaims,
+    issues,
+  };
+}
+
+/**
+ * The short form of a report attached to a finalized post.
+ *
+ * @param {ReturnType<typeof lintPost>} report
+ * @returns {{ ok: boolean, errors: number, warnings: number, chars: number, issues: string[] }}
+ */
+export function summarizeLint(report) {
+  return {
+    ok: report.ok,
+    errors: report.issues.filter((i) => i.severity === 'error').length,
+    warnings: report.issues.filter((i) => i.severity === 'warning').length,
+    chars: report.length.chars,
+    issues: report.issues.map((i) => i.message),
+  };
+}
@@ -0,0 +1,218 @@
+// services/mailer.js — outgoing mail
+//
+// A mailer is `{ transport, send({ to, subject, text }) }`; `send` resolves
+// once the message has been handed off and rejects when it could not be.
+// Three transports implement it:
+//   • console -> logs each message (the default, for development)
+//   • file    -> appends each message, as sent over SMTP, to a local file
+//   • smtp    -> delivers through an SMTP relay: implicit TLS or STARTTLS
+//                (used whenever the server offers it), AUTH PLAIN when a user
+//                is configured
+//
+// No mail library: the SMTP dialogue is small enough to speak directly over
+// `net`/`tls`, as services/stripe.js speaks Stripe's API over `fetch`.
+
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import net from 'net';
+import os from 'os';
+import tls from 'tls';
+
+export const MAIL_TRANSPORTS = ['console', 'file', 'smtp'];
+
+const SMTP_TIMEOUT_MS = 15 * 1000;
+
+// ─── Message Format ───────────────────────────────────────────────────────────
+
+// The bare address of `Name <address>` (or of a bare address).
+export function mailAddress(value) {
+  const match = /<([^<>\s]+)>\s*$/.exec(value);
+  return (match ? match[1] : String(value)).trim();
+}
+
+// RFC 2047 encoding for header text that is not plain ASCII.
+function encodeHeader(value) {
+  return /^[\x20-\x7e]*$/.test(value) ? value : `=?UTF-8?B?${Buffer.from(value, 'utf8').toString('base64')}?=`;
+}
+
+/**
+ * Build an RFC 5322 plain-text message. The body is base64-encoded, so it is
+ * safe for any relay and needs no dot-stuffing.
+ *
+ * @param {{ from: string, to: string, subject: string, text: string, date?: Date }} message
+ * @returns {string} the message, with CRLF line endings
+ */
+export function formatMessage({ from, to, subject, text, date = new Date() }) {
+  const domain = mailAddress(from).split('@')[1] || 'localhost';
+  const body = Buffer.from(String(text ?? ''), 'utf8').toString('base64').replace(/.{1,76}/g, '$&\r\n');
+  return [
+    `From: ${from}`,
+    `To: ${to}`,
+    `Subject: ${encodeHeader(String(subject ?? ''))}`,
+    `Date: ${date.toUTCString()}`,
+    `Message-ID: <${crypto.randomUUID()}@${domain}>`,
+    'MIME-Version: 1.0',
+    'Content-Type: text/plain; charset=utf-8',
+    'Content-Transfer-Encoding: base64',
+    '',
+    body,
+  ].join('\r\n');
+}
+
+// ─── Console & File Transports ────────────────────────────────────────────────
+
+function createConsoleTransport({ from }) {
+  return {
+    transport: 'console',
+    async send({ to, subject, text }) {
+      console.log(`✉️  Mail to ${to} (from ${from}): ${subject}\n${text}`);
+    },
+  };
+}
+
+function createFileTransport({ from, file }) {
+  return {
+    transport: 'file',
+    async send({ to, subject, text }) {
+      await fs.appendFile(file, `${formatMessage({ from, to, subject, text })}\r\n`, 'utf8');
+    },
+  };
+}
+
+// ─── SMTP Transport ───────────────────────────────────────────────────────────
+
+// Read SMTP replies off `socket`: `next()` resolves with the next complete
+// reply (`{ code, lines }`), joining the `250-...` continuation lines.
+function replyReader(socket) {
+  let buffer = '';
+  let lines = [];
+  const replies = [];
+  const waiting = [];
+  let failure = null;
+
+  const deliver = (reply) => (waiting.length ? waiting.shift().resolve(reply) : replies.push(reply));
+  const fail = (err) => {
+    failure = failure || err;
+    while (waiting.length) waiting.shift().reject(failure);
+  };
+
+  const onData = (chunk) => {
+    buffer += chunk.toString('utf8');
+    let newline;
+    while ((newline = buffer.indexOf('\n')) !== -1) {
+      const line = buffer.slice(0, newline).replace(/\r$/, '');
+      buffer = buffer.slice(newline + 1);
+      lines.push(line.slice(4));
+      if (line[3] !== '-') {
+        deliver({ code: Number(line.slice(0, 3)), lines });
+        lines = [];
+      }
+    }
+  };
+  const onError = (err) => fail(err);
+  const onClose = () => fail(new Error('SMTP connection closed unexpectedly'));
+  socket.on('data', onData);
+  socket.on('error', onError);
+  socket.on('close', onClose);
+
+  return {
+    next() {
+      if (replies.length) return Promise.resolve(replies.shift());
+      if (failure) return Promise.reject(failure);
+      return new Promise((resolve, reject) => waiting.push({ resolve, reject }));
+    },
+    detach() {
+      socket.off('data', onData);
+      socket.off('error', onError);
+      socket.off('close', onClose);
+    },
+  };
+}
+
+function connect({ host, port, secure, timeoutMs }) {
+  return new Promise((resolve, reject) => {
+    const socket = secure
+      ? tls.connect({ host, port, servername: host }, () => resolve(socket))
+      : net.connect({ host, port }, () => resolve(socket));
+    socket.setTimeout(timeoutMs, () => socket.destroy(new Error('SMTP connection timed out')));
+    socket.once('error', reject);
+  });
+}
+
+function upgradeToTls(socket, host) {
+  return new Promise((resolve, reject) => {
+    const secured = tls.connect({ socket, servername: host }, () => resolve(secured));
+    secured.once('error', reject);
+  });
+}
+
+function createSmtpTransport({ from, smtp }) {
+  const { host, port = 587, secure = false, user = '', pass = '', timeoutMs = SMTP_TIMEOUT_MS } = smtp;
+  const clientName = os.hostname() || 'localhost';
+
+  async function send({ to, subject, text }) {
+    let socket = await connect({ host, port, secure, timeoutMs });
+    let reader = replyReader(socket);
+
+    // Send `line` (when given) and expect one of the `expected` reply codes.
+    const command = async (line, expected) => {
+      if (line !== null) socket.write(`${line}\r\n`);
+      const reply = await reader.next();
+      if (!expected.includes(reply.code)) {
+        throw new Error(`SMTP ${line === null ? 'greeting' : line.split(' ')[0]} failed: ${reply.code} ${reply.lines.join(' ')}`);
+      }
+      return reply;
+    };
+
+    try {
+      await command(null, [220]);
+      let hello = await command(`EHLO ${clientName}`, [250]);
+      if (!secure && hello.lines.some((line) => /^STARTTLS\b/i.test(line))) {
+        await command('STARTTLS', [220]);
+        reader.detach();
+        socket = await upgradeToTls(socket, host);
+        socket.setTimeout(timeoutMs, () => socket.destroy(new Error('SMTP connection timed out')));
+        reader = replyReader(socket);
+        hello = await command(`EHLO ${clientName}`, [250]);
+      }
+      if (user) {
+        const credentials = Buffer.from(`\u0000${user}\u0000${pass}`, 'utf8').toString('base64');
+        await command(`AUTH PLAIN ${credentials}`, [235]);
+      }
+      await command(`MAIL FROM:<${mailAddress(from)}>`, [250]);
+      await command(`RCPT TO:<${mailAddress(to)}>`, [250, 251]);
+      await command('DATA', [354]);
+      await command(`${formatMessage({ from, to, subject, text })}\r\n.`, [250]);
+      await command('QUIT', [221]).catch(() => {});
+    } finally {
+      reader.detach();
+      socket.destroy();
+    }
+  }
+
+  return { transport: 'smtp', send };
+}
+
+// ─── Factory ──────────────────────────────────────────────────────────────────
+
+/**
+ * Create the mailer for a mail configuration (MAIL in config.js).
+ *
+ * @param {{ transport?: string, from: string, file?: string,
+ *   smtp?: { host: string, port?: number, secure?: boolean, user?: string, pass?: string, timeoutMs?: number } }} config
+ * @returns {{ transport: string, send: (message: { to: string, subject: string, text: string }) => Promise<void> }}
+ * @throws {Error} for an unknown transport, or 'smtp' without a host
+ */
+export function createMailer({ transport = 'console', from, file = 'mail.log', smtp = {} } = {}) {
+  if (!MAIL_TRANSPORTS.includes(transport)) {
+    throw new Error(`Unknown mail transport "${transport}". Use one of: ${MAIL_TRANSPORTS.join(', ')}.`);
+  }
+  if (transport === 'file') return createFileTransport({ from, file });
+  if (transport === 'smtp') {
+    if (!smtp.host) throw new Error('The smtp mail transport requires SMTP_HOST.');
+    return createSmtpTransport({ from, smtp });
+  }
+  return createConsoleTransport({ from });
+}
+
+export default createMailer;
@@ -0,0 +1,472 @@
+// services/mock.js — offline AI providers: deterministic mock + record/replay
+//
+// Lets the generator frontend and integration tests run against /api/generate
+// with no provider keys and no network. Selected with the AI_MOCK_MODE env var
+// (see services/generation.js, where these adapters are registered):
+//
+//   • mock   -> `createMockProvider()` answers every prompt with a canned,
+//               well-formed response for the generation type, so every parser
+//               succeeds and the same request always yields the same output.
+//   • record -> `withRecording(adapter, store)` wraps the real providers and
+//               saves each successful response to the fixture store.
+//   • replay -> `createReplayProvider(store)` answers from the fixture store
+//               and fails loudly when a prompt was never recorded.
+//
+// Fixtures are keyed by a SHA-256 hash of `tier + prompt`, so a fixture is
+// replayed only for the exact prompt (builder output) it was recorded from; a
+// change to a prompt builder shows up as a replay miss rather than stale text.
+//
+// All adapters follow the provider-adapter contract in services/generation.js.
+// They additionally read the optional `genType` hint the dispatcher passes
+// through, which the mock uses to pick the right canned response.
+
+import crypto from 'crypto';
+import { promises as fs } from 'fs';
+import path from 'path';
+
+// ─── Canned Responses ─────────────────────────────────────────────────────────
+// One fixed response per generation type, written in exactly the format the
+// real prompt builders ask for, so the tolerant parsers accept them unchanged.
+// Types with sub-formats have one response per `type:format` hint.
+
+function topicBlock(n, trigger, category, premise) {
+  return `CONVERSATION [${n}]
+Primary Trigger: ${trigger}
+Secondary Trigger: Curiosity
+Conversation Category: ${category}
+Primary Audience Pain: Teams ship work nobody asked for because the brief was never questioned.
+Core Belief Being Challenged: More planning produces better outcomes.
+Professional Tension: Speed vs Quality
+Conversation Premise: ${premise}
+Unique Perspective: Looks at the problem from the first week of a project, not the post-mortem.
+Why This Stops The Scroll: It names a moment every reader has lived through but never described out loud.
+Why Professionals Will Comment: Everyone has a story about the project that was doomed on day one.
+Why Professionals Will Save It: It ends in a three-question check they can reuse at the next kickoff.
+Potential Story Directions:
+- The kickoff meeting where nobody asked who the user was
+- The spreadsheet that outlived the project it was built for
+- The intern question that saved a quarter
+Potential Hook Directions: Contrarian / Curiosity / Story
+Recommended Emotional Arc: Beginning: recognition / Middle: discomfort / Ending: relief
+Suggested CTA Direction: Ask readers for their own day-one warning sign #RoftX
+Recommended Personal Brand Positioning: The operator who spots failure early
+Conversation Longevity: Timeless
+Estimated Originality: 8/10
+Estimated Discussion Potential: 9/10
+Estimated Save Potential: 7/10
+Estimated Share Potential: 7/10
+Confidence: High`;
+}
+
+const MOCK_POST = `Most project failures begin six weeks before anyone notices.
+
+The kickoff looked perfect. Clear owners, a tidy timeline, a confident demo date.
+Nobody asked who would actually use the thing.
+
+Here is the pattern worth watching for:
+
+1. The brief describes a solution, not a problem.
+2. Success is measured by shipping, not by use.
+3. The first user conversation is scheduled after launch.
+
+Before your next kickoff, write one sentence describing the user's problem without naming the product.
+
+Plans fail quietly long before they fail loudly.
+
+What was the earliest warning sign on a project you watched go sideways?
+
+#ProjectManagement #Leadership #RoftX`;
+
+export const MOCK_RESPONSES = {
+  topics: [
+    topicBlock(1, 'Recognition', 'Mistake Analysis',
+      'Most project failures begin six weeks before anyone notices, in the kickoff meeting everyone called productive.'),
+    topicBlock(2, 'Contradiction', 'Contrarian Opinion',
+      'The most reliable teams write fewer status updates, because their work is visible without them.'),
+    topicBlock(3, 'Fear of Falling Behind', 'Industry Shift',
+      'AI did not remove the junior workload; it moved it into reviewing output nobody fully understands.'),
+    topicBlock(4, 'Professional Pride', 'Hidden Framework',
+      'Senior people are not faster at answering questions; they are faster at noticing which ones not to answer.'),
+    topicBlock(5, 'Surprise', 'Behavioral Observation',
+      'The meeting that changes a decision is rarely the one on the calendar; it is the hallway five minutes later.'),
+  ].join('\n\n'),
+
+  voice: `VOICE BLUEPRINT
+
+VOICE FOUNDATION
+Professional Identity: Hands-on operator who explains systems through lived examples
+Thinking Identity: Pattern spotter
+Teaching Identity: Shows the mistake before the fix
+Authority Style: Earned through specifics, never titles
+Reader Relationship: Peer talking to peer
+Core Mission: Help people notice problems earlier
+
+COGNITIVE PROFILE
+Reasoning Style: Observation→Explanation→Lesson
+Decision Style: Experience
+Observation Style: Watches teams and handoffs
+Curiosity Style: Asks what happened before the failure
+Thinking Depth: Systems
+Mental Models: Second-order effects
+Worldview: Most problems are visible early to whoever is looking
+
+COMMUNICATION PROFILE
+Opening Style: Bold observation
+Transition Style: Short one-line pivots
+Sentence Rhythm: Short sentences with occasional one-liners
+Paragraph Rhythm: Two to three lines, then a single line
+Vocabulary: Plain, concrete
+Explanation Style: Numbered lists
+Storytelling Style: Single scene
+Compression Style: Concise
+Question Style: Closing direct question
+Analogy Style: Rarely used
+
+EMOTIONAL PROFILE
+Energy: Calm
+Confidence: Carefully nuanced
+Humility: Admits own misses
+Vulnerability: Moderate
+Curiosity: High
+Professional Tone: Direct
+Reader Transformation: From reacting late to noticing early
+
+CONTENT PROFILE
+Favorite Topics: Project delivery, team habits
+Preferred Angles: Early warning signs
+Story Preferences: Kickoffs and handoffs
+Evidence Preferences: Specific moments
+Framework Usage: Light, three-item lists
+Experience Usage: Frequent
+
+MANDATORY WRITING RULES
+• Open with an observation, never with "I"
+• Keep paragraphs under three lines
+• Use one numbered list at most
+• End with a specific question
+
+MANDATORY THINKING RULES
+• Look for the moment before the visible failure
+• Prefer one concrete scene over many examples
+
+NEVER DO
+• Motivational clichés
+• Corporate buzzwords
+
+VOICE LOCK
+Thinks like an operator replaying the tape of a project: notices the small, early decision that made the later failure inevitable, names it in plain words, and hands the reader one check they can run tomorrow.`,
+
+  hooks: `HOOK 1 — EXPECTATION FLIP
+The kickoff went perfectly. That was the first warning sign.
+Why this works: It reverses the reader's assumption that a smooth start predicts a smooth project.
+
+HOOK 2 — DATA
+Six weeks. That is how early most project failures become visible.
+Why this works: A specific number creates credibility and an open question about what happens in those weeks.
+
+HOOK 3 — INVISIBLE TRUTH
+The strongest project leads ask one question nobody else in the kickoff asks.
+Why this works: It triggers curiosity and professional pride by hinting at a learnable habit.`,
+
+  post: MOCK_POST,
+
+  refine: `${MOCK_POST}
+
+CHANGE MADE: Tightened the list items so each names a single, observable symptom.`,
+
+  regenerate: `Six weeks before launch, the project was already lost.
+
+Nobody could see it yet. The demo worked, the dates held, the updates were green.
+The problem was a question nobody asked in the first meeting.
+
+Most teams plan the work. The ones who deliver plan the user's problem first.
+They treat a missing answer to "who is this for?" as a blocker, not a detail.
+
+Tomorrow, ask your team to describe the user's problem in one sentence, no product names allowed.
+
+Green dashboards measure motion, not direction.
+
+Which question do you wish someone had asked at your last kickoff?
+
+#ProjectManagement #Leadership #RoftX
+
+NEW ANGLE USED: Opens inside the moment of hidden failure instead of stating the pattern, then uses a contrast structure in place of the numbered list.`,
+
+  carousel: `SLIDE 1 — COVER
+Title: Most project failures begin six weeks before anyone notices
+Body: Swipe for the three warning signs hiding in your next kickoff.
+Visual: Bold title on a dark background, a small calendar icon with week 1 circled.
+
+SLIDE 2 — CONTENT
+Title: The kickoff looked perfect
+Body: Clear owners, a tidy timeline, a confident demo date. Nobody asked who would actually use the thing.
+Visual: A clean project timeline with a single missing box labelled "user".
+
+SLIDE 3 — CONTENT
+Title: Sign 1: The brief describes a solution
+Body: When the brief names the product before the problem, the team builds the answer to a question nobody asked.
+Visual: Large numeral 1, the word "solution" struck through and replaced by "problem".
+
+SLIDE 4 — CONTENT
+Title: Sign 2: Success means shipping
+Body: If the goal is a launch date instead of a change in user behavior, the project can succeed and still fail.
+Visual: Large numeral 2, a checkmark next to "shipped" and a question mark next to "used".
+
+SLIDE 5 — CONTENT
+Title: Sign 3: Users arrive after launch
+Body: The first real user conversation is the cheapest one you will ever have. Most teams schedule it last.
+Visual: Large numeral 3, a speech bubble placed at the start of a timeline instead of the end.
+
+SLIDE 6 — CONTENT
+Title: Plans fail quietly before they fail loudly
+Body: Before your next kickoff, describe the user's problem in one sentence without naming the product.
+Visual: The quote centered in large type, nothing else on the slide.
+
+SLIDE 7 — CTA
+Title: What was your earliest warning sign?
+Body: Share it in the comments and save this for your next kickoff. #ProjectManagement #Leadership #RoftX
+Visual: Dark background, comment and save icons under the question.`,
+
+  reply: `REPLY 1 — THANK
+Thank you for naming the "solution-shaped brief" so precisely. That phrase is going straight into my next kickoff checklist.
+
+REPLY 2 — EXTEND
+The cheapest fix I have seen: ask the sponsor to describe a user's bad day before anyone opens the roadmap. What question opens that conversation on your team?
+
+REPLY 3 — PUSH BACK
+I agree the brief matters, but I would not blame it alone. Plenty of good briefs fail because nobody owns the user conversation after kickoff.`,
+
+  'repurpose:x_thread': `TWEET 1
+Most project failures begin six weeks before anyone notices. Here are the three warning signs hiding in your next kickoff.
+
+TWEET 2
+Sign 1: the brief describes a solution. When it names the product before the problem, the team builds an answer to a question nobody asked.
+
+TWEET 3
+Sign 2: success means shipping. If the goal is a launch date instead of a change in user behavior, the project can succeed and still fail.
+
+TWEET 4
+Sign 3: users arrive after launch. The first real user conversation is the cheapest one you will ever have. Most teams schedule it last.
+
+TWEET 5
+Before your next kickoff, describe the user's problem in one sentence without naming the product. What was your earliest warning sign? #RoftX`,
+
+  'repurpose:newsletter': `HEADLINE: The six weeks before a project fails
+BODY:
+Most project failures are decided long before the status report turns red. By the time a deadline slips, the real mistake is usually six weeks old.
+
+I have watched the same three signs show up at kickoff after kickoff. The brief describes a solution instead of a problem. Success is defined as shipping rather than as a change in what users do. And the first real conversation with a user is scheduled for after launch, when it is the most expensive conversation you can have.
+
+None of these feel like problems in the room. The timeline is tidy, the owners are clear and the demo date is confident. That is exactly why they survive.
+
+One small habit catches all three: before the kickoff, write the user's problem in one sentence without naming the product. If the team cannot agree on that sentence, you have found your first risk, and it cost you nothing to find.
+
+Try it on the project you are starting this week. Which of the three signs do you recognise?`,
+
+  'repurpose:instagram': `CAPTION:
+Most projects fail six weeks before anyone notices.
+
+The kickoff looks perfect. Clear owners. Tidy timeline. Confident demo date.
+
+But three quiet signs are already there:
+The brief names a solution, not a problem.
+Success means shipping, not changing what users do.
+Users only show up after launch.
+
+Before your next kickoff, describe the user's problem in one sentence without naming the product.
+
+Which sign have you seen most?
+HASHTAGS: #ProjectManagement #Leadership #ProductThinking #Teamwork #RoftX`,
+
+  'repurpose:video_script': `HOOK: Your project probably failed six weeks ago. You just haven't noticed yet.
+SCRIPT:
+Here's what I see at almost every kickoff.
+[Sign 1: the brief names a solution]
+The brief describes the product before anyone describes the problem.
+[Sign 2: success = shipping]
+The goal is a launch date, not a change in what users actually do.
+[Sign 3: users come last]
+And the first real user conversation happens after launch, when it's the most expensive one you'll ever have.
+Here's the fix: before kickoff, write the user's problem in one sentence, without naming the product.
+CTA: Which of these three have you seen? Tell me in the comments.`,
+};
+
+// Types without a canned response of their own (e.g. the legacy /api/gemini
+// path, which has no type) fall back to the post response.
+const DEFAULT_MOCK_TYPE = 'post';
+
+// Split text into word-sized deltas (keeping whitespace) for streaming.
+function toDeltas(text) {
+  return text.match(/\S+\s*/g) || [];
+}
+
+// A rough, deterministic token estimate (~4 characters per token) so mock and
+// replayed generations still carry plausible usage numbers.
+function estimateTokens(text) {
+  return Math.ceil(String(text || '').length / 4);
+}
+
+/**
+ * Create the deterministic mock provider. Always configured; it only serves
+ * requests when placed in the provider chain (AI_MOCK_MODE=mock does that).
+ *
+ * @param {object} [options]
+ * @param {Record<string, string>} [options.responses] canned response per type
+ *        (defaults to MOCK_RESPONSES)
+ */
+export function createMockProvider({ responses = MOCK_RESPONSES } = {}) {
+  function respond(prompt, genType, onUsage) {
+    const text = responses[genType] ?? responses[String(genType).split(':')[0]] ?? responses[DEFAULT_MOCK_TYPE];
+    if (typeof onUsage === 'function') {
+      onUsage({ inputTokens: estimateTokens(prompt), outputTokens: estimateTokens(text) });
+    }
+    return text.trim();
+  }
+
+  return {
+    id: 'mock',
+    label: 'Mock',
+    models: { fast: 'mock-fast', quality: 'mock-quality' },
+    configured: true,
+    async call(prompt, tier = 'fast', { onUsage, genType } = {}) {
+      return respond(prompt, genType, onUsage);
+    },
+    async stream(prompt, tier = 'fast', onDelta = () => {}, { onUsage, genType } = {}) {
+      const text = respond(prompt, genType, onUsage);
+      toDeltas(text).forEach((delta) => onDelta(delta));
+      return text;
+    },
+  };
+}
+
+// ─── Fixture Store ────────────────────────────────────────────────────────────
+
+/**
+ * The fixture key for a prompt: SHA-256 over the tier and the exact prompt text.
+ *
+ * @param {string} prompt
+ * @param {string} tier
+ * @returns {string} hex digest
+ */
+export function fixtureKey(prompt, tier) {
+  return crypto.createHash('sha256').update(`${tier}\n${prompt}`, 'utf8').digest('hex');
+}
+
+/**
+ * Create a fixture store backed by one JSON file per key in `dir`.
+ *
+ * @param {string} dir fixture directory (created on first save)
+ * @returns {{ dir: string, load: (key: string) => Promise<object | null>, save: (key: string, fixture: object) => Promise<void> }}
+ */
+export function createFixtureStore(dir) {
+  const fileFor = (key) => path.join(dir, `${key}.json`);
+
+  async function load(key) {
+    try {
+      return JSON.parse(await fs.readFile(fileFor(key), 'utf8'));
+    } catch (err) {
+      if (err.code === 'ENOENT') return null;
+      throw err;
+    }
+  }
+
+  async function save(key, fixture) {
+    await fs.mkdir(dir, { recursive: true });
+    await fs.writeFile(fileFor(key), `${JSON.stringify(fixture, null, 2)}\n`, 'utf8');
+  }
+
+  return { dir, load, save };
+}
+
+// ─── Record / Replay ──────────────────────────────────────────────────────────
+
+/**
+ * Wrap a real provider adapter so every successful response is written to the
+ * fixture store. The wrapped adapter behaves exactly like the original; a
+ * failure to write a fixture is logged and never fails the generation.
+ *
+ * @param {object} adapter a provider adapter
+ * @param {ReturnType<typeof createFixtureStore>} store
+ * @returns {object} the recording adapter (same id, label, models, configured)
+ */
+export function withRecording(adapter, store) {
+  async function record(prompt, tier, genType, text, usage) {
+    const key = fixtureKey(prompt, tier);
+    try {
+      await store.save(key, {
+        key,
+        tier,
+        genType: genType ?? null,
+        provider: adapter.id,
+        model: adapter.models?.[tier] || adapter.models?.fast || null,
+        recordedAt: new Date().toISOString(),
+        promptPreview: prompt.slice(0, 200),
+        usage,
+        text,
+      });
+    } catch (err) {
+      console.error(`⚠️  Could not record AI fixture ${key}:`, err.message);
+    }
+  }
+
+  return {
+    ...adapter,
+    async call(prompt, tier = 'fast', options = {}) {
+      let usage = null;
+      const text = await adapter.call(prompt, tier, {
+        ...options,
+        onUsage: (u) => { usage = u; options.onUsage?.(u); },
+      });
+      await record(prompt, tier, options.genType, text, usage);
+      return text;
+    },
+    async stream(prompt, tier = 'fast', onDelta = () => {}, options = {}) {
+      let usage = null;
+      const text = await adapter.stream(prompt, tier, onDelta, {
+        ...options,
+        onUsage: (u) => { usage = u; options.onUsage?.(u); },
+      });
+      await record(prompt, tier, options.genType, text, usage);
+      return text;
+    },
+  };
+}
+
+/**
+ * Create the replay provider, answering from recorded fixtures. A prompt with
+ * no fixture fails with status 404 and the missing key in the message, so the
+ * fixture can be recorded (AI_MOCK_MODE=record) and the run repeated.
+ *
+ * @param {ReturnType<typeof createFixtureStore>} store
+ */
+export function createReplayProvider(store) {
+  async function replay(prompt, tier, onUsage) {
+    const key = fixtureKey(prompt, tier);
+    const fixture = await store.load(key);
+    if (!fixture || typeof fixture.text !== 'string') {
+      throw Object.assign(
+        new Error(`No recorded AI fixture for this prompt (key ${key} in ${store.dir})`),
+        { status: 404, provider: 'replay' },
+      );
+    }
+    if (typeof onUsage === 'function') {
+      onUsage(fixture.usage || { inputTokens: estimateTokens(prompt), outputTokens: estimateTokens(fixture.text) });
+    }
+    return fixture.text;
+  }
+
+  return {
+    id: 'replay',
+    label: 'Replay',
+    models: { fast: 'replay', quality: 'replay' },
+    configured: true,
+    async call(prompt, tier = 'fast', { onUsage } = {}) {
+      return replay(prompt, tier, onUsage);
+    },
+    async stream(prompt, tier = 'fast', onDelta = () => {}, { onUsage } = {}) {
+      const text = await replay(prompt, tier, onUsage);
+      toDeltas(text).forEach((delta) => onDelta(delta));
+      return text;
+    },
+  };
+}
@@ -0,0 +1,194 @@
+// services/notifications.js — usage and plan-change notifications
+//
+// Warns Users before they hit a wall instead of at it:
+//   • quota       -> their metered posts crossed a threshold of the Plan
+//                    allowance (NOTIFY_QUOTA_THRESHOLDS, e.g. 80% and 100%);
+//                    checked after each post is counted (`checkQuota`)
+//   • plan-change -> a scheduled plan change (a cancelled subscription's
+//                    downgrade or the end of a trial) takes effect within
+//                    DOWNGRADE_NOTICE_MS; found by the periodic `tick`
+//
+// Each notification has a key naming what it is about (`quota:2026-10:80`,
+// `plan-change:free:2026-11-17T07:00:00.000Z`), and persistence records a key
+// at most once per User, so each threshold is notified at most once per period
+// and each scheduled change once. A notification is recorded first and then
+// mailed through the injected mailer (services/mailer.js); the outcome is kept
+// on the record, and every notification shows in the User's feed
+// (`GET /api/notifications`) whether or not the mail got through.
+
+import { DOWNGRADE_NOTICE_MS, NOTIFY_QUOTA_THRESHOLDS } from '../config.js';
+
+/**
+ * Create the notification service.
+ *
+ * @param {object} deps
+ * @param {{ recordNotification: Function, finishNotification: Function, listNotifications: Function,
+ *   markNotificationsRead: Function, listUpcomingPlanChanges: Function }} deps.persistence
+ * @param {{ send: (message: { to: string, subject: string, text: string }) => Promise<void> } | null} [deps.mailer]
+ *        without one notifications only reach the feed
+ * @param {{ report: (userId: number, plan: string) => Promise<{ used: number, allowance: number,
+ *   period: string, credits: number }> }} deps.quota the Quota_Service
+ * @param {{ get: (plan: string) => { name: string } }} [deps.catalog] the plan
+ *        catalog (services/plans.js), for plan names
+ * @param {number[]} [deps.thresholds] allowance percentages to notify at
+ * @param {number} [deps.noticeMs] how long before a plan change to notify
+ * @param {() => boolean} [deps.isAvailable] whether the database can be used
+ *        (`tick` idles while it cannot)
+ * @param {number} [deps.intervalMs] how often `start()` runs `tick`
+ */
+export function createNotificationService({
+  persistence,
+  mailer = null,
+  quota,
+  catalog = null,
+  thresholds = NOTIFY_QUOTA_THRESHOLDS,
+  noticeMs = DOWNGRADE_NOTICE_MS,
+  isAvailable = () => true,
+  intervalMs = 15 * 60 * 1000,
+} = {}) {
+  if (!persistence || typeof persistence.recordNotification !== 'function') {
+    throw new Error('createNotificationService requires a persistence service exposing recordNotification()');
+  }
+  if (!quota || typeof quota.report !== 'function') {
+    throw new Error('createNotificationService requires a Quota_Service exposing report()');
+  }
+
+  let timer = null;
+  let ticking = false;
+
+  const planName = (plan) => catalog?.get(plan)?.name || plan;
+
+  // checkQuota stops at the first threshold not crossed, so it needs them in
+  // ascending order whatever order they were injected in.
+  const ascending = [...thresholds].sort((a, b) => a - b);
+
+  /**
+   * Record a notification and mail it, unless one with the same key exists.
+   * A mail failure is recorded on the notification, not thrown.
+   *
+   * @param {number} userId
+   * @param {{ kind: string, key: string, subject: string, body: string, data?: object }} notification
+   * @returns {Promise<object | null>} the notification, or null when it had
+   *          already been sent
+   */
+  async function notify(userId, notification) {
+    const recorded = await persistence.recordNotification(userId, notification);
+    if (!recorded) return null;
+    const { notification: created, email } = recorded;
+    if (!mailer || !email) {
+      return persistence.finishNotification(created.id, { delivery: 'skipped' });
+    }
+    try {
+      await mailer.send({ to: email, subject: created.subject, text: created.body });
+      return await persistence.finishNotification(created.id, { delivery: 'sent' });
+    } catch (err) {
+      const message = err?.message || String(err);
+      console.error(`notification ${created.id} could not be mailed:`, message);
+      return persistence.finishNotification(created.id, { delivery: 'failed', error: message });
+    }
+  }
+
+  /**
+   * Notify `userId` of each usage threshold their current period has crossed
+   * and that they have not been notified of yet.
+   *
+   * @param {number} userId
+   * @param {string} plan the User's Plan id
+   * @returns {Promise<object[]>} the notifications sent now
+   */
+  async function checkQuota(userId, plan) {
+    const { used, allowance, period, credits } = await quota.report(userId, plan);
+    if (!(allowance > 0)) return [];
+    const sent = [];
+    for (const threshold of ascending) {
+      if (used * 100 < threshold * allowance) break;
+      const exhausted = threshold >= 100;
+      const subject = exhausted
+        ? `You have used all ${allowance} posts for ${period}`
+        : `You have used ${threshold}% of your posts for ${period}`;
+      const next = exhausted
+        ? (credits > 0
+          ? `Further posts this period use your prepaid credits (${credits} left).`
+          : 'Further posts need prepaid credits or a plan upgrade until the next period starts.')
+        : 'Prepaid credits or a plan upgrade keep you posting once the allowance is used up.';
+      const notification = await notify(userId, {
+        kind: 'quota',
+        key: `quota:${period}:${threshold}`,
+        subject,
+        body: `You have created ${used} of the ${allowance} posts your ${planName(plan)} plan includes for ${period}. ${next}`,
+        data: { period, threshold, used, allowance, credits },
+      });
+      if (notification) sent.push(notification);
+    }
+    return sent;
+  }
+
+  /**
+   * Notify Users whose scheduled plan change takes effect within `noticeMs`.
+   * Never throws.
+   *
+   * @returns {Promise<object[]>} the notifications sent now
+   */
+  async function tick() {
+    if (ticking || !isAvailable()) return [];
+    ticking = true;
+    const sent = [];
+    try {
+      for (const change of await persistence.listUpcomingPlanChanges(noticeMs)) {
+        const at = new Date(change.planChangeAt);
+        const day = at.toISOString().slice(0, 10);
+        const notification = await notify(change.userId, {
+          kind: 'plan-change',
+          key: `plan-change:${change.pendingPlan}:${at.toISOString()}`,
+          subject: `Your plan changes to ${planName(change.pendingPlan)} on ${day}`,
+          body: `Your ${planName(change.plan)} plan ends on ${day}, when your account moves to the `
+            + `${planName(change.pendingPlan)} plan and its allowance and features. Subscribe before then `
+            + 'to keep your current plan.',
+          data: { plan: change.plan, pendingPlan: change.pendingPlan, planChangeAt: at.toISOString() },
+        });
+        if (notification) sent.push(notification);
+      }
+    } catch (err) {
+      console.error('notification scheduler error:', err?.message || err);
+    } finally {
+      ticking = false;
+    }
+    return sent;
+  }
+
+  /** Check for upcoming plan changes, now and then every `intervalMs`. */
+  function start() {
+    if (timer) return;
+    timer = setInterval(tick, intervalMs);
+    timer.unref?.();
+    setImmediate(tick);
+  }
+
+  /** Stop the schedule. */
+  function stop() {
+    if (timer) clearInterval(timer);
+    timer = null;
+  }
+
+  /**
+   * `userId`'s notification feed, most recent first.
+   * @param {number} userId
+   * @param {{ limit?: number, unreadOnly?: boolean }} [options]
+   * @returns {Promise<{ notifications: object[], unread: number }>}
+   */
+  function list(userId, options) {
+    return persistence.listNotifications(userId, options);
+  }
+
+  /**
+   * Mark `userId`'s notifications read (those in `ids`, or all).
+   * @returns {Promise<{ updated: number }>}
+   */
+  function markRead(userId, ids = null) {
+    return persistence.markNotificationsRead(userId, ids);
+  }
+
+  return { notify, checkQuota, tick, start, stop, list, markRead };
+}
+
+export default createNotificationService;
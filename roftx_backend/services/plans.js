@@ -0,0 +1,327 @@
+// services/plans.js — the plan catalog and per-plan entitlements
+//
+// The plans Users can be on live in the `plans` table: allowance, monthly
+// price metadata and feature entitlements (see PLANS in config.js for the
+// entitlement keys). The catalog keeps them in memory so plan lookups stay
+// synchronous and cheap on every request:
+//
+//   • the defaults from config.js are used until the table has been read, and
+//     whenever it cannot be (no database, or the database is down)
+//   • `refresh()` seeds the table with the defaults it is missing (an
+//     operator's edit is never overwritten) and reloads it; `start()` repeats
+//     that every PLAN_CATALOG_REFRESH_MS so every instance picks up edits
+//   • an unknown plan id resolves to the Free plan (Requirement 9.5), so a
+//     User is never granted more than Free by accident
+//
+// Entitlement checks return null when the plan allows the action, or the
+// `{ status, body }` refusal to send: 402 with an upgrade hint naming the
+// lowest ranked offered plan that would allow it, or 403 when no plan does.
+
+import { PLANS, PLAN_CATALOG_REFRESH_MS } from '../config.js';
+
+const FREE_PLAN_ID = 'free';
+
+export const ENTITLEMENT_KEYS = ['genTypes', 'qualityTier', 'maxVoiceProfiles', 'maxVariants', 'brandingRemovable'];
+
+const PLAN_ID_PATTERN = /^[a-z][a-z0-9_-]{0,31}$/;
+const CURRENCY_PATTERN = /^[a-z]{3}$/;
+
+function isCount(value) {
+  return Number.isInteger(value) && value >= 0;
+}
+
+/**
+ * Validate a plan definition (an admin edit, or a row read from the table) and
+ * return it in the catalog's flat shape. Entitlements may be given flat or
+ * under `entitlements`; missing ones fall back to the Free plan's, a missing
+ * price to 0 usd.
+ *
+ * @param {object} input
+ * @param {{ generationTypes?: string[] | null, maxVariants?: number }} [limits]
+ *        the known generation types and the most variants a request can get
+ * @returns {{ ok: true, value: object } | { ok: false, errors: string[] }}
+ */
+export function normalizePlan(input, { generationTypes = null, maxVariants = Infinity } = {}) {
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    return { ok: false, errors: ['A plan must be an object.'] };
+  }
+  const freeEntitlements = Object.fromEntries(ENTITLEMENT_KEYS.map((key) => [key, PLANS.free[key]]));
+  const merged = { monthlyPrice: 0, currency: 'usd', ...freeEntitlements, ...(input.entitlements || {}), ...input };
+  delete merged.entitlements;
+  const errors = [];
+
+  if (typeof merged.id !== 'string' || !PLAN_ID_PATTERN.test(merged.id)) {
+    errors.push('id must be 1-32 lowercase letters, digits, "-" or "_", starting with a letter.');
+  }
+  if (typeof merged.name !== 'string' || merged.name.trim() === '' || merged.name.length > 64) {
+    errors.push('name must be 1-64 characters.');
+  }
+  if (!Number.isInteger(merged.rank)) errors.push('rank must be an integer.');
+  if (!isCount(merged.allowance)) errors.push('allowance must be a whole number of posts.');
+  if (!isCount(merged.monthlyPrice)) errors.push('monthlyPrice must be a whole number of the currency\'s smallest unit.');
+  if (typeof merged.currency !== 'string' || !CURRENCY_PATTERN.test(merged.currency)) {
+    errors.push('currency must be a three-letter lowercase ISO code.');
+  }
+  if (merged.genTypes !== null) {
+    if (!Array.isArray(merged.genTypes) || merged.genTypes.some((type) => typeof type !== 'string')) {
+      errors.push('genTypes must be a list of generation types, or null for all.');
+    } else if (generationTypes) {
+      const unknown = merged.genTypes.filter((type) => !generationTypes.includes(type));
+      if (unknown.length) errors.push(`Unknown generation types: ${unknown.join(', ')}.`);
+    }
+  }
+  if (typeof merged.qualityTier !== 'boolean') errors.push('qualityTier must be true or false.');
+  if (merged.maxVoiceProfiles !== null && !isCount(merged.maxVoiceProfiles)) {
+    errors.push('maxVoiceProfiles must be a whole number, or null for no limit.');
+  }
+  if (!Number.isInteger(merged.maxVariants) || merged.maxVariants < 1 || merged.maxVariants > maxVariants) {
+    errors.push(`maxVariants must be a whole number from 1 to ${maxVariants}.`);
+  }
+  if (typeof merged.brandingRemovable !== 'boolean') errors.push('brandingRemovable must be true or false.');
+  if (merged.active !== undefined && typeof merged.active !== 'boolean') errors.push('active must be true or false.');
+  if (errors.length) return { ok: false, errors };
+
+  return {
+    ok: true,
+    value: {
+      id: merged.id,
+      name: merged.name.trim(),
+      rank: merged.rank,
+      allowance: merged.allowance,
+      monthlyPrice: merged.monthlyPrice,
+      currency: merged.currency,
+      genTypes: merged.genTypes === null ? null : [...new Set(merged.genTypes)],
+      qualityTier: merged.qualityTier,
+      maxVoiceProfiles: merged.maxVoiceProfiles,
+      maxVariants: merged.maxVariants,
+      brandingRemovable: merged.brandingRemovable,
+      active: merged.active !== false,
+    },
+  };
+}
+
+// The catalog's flat plan as the persistence layer stores it.
+function toRecord(plan) {
+  const entitlements = Object.fromEntries(ENTITLEMENT_KEYS.map((key) => [key, plan[key]]));
+  const { id, name, rank, allowance, monthlyPrice, currency, active = true } = plan;
+  return { id, name, rank, allowance, monthlyPrice, currency, entitlements, active };
+}
+
+// What a client is shown of a plan (catalog listing and upgrade hints).
+function publicPlan(plan) {
+  const { active, ...fields } = plan;
+  return fields;
+}
+
+/**
+ * Create the plan catalog.
+ *
+ * @param {object} [deps]
+ * @param {{ listPlans: Function, savePlan: Function } | null} [deps.persistence]
+ *        without one the catalog is the config defaults
+ * @param {Record<string, object>} [deps.defaults] the default catalog (PLANS)
+ * @param {string[] | null} [deps.generationTypes] known generation types, for validation
+ * @param {number} [deps.maxVariants] the most variants a request can get
+ * @param {() => boolean} [deps.isAvailable] whether the database can be used
+ * @param {number} [deps.refreshMs] how often `start()` reloads the catalog
+ */
+export function createPlanCatalog({
+  persistence = null,
+  defaults = PLANS,
+  generationTypes = null,
+  maxVariants = Infinity,
+  isAvailable = () => true,
+  refreshMs = PLAN_CATALOG_REFRESH_MS,
+} = {}) {
+  const limits = { generationTypes, maxVariants };
+  let plans = { ...defaults };
+  let seeded = false;
+  let timer = null;
+
+  /**
+   * The definition of a plan; an unknown or unset plan resolves to Free.
+   * @param {string | { id?: string }} plan a plan id or plan-like object
+   * @returns {object}
+   */
+  function get(plan) {
+    const id = typeof plan === 'string' ? plan : plan?.id;
+    return (id && Object.hasOwn(plans, id) && plans[id]) || plans[FREE_PLAN_ID] || defaults[FREE_PLAN_ID];
+  }
+
+  /**
+   * The plans on offer, lowest rank first.
+   * @returns {Array<object>}
+   */
+  function list() {
+    return Object.values(plans)
+      .filter((plan) => plan.active !== false)
+      .sort((a, b) => a.rank - b.rank || a.id.localeCompare(b.id))
+      .map(publicPlan);
+  }
+
+  /**
+   * Seed the table with any default plan it lacks, then reload the catalog
+   * from it. Rows that fail validation are skipped (and logged). Never throws:
+   * on failure the previous catalog stays in use.
+   * @returns {Promise<boolean>} whether the catalog was reloaded
+   */
+  async function refresh() {
+    if (!persistence || !isAvailable()) return false;
+    try {
+      if (!seeded) {
+        for (const plan of Object.values(defaults)) {
+          await persistence.savePlan(toRecord(plan), { overwrite: false });
+        }
+        seeded = true;
+      }
+      const next = {};
+      for (const row of await persistence.listPlans()) {
+        const result = normalizePlan(row, limits);
+        if (result.ok) next[result.value.id] = result.value;
+        else console.error(`plan "${row.id}" skipped: ${result.errors.join(' ')}`);
+      }
+      if (!next[FREE_PLAN_ID]) next[FREE_PLAN_ID] = defaults[FREE_PLAN_ID];
+      plans = next;
+      return true;
+    } catch (err) {
+      console.error('plan catalog refresh failed (keeping the current catalog):', err?.message || err);
+      return false;
+    }
+  }
+
+  /**
+   * Validate and store a plan (admin edit), then reload the catalog.
+   * @param {object} input the plan, in the shape `normalizePlan` accepts
+   * @returns {Promise<{ ok: true, plan: object } | { ok: false, errors: string[] }>}
+   */
+  async function save(input) {
+    const result = normalizePlan(input, limits);
+    if (!result.ok) return result;
+    if (!persistence) throw new Error('The plan catalog has no persistence service.');
+    await persistence.savePlan(toRecord(result.value));
+    await refresh();
+    return { ok: true, plan: result.value };
+  }
+
+  /** Reload the catalog now and then every `refreshMs`. */
+  function start() {
+    if (timer) return;
+    timer = setInterval(refresh, refreshMs);
+    timer.unref?.();
+    setImmediate(refresh);
+  }
+
+  /** Stop reloading. */
+  function stop() {
+    if (timer) clearInterval(timer);
+    timer = null;
+  }
+
+  // ─── Entitlement checks ───────────────────────────────────────────────────
+
+  // The refusal for something `plan` does not allow: a 402 naming the lowest
+  // ranked offered plan above it that does, or a 403 when none does.
+  function refuse(plan, entitlement, error, allows) {
+    const current = get(plan);
+    const upgrade = list().find((candidate) => candidate.rank > current.rank && allows(candidate));
+    if (!upgrade) {
+      return { status: 403, body: { error, entitlement, plan: current.id } };
+    }
+    return {
+      status: 402,
+      body: {
+        error: `${error} Upgrade to ${upgrade.name} to unlock it.`,
+        entitlement,
+        plan: current.id,
+        upgrade: {
+          plan: upgrade.id,
+          name: upgrade.name,
+          monthlyPrice: upgrade.monthlyPrice,
+          currency: upgrade.currency,
+        },
+      },
+    };
+  }
+
+  /**
+   * Whether `plan` may run generations of `type`.
+   * @returns {{ status: number, body: object } | null}
+   */
+  function checkGenType(plan, type) {
+    const allows = (candidate) => candidate.genTypes === null || candidate.genTypes.includes(type);
+    if (allows(get(plan))) return null;
+    return refuse(plan, 'genTypes', `Your plan does not include "${type}" generations.`, allows);
+  }
+
+  /**
+   * Whether `plan` may ask for `count` post variants.
+   * @returns {{ status: number, body: object } | null}
+   */
+  function checkVariants(plan, count) {
+    const allows = (candidate) => count <= candidate.maxVariants;
+    const current = get(plan);
+    if (allows(current)) return null;
+    const refusal = refuse(plan, 'maxVariants', `Your plan allows up to ${current.maxVariants} variants per post.`, allows);
+    refusal.body.maxVariants = current.maxVariants;
+    return refusal;
+  }
+
+  /**
+   * Whether `plan` may save another voice profile when `saved` exist.
+   * @returns {{ status: number, body: object } | null}
+   */
+  function checkVoiceProfiles(plan, saved) {
+    const allows = (candidate) => candidate.maxVoiceProfiles === null || saved < candidate.maxVoiceProfiles;
+    const current = get(plan);
+    if (allows(current)) return null;
+    const refusal = refuse(
+      plan,
+      'maxVoiceProfiles',
+      `Your plan allows up to ${current.maxVoiceProfiles} voice profiles.`,
+      allows,
+    );
+    refusal.body.maxVoiceProfiles = current.maxVoiceProfiles;
+    return refusal;
+  }
+
+  /**
+   * Whether `plan` may turn off the #RoftX branding (white-label output).
+   * @returns {{ status: number, body: object } | null}
+   */
+  function checkWhiteLabel(plan) {
+    const allows = (candidate) => candidate.brandingRemovable === true;
+    if (allows(get(plan))) return null;
+    return refuse(plan, 'brandingRemovable', 'Removing the #RoftX branding is not included in your plan.', allows);
+  }
+
+  /**
+   * The AI tier a generation of `tier` runs on for `plan`: a plan without the
+   * quality tier runs quality-tier generations on the fast one.
+   * @param {string | { id?: string }} plan
+   * @param {string} tier
+   * @returns {string}
+   */
+  function tierFor(plan, tier) {
+    return tier === 'quality' && !get(plan).qualityTier ? 'fast' : tier;
+  }
+
+  return {
+    /** The current catalog, keyed by plan id (inactive plans included). */
+    get plans() {
+      return plans;
+    },
+    get,
+    list,
+    refresh,
+    save,
+    start,
+    stop,
+    checkGenType,
+    checkVariants,
+    checkVoiceProfiles,
+    checkWhiteLabel,
+    tierFor,
+  };
+}
+
+export default createPlanCatalog;
@@ -0,0 +1,174 @@
+// services/promos.js — promo codes and plan trials
+//
+// A promo code grants a plan for a fixed number of days without any payment
+// provider: redeeming it upgrades the User at once and schedules their return
+// to the plan they were on for the end of the trial. That return is an
+// ordinary scheduled plan change (users.pending_plan), applied by the
+// downgrade scheduler (services/downgrades.js) exactly like a cancelled
+// subscription's downgrade; subscribing in the meantime clears it.
+//
+// A code carries the plan it grants, the trial length, an optional cap on
+// redemptions and an optional expiry. Each User can redeem a code once, and
+// only for a plan above the one they are on. Every redemption is recorded in
+// `promo_redemptions`.
+
+export const PROMO_MAX_DURATION_DAYS = 365;
+
+const CODE_PATTERN = /^[A-Z0-9][A-Z0-9_-]{2,63}$/;
+
+// Codes are matched case-insensitively: stored and looked up upper-cased.
+export function normalizeCode(code) {
+  return typeof code === 'string' ? code.trim().toUpperCase() : '';
+}
+
+/**
+ * Validate a promo code definition.
+ *
+ * @param {object} input `{ code, plan, durationDays, maxRedemptions?, expiresAt? }`
+ * @param {{ plans: Record<string, { rank: number }>, freePlan?: string, now?: () => Date }} options
+ *        the plan catalog's plans (the code must grant one above `freePlan`)
+ * @returns {{ ok: true, value: object } | { ok: false, errors: string[] }}
+ */
+export function validatePromoCode(input, { plans, freePlan = 'free', now = () => new Date() }) {
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    return { ok: false, errors: ['A promo code must be an object.'] };
+  }
+  const errors = [];
+  const code = normalizeCode(input.code);
+  if (!CODE_PATTERN.test(code)) {
+    errors.push('code must be 3-64 letters, digits, "-" or "_".');
+  }
+  const plan = input.plan;
+  const granted = typeof plan === 'string' && Object.hasOwn(plans, plan) ? plans[plan] : null;
+  if (!granted) {
+    errors.push('plan must be a plan in the catalog.');
+  } else if (plans[freePlan] && granted.rank <= plans[freePlan].rank) {
+    errors.push('plan must be above the free plan.');
+  }
+  const durationDays = input.durationDays;
+  if (!Number.isInteger(durationDays) || durationDays < 1 || durationDays > PROMO_MAX_DURATION_DAYS) {
+    errors.push(`durationDays must be a whole number from 1 to ${PROMO_MAX_DURATION_DAYS}.`);
+  }
+  const maxRedemptions = input.maxRedemptions ?? null;
+  if (maxRedemptions !== null && (!Number.isInteger(maxRedemptions) || maxRedemptions < 1)) {
+    errors.push('maxRedemptions must be a positive whole number or null.');
+  }
+  let expiresAt = null;
+  if (input.expiresAt !== undefined && input.expiresAt !== null) {
+    expiresAt = new Date(input.expiresAt);
+    if (typeof input.expiresAt !== 'string' || Number.isNaN(expiresAt.getTime())) {
+      errors.push('expiresAt must be an ISO date or null.');
+    } else if (expiresAt <= now()) {
+      errors.push('expiresAt must be in the future.');
+    }
+  }
+  if (errors.length) return { ok: false, errors };
+  return { ok: true, value: { code, plan, durationDays, maxRedemptions, expiresAt } };
+}
+
+// The refusal for each reason persistence.redeemPromoCode can give.
+const REDEEM_REFUSALS = {
+  not_found: { status: 404, error: 'Promo code not found.' },
+  already_redeemed: { status: 409, error: 'You have already redeemed this promo code.' },
+  expired: { status: 410, error: 'This promo code has expired.' },
+  exhausted: { status: 410, error: 'This promo code has been fully redeemed.' },
+};
+
+/**
+ * Create the promo code service.
+ *
+ * @param {object} deps
+ * @param {{ createPromoCode: Function, getPromoCode: Function, listPromoCodes: Function,
+ *   setPromoCodeActive: Function, redeemPromoCode: Function, listPromoRedemptions: Function,
+ *   getUserPlan: Function }} deps.persistence
+ * @param {{ plans: Record<string, object>, get: (plan: string) => object }} deps.catalog
+ *        the plan catalog (services/plans.js)
+ * @param {() => Date} [deps.now] Clock function (defaults to `() => new Date()`).
+ */
+export function createPromoService({ persistence, catalog, now = () => new Date() } = {}) {
+  if (!persistence || typeof persistence.redeemPromoCode !== 'function') {
+    throw new Error('createPromoService requires a persistence service exposing redeemPromoCode()');
+  }
+  if (!catalog || typeof catalog.get !== 'function') {
+    throw new Error('createPromoService requires the plan catalog');
+  }
+
+  /**
+   * Redeem a promo code for `userId`.
+   *
+   * @param {number} userId
+   * @param {unknown} input the code as the User typed it
+   * @returns {Promise<{ status: number, body: object }>}
+   * @throws {NotFoundError} when the User does not exist
+   */
+  async function redeem(userId, input) {
+    const code = normalizeCode(input);
+    if (!CODE_PATTERN.test(code)) {
+      return { status: 400, body: { error: 'A valid promo code is required.' } };
+    }
+    const promo = await persistence.getPromoCode(code);
+    if (!promo || !promo.active) {
+      return { status: REDEEM_REFUSALS.not_found.status, body: { error: REDEEM_REFUSALS.not_found.error } };
+    }
+
+    // A trial only ever moves a User up: it would otherwise cut short the
+    // plan they already have.
+    const current = catalog.get(await persistence.getUserPlan(userId));
+    const granted = catalog.get(promo.plan);
+    if (granted.id !== promo.plan || granted.rank <= current.rank) {
+      return {
+        status: 409,
+        body: { error: 'Your plan already includes everything this promo code unlocks.', plan: current.id },
+      };
+    }
+
+    const result = await persistence.redeemPromoCode(userId, code);
+    if (!result.redeemed) {
+      const refusal = REDEEM_REFUSALS[result.reason] || REDEEM_REFUSALS.not_found;
+      return { status: refusal.status, body: { error: refusal.error } };
+    }
+    const { plan, previousPlan, trialEndsAt } = result.redemption;
+    console.log(`🎟️  Promo code ${code} redeemed: user ${userId} → ${plan} until ${new Date(trialEndsAt).toISOString()}`);
+    return { status: 200, body: { ok: true, code, plan, previousPlan, trialEndsAt } };
+  }
+
+  /**
+   * Create a promo code (admin).
+   *
+   * @param {object} input see {@link validatePromoCode}
+   * @returns {Promise<{ status: number, body: object }>}
+   */
+  async function createCode(input) {
+    const result = validatePromoCode(input, { plans: catalog.plans, now });
+    if (!result.ok) {
+      return { status: 400, body: { error: result.errors[0], errors: result.errors } };
+    }
+    const promoCode = await persistence.createPromoCode(result.value);
+    if (!promoCode) {
+      return { status: 409, body: { error: 'A promo code with this code already exists.' } };
+    }
+    return { status: 201, body: { promoCode } };
+  }
+
+  /**
+   * Turn a promo code on or off (admin).
+   * @throws {NotFoundError} when the code does not exist
+   */
+  function setActive(code, active) {
+    return persistence.setPromoCodeActive(normalizeCode(code), active);
+  }
+
+  /** Every promo code, most recent first (admin). */
+  function list() {
+    return persistence.listPromoCodes();
+  }
+
+  /** The redemptions of a promo code, most recent first (admin). */
+  function redemptions(code, options) {
+    return persistence.listPromoRedemptions(normalizeCode(code), options);
+  }
+
+  return { redeem, createCode, setActive, list, redemptions };
+}
+
+export default createPromoService;
@@ -1,10 +1,10 @@
 // services/quota.js — RoftX Quota_Service
 //
-// Server-enforced, per-Plan generation limits (Requirement 9). The Quota_Service
-// is the single authority that decides — BEFORE any AI call — whether a User has
-// reached their Plan's Generation_Allowance for the current Quota_Period. The
-// route layer translates an `exceeded` result into HTTP 429 with NO AI call
-// performed (Property 16).
+// Server-enforced, per-Plan generation limits (Requirement 9), topped up by
+// prepaid credits. The Quota_Service is the single authority that decides —
+// BEFORE any AI call — whether a User has reached their Plan's
+// Generation_Allowance for the current Quota_Period. The route layer translates
+// an `exceeded` result into HTTP 429 with NO AI call performed (Property 16).
 //
 // Design choices (see .kiro/specs/roftx-platform/design.md → "Quota_Service"):
 //   - Factory `createQuotaService({ persistence, plans, now })` so the service is
@@ -12,7 +12,9 @@
 //       • `persistence` — exposes `getUsage(userId, period) → count`; this is the
 //         authoritative per-period event count derived from the `generations`
 //         table by the Persistence_Service (task 5.1).
-//       • `plans`       — the Plan definitions map (defaults to PLANS from config).
+//       • `plans`       — the Plan definitions map (defaults to PLANS from config),
+//         or a function returning the current one (the plan catalog, see
+//         services/plans.js, whose plans can change at runtime).
 //       • `now`         — a clock function returning the current Date (defaults to
 //         `() => new Date()`), injectable so period resolution is deterministic
 //         in tests.
@@ -25,8 +27,29 @@
 // Allowance lookup fail-safe (Requirement 9.5): an unknown / unrecognized Plan
 // resolves to the Free Plan's allowance, so a User is never granted more than the
 // Free allowance by accident.
+//
+// Variant batches: a `post` request with `variants: N` produces N drafts of the
+// same post, of which the user keeps one, so the whole batch is metered as ONE
+// post — it takes one reservation and is logged as one event. What bounds its
+// cost instead is the Plan's `maxVariants` (see getMaxVariants).
+//
+// Metering is a reserve → commit | release cycle on the `usage_quotas` counters.
+// A check-then-log scheme (count the events, call the AI, log the event) lets
+// concurrent requests all pass the check and overspend the allowance; `reserve`
+// instead takes one post in a single conditional statement BEFORE the AI call,
+// and the request then `commit`s it when the generation succeeds or `release`s
+// it when it fails. `reconcile` rebuilds the counters from the `generations`
+// log, which stays the source of truth, and repairs reservations stranded by a
+// restart mid-request.
+//
+// Prepaid credits: once the period's allowance is used up, a post is paid with
+// one of the User's credits (users.credits_remaining, bought in credit packs
+// through the Billing_Service). `reserve` takes the credit together with the
+// reservation and says so (`credit: true`); releasing that reservation refunds
+// it. Only a User with neither allowance nor credits left is refused. A credit
+// taken by a request that was stranded by a restart is not refunded.
 
-import { PLANS } from '../config.js';
+import { PLANS, QUOTA_RECONCILE_IDLE_MS } from '../config.js';
 import { periodKey } from '../db/persistence.js';
 
 // The Plan identifier every unknown/unset plan falls back to (Requirement 9.5).
@@ -52,15 +75,25 @@ function planId(plan) {
  * @param {object} [deps]
  * @param {{ getUsage: (userId: number, period: string) => Promise<number> }} deps.persistence
  *        Persistence service exposing the authoritative per-period usage count.
- * @param {Record<string, { id: string, allowance: number }>} [deps.plans]
- *        Plan definitions map (defaults to the configured PLANS).
+ * @param {Record<string, { id: string, allowance: number }> | (() => Record<string, object>)} [deps.plans]
+ *        Plan definitions map, or a function returning the current one
+ *        (defaults to the configured PLANS).
  * @param {() => Date} [deps.now] Clock function (defaults to `() => new Date()`).
- * @returns Quota service with period/allowance/usage/enforce/report methods.
+ * @returns Quota service with period/allowance/variants/branding/usage/enforce/
+ *          reserve/commit/release/reconcile/report methods.
  */
 export function createQuotaService({ persistence, plans = PLANS, now = () => new Date() } = {}) {
   if (!persistence || typeof persistence.getUsage !== 'function') {
     throw new Error('createQuotaService requires a persistence service exposing getUsage()');
   }
+  const currentPlans = typeof plans === 'function' ? plans : () => plans;
+
+  // The definition of a Plan; an unknown or unset Plan resolves to Free.
+  function definitionFor(plan) {
+    const id = planId(plan);
+    const definitions = currentPlans();
+    return (id && Object.hasOwn(definitions, id) && definitions[id]) || definitions[FREE_PLAN_ID];
+  }
 
   /**
    * Resolve the Quota_Period key (`'YYYY-MM'`) for a given timestamp, delegating
@@ -83,9 +116,32 @@ export function createQuotaService({ persistence, plans = PLANS, now = () => new
    * @returns {number} the configured allowance for the Plan (or the Free allowance).
    */
   function getAllowance(plan) {
-    const id = planId(plan);
-    const definition = (id && plans[id]) || plans[FREE_PLAN_ID];
-    return definition.allowance;
+    return definitionFor(plan).allowance;
+  }
+
+  /**
+   * Look up how many post variants one request may ask for on a Plan. Falls back
+   * to the Free Plan like getAllowance, and to 1 (no variants) for a Plan that
+   * does not declare `maxVariants`.
+   *
+   * @param {string | { id?: string }} plan a Plan id or Plan-like object.
+   * @returns {number} the maximum `variants` value for the Plan.
+   */
+  function getMaxVariants(plan) {
+    const definition = definitionFor(plan);
+    return Number.isInteger(definition.maxVariants) && definition.maxVariants > 0 ? definition.maxVariants : 1;
+  }
+
+  /**
+   * Whether a Plan may turn off the #RoftX branding in generated content
+   * (brand guidelines, see services/brand.js). Falls back to the Free Plan like
+   * getAllowance, so an unknown Plan keeps the branding.
+   *
+   * @param {string | { id?: string }} plan a Plan id or Plan-like object.
+   * @returns {boolean}
+   */
+  function canRemoveBranding(plan) {
+    return definitionFor(plan).brandingRemovable === true;
   }
 
   /**
@@ -99,6 +155,18 @@ export function createQuotaService({ persistence, plans = PLANS, now = () => new
     return persistence.getUsage(userId, period);
   }
 
+  /**
+   * The User's prepaid credit balance (0 when the persistence service keeps
+   * no credits).
+   *
+   * @param {number} userId owning User (from the verified Session_Token).
+   * @returns {Promise<number>}
+   */
+  async function getCredits(userId) {
+    if (typeof persistence.getCredits !== 'function') return 0;
+    return persistence.getCredits(userId);
+  }
+
   /**
    * Enforce the Plan's Generation_Allowance for the current Quota_Period BEFORE
    * any AI call (Requirements 9.1, 9.2 / Property 16). The current period is
@@ -106,43 +174,124 @@ export function createQuotaService({ persistence, plans = PLANS, now = () => new
    * (Requirement 9.3).
    *
    * Returns `exceeded: true` if and only if the current-period usage count has
-   * REACHED (>=) the Plan's allowance; otherwise the request is allowed to
-   * proceed to the AI call. The result always carries `{ used, allowance, period }`
-   * so the caller can report context without a second query.
+   * REACHED (>=) the Plan's allowance and the User has no prepaid credits to
+   * draw on; otherwise the request is allowed to proceed to the AI call (a post
+   * past the allowance is paid with a credit, see `reserve`). The result always
+   * carries `{ used, allowance, period, credits }` so the caller can report
+   * context without a second query.
    *
    * @param {number} userId owning User (from the verified Session_Token).
    * @param {string | { id?: string }} plan the User's Plan id or Plan-like object.
-   * @returns {Promise<{ exceeded: boolean, ok: boolean, used: number, allowance: number, period: string }>}
+   * @returns {Promise<{ exceeded: boolean, ok: boolean, used: number, allowance: number, period: string,
+   *   credits: number }>}
    */
   async function enforce(userId, plan) {
     const period = getPeriod();
     const allowance = getAllowance(plan);
-    const used = await getUsage(userId, period);
-    const exceeded = used >= allowance;
-    return { exceeded, ok: !exceeded, used, allowance, period };
+    const [used, credits] = await Promise.all([getUsage(userId, period), getCredits(userId)]);
+    const exceeded = used >= allowance && credits <= 0;
+    return { exceeded, ok: !exceeded, used, allowance, period, credits };
+  }
+
+  /**
+   * Reserve one post of the Plan's Generation_Allowance for the current
+   * Quota_Period BEFORE any AI call, or, when the allowance is used up, one
+   * post paid with a prepaid credit (`credit: true`). The reservation is
+   * atomic: concurrent requests never reserve more than the allowance, or
+   * spend more than the credit balance, between them. The result has the
+   * shape of `enforce`; when it is not exceeded the caller holds a reservation
+   * for `period` and must `commit` it, or `release` it with its `credit` flag.
+   *
+   * @param {number} userId owning User (from the verified Session_Token).
+   * @param {string | { id?: string }} plan the User's Plan id or Plan-like object.
+   * @returns {Promise<{ exceeded: boolean, ok: boolean, used: number, allowance: number, period: string,
+   *   credit: boolean, credits?: number }>}
+   */
+  async function reserve(userId, plan) {
+    const period = getPeriod();
+    const allowance = getAllowance(plan);
+    const { reserved, used } = await persistence.reserveQuota(userId, period, allowance);
+    if (reserved || typeof persistence.reserveCredit !== 'function') {
+      return { exceeded: !reserved, ok: reserved, used, allowance, period, credit: false };
+    }
+
+    const paid = await persistence.reserveCredit(userId, period);
+    return {
+      exceeded: !paid.reserved,
+      ok: paid.reserved,
+      used: paid.reserved ? used + 1 : used,
+      allowance,
+      period,
+      credit: paid.reserved,
+      credits: paid.credits,
+    };
+  }
+
+  /**
+   * Count a reserved post as used (its generation succeeded).
+   *
+   * @param {number} userId
+   * @param {string} period the period returned by `reserve`.
+   * @returns {Promise<void>}
+   */
+  function commit(userId, period) {
+    return persistence.commitQuota(userId, period);
+  }
+
+  /**
+   * Give a reserved post back (its generation failed or was cancelled),
+   * refunding its credit when a credit paid for it.
+   *
+   * @param {number} userId
+   * @param {string} period the period returned by `reserve`.
+   * @param {{ credit?: boolean }} [options] the `credit` flag returned by `reserve`.
+   * @returns {Promise<void>}
+   */
+  function release(userId, period, { credit = false } = {}) {
+    return persistence.releaseQuota(userId, period, { credit });
+  }
+
+  /**
+   * Rebuild the current period's counters from the `generations` log (see
+   * persistence.reconcileQuotas). Counters changed within `idleMs` are skipped,
+   * as their in-flight reservations cannot be rebuilt.
+   *
+   * @param {{ period?: string, idleMs?: number }} [options]
+   * @returns {Promise<number>} the number of counters corrected.
+   */
+  function reconcile({ period = getPeriod(), idleMs = QUOTA_RECONCILE_IDLE_MS } = {}) {
+    return persistence.reconcileQuotas(period, { idleMs });
   }
 
   /**
    * Report the User's current-period usage against their Plan allowance
-   * (Requirements 9.4/9.5, 14.5). Returns the shape consumed by `GET /api/usage`
-   * and the account/usage UI.
+   * (Requirements 9.4/9.5, 14.5), with their prepaid credit balance. Returns
+   * the shape consumed by `GET /api/usage` and the account/usage UI. `used`
+   * includes the posts paid with credits.
    *
    * @param {number} userId owning User (from the verified Session_Token).
    * @param {string | { id?: string }} plan the User's Plan id or Plan-like object.
-   * @returns {Promise<{ used: number, allowance: number, period: string }>}
+   * @returns {Promise<{ used: number, allowance: number, period: string, credits: number }>}
    */
   async function report(userId, plan) {
     const period = getPeriod();
     const allowance = getAllowance(plan);
-    const used = await getUsage(userId, period);
-    return { used, allowance, period };
+    const [used, credits] = await Promise.all([getUsage(userId, period), getCredits(userId)]);
+    return { used, allowance, period, credits };
   }
 
   return {
     getPeriod,
     getAllowance,
+    getMaxVariants,
+    canRemoveBranding,
     getUsage,
+    getCredits,
     enforce,
+    reserve,
+    commit,
+    release,
+    reconcile,
     report,
   };
 }
@@ -0,0 +1,179 @@
+// services/repurpose.js — cross-platform repurposing formats
+//
+// The `repurpose` generation type rewrites a finished post for another
+// platform. Each target format declared here owns:
+//   • parse(raw)       -> the format's fields, or null when the reply has none
+//   • validate(fields) -> the platform length rules the result breaks (empty
+//                         when it can be published as is)
+//   • text(fields)     -> the plain-text rendering stored in posts.content
+// Derivatives are stored as posts whose `content_type` is the format id and
+// whose `source_post_id` links them to the post they were made from.
+//
+// Lengths are counted the way each platform counts them, approximately: X
+// counts every link as 23 characters, everything else is counted per code
+// point; spoken duration assumes a 150 words-per-minute delivery.
+
+// ─── Limits ───────────────────────────────────────────────────────────────────
+
+export const TWEET_MAX_CHARS = 280;
+export const THREAD_TWEETS = { min: 2, max: 15 };
+export const NEWSLETTER_WORDS = { min: 80, max: 600 };
+export const INSTAGRAM_CAPTION_MAX_CHARS = 2200;
+export const INSTAGRAM_HASHTAGS_MAX = 30;
+export const VIDEO_SCRIPT_MAX_SECONDS = 75;
+const SPOKEN_WORDS_PER_SECOND = 150 / 60;
+
+const TCO_LINK_CHARS = 23;
+
+/**
+ * Length of a tweet as X counts it: links count as 23 characters.
+ * @param {string} text
+ * @returns {number}
+ */
+export function tweetLength(text) {
+  let length = 0;
+  const rest = String(text ?? '').replace(/\bhttps?:\/\/\S+/gi, () => {
+    length += TCO_LINK_CHARS;
+    return '';
+  });
+  return length + [...rest].length;
+}
+
+function wordCount(text) {
+  return (String(text ?? '').match(/\S+/g) || []).length;
+}
+
+// ─── Parsing Helpers ──────────────────────────────────────────────────────────
+
+// Value of a `LABEL:` field, up to the next of the given labels (or the end).
+// The value may start on the label's line or on the lines below it.
+function field(text, label, next = []) {
+  const stop = next.length ? `\\n[ \\t]*(?:${next.join('|')})[ \\t]*:|` : '';
+  const match = text.match(new RegExp(`^[ \\t]*${label}[ \\t]*:[ \\t]*([\\s\\S]*?)(?=${stop}(?![\\s\\S]))`, 'im'));
+  return (match?.[1] || '').trim();
+}
+
+// ─── X Thread ─────────────────────────────────────────────────────────────────
+// `TWEET N` (or `TWEET N/M`) headers with the same numbering, bracket and
+// delimiter tolerance as the other block parsers, each followed by the tweet
+// text on the same line or the lines below.
+
+function parseThread(raw) {
+  const tweets = raw
+    .split(/^[ \t]*TWEET\b[ \t]*[\[\({]?[ \t]*\d+[ \t]*(?:\/[ \t]*\d+[ \t]*)?[\]\)}]?[ \t]*[—–:\-]?[ \t]*/im)
+    .slice(1)
+    .map((tweet) => tweet.trim())
+    .filter(Boolean);
+  return tweets.length ? { tweets } : null;
+}
+
+function validateThread({ tweets }) {
+  const problems = [];
+  if (tweets.length < THREAD_TWEETS.min || tweets.length > THREAD_TWEETS.max) {
+    problems.push(`thread has ${tweets.length} tweets (expected ${THREAD_TWEETS.min}-${THREAD_TWEETS.max})`);
+  }
+  tweets.forEach((tweet, i) => {
+    const length = tweetLength(tweet);
+    if (length > TWEET_MAX_CHARS) {
+      problems.push(`tweet ${i + 1} is ${length} characters (limit ${TWEET_MAX_CHARS})`);
+    }
+  });
+  return problems;
+}
+
+// ─── Newsletter Section ───────────────────────────────────────────────────────
+
+function parseNewsletter(raw) {
+  const headline = field(raw, 'HEADLINE', ['BODY']);
+  const body = field(raw, 'BODY', ['HEADLINE']) || (headline ? '' : raw.trim());
+  return body ? { headline, body, wordCount: wordCount(body) } : null;
+}
+
+function validateNewsletter({ wordCount: words }) {
+  return words < NEWSLETTER_WORDS.min || words > NEWSLETTER_WORDS.max
+    ? [`newsletter section is ${words} words (expected ${NEWSLETTER_WORDS.min}-${NEWSLETTER_WORDS.max})`]
+    : [];
+}
+
+// ─── Instagram Caption ────────────────────────────────────────────────────────
+// Hashtags may be on their own `HASHTAGS:` line or inline at the end of the
+// caption; either way they are returned as a separate list.
+
+function parseInstagram(raw) {
+  const labelled = field(raw, 'CAPTION', ['HASHTAGS']);
+  let caption = labelled || raw.replace(/^[ \t]*HASHTAGS[ \t]*:[\s\S]*$/im, '').trim();
+  const tags = field(raw, 'HASHTAGS', ['CAPTION']).match(/#[\p{L}\p{N}_]+/gu) || [];
+
+  // Trailing hashtag-only lines belong to the hashtag list.
+  const trailing = caption.match(/(?:\n[ \t]*(?:#[\p{L}\p{N}_]+[ \t]*)+)+$/u);
+  if (trailing) {
+    tags.unshift(...trailing[0].match(/#[\p{L}\p{N}_]+/gu));
+    caption = caption.slice(0, trailing.index).trim();
+  }
+  const hashtags = [...new Set(tags)];
+  return caption ? { caption, hashtags } : null;
+}
+
+function instagramText({ caption, hashtags }) {
+  return hashtags.length ? `${caption}\n\n${hashtags.join(' ')}` : caption;
+}
+
+function validateInstagram(fields) {
+  const problems = [];
+  const length = [...instagramText(fields)].length;
+  if (length > INSTAGRAM_CAPTION_MAX_CHARS) {
+    problems.push(`caption is ${length} characters (limit ${INSTAGRAM_CAPTION_MAX_CHARS})`);
+  }
+  if (fields.hashtags.length > INSTAGRAM_HASHTAGS_MAX) {
+    problems.push(`caption has ${fields.hashtags.length} hashtags (limit ${INSTAGRAM_HASHTAGS_MAX})`);
+  }
+  return problems;
+}
+
+// ─── Short Video Script ───────────────────────────────────────────────────────
+// Spoken `HOOK:`, `SCRIPT:` and `CTA:` sections; the duration estimate covers
+// all three. `[bracketed]` on-screen text cues are not spoken, so not counted.
+
+function parseVideoScript(raw) {
+  const hook = field(raw, 'HOOK', ['SCRIPT', 'CTA']);
+  const script = field(raw, 'SCRIPT', ['CTA', 'HOOK']);
+  const cta = field(raw, 'CTA', ['HOOK', 'SCRIPT']);
+  if (!script) return null;
+  const words = wordCount(`${hook} ${script} ${cta}`.replace(/\[[^\]]*\]/g, ' '));
+  return { hook, script, cta, wordCount: words, estimatedSeconds: Math.round(words / SPOKEN_WORDS_PER_SECOND) };
+}
+
+function validateVideoScript({ estimatedSeconds }) {
+  return estimatedSeconds > VIDEO_SCRIPT_MAX_SECONDS
+    ? [`script runs about ${estimatedSeconds} seconds (limit ${VIDEO_SCRIPT_MAX_SECONDS})`]
+    : [];
+}
+
+// ─── Format Table ─────────────────────────────────────────────────────────────
+
+export const REPURPOSE_FORMATS = {
+  x_thread: {
+    label: 'X thread',
+    parse: parseThread,
+    validate: validateThread,
+    text: ({ tweets }) => tweets.join('\n\n'),
+  },
+  newsletter: {
+    label: 'newsletter section',
+    parse: parseNewsletter,
+    validate: validateNewsletter,
+    text: ({ headline, body }) => [headline, body].filter(Boolean).join('\n\n'),
+  },
+  instagram: {
+    label: 'Instagram caption',
+    parse: parseInstagram,
+    validate: validateInstagram,
+    text: instagramText,
+  },
+  video_script: {
+    label: 'short video script',
+    parse: parseVideoScript,
+    validate: validateVideoScript,
+    text: ({ hook, script, cta }) => [hook, script, cta].filter(Boolean).join('\n\n'),
+  },
+};
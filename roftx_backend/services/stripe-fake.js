@@ -0,0 +1,369 @@
+// services/stripe-fake.js — local Stripe stand-in for offline billing tests
+//
+// A small HTTP server implementing the slice of the Stripe API the adapter in
+// services/stripe.js uses, plus the webhooks Stripe would send back, so the
+// whole upgrade/downgrade flow runs with no Stripe account and no network:
+//
+//   POST   /v1/checkout/sessions      -> creates an open Checkout session whose
+//                                         `url` is this server's /checkout/:id
+//   GET    /v1/checkout/sessions/:id  -> the session
+//   GET    /checkout/:id              -> "pays" the session: sends a signed
+//                                         checkout.session.completed webhook and
+//                                         redirects to the session's success_url
+//   POST   /v1/subscriptions/:id      -> `cancel_at_period_end=true` sends a
+//                                         signed customer.subscription.updated
+//   DELETE /v1/subscriptions/:id      -> sends customer.subscription.deleted
+//
+// The same transitions are available as methods (`completeCheckout`,
+// `cancelSubscription`, `payInvoice`), and `replayFixture` re-signs and sends
+// one of the recorded events in fixtures/stripe.
+//
+// Fixture events: each file in fixtures/stripe holds the raw `payload` Stripe
+// sent, its `signature` header and signing `timestamp`, and the `secret` it was
+// signed with (FIXTURE_WEBHOOK_SECRET). Verify one offline by passing a clock
+// set to its timestamp to verifyStripeSignature.
+//
+// Run it on its own with `node roftx_backend/services/stripe-fake.js` and point
+// the backend at it with STRIPE_API_BASE (see .env.example).
+
+import http from 'http';
+import { promises as fs } from 'fs';
+import path from 'path';
+import { fileURLToPath, pathToFileURL } from 'url';
+import { signStripePayload } from './stripe.js';
+
+export const STRIPE_FIXTURES_DIR = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '../fixtures/stripe');
+
+// The endpoint secret the fixture events are signed with.
+export const FIXTURE_WEBHOOK_SECRET = 'whsec_roftx_fixtures';
+
+/**
+ * Load a recorded Stripe event from the fixture directory.
+ *
+ * @param {string} name fixture file name without `.json` (e.g. 'invoice-paid')
+ * @param {string} [dir]
+ * @returns {Promise<{ secret: string, timestamp: number, signature: string, payload: string }>}
+ */
+export async function loadStripeFixture(name, dir = STRIPE_FIXTURES_DIR) {
+  return JSON.parse(await fs.readFile(path.join(dir, `${name}.json`), 'utf8'));
+}
+
+/**
+ * A Stripe event envelope around `object`.
+ *
+ * @param {string} type native Stripe event type
+ * @param {object} object the event's `data.object`
+ * @param {{ id?: string, created?: number }} [options]
+ * @returns {object}
+ */
+export function buildStripeEvent(type, object, { id, created = Math.floor(Date.now() / 1000) } = {}) {
+  return {
+    id: id || `evt_test_${created}${Math.random().toString(36).slice(2, 10)}`,
+    object: 'event',
+    api_version: '2024-06-20',
+    created,
+    livemode: false,
+    type,
+    data: { object },
+  };
+}
+
+// Stripe's bracketed form keys (`metadata[userId]`) for one prefix, as an object.
+function formObject(params, prefix) {
+  const result = {};
+  for (const [key, value] of params) {
+    const match = key.startsWith(`${prefix}[`) && /^\[([^\]]+)\]$/.exec(key.slice(prefix.length));
+    if (match) result[match[1]] = value;
+  }
+  return result;
+}
+
+function stripeErrorBody(message, type = 'invalid_request_error') {
+  return { error: { type, message } };
+}
+
+/**
+ * Create the fake Stripe server.
+ *
+ * @param {object} [options]
+ * @param {string} [options.webhookUrl] where signed events are POSTed (events
+ *        are only recorded when unset)
+ * @param {string} [options.webhookSecret] signing secret for those events
+ * @param {string} [options.secretKey] the API key requests must carry (any
+ *        `sk_test_` key when unset)
+ * @param {typeof fetch} [options.fetch] HTTP client for webhook delivery
+ */
+export function createFakeStripe({
+  webhookUrl = '',
+  webhookSecret = FIXTURE_WEBHOOK_SECRET,
+  secretKey = '',
+  fetch: fetchImpl = globalThis.fetch,
+} = {}) {
+  const sessions = new Map();
+  const subscriptions = new Map();
+  const deliveries = [];
+  let sequence = 0;
+  let baseUrl = '';
+
+  const nextId = (prefix) => `${prefix}_test_${String(++sequence).padStart(6, '0')}`;
+  const unixNow = () => Math.floor(Date.now() / 1000);
+
+  /**
+   * Sign and send an event to the webhook URL, as Stripe would.
+   * @param {object} event
+   * @returns {Promise<{ event: object, status: number | null }>}
+   */
+  async function deliver(event) {
+    const payload = JSON.stringify(event);
+    let status = null;
+    if (webhookUrl) {
+      const response = await fetchImpl(webhookUrl, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'Stripe-Signature': signStripePayload(payload, webhookSecret),
+        },
+        body: payload,
+      });
+      status = response.status;
+    }
+    const delivery = { event, status };
+    deliveries.push(delivery);
+    return delivery;
+  }
+
+  function subscriptionObject(subscription) {
+    return {
+      id: subscription.id,
+      object: 'subscription',
+      customer: subscription.customer,
+      status: subscription.status,
+      cancel_at_period_end: subscription.cancelAtPeriodEnd,
+      current_period_end: subscription.currentPeriodEnd,
+      metadata: subscription.metadata,
+      items: { object: 'list', data: [{ price: { id: subscription.price } }] },
+    };
+  }
+
+  /**
+   * Pay an open Checkout session: creates its subscription (a one-time
+   * `payment` session only takes the payment) and sends
+   * checkout.session.completed.
+   * @param {string} sessionId
+   */
+  async function completeCheckout(sessionId) {
+    const session = sessions.get(sessionId);
+    if (!session) throw Object.assign(new Error(`No such checkout session: ${sessionId}`), { status: 404 });
+    if (session.status !== 'open') throw Object.assign(new Error('Checkout session is not open.'), { status: 400 });
+
+    if (session.mode === 'payment') {
+      Object.assign(session, { status: 'complete', payment_status: 'paid', payment_intent: nextId('pi'), customer: nextId('cus') });
+      return deliver(buildStripeEvent('checkout.session.completed', publicSession(session)));
+    }
+
+    const subscription = {
+      id: nextId('sub'),
+      customer: nextId('cus'),
+      status: 'active',
+      cancelAtPeriodEnd: false,
+      currentPeriodEnd: unixNow() + 30 * 24 * 60 * 60,
+      metadata: session.subscriptionMetadata,
+      price: session.price,
+    };
+    subscriptions.set(subscription.id, subscription);
+    Object.assign(session, { status: 'complete', payment_status: 'paid', subscription: subscription.id, customer: subscription.customer });
+
+    return deliver(buildStripeEvent('checkout.session.completed', publicSession(session)));
+  }
+
+  /**
+   * Cancel a subscription: at the end of its period (customer.subscription.updated)
+   * or at once (customer.subscription.deleted).
+   * @param {string} subscriptionId
+   * @param {{ atPeriodEnd?: boolean }} [options]
+   */
+  async function cancelSubscription(subscriptionId, { atPeriodEnd = true } = {}) {
+    const subscription = subscriptions.get(subscriptionId);
+    if (!subscription) throw Object.assign(new Error(`No such subscription: ${subscriptionId}`), { status: 404 });
+    if (atPeriodEnd) {
+      subscription.cancelAtPeriodEnd = true;
+      return deliver(buildStripeEvent('customer.subscription.updated', subscriptionObject(subscription)));
+    }
+    subscription.status = 'canceled';
+    return deliver(buildStripeEvent('customer.subscription.deleted', subscriptionObject(subscription)));
+  }
+
+  /**
+   * Send the invoice.paid of a renewal of `subscriptionId`.
+   * @param {string} subscriptionId
+   */
+  async function payInvoice(subscriptionId) {
+    const subscription = subscriptions.get(subscriptionId);
+    if (!subscription) throw Object.assign(new Error(`No such subscription: ${subscriptionId}`), { status: 404 });
+    return deliver(buildStripeEvent('invoice.paid', {
+      id: nextId('in'),
+      object: 'invoice',
+      customer: subscription.customer,
+      subscription: subscription.id,
+      status: 'paid',
+      subscription_details: { metadata: subscription.metadata },
+    }));
+  }
+
+  /**
+   * Re-sign a fixture event with the current time and send it.
+   * @param {string} name fixture file name without `.json`
+   * @param {string} [dir]
+   */
+  async function replayFixture(name, dir) {
+    const fixture = await loadStripeFixture(name, dir);
+    return deliver(JSON.parse(fixture.payload));
+  }
+
+  function publicSession(session) {
+    const { price, subscriptionMetadata, ...fields } = session;
+    return fields;
+  }
+
+  function authorized(req) {
+    const match = /^Bearer\s+(\S+)$/.exec(req.headers.authorization || '');
+    if (!match) return false;
+    return secretKey ? match[1] === secretKey : match[1].startsWith('sk_test_');
+  }
+
+  async function readForm(req) {
+    let raw = '';
+    for await (const chunk of req) raw += chunk;
+    return new URLSearchParams(raw);
+  }
+
+  function send(res, status, body) {
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(body));
+  }
+
+  async function handle(req, res) {
+    const { pathname } = new URL(req.url, 'http://localhost');
+
+    // The hosted Checkout page: paying is a single visit.
+    const checkoutPage = /^\/checkout\/([\w-]+)$/.exec(pathname);
+    if (checkoutPage && req.method === 'GET') {
+      const session = sessions.get(checkoutPage[1]);
+      if (!session) return send(res, 404, stripeErrorBody('No such checkout session.'));
+      if (session.status === 'open') await completeCheckout(session.id);
+      res.writeHead(303, { Location: session.success_url.replace('{CHECKOUT_SESSION_ID}', session.id) });
+      return res.end();
+    }
+
+    if (!pathname.startsWith('/v1/')) return send(res, 404, stripeErrorBody('Unrecognized request URL.'));
+    if (!authorized(req)) return send(res, 401, stripeErrorBody('Invalid API Key provided.'));
+
+    if (pathname === '/v1/checkout/sessions' && req.method === 'POST') {
+      const params = await readForm(req);
+      const price = params.get('line_items[0][price]');
+      for (const [field, value] of [['mode', params.get('mode')], ['success_url', params.get('success_url')], ['line_items[0][price]', price]]) {
+        if (!value) return send(res, 400, stripeErrorBody(`Missing required param: ${field}.`));
+      }
+      const id = nextId('cs');
+      const session = {
+        id,
+        object: 'checkout.session',
+        mode: params.get('mode'),
+        status: 'open',
+        payment_status: 'unpaid',
+        url: `${baseUrl}/checkout/${id}`,
+        client_reference_id: params.get('client_reference_id'),
+        customer_email: params.get('customer_email'),
+        success_url: params.get('success_url'),
+        cancel_url: params.get('cancel_url'),
+        metadata: formObject(params, 'metadata'),
+        subscription: null,
+        customer: null,
+        price,
+        subscriptionMetadata: formObject(params, 'subscription_data[metadata]'),
+      };
+      sessions.set(id, session);
+      return send(res, 200, publicSession(session));
+    }
+
+    const sessionPath = /^\/v1\/checkout\/sessions\/([\w-]+)$/.exec(pathname);
+    if (sessionPath && req.method === 'GET') {
+      const session = sessions.get(sessionPath[1]);
+      return session
+        ? send(res, 200, publicSession(session))
+        : send(res, 404, stripeErrorBody('No such checkout session.'));
+    }
+
+    const subscriptionPath = /^\/v1\/subscriptions\/([\w-]+)$/.exec(pathname);
+    if (subscriptionPath && (req.method === 'POST' || req.method === 'DELETE')) {
+      const subscription = subscriptions.get(subscriptionPath[1]);
+      if (!subscription) return send(res, 404, stripeErrorBody('No such subscription.'));
+      if (req.method === 'POST') {
+        const params = await readForm(req);
+        if (params.get('cancel_at_period_end') === 'true') {
+          await cancelSubscription(subscription.id, { atPeriodEnd: true });
+        }
+      } else {
+        await cancelSubscription(subscription.id, { atPeriodEnd: false });
+      }
+      return send(res, 200, subscriptionObject(subscription));
+    }
+
+    return send(res, 404, stripeErrorBody('Unrecognized request URL.'));
+  }
+
+  const server = http.createServer((req, res) => {
+    handle(req, res).catch((err) => {
+      console.error('fake Stripe error:', err?.message || err);
+      if (!res.headersSent) send(res, err?.status || 500, stripeErrorBody(err?.message || 'Internal error.', 'api_error'));
+    });
+  });
+
+  /**
+   * Start listening; resolves with the API base URL to use as STRIPE_API_BASE.
+   * @param {number} [port] 0 picks a free port
+   * @returns {Promise<string>}
+   */
+  function listen(port = 0) {
+    return new Promise((resolve, reject) => {
+      server.once('error', reject);
+      server.listen(port, '127.0.0.1', () => {
+        baseUrl = `http://127.0.0.1:${server.address().port}`;
+        resolve(baseUrl);
+      });
+    });
+  }
+
+  /** Stop the server. */
+  function close() {
+    return new Promise((resolve) => server.close(() => resolve()));
+  }
+
+  return {
+    listen,
+    close,
+    get url() {
+      return baseUrl;
+    },
+    sessions,
+    subscriptions,
+    deliveries,
+    completeCheckout,
+    cancelSubscription,
+    payInvoice,
+    replayFixture,
+  };
+}
+
+// ─── Standalone ───────────────────────────────────────────────────────────────
+// `node roftx_backend/services/stripe-fake.js` serves the fake on
+// STRIPE_FAKE_PORT (default 12111) and delivers webhooks to the local backend.
+if (process.argv[1] && import.meta.url === pathToFileURL(path.resolve(process.argv[1])).href) {
+  const fake = createFakeStripe({
+    webhookUrl: process.env.STRIPE_FAKE_WEBHOOK_URL || `http://localhost:${process.env.PORT || 3000}/api/billing/webhook`,
+    webhookSecret: process.env.STRIPE_WEBHOOK_SECRET || FIXTURE_WEBHOOK_SECRET,
+    secretKey: process.env.STRIPE_SECRET_KEY || '',
+  });
+  const url = await fake.listen(Number(process.env.STRIPE_FAKE_PORT) || 12111);
+  console.log(`🧪 Fake Stripe listening on ${url} (set STRIPE_API_BASE=${url})`);
+}
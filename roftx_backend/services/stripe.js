@@ -0,0 +1,257 @@
+// services/stripe.js — Stripe payment-provider adapter for the Billing_Service
+//
+// Implements the provider contract services/billing.js expects:
+//   • createCheckoutSession(args)               -> a hosted Checkout session for
+//                                                  the Plan's subscription price,
+//                                                  or a credit pack's one-time price
+//   • verifySignature(payload, header, secret)  -> Stripe's `Stripe-Signature`
+//                                                  scheme with a timestamp tolerance
+//   • normalizeEvent(event)                     -> a native Stripe event mapped
+//                                                  onto the Billing_Service's
+//                                                  provider-agnostic event names
+//
+// No Stripe SDK: the API is called with `fetch` and form-encoded bodies, and
+// `apiBase` can point at the local fake (services/stripe-fake.js) so the whole
+// upgrade/downgrade flow runs offline.
+//
+// The owning User travels with the checkout: `client_reference_id` and the
+// session metadata carry the userId and Plan (or credit pack), and so does the
+// subscription's metadata, which Stripe copies onto later subscription and
+// invoice events.
+
+import crypto from 'crypto';
+
+// Stripe's own default: a signature older (or newer) than five minutes is
+// rejected, which bounds replay of a captured webhook.
+export const STRIPE_SIGNATURE_TOLERANCE_S = 300;
+
+// ─── Webhook Signatures ───────────────────────────────────────────────────────
+// `Stripe-Signature: t=<unix seconds>,v1=<hex>[,v1=<hex>...]`, where each v1 is
+// an HMAC-SHA256 of `${t}.${rawPayload}` keyed with the endpoint secret. Several
+// v1 values are sent while a secret is being rolled.
+
+function payloadText(payload) {
+  if (typeof payload === 'string') return payload;
+  if (Buffer.isBuffer(payload)) return payload.toString('utf8');
+  return JSON.stringify(payload ?? '');
+}
+
+function stripeHmac(secret, timestamp, payload) {
+  return crypto.createHmac('sha256', secret).update(`${timestamp}.${payload}`, 'utf8').digest('hex');
+}
+
+/**
+ * Build a `Stripe-Signature` header for `payload`, as Stripe would send it.
+ * Used by the local fake and to sign fixture events.
+ *
+ * @param {string | Buffer | object} payload the raw body (objects are JSON-serialized)
+ * @param {string} secret the endpoint's signing secret
+ * @param {number} [timestamp] unix seconds (defaults to now)
+ * @returns {string}
+ */
+export function signStripePayload(payload, secret, timestamp = Math.floor(Date.now() / 1000)) {
+  return `t=${timestamp},v1=${stripeHmac(secret, timestamp, payloadText(payload))}`;
+}
+
+/**
+ * Verify a `Stripe-Signature` header against the raw payload: one of its v1
+ * signatures must match (compared in constant time) and its timestamp must be
+ * within `tolerance` seconds of `now`.
+ *
+ * @param {string | Buffer | object} payload the raw body the signature covers
+ * @param {string} header the `Stripe-Signature` header value
+ * @param {string} secret the endpoint's signing secret
+ * @param {{ tolerance?: number, now?: () => Date }} [options]
+ * @returns {boolean}
+ */
+export function verifyStripeSignature(payload, header, secret, {
+  tolerance = STRIPE_SIGNATURE_TOLERANCE_S,
+  now = () => new Date(),
+} = {}) {
+  if (typeof header !== 'string' || header.length === 0) return false;
+  if (typeof secret !== 'string' || secret.length === 0) return false;
+
+  let timestamp = null;
+  const signatures = [];
+  for (const part of header.split(',')) {
+    const [key, value] = part.trim().split('=', 2);
+    if (key === 't' && /^\d+$/.test(value || '')) timestamp = Number(value);
+    else if (key === 'v1' && value) signatures.push(value);
+  }
+  if (timestamp === null || signatures.length === 0) return false;
+  if (Math.abs(now().getTime() / 1000 - timestamp) > tolerance) return false;
+
+  const expected = Buffer.from(stripeHmac(secret, timestamp, payloadText(payload)), 'utf8');
+  return signatures.some((signature) => {
+    const provided = Buffer.from(signature, 'utf8');
+    return provided.length === expected.length && crypto.timingSafeEqual(provided, expected);
+  });
+}
+
+// ─── Event Normalization ──────────────────────────────────────────────────────
+// Native Stripe events mapped onto the Billing_Service's SUCCESS_EVENTS and
+// CANCEL_EVENTS. A subscription update means an upgrade while the subscription
+// is active, and a cancellation once it is set to end with the paid period.
+// A paid one-time checkout for a credit pack is a `credits.purchased`.
+// Anything else keeps its native name, which the service acknowledges and
+// ignores; so does a completed checkout still waiting for a delayed payment
+// method (its `invoice.paid` upgrades the user later; a credit pack paid that
+// way is not supported).
+
+function stripeEventType(type, object) {
+  switch (type) {
+    case 'checkout.session.completed':
+      if (object.payment_status === 'unpaid') return 'checkout.session.pending';
+      return object.mode === 'payment' && object.metadata?.pack ? 'credits.purchased' : type;
+    case 'invoice.paid':
+      return 'invoice.paid';
+    case 'customer.subscription.created':
+      return object.status === 'active' ? 'subscription.created' : type;
+    case 'customer.subscription.updated':
+      if (object.cancel_at_period_end === true) return 'subscription.canceled';
+      return object.status === 'active' ? 'subscription.active' : type;
+    case 'customer.subscription.deleted':
+      return 'subscription.deleted';
+    default:
+      return type;
+  }
+}
+
+// The RoftX metadata (userId, plan) of the object an event is about. Invoices
+// carry the subscription's metadata under `subscription_details` (and on their
+// subscription line items).
+function roftxMetadata(object) {
+  const candidates = [
+    object.metadata,
+    object.subscription_details?.metadata,
+    ...(object.lines?.data || []).map((line) => line.metadata),
+  ];
+  return candidates.find((metadata) => metadata?.userId) || object.metadata || {};
+}
+
+function parseUserId(value) {
+  const id = Number.parseInt(value, 10);
+  return Number.isInteger(id) && id > 0 && String(id) === String(value).trim() ? id : null;
+}
+
+/**
+ * Map a native Stripe event onto the Billing_Service's event shape.
+ *
+ * @param {object} event a Stripe event (`{ id, type, data: { object } }`)
+ * @returns {{ id: string | null, type: string, userId: number | null, plan: string | undefined,
+ *   pack: string | undefined, provider: 'stripe', stripeType: string }}
+ */
+export function normalizeStripeEvent(event) {
+  const object = event?.data?.object || {};
+  const metadata = roftxMetadata(object);
+  return {
+    id: event?.id ?? null,
+    type: stripeEventType(event?.type, object),
+    userId: parseUserId(object.client_reference_id ?? metadata.userId),
+    plan: metadata.plan || undefined,
+    pack: metadata.pack || undefined,
+    provider: 'stripe',
+    stripeType: event?.type,
+  };
+}
+
+// ─── Provider Factory ─────────────────────────────────────────────────────────
+
+function stripeError(message, status = 502) {
+  return Object.assign(new Error(message), { status });
+}
+
+/**
+ * Create the Stripe provider adapter.
+ *
+ * @param {object} config
+ * @param {string} config.secretKey Stripe secret API key
+ * @param {Record<string, string>} config.priceIds Stripe Price id per paid Plan id
+ *        and per credit pack id
+ * @param {string} config.successUrl where Checkout returns after payment
+ * @param {string} config.cancelUrl where Checkout returns when abandoned
+ * @param {string} [config.apiBase] API host (defaults to https://api.stripe.com)
+ * @param {number} [config.tolerance] webhook timestamp tolerance in seconds
+ * @param {() => Date} [config.now] clock for signature timestamps
+ * @param {typeof fetch} [config.fetch] HTTP client (defaults to global fetch)
+ */
+export function createStripeProvider({
+  secretKey,
+  priceIds = {},
+  successUrl,
+  cancelUrl,
+  apiBase = 'https://api.stripe.com',
+  tolerance = STRIPE_SIGNATURE_TOLERANCE_S,
+  now = () => new Date(),
+  fetch: fetchImpl = globalThis.fetch,
+} = {}) {
+  if (typeof secretKey !== 'string' || secretKey.length === 0) {
+    throw new Error('createStripeProvider requires a Stripe secret key');
+  }
+
+  async function request(method, path, params) {
+    let response;
+    try {
+      response = await fetchImpl(`${apiBase.replace(/\/+$/, '')}${path}`, {
+        method,
+        headers: {
+          Authorization: `Bearer ${secretKey}`,
+          'Content-Type': 'application/x-www-form-urlencoded',
+        },
+        body: params ? new URLSearchParams(params).toString() : undefined,
+      });
+    } catch (err) {
+      throw stripeError(`Stripe is unreachable: ${err?.message || err}`);
+    }
+    const body = await response.json().catch(() => ({}));
+    if (!response.ok) {
+      throw stripeError(`Stripe request failed: ${body?.error?.message || `HTTP ${response.status}`}`);
+    }
+    return body;
+  }
+
+  /**
+   * Create a subscription Checkout session for `plan`, or with `pack` a
+   * one-time payment session for that credit pack.
+   *
+   * @param {{ userId: number, plan?: string, pack?: string, credits?: number, email?: string }} args
+   * @returns {Promise<{ id: string, url: string }>}
+   */
+  async function createCheckoutSession({ userId, plan, pack, credits, email } = {}) {
+    const price = priceIds[pack || plan];
+    if (!price) {
+      throw stripeError(`No Stripe price is configured for ${pack ? `credit pack "${pack}"` : `plan "${plan}"`}.`, 400);
+    }
+
+    const params = {
+      mode: pack ? 'payment' : 'subscription',
+      'line_items[0][price]': price,
+      'line_items[0][quantity]': '1',
+      client_reference_id: String(userId),
+      success_url: successUrl,
+      cancel_url: cancelUrl,
+      'metadata[userId]': String(userId),
+    };
+    if (pack) {
+      params['metadata[pack]'] = pack;
+      if (credits !== undefined) params['metadata[credits]'] = String(credits);
+    } else {
+      params['metadata[plan]'] = plan;
+      params['subscription_data[metadata][userId]'] = String(userId);
+      params['subscription_data[metadata][plan]'] = plan;
+    }
+    if (email) params.customer_email = email;
+
+    const session = await request('POST', '/v1/checkout/sessions', params);
+    return { id: session.id, url: session.url };
+  }
+
+  return {
+    name: 'stripe',
+    createCheckoutSession,
+    verifySignature: (payload, header, secret) => verifyStripeSignature(payload, header, secret, { tolerance, now }),
+    normalizeEvent: normalizeStripeEvent,
+  };
+}
+
+export default createStripeProvider;
@@ -0,0 +1,229 @@
+// services/structured.js — JSON-schema structured output for topics and hooks
+//
+// The default generation path asks the model for labelled plain text and
+// recovers it with the tolerant regex parsers in services/generation.js. In
+// structured-output mode the model is instead asked for JSON matching one of
+// the schemas declared here:
+//   • OpenAI-compatible providers receive it as `response_format: json_schema`
+//   • Claude receives it as the input schema of a forced tool call
+// and the reply is validated against the same schema before use. A reply that
+// is not valid JSON, or does not match, is rejected here and the caller falls
+// back to the tolerant parsers (see `generate` in services/generation.js).
+//
+// The schemas only use keywords every supported provider accepts in strict
+// mode (type, properties, required, additionalProperties, items, enum), so
+// value checks the schemas cannot express — non-empty lists, 0–10 scores — are
+// made while normalizing. Normalized results have exactly the shapes the
+// tolerant parsers return, so clients cannot tell which path produced them.
+
+// ─── Schemas ──────────────────────────────────────────────────────────────────
+
+const str = (description) => ({ type: 'string', description });
+const score = (description) => ({ type: 'number', description: `${description}, 0-10` });
+
+function object(properties) {
+  return {
+    type: 'object',
+    properties,
+    required: Object.keys(properties),
+    additionalProperties: false,
+  };
+}
+
+const TOPIC_SCHEMA = object({
+  triggerType:       str('Primary trigger'),
+  secondaryTrigger:  str('Secondary trigger'),
+  category:          str('Conversation category'),
+  audiencePain:      str('Primary audience pain, one sentence'),
+  beliefChallenged:  str('Core belief being challenged, one sentence'),
+  tension:           str('Professional tension, one sentence'),
+  premise:           str('Conversation premise, 1-2 sentences'),
+  uniquePerspective: str('What makes this angle different'),
+  whyItWorks:        str('Why this stops the scroll, one paragraph'),
+  whyComment:        str('Why professionals will comment, one paragraph'),
+  whySave:           str('Why professionals will save it, one paragraph'),
+  storyDirections:   { type: 'array', items: { type: 'string' }, description: 'Three potential story directions' },
+  hookDirections:    { type: 'array', items: { type: 'string' }, description: 'Potential hook directions' },
+  emotionalArc:      object({ beginning: str('Beginning'), middle: str('Middle'), ending: str('Ending') }),
+  ctaDirection:      str('Suggested CTA direction, including the required hashtags in the hashtag suggestion'),
+  brandPositioning:  str('Recommended personal brand positioning, one phrase'),
+  longevity:         { type: 'string', enum: ['Timeless', 'Current Trend', 'Hybrid'] },
+  scores: object({
+    originality:         score('Estimated originality'),
+    discussionPotential: score('Estimated discussion potential'),
+    savePotential:       score('Estimated save potential'),
+    sharePotential:      score('Estimated share potential'),
+  }),
+  confidence:        { type: 'string', enum: ['High', 'Medium', 'Low'] },
+});
+
+const HOOK_SCHEMA = object({
+  type:       str('Hook family name, e.g. EXPECTATION FLIP'),
+  text:       str('The hook itself'),
+  whyItWorks: str('Why this works'),
+});
+
+// A schema descriptor: `name` identifies the schema to the provider, `maxTokens`
+// overrides the tier's output budget (JSON keys make replies longer than the
+// labelled text they replace).
+export const TOPICS_OUTPUT = {
+  name: 'topic_suggestions',
+  description: 'Return the conversation recommendations.',
+  maxTokens: 4000,
+  schema: object({ topics: { type: 'array', items: TOPIC_SCHEMA } }),
+};
+
+export const HOOKS_OUTPUT = {
+  name: 'hooks',
+  description: 'Return the hooks.',
+  maxTokens: 1000,
+  schema: object({ hooks: { type: 'array', items: HOOK_SCHEMA } }),
+};
+
+/**
+ * The instruction appended to a text prompt in structured-output mode, so the
+ * model maps the labelled fields it was asked for onto the schema.
+ *
+ * @param {{ name: string }} output schema descriptor
+ * @returns {string}
+ */
+export function structuredInstruction(output) {
+  return `\n\nOUTPUT FORMAT: Return the content described above as one JSON object matching the "${output.name}" schema, one array item per block, with each labelled field in its property. Return JSON only.`;
+}
+
+// ─── Validation ───────────────────────────────────────────────────────────────
+
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (typeof value === 'number') return Number.isInteger(value) ? 'integer' : 'number';
+  return typeof value;
+}
+
+/**
+ * Validate a value against the JSON-schema subset used above.
+ *
+ * @param {unknown} value
+ * @param {object} schema
+ * @param {string} [at] path of `value`, for messages
+ * @returns {string[]} the violations; empty when the value matches
+ */
+export function validateSchema(value, schema, at = '$') {
+  const errors = [];
+  const types = [].concat(schema.type || []);
+  const actual = typeOf(value);
+  if (types.length && !types.includes(actual) && !(actual === 'integer' && types.includes('number'))) {
+    return [`${at}: expected ${types.join(' or ')}, got ${actual}`];
+  }
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push(`${at}: must be one of ${schema.enum.join(', ')}`);
+  }
+  if (actual === 'object' && schema.properties) {
+    for (const key of schema.required || []) {
+      if (!(key in value)) errors.push(`${at}.${key}: required`);
+    }
+    for (const [key, child] of Object.entries(value)) {
+      if (schema.properties[key]) errors.push(...validateSchema(child, schema.properties[key], `${at}.${key}`));
+      else if (schema.additionalProperties === false) errors.push(`${at}.${key}: not allowed`);
+    }
+  }
+  if (actual === 'array' && schema.items) {
+    value.forEach((item, i) => errors.push(...validateSchema(item, schema.items, `${at}[${i}]`)));
+  }
+  return errors;
+}
+
+/**
+ * Parse a structured reply and validate it against the descriptor's schema.
+ * Tolerates a Markdown code fence around the JSON, which some models add even
+ * when asked not to.
+ *
+ * @param {string} raw provider reply
+ * @param {{ schema: object }} output schema descriptor
+ * @returns {{ ok: true, value: object } | { ok: false, errors: string[] }}
+ */
+export function parseStructuredOutput(raw, output) {
+  const text = String(raw || '').trim().replace(/^```(?:json)?\s*\n?([\s\S]*?)\n?```$/i, '$1');
+  let value;
+  try {
+    value = JSON.parse(text);
+  } catch (err) {
+    return { ok: false, errors: [`invalid JSON: ${err.message}`] };
+  }
+  const errors = validateSchema(value, output.schema);
+  return errors.length ? { ok: false, errors } : { ok: true, value };
+}
+
+// ─── Normalization ────────────────────────────────────────────────────────────
+// Each normalizer returns the tolerant parser's shape, or null when the value
+// is schema-valid but unusable (no items, or an item without its key field).
+
+const clean = (value) => (typeof value === 'string' ? value.trim() : '');
+const cleanList = (list) => list.map(clean).filter(Boolean);
+
+function cleanScore(value) {
+  return typeof value === 'number' && value >= 0 && value <= 10 ? value : null;
+}
+
+/**
+ * @param {{ topics: object[] }} value schema-valid topics reply
+ * @param {{ detail?: string }} [options] `detail: 'full'` keeps every field
+ *        (the parseTopicAnalysis shape); otherwise the parseTopics shape
+ * @returns {object[] | null}
+ */
+export function normalizeTopics(value, { detail } = {}) {
+  const topics = value.topics
+    .filter((topic) => clean(topic.premise))
+    .map((topic) => {
+      const base = {
+        triggerType: (clean(topic.triggerType) || 'INSIGHT').toUpperCase(),
+        premise:     clean(topic.premise),
+        whyItWorks:  clean(topic.whyItWorks),
+      };
+      if (detail !== 'full') return base;
+      return {
+        ...base,
+        secondaryTrigger:  clean(topic.secondaryTrigger) || null,
+        category:          clean(topic.category) || null,
+        audiencePain:      clean(topic.audiencePain) || null,
+        beliefChallenged:  clean(topic.beliefChallenged) || null,
+        tension:           clean(topic.tension) || null,
+        uniquePerspective: clean(topic.uniquePerspective) || null,
+        whyComment:        clean(topic.whyComment) || null,
+        whySave:           clean(topic.whySave) || null,
+        storyDirections:   cleanList(topic.storyDirections),
+        hookDirections:    cleanList(topic.hookDirections),
+        emotionalArc: {
+          beginning: clean(topic.emotionalArc.beginning) || null,
+          middle:    clean(topic.emotionalArc.middle) || null,
+          ending:    clean(topic.emotionalArc.ending) || null,
+        },
+        ctaDirection:      clean(topic.ctaDirection) || null,
+        brandPositioning:  clean(topic.brandPositioning) || null,
+        longevity:         topic.longevity,
+        scores: {
+          originality:         cleanScore(topic.scores.originality),
+          discussionPotential: cleanScore(topic.scores.discussionPotential),
+          savePotential:       cleanScore(topic.scores.savePotential),
+          sharePotential:      cleanScore(topic.scores.sharePotential),
+        },
+        confidence:        topic.confidence,
+      };
+    });
+  return topics.length ? topics : null;
+}
+
+/**
+ * @param {{ hooks: object[] }} value schema-valid hooks reply
+ * @returns {object[] | null} the parseHooks shape
+ */
+export function normalizeHooks(value) {
+  const hooks = value.hooks
+    .map((hook, i) => ({
+      type:       clean(hook.type) || `HOOK ${i + 1}`,
+      text:       clean(hook.text),
+      whyItWorks: clean(hook.whyItWorks),
+    }))
+    .filter((hook) => hook.text);
+  return hooks.length ? hooks : null;
+}
@@ -0,0 +1,352 @@
+// services/usage.js — RoftX Usage_Service
+//
+// Read-side reporting over the `generations` event log. Where the Quota_Service
+// answers "may this user create another post?", this service answers "what did
+// generation cost, and where?":
+//   • costReport(...)      -> per-type (and optionally per-user) event counts,
+//                             failures, fallbacks, token usage, average latency
+//                             and an estimated USD cost
+//   • parsePeriodRange(...) -> validate a `from`/`to` Quota_Period range taken
+//                             from a query string
+//   • experimentReport(...) -> per-arm outcomes of the prompt A/B experiments:
+//                             generations, posts created and finalize rate
+//   • historyReport(...)    -> one User's activity over a period range: counts
+//                             per period and per day for every generation
+//                             type, plus funnel ratios (topics -> hooks ->
+//                             posts -> finalized)
+//
+// Design choices:
+//   - Factory `createUsageService({ persistence, pricing, generationTypes, now })`,
+//     injectable like the other services: `persistence` exposes
+//     `getGenerationCosts()`, `pricing` is the per-model price map (defaults to
+//     MODEL_PRICING), `generationTypes` lists the types every history breakdown
+//     carries (zero when unused) and `now` is the clock used to resolve the
+//     default (current) period.
+//   - Cost is an ESTIMATE derived from list prices; events served by a model
+//     with no known price are counted in `unpricedEvents` rather than guessed.
+
+import { MODEL_PRICING } from '../config.js';
+import { periodKey } from '../db/persistence.js';
+
+const PERIOD_PATTERN = /^\d{4}-(0[1-9]|1[0-2])$/;
+
+// Longest range a history report covers; its per-day series is zero-filled, so
+// the range is bounded.
+export const HISTORY_MAX_PERIODS = 12;
+
+// Round a USD amount to millionths so sums of tiny per-event costs stay tidy.
+function roundUsd(amount) {
+  return Math.round(amount * 1e6) / 1e6;
+}
+
+function emptySummary() {
+  return {
+    events: 0,
+    failures: 0,
+    fallbacks: 0,
+    inputTokens: 0,
+    outputTokens: 0,
+    avgLatencyMs: null,
+    estimatedCostUsd: 0,
+    unpricedEvents: 0,
+    // Running latency total over the events that reported one; dropped from the
+    // public shape by `finalize`.
+    latencyTotal: 0,
+    latencyEvents: 0,
+  };
+}
+
+function accumulate(summary, row, cost) {
+  summary.events += row.events;
+  summary.failures += row.failures;
+  summary.fallbacks += row.fallbacks;
+  summary.inputTokens += row.inputTokens;
+  summary.outputTokens += row.outputTokens;
+  if (row.avgLatencyMs !== null) {
+    summary.latencyTotal += row.avgLatencyMs * row.events;
+    summary.latencyEvents += row.events;
+  }
+  if (cost === null) summary.unpricedEvents += row.events;
+  else summary.estimatedCostUsd += cost;
+}
+
+// Every Quota_Period from `from` to `to`, inclusive.
+function periodsBetween(from, to) {
+  const periods = [];
+  let [year, month] = from.split('-').map(Number);
+  for (let key = from; key <= to;) {
+    periods.push(key);
+    month += 1;
+    if (month > 12) {
+      month = 1;
+      year += 1;
+    }
+    key = `${year}-${String(month).padStart(2, '0')}`;
+  }
+  return periods;
+}
+
+// The calendar dates (YYYY-MM-DD) of a Quota_Period.
+function daysOf(period) {
+  const [year, month] = period.split('-').map(Number);
+  const count = new Date(Date.UTC(year, month, 0)).getUTCDate();
+  return Array.from({ length: count }, (_, i) => `${period}-${String(i + 1).padStart(2, '0')}`);
+}
+
+// `numerator / denominator` to three decimals, or null without a denominator.
+function ratio(numerator, denominator) {
+  return denominator > 0 ? Math.round((numerator / denominator) * 1000) / 1000 : null;
+}
+
+// Funnel ratios for a set of generation counts and post outcomes.
+function funnelRatios(counts, posts, finalized) {
+  const count = (type) => counts[type] || 0;
+  return {
+    hooksPerTopics: ratio(count('hooks'), count('topics')),
+    postsPerHooks: ratio(count('post'), count('hooks')),
+    finalizeRate: ratio(finalized, posts),
+    refinementsPerFinalizedPost: ratio(count('refine'), finalized),
+    regenerationsPerFinalizedPost: ratio(count('regenerate'), finalized),
+  };
+}
+
+function finalize(summary) {
+  const { latencyTotal, latencyEvents, ...rest } = summary;
+  return {
+    ...rest,
+    avgLatencyMs: latencyEvents > 0 ? Math.round(latencyTotal / latencyEvents) : null,
+    estimatedCostUsd: roundUsd(rest.estimatedCostUsd),
+  };
+}
+
+/**
+ * Create a Usage_Service.
+ *
+ * @param {object} deps
+ * @param {{ getGenerationCosts: Function, getPromptExperimentOutcomes?: Function,
+ *   getGenerationHistory?: Function }} deps.persistence
+ * @param {Record<string, { input: number, output: number }>} [deps.pricing]
+ *        USD per 1M tokens by model id (defaults to MODEL_PRICING).
+ * @param {string[]} [deps.generationTypes] generation types every history
+ *        breakdown lists, even when unused.
+ * @param {() => Date} [deps.now] Clock function (defaults to `() => new Date()`).
+ */
+export function createUsageService({
+  persistence,
+  pricing = MODEL_PRICING,
+  generationTypes = [],
+  now = () => new Date(),
+} = {}) {
+  if (!persistence || typeof persistence.getGenerationCosts !== 'function') {
+    throw new Error('createUsageService requires a persistence service exposing getGenerationCosts()');
+  }
+
+  /**
+   * Estimate the USD cost of a token count on `model`, or null when the model
+   * has no known price.
+   *
+   * @param {string | null} model
+   * @param {number} inputTokens
+   * @param {number} outputTokens
+   * @returns {number | null}
+   */
+  function estimateCost(model, inputTokens, outputTokens) {
+    const price = model ? pricing[model] : undefined;
+    if (!price) return null;
+    return (inputTokens * price.input + outputTokens * price.output) / 1e6;
+  }
+
+  /**
+   * Validate a Quota_Period range from query input. Both bounds default to the
+   * current period; each must be `YYYY-MM` and `from` must not be after `to`.
+   * Returns the resolved range, or `{ error }` describing the bad input.
+   *
+   * @param {{ from?: unknown, to?: unknown }} [query]
+   * @param {{ maxPeriods?: number }} [options] longest range accepted
+   * @returns {{ fromPeriod: string, toPeriod: string } | { error: string }}
+   */
+  function parsePeriodRange({ from, to } = {}, { maxPeriods = Infinity } = {}) {
+    const current = periodKey(now());
+    const fromPeriod = typeof from === 'string' && from !== '' ? from : current;
+    const toPeriod = typeof to === 'string' && to !== '' ? to : current;
+    if (!PERIOD_PATTERN.test(fromPeriod) || !PERIOD_PATTERN.test(toPeriod)) {
+      return { error: 'from and to must be periods in YYYY-MM form.' };
+    }
+    if (fromPeriod > toPeriod) {
+      return { error: 'from must not be after to.' };
+    }
+    if (periodsBetween(fromPeriod, toPeriod).length > maxPeriods) {
+      return { error: `The range may span at most ${maxPeriods} periods.` };
+    }
+    return { fromPeriod, toPeriod };
+  }
+
+  /**
+   * Build the cost report for a period range.
+   *
+   * The report always carries `totals`, `byType` (one entry per generation
+   * type) and `byModel` (one entry per provider/model pair). With `byUser`, it
+   * also carries a `users` array — one entry per User with their own totals and
+   * per-type breakdown — for pricing the paid plan across the user base.
+   *
+   * @param {{ userId?: number, fromPeriod: string, toPeriod: string, byUser?: boolean }} options
+   * @returns {Promise<object>}
+   */
+  async function costReport({ userId, fromPeriod, toPeriod, byUser = false }) {
+    const rows = await persistence.getGenerationCosts({ userId, fromPeriod, toPeriod });
+
+    const totals = emptySummary();
+    const byType = new Map();
+    const byModel = new Map();
+    const users = new Map();
+
+    const bucket = (map, key, seed) => {
+      if (!map.has(key)) map.set(key, { ...seed, summary: emptySummary() });
+      return map.get(key);
+    };
+
+    for (const row of rows) {
+      const cost = estimateCost(row.model, row.inputTokens, row.outputTokens);
+      accumulate(totals, row, cost);
+      accumulate(bucket(byType, row.genType, { genType: row.genType }).summary, row, cost);
+      accumulate(
+        bucket(byModel, `${row.provider}\u0000${row.model}`, { provider: row.provider, model: row.model }).summary,
+        row,
+        cost,
+      );
+      if (byUser) {
+        const user = bucket(users, row.userId, { userId: row.userId, types: new Map() });
+        accumulate(user.summary, row, cost);
+        accumulate(bucket(user.types, row.genType, { genType: row.genType }).summary, row, cost);
+      }
+    }
+
+    const flatten = (map) => [...map.values()].map(({ summary, ...key }) => ({ ...key, ...finalize(summary) }));
+
+    const report = {
+      from: fromPeriod,
+      to: toPeriod,
+      totals: finalize(totals),
+      byType: flatten(byType),
+      byModel: flatten(byModel),
+    };
+    if (byUser) {
+      report.users = [...users.values()].map(({ userId: id, summary, types }) => ({
+        userId: id,
+        ...finalize(summary),
+        byType: flatten(types),
+      }));
+    }
+    return report;
+  }
+
+  /**
+   * Build the prompt-experiment report: for each running experiment, one entry
+   * per arm (including arms with no activity yet) with its generation counts
+   * by type, the posts created by Users in the arm, how many were finalized,
+   * and the finalize rate (null before any post exists).
+   *
+   * @param {{ experiments: Array<{ id: string, builder: string, versions: Record<string, number> }> }} options
+   * @returns {Promise<{ experiments: object[] }>}
+   */
+  async function experimentReport({ experiments = [] } = {}) {
+    if (experiments.length === 0) return { experiments: [] };
+    if (typeof persistence.getPromptExperimentOutcomes !== 'function') {
+      throw new Error('experimentReport requires a persistence service exposing getPromptExperimentOutcomes()');
+    }
+    const outcomes = await persistence.getPromptExperimentOutcomes(experiments.map((e) => e.id));
+
+    return {
+      experiments: experiments.map(({ id, builder, versions }) => ({
+        id,
+        builder,
+        arms: Object.entries(versions).map(([version, weight]) => {
+          const generations = outcomes.generations
+            .filter((row) => row.experiment === id && row.version === version)
+            .map(({ genType, events, successes, users }) => ({ genType, events, successes, users }));
+          const posts = outcomes.posts.find((row) => row.experiment === id && row.version === version);
+          const created = posts?.posts ?? 0;
+          const finalized = posts?.finalized ?? 0;
+          return {
+            version,
+            weight,
+            generations,
+            posts: created,
+            finalized,
+            finalizeRate: created > 0 ? Math.round((finalized / created) * 1000) / 1000 : null,
+          };
+        }),
+      })),
+    };
+  }
+
+  /**
+   * Build a User's activity history for a period range: successful
+   * generations of every type per period and per day (days after today are
+   * left out), the posts created in each period and how many are finalized,
+   * and the funnel ratios for each period and the whole range. A ratio is null
+   * while its denominator is zero.
+   *
+   * @param {{ userId: number, fromPeriod: string, toPeriod: string }} options
+   * @returns {Promise<{ from: string, to: string, types: string[], totals: object,
+   *   periods: object[], days: Array<{ date: string, counts: Record<string, number> }> }>}
+   */
+  async function historyReport({ userId, fromPeriod, toPeriod }) {
+    if (typeof persistence.getGenerationHistory !== 'function') {
+      throw new Error('historyReport requires a persistence service exposing getGenerationHistory()');
+    }
+    const history = await persistence.getGenerationHistory({ userId, fromPeriod, toPeriod });
+
+    const types = [...new Set([...generationTypes, ...history.generations.map((row) => row.genType)])];
+    const emptyCounts = () => Object.fromEntries(types.map((type) => [type, 0]));
+
+    const today = now().toISOString().slice(0, 10);
+    const periods = new Map(periodsBetween(fromPeriod, toPeriod).map((period) => [
+      period,
+      { period, counts: emptyCounts(), posts: 0, finalized: 0 },
+    ]));
+    const days = new Map();
+    for (const period of periods.keys()) {
+      for (const date of daysOf(period)) {
+        if (date <= today) days.set(date, { date, counts: emptyCounts() });
+      }
+    }
+    const totals = { counts: emptyCounts(), posts: 0, finalized: 0 };
+
+    for (const row of history.generations) {
+      totals.counts[row.genType] += row.count;
+      const period = periods.get(row.period);
+      if (period) period.counts[row.genType] += row.count;
+      const day = days.get(row.date);
+      if (day) day.counts[row.genType] += row.count;
+    }
+    for (const row of history.posts) {
+      const period = periods.get(row.period);
+      if (!period) continue;
+      period.posts += row.posts;
+      period.finalized += row.finalized;
+      totals.posts += row.posts;
+      totals.finalized += row.finalized;
+    }
+
+    const withRatios = (entry) => ({ ...entry, ratios: funnelRatios(entry.counts, entry.posts, entry.finalized) });
+    return {
+      from: fromPeriod,
+      to: toPeriod,
+      types,
+      totals: withRatios(totals),
+      periods: [...periods.values()].map(withRatios),
+      days: [...days.values()],
+    };
+  }
+
+  return {
+    estimateCost,
+    parsePeriodRange,
+    costReport,
+    experimentReport,
+    historyReport,
+  };
+}
+
+export default createUsageService;
@@ -0,0 +1,139 @@
+// services/webhooks.js — the payment-provider webhook log
+//
+// Every delivery to `POST /api/billing/webhook` is stored in `webhook_events`
+// with the raw body it was signed over, the provider's event id, whether its
+// signature verified, and what processing it did (or why it failed):
+//
+//   • unverifiable or unparseable -> stored as 'rejected', answered 400, and NO
+//                                    plan change of any kind (Requirement 14.4)
+//   • first verified delivery     -> handed to the Billing_Service, stored as
+//                                    'processed' (a plan changed or credits were
+//                                    added), 'ignored' or 'failed' (answered 500
+//                                    so the provider retries)
+//   • redelivery of a stored event -> counted, not processed again; only a
+//                                    'failed' or abandoned event is retried,
+//                                    and one still being processed answers 409
+//
+// Admins can list the log and replay a verified event by id: its stored payload
+// goes through the Billing_Service again (without a fresh signature check — it
+// was verified when received).
+//
+// An event left 'received' for longer than `staleMs` was abandoned (the server
+// stopped while processing it); a redelivery or a replay claims it again, as
+// failStaleJobs does for background jobs.
+
+const REPLAYABLE_STATUSES = ['processed', 'ignored', 'failed'];
+
+// How long an event may stay 'received' before it counts as abandoned.
+const DEFAULT_STALE_MS = 10 * 60 * 1000;
+
+/**
+ * Create the webhook service.
+ *
+ * @param {object} deps
+ * @param {{ recordWebhookEvent: Function, claimWebhookEvent: Function, finishWebhookEvent: Function,
+ *   getWebhookEvent: Function, listWebhookEvents: Function }} deps.persistence
+ * @param {{ providerName: string, verifyWebhookSignature: Function, parseWebhookEvent: Function,
+ *   applyWebhookEvent: Function }} deps.billing the Billing_Service
+ * @param {number} [deps.staleMs] after this long an event still being processed
+ *        can be claimed again
+ */
+export function createWebhookService({ persistence, billing, staleMs = DEFAULT_STALE_MS } = {}) {
+  if (!persistence || typeof persistence.recordWebhookEvent !== 'function') {
+    throw new Error('createWebhookService requires a persistence service exposing recordWebhookEvent()');
+  }
+  if (!billing || typeof billing.applyWebhookEvent !== 'function') {
+    throw new Error('createWebhookService requires a billing service exposing applyWebhookEvent()');
+  }
+
+  // Run a claimed event through the Billing_Service and record the outcome.
+  async function processEvent(stored, parsed, { replayed = false } = {}) {
+    try {
+      const result = await billing.applyWebhookEvent(parsed);
+      const { ok, status, ...outcome } = result;
+      const event = await persistence.finishWebhookEvent(stored.id, {
+        status: result.action === 'ignored' ? 'ignored' : 'processed',
+        outcome,
+        replayed,
+      });
+      return { status: 200, body: { ...result, event } };
+    } catch (err) {
+      const message = err?.message || String(err);
+      console.error(`webhook event ${stored.id} failed:`, message);
+      const event = await persistence.finishWebhookEvent(stored.id, { status: 'failed', error: message, replayed });
+      return { status: 500, body: { ok: false, error: 'Webhook event could not be processed.', event } };
+    }
+  }
+
+  /**
+   * Receive a webhook delivery.
+   *
+   * @param {{ payload: string, signature?: string }} delivery the raw request
+   *        body (exactly as signed) and the signature header
+   * @returns {Promise<{ status: number, body: object }>}
+   */
+  async function receive({ payload, signature } = {}) {
+    const raw = typeof payload === 'string' ? payload : Buffer.isBuffer(payload) ? payload.toString('utf8') : '';
+    const provider = billing.providerName;
+
+    const verified = billing.verifyWebhookSignature(raw, signature) === true;
+    const parsed = verified ? billing.parseWebhookEvent(raw) : null;
+    if (!parsed) {
+      await persistence.recordWebhookEvent({
+        provider, payload: raw, signature, verified, status: 'rejected',
+      });
+      const error = verified ? 'Webhook payload could not be parsed.' : 'Webhook signature could not be verified.';
+      return { status: 400, body: { ok: false, planChanged: false, error } };
+    }
+
+    const { event, duplicate } = await persistence.recordWebhookEvent({
+      provider, eventId: parsed.id, eventType: parsed.type, payload: raw, signature, verified: true,
+    });
+    if (!duplicate) return processEvent(event, parsed);
+
+    if (event.status === 'received' || event.status === 'failed') {
+      const claimed = await persistence.claimWebhookEvent(event.id, ['failed'], { staleMs });
+      if (claimed) return processEvent(claimed, parsed);
+      return { status: 409, body: { ok: false, error: 'This webhook event is still being processed.', event } };
+    }
+    return { status: 200, body: { ok: true, planChanged: false, duplicate: true, event } };
+  }
+
+  /**
+   * Process a stored, verified event again.
+   *
+   * @param {number} id webhook_events id
+   * @returns {Promise<{ status: number, body: object }>}
+   * @throws {NotFoundError} when the event does not exist
+   */
+  async function replay(id) {
+    const stored = await persistence.getWebhookEvent(id);
+    if (!stored.verified) {
+      return { status: 409, body: { error: 'Only events with a verified signature can be replayed.' } };
+    }
+    const parsed = billing.parseWebhookEvent(stored.payload);
+    if (!parsed) {
+      return { status: 409, body: { error: 'The stored payload could not be parsed.' } };
+    }
+
+    const claimed = await persistence.claimWebhookEvent(id, REPLAYABLE_STATUSES, { staleMs });
+    if (!claimed) {
+      return { status: 409, body: { error: 'This webhook event is still being processed.' } };
+    }
+    return processEvent(claimed, parsed, { replayed: true });
+  }
+
+  /**
+   * List stored events (without payloads), most recent first.
+   *
+   * @param {{ status?: string, provider?: string, limit?: number }} [filters]
+   * @returns {Promise<Array>}
+   */
+  function list(filters = {}) {
+    return persistence.listWebhookEvents(filters);
+  }
+
+  return { receive, replay, list };
+}
+
+export default createWebhookService;
@@ -0,0 +1,99 @@
+// Brand guidelines (services/brand.js): validation of a client-supplied set,
+// and the set a generation runs with.
+
+import { describe, it, expect } from 'vitest';
+import {
+  validateBrandGuidelines,
+  brandForPrompt,
+  BRAND_LIMITS,
+  DEFAULT_BRAND_GUIDELINES,
+} from '../services/brand.js';
+
+const list = (n, make) => Array.from({ length: n }, (_, i) => make(i));
+
+describe('validateBrandGuidelines', () => {
+  it('fills every omitted field with its default', () => {
+    expect(validateBrandGuidelines({})).toEqual({ ok: true, value: DEFAULT_BRAND_GUIDELINES });
+  });
+
+  it('returns a full, trimmed set', () => {
+    const result = validateBrandGuidelines({
+      bannedWords: [' synergy ', 'Synergy', '', 'leverage'],
+      requiredHashtags: ['#Acme', ' acme ', 'growth_2026'],
+      ctaStyle: '  Ask a question.  ',
+      emojiPolicy: 'sparing',
+      spellingLocale: 'en-GB',
+      audience: 'Engineering managers',
+      roftxBranding: false,
+    });
+
+    expect(result).toEqual({
+      ok: true,
+      value: {
+        bannedWords: ['synergy', 'leverage'],
+        requiredHashtags: ['#Acme', '#growth_2026'],
+        ctaStyle: 'Ask a question.',
+        emojiPolicy: 'sparing',
+        spellingLocale: 'en-GB',
+        audience: 'Engineering managers',
+        roftxBranding: false,
+      },
+    });
+  });
+
+  it('treats null or empty optional fields as unset', () => {
+    const { value } = validateBrandGuidelines({ ctaStyle: null, emojiPolicy: '', spellingLocale: null });
+    expect(value).toMatchObject({ ctaStyle: '', emojiPolicy: null, spellingLocale: null });
+  });
+
+  it.each([
+    ['not an object', ['synergy'], 'Brand guidelines must be an object.'],
+    ['bannedWords not an array', { bannedWords: 'synergy' }, 'bannedWords must be an array of strings.'],
+    ['a non-string banned word', { bannedWords: ['ok', 3] }, 'bannedWords must be an array of strings.'],
+    ['too many banned words', { bannedWords: list(BRAND_LIMITS.maxBannedWords + 1, (i) => `w${i}`) },
+      'bannedWords may have at most 50 entries.'],
+    ['a long banned word', { bannedWords: ['x'.repeat(BRAND_LIMITS.maxBannedWordChars + 1)] },
+      'bannedWords entries must be at most 60 characters.'],
+    ['too many hashtags', { requiredHashtags: ['a', 'b', 'c', 'd'] }, 'requiredHashtags may have at most 3 entries.'],
+    ['a hashtag with punctuation', { requiredHashtags: ['#co-op'] },
+      'requiredHashtags may contain only letters, digits and underscores.'],
+    ['a long ctaStyle', { ctaStyle: 'x'.repeat(BRAND_LIMITS.maxCtaStyleChars + 1) }, 'ctaStyle must be at most 300 characters.'],
+    ['a non-string audience', { audience: 42 }, 'audience must be a string.'],
+    ['an unknown emoji policy', { emojiPolicy: 'lots' }, 'emojiPolicy must be one of none, sparing, free.'],
+    ['an unknown locale', { spellingLocale: 'fr-FR' }, 'spellingLocale must be one of en-US, en-GB, en-AU, en-CA, en-IN.'],
+    ['a non-boolean roftxBranding', { roftxBranding: 'no' }, 'roftxBranding must be true or false.'],
+  ])('rejects %s', (_, input, error) => {
+    const result = validateBrandGuidelines(input);
+    expect(result.ok).toBe(false);
+    expect(result.errors).toContain(error);
+  });
+
+  it('counts hashtags after dropping duplicates, with or without #', () => {
+    expect(validateBrandGuidelines({ requiredHashtags: ['#a', 'a', 'A', 'b', 'c'] }).ok).toBe(true);
+  });
+
+  it('reports every invalid field at once', () => {
+    expect(validateBrandGuidelines({ audience: 1, emojiPolicy: 'x', roftxBranding: 0 }).errors).toHaveLength(3);
+  });
+});
+
+describe('brandForPrompt', () => {
+  it('returns the defaults when nothing is saved', () => {
+    expect(brandForPrompt(null)).toEqual(DEFAULT_BRAND_GUIDELINES);
+  });
+
+  it('keeps saved fields over defaults, ignoring null and unknown keys', () => {
+    const brand = brandForPrompt(
+      { bannedWords: ['synergy'], emojiPolicy: 'none', audience: null, userId: 7 },
+      { brandingRemovable: true },
+    );
+    expect(brand).toEqual({ ...DEFAULT_BRAND_GUIDELINES, bannedWords: ['synergy'], emojiPolicy: 'none' });
+  });
+
+  it('forces #RoftX branding on unless the plan may remove it', () => {
+    const saved = { ...DEFAULT_BRAND_GUIDELINES, roftxBranding: false };
+    expect(brandForPrompt(saved).roftxBranding).toBe(true);
+    expect(brandForPrompt(saved, { brandingRemovable: false }).roftxBranding).toBe(true);
+    expect(brandForPrompt(saved, { brandingRemovable: true }).roftxBranding).toBe(false);
+  });
+});
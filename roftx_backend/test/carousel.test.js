@@ -0,0 +1,114 @@
+// Carousel posts: the slide parser in services/generation.js and the
+// renderers in services/carousel.js.
+
+import { describe, it, expect } from 'vitest';
+import { parseCarousel } from '../services/generation.js';
+import { carouselText, renderCarouselHtml, renderCarouselPdf } from '../services/carousel.js';
+
+const REPLY = `SLIDE 1 — COVER
+Title: Why kickoffs fail
+Body: Most projects are lost
+in the first meeting.
+Visual: A calendar on fire
+
+SLIDE [2]: PROBLEM
+Title: No owner
+Body: Everyone agrees, nobody decides.
+
+slide (3)
+title:   Name one owner
+body: One name per decision.
+Visual hint: A single chair
+
+SLIDE 4 – SO WHAT
+Title: Follow me for more
+Body: Comment "kickoff" for the template.`;
+
+const SLIDES = [
+  { kind: 'cover', title: 'Why <kickoffs> fail', body: 'Line one\nLine "two" & more', visualHint: "Don't panic" },
+  { kind: 'content', title: 'Middle', body: 'Body.', visualHint: '' },
+  { kind: 'cta', title: 'Follow — for more…', body: 'Bye.', visualHint: '' },
+];
+
+describe('parseCarousel', () => {
+  it('splits the reply into slides on tolerant SLIDE headers', () => {
+    const slides = parseCarousel(REPLY);
+
+    expect(slides).toHaveLength(4);
+    expect(slides[0]).toEqual({
+      kind: 'cover',
+      title: 'Why kickoffs fail',
+      body: 'Most projects are lost\nin the first meeting.',
+      visualHint: 'A calendar on fire',
+    });
+    expect(slides[2]).toEqual({
+      kind: 'content',
+      title: 'Name one owner',
+      body: 'One name per decision.',
+      visualHint: 'A single chair',
+    });
+  });
+
+  it('assigns cover and cta by position, whatever the headers say', () => {
+    const relabelled = REPLY.replace('SLIDE 1 — COVER', 'SLIDE 1 — CTA').replace('SLIDE 4 – SO WHAT', 'SLIDE 4 — COVER');
+    expect(parseCarousel(relabelled).map((s) => s.kind)).toEqual(['cover', 'content', 'content', 'cta']);
+  });
+
+  it('drops empty slides and returns [] for fewer than three', () => {
+    expect(parseCarousel('SLIDE 1\nTitle: A\n\nSLIDE 2\nVisual: only a hint\n\nSLIDE 3\nBody: C')).toEqual([]);
+    expect(parseCarousel('Title: A\nBody: no headers at all')).toEqual([]);
+    expect(parseCarousel(null)).toEqual([]);
+  });
+});
+
+describe('carouselText', () => {
+  it('numbers the slides and separates them with blank lines', () => {
+    expect(carouselText(parseCarousel(REPLY)).split('\n\n')[1]).toBe('2. No owner\nEveryone agrees, nobody decides.');
+  });
+});
+
+describe('renderCarouselHtml', () => {
+  it('renders one section per slide with the kind as a modifier class', () => {
+    const html = renderCarouselHtml(SLIDES);
+
+    expect(html.match(/<section /g)).toHaveLength(3);
+    expect(html).toContain('class="slide slide--cover"');
+    expect(html).toContain('class="slide slide--cta"');
+    expect(html).toContain('<div class="slide__number">3 / 3</div>');
+  });
+
+  it('escapes slide text and the document title', () => {
+    const html = renderCarouselHtml(SLIDES, { title: '<script>alert(1)</script>' });
+
+    expect(html).not.toContain('<script>');
+    expect(html).toContain('<title>&lt;script&gt;alert(1)&lt;/script&gt;</title>');
+    expect(html).toContain('Why &lt;kickoffs&gt; fail');
+    expect(html).toContain('Line one<br>Line &quot;two&quot; &amp; more');
+  });
+
+  it('renders visual hints only with notes', () => {
+    expect(renderCarouselHtml(SLIDES)).not.toContain('<p class="slide__notes">');
+    expect(renderCarouselHtml(SLIDES, { notes: true })).toContain('Visual: Don&#39;t panic');
+  });
+});
+
+describe('renderCarouselPdf', () => {
+  it('writes one page per slide with a valid cross-reference table', () => {
+    const pdf = renderCarouselPdf(SLIDES, { title: 'Kickoffs' }).toString('latin1');
+
+    expect(pdf.startsWith('%PDF-1.4')).toBe(true);
+    expect(pdf).toContain('/Count 3');
+    expect(pdf.match(/\/Type \/Page /g)).toHaveLength(3);
+    expect(pdf).toContain('/Title (Kickoffs)');
+
+    const xref = Number(pdf.match(/startxref\n(\d+)\n%%EOF\n$/)[1]);
+    expect(pdf.slice(xref, xref + 4)).toBe('xref');
+    const firstOffset = Number(pdf.slice(xref).split('\n')[3].slice(0, 10));
+    expect(pdf.slice(firstOffset, firstOffset + 7)).toBe('1 0 obj');
+  });
+
+  it('encodes typographic punctuation as WinAnsi and escapes PDF strings', () => {
+    const pdf = renderCarouselPdf([{ kind: 'cover', title: 'A (draft) — 100%…', body: 'b' }]).toString('latin1');
+    expect(pdf).toContain('(A \\(draft\\) \x97 100%\x85) Tj');
+  });
+});
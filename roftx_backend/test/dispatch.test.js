@@ -0,0 +1,282 @@
+// AI dispatch resilience: fallback, retries, timeouts, circuit breakers and
+// cancellation, driven entirely through the dispatcher's injectable hooks (fake
+// providers, sleeps, clocks and breaker registries) — no network.
+
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import fc from 'fast-check';
+import {
+  createCallAI,
+  createStreamAI,
+  createBreakerRegistry,
+  createProviderRegistry,
+} from '../services/generation.js';
+
+const noSleep = async () => {};
+
+// The dispatcher logs every retry and fallback; keep the test output readable.
+beforeEach(() => {
+  vi.spyOn(console, 'warn').mockImplementation(() => {});
+});
+afterEach(() => {
+  vi.restoreAllMocks();
+});
+
+function httpError(status, extra = {}) {
+  return Object.assign(new Error(`HTTP ${status}`), { status, ...extra });
+}
+
+// A provider fake that fails with the queued errors, then answers `text`.
+function scripted(errors = [], text = 'ok') {
+  const queue = [...errors];
+  const fn = async () => {
+    fn.calls += 1;
+    if (queue.length) throw queue.shift();
+    return text;
+  };
+  fn.calls = 0;
+  return fn;
+}
+
+function dispatcher({ openai, claude, hasClaude = true, ...options }) {
+  return createCallAI({
+    chain: ['openai', 'claude'],
+    hasOpenAI: true,
+    hasClaude,
+    openai,
+    claude,
+    breakers: createBreakerRegistry(),
+    maxRetries: 0,
+    sleep: noSleep,
+    ...options,
+  });
+}
+
+describe('provider fallback', () => {
+  // Feature: roftx-platform, Property 4: the AI_Dispatcher falls back to Claude if and only if the status is not 400 and Claude is configured
+  it('falls back exactly when the status is not 400 and another provider is configured', async () => {
+    await fc.assert(
+      fc.asyncProperty(
+        fc.integer({ min: 400, max: 599 }),
+        fc.boolean(),
+        async (status, hasClaude) => {
+          const openai = scripted([httpError(status)]);
+          const claude = scripted([], 'from claude');
+          const callAI = dispatcher({ openai, claude, hasClaude });
+
+          const shouldFallBack = status !== 400 && hasClaude;
+          if (shouldFallBack) {
+            await expect(callAI('p')).resolves.toBe('from claude');
+          } else {
+            await expect(callAI('p')).rejects.toMatchObject({ status });
+          }
+          expect(claude.calls).toBe(shouldFallBack ? 1 : 0);
+        },
+      ),
+      { numRuns: 100 },
+    );
+  });
+
+  it('fills the trace with what served the request', async () => {
+    const callAI = dispatcher({ openai: scripted([httpError(503)]), claude: scripted() });
+    const trace = {};
+    await callAI('p', 'quality', trace);
+    expect(trace).toMatchObject({ provider: 'claude', fallback: true, attempts: 2 });
+  });
+
+  it('walks a registry chain with adapters it was given', async () => {
+    const adapter = (id, call) => ({ id, label: id, models: { fast: `${id}-fast` }, configured: true, call });
+    const registry = createProviderRegistry([
+      adapter('a', scripted([httpError(500)])),
+      adapter('b', scripted([], 'from b')),
+    ]);
+    const callAI = createCallAI({
+      registry, chain: ['a', 'b'], breakers: createBreakerRegistry(), maxRetries: 0, sleep: noSleep,
+    });
+    const trace = {};
+    await expect(callAI('p', 'fast', trace)).resolves.toBe('from b');
+    expect(trace).toMatchObject({ provider: 'b', model: 'b-fast', fallback: true });
+  });
+});
+
+describe('retries', () => {
+  it('retries 429 and 5xx with exponential backoff', async () => {
+    const delays = [];
+    const openai = scripted([httpError(429), httpError(502)], 'third time');
+    const callAI = dispatcher({
+      openai,
+      claude: scripted(),
+      maxRetries: 2,
+      retryBaseMs: 100,
+      retryMaxMs: 1000,
+      sleep: async (ms) => { delays.push(ms); },
+    });
+    await expect(callAI('p')).resolves.toBe('third time');
+    expect(openai.calls).toBe(3);
+    expect(delays).toEqual([100, 200]);
+  });
+
+  it('honors Retry-After, and moves on when it is longer than the maximum delay', async () => {
+    const delays = [];
+    const sleep = async (ms) => { delays.push(ms); };
+    const options = { claude: scripted([], 'from claude'), maxRetries: 2, retryBaseMs: 100, retryMaxMs: 1000, sleep };
+
+    const polite = dispatcher({ openai: scripted([httpError(429, { retryAfterMs: 700 })]), ...options });
+    await expect(polite('p')).resolves.toBe('ok');
+    expect(delays).toEqual([700]);
+
+    const openai = scripted([httpError(429, { retryAfterMs: 5000 })]);
+    const impatient = dispatcher({ ...options, openai });
+    await expect(impatient('p')).resolves.toBe('from claude');
+    expect(openai.calls).toBe(1);
+  });
+
+  it('does not retry a 400', async () => {
+    const openai = scripted([httpError(400)]);
+    const callAI = dispatcher({ openai, claude: scripted(), maxRetries: 3 });
+    await expect(callAI('p')).rejects.toMatchObject({ status: 400 });
+    expect(openai.calls).toBe(1);
+  });
+});
+
+describe('timeouts', () => {
+  it('fails an attempt that outlives the timeout with a 504', async () => {
+    const hang = (prompt, tier, { signal }) => new Promise((resolve, reject) => {
+      signal.addEventListener('abort', () => reject(new Error('aborted')));
+    });
+    const callAI = dispatcher({ openai: hang, claude: scripted(), hasClaude: false, timeoutMs: 20 });
+    await expect(callAI('p')).rejects.toMatchObject({ status: 504, timeout: true, provider: 'openai' });
+  });
+
+  it('holds even when the provider ignores the abort signal', async () => {
+    const deaf = () => new Promise(() => {});
+    const callAI = dispatcher({ openai: deaf, claude: scripted([], 'from claude'), timeoutMs: 20 });
+    await expect(callAI('p')).resolves.toBe('from claude');
+  });
+});
+
+describe('circuit breakers', () => {
+  it('opens after repeated failures, skips the provider, then lets one trial through', async () => {
+    let clock = 0;
+    const breakers = createBreakerRegistry({ failureThreshold: 2, cooldownMs: 1000, now: () => clock });
+    const openai = scripted([httpError(500), httpError(500)], 'recovered');
+    const claude = scripted([], 'from claude');
+    const callAI = dispatcher({ openai, claude, breakers });
+
+    await callAI('p');
+    await callAI('p');
+    expect(breakers.snapshot().openai.state).toBe('open');
+
+    await expect(callAI('p')).resolves.toBe('from claude');
+    expect(openai.calls).toBe(2);
+
+    clock = 1000;
+    await expect(callAI('p')).resolves.toBe('recovered');
+    expect(breakers.snapshot().openai).toMatchObject({ state: 'closed', failures: 0 });
+  });
+
+  it('counts a 400 as a healthy response', async () => {
+    const breakers = createBreakerRegistry({ failureThreshold: 1 });
+    const callAI = dispatcher({ openai: scripted([httpError(400)]), claude: scripted(), breakers });
+    await expect(callAI('p')).rejects.toMatchObject({ status: 400 });
+    expect(breakers.snapshot().openai.state).toBe('closed');
+  });
+
+  it('reports every provider as unavailable while all breakers are open', async () => {
+    const breakers = createBreakerRegistry({ failureThreshold: 1, cooldownMs: 60000 });
+    const callAI = dispatcher({ openai: scripted([httpError(500)]), claude: scripted([httpError(500)]), breakers });
+    await expect(callAI('p')).rejects.toMatchObject({ status: 500 });
+    await expect(callAI('p')).rejects.toMatchObject({ status: 503 });
+  });
+});
+
+describe('cancellation', () => {
+  it('aborts the provider request without falling back or tripping the breaker', async () => {
+    const breakers = createBreakerRegistry({ failureThreshold: 1 });
+    let providerSignal;
+    const openai = (prompt, tier, { signal }) => {
+      providerSignal = signal;
+      return new Promise(() => {});
+    };
+    const claude = scripted();
+    const callAI = dispatcher({ openai, claude, breakers, maxRetries: 2 });
+
+    const controller = new AbortController();
+    const pending = callAI('p', 'fast', null, { signal: controller.signal });
+    controller.abort();
+
+    await expect(pending).rejects.toMatchObject({ status: 499, cancelled: true });
+    expect(providerSignal.aborted).toBe(true);
+    expect(claude.calls).toBe(0);
+    expect(breakers.snapshot().openai.state).toBe('closed');
+  });
+});
+
+describe('streaming', () => {
+  function streamer({ openai, claude, ...options }) {
+    return createStreamAI({
+      chain: ['openai', 'claude'],
+      hasOpenAI: true,
+      hasClaude: true,
+      openai,
+      claude,
+      breakers: createBreakerRegistry(),
+      maxRetries: 1,
+      sleep: noSleep,
+      ...options,
+    });
+  }
+
+  it('neither retries nor falls back once a delta went out', async () => {
+    let attempts = 0;
+    const openai = async (prompt, tier, onDelta) => {
+      attempts += 1;
+      onDelta('partial ');
+      throw httpError(502);
+    };
+    const claude = scripted();
+    const deltas = [];
+    const streamAI = streamer({ openai, claude });
+    await expect(streamAI('p', 'fast', (d) => deltas.push(d))).rejects.toMatchObject({ status: 502 });
+    expect(deltas).toEqual(['partial ']);
+    expect(attempts).toBe(1);
+    expect(claude.calls).toBe(0);
+  });
+
+  it('times out on silence, not on the length of a stream that keeps going', async () => {
+    const steady = (prompt, tier, onDelta) => new Promise((resolve) => {
+      let sent = 0;
+      const timer = setInterval(() => {
+        onDelta('x');
+        if (++sent === 5) {
+          clearInterval(timer);
+          resolve('xxxxx');
+        }
+      }, 10);
+    });
+    await expect(streamer({ openai: steady, timeoutMs: 30 })('p')).resolves.toBe('xxxxx');
+
+    const silent = () => new Promise(() => {});
+    const streamAI = streamer({ openai: silent, claude: silent, maxRetries: 0, timeoutMs: 20 });
+    await expect(streamAI('p')).rejects.toMatchObject({ status: 504, timeout: true });
+  });
+
+  it('aborts the provider stream without falling back or tripping the breaker', async () => {
+    const breakers = createBreakerRegistry({ failureThreshold: 1 });
+    let providerSignal;
+    const openai = (prompt, tier, onDelta, { signal }) => {
+      providerSignal = signal;
+      return new Promise(() => {});
+    };
+    const claude = scripted();
+    const streamAI = streamer({ openai, claude, breakers });
+
+    const controller = new AbortController();
+    const pending = streamAI('p', 'fast', () => {}, null, { signal: controller.signal });
+    controller.abort();
+
+    await expect(pending).rejects.toMatchObject({ status: 499, cancelled: true });
+    expect(providerSignal.aborted).toBe(true);
+    expect(claude.calls).toBe(0);
+    expect(breakers.snapshot().openai.state).toBe('closed');
+  });
+});
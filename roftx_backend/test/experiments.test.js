@@ -0,0 +1,125 @@
+// Prompt versions and A/B experiments (services/experiments.js): deterministic,
+// weighted assignment, experiment validation, and per-user builder maps.
+
+import { describe, it, expect, vi } from 'vitest';
+import { createPromptRegistry, BASE_PROMPT_VERSION } from '../services/experiments.js';
+
+const builders = {
+  buildHookGeneratorPrompt: (topic) => `v1 hooks: ${topic}`,
+  buildPostWriterPrompt: (topic) => `v1 post: ${topic}`,
+};
+const versions = {
+  buildHookGeneratorPrompt: { v2: (topic) => `v2 hooks: ${topic}`, v3: (topic) => `v3 hooks: ${topic}` },
+};
+
+const HOOKS_EXPERIMENT = { id: 'hooks-2026-10', builder: 'buildHookGeneratorPrompt', versions: { v1: 50, v2: 50 } };
+
+function registry(experiments, warn = vi.fn()) {
+  return createPromptRegistry({ builders, versions, experiments, warn });
+}
+
+const userIds = Array.from({ length: 2000 }, (_, i) => i + 1);
+
+describe('assign', () => {
+  it('gives a user the same version on every call and across registries', () => {
+    const first = registry([HOOKS_EXPERIMENT]);
+    const second = registry([HOOKS_EXPERIMENT]);
+
+    for (const userId of userIds.slice(0, 50)) {
+      const assignment = first.assign('buildHookGeneratorPrompt', userId);
+      expect(assignment.experiment).toBe('hooks-2026-10');
+      expect(first.assign('buildHookGeneratorPrompt', userId)).toEqual(assignment);
+      expect(second.assign('buildHookGeneratorPrompt', userId)).toEqual(assignment);
+    }
+  });
+
+  it('splits users in proportion to the weights', () => {
+    const reg = registry([{ ...HOOKS_EXPERIMENT, versions: { v1: 1, v2: 3 } }]);
+    const v2 = userIds.filter((id) => reg.assign('buildHookGeneratorPrompt', id).version === 'v2').length;
+
+    expect(v2 / userIds.length).toBeGreaterThan(0.7);
+    expect(v2 / userIds.length).toBeLessThan(0.8);
+  });
+
+  it('never picks a version with no positive weight', () => {
+    const reg = registry([{ ...HOOKS_EXPERIMENT, versions: { v1: 0, v2: 1, v3: -5 } }]);
+    expect(new Set(userIds.map((id) => reg.assign('buildHookGeneratorPrompt', id).version))).toEqual(new Set(['v2']));
+  });
+
+  it('assigns independently per experiment id', () => {
+    const a = registry([HOOKS_EXPERIMENT]);
+    const b = registry([{ ...HOOKS_EXPERIMENT, id: 'hooks-2026-11' }]);
+    const differ = userIds.filter((id) =>
+      a.assign('buildHookGeneratorPrompt', id).version !== b.assign('buildHookGeneratorPrompt', id).version);
+
+    expect(differ.length).toBeGreaterThan(0);
+  });
+
+  it("gives 'v1' without a user or outside any experiment", () => {
+    const reg = registry([HOOKS_EXPERIMENT]);
+    expect(reg.assign('buildHookGeneratorPrompt', null)).toEqual({ version: BASE_PROMPT_VERSION, experiment: null });
+    expect(reg.assign('buildPostWriterPrompt', 7)).toEqual({ version: 'v1', experiment: null });
+  });
+});
+
+describe('experiment validation', () => {
+  it.each([
+    ['a bad id', { ...HOOKS_EXPERIMENT, id: 'no spaces allowed' }, 'id must be'],
+    ['an unknown builder', { ...HOOKS_EXPERIMENT, builder: 'buildNothing' }, 'unknown builder "buildNothing"'],
+    ['an unknown version', { ...HOOKS_EXPERIMENT, versions: { v1: 1, v9: 1 } }, 'unknown version(s) v9'],
+    ['no positive weight', { ...HOOKS_EXPERIMENT, versions: { v1: 0, v2: 'half' } }, 'no version has a positive weight'],
+  ])('skips an experiment with %s, with a warning', (_, experiment, reason) => {
+    const warn = vi.fn();
+    const reg = registry([experiment], warn);
+
+    expect(reg.listExperiments()).toEqual([]);
+    expect(warn).toHaveBeenCalledWith(expect.stringContaining(reason));
+  });
+
+  it('skips duplicate ids and a second experiment on the same builder', () => {
+    const warn = vi.fn();
+    const reg = registry([
+      HOOKS_EXPERIMENT,
+      { ...HOOKS_EXPERIMENT, versions: { v3: 1 } },
+      { ...HOOKS_EXPERIMENT, id: 'hooks-other' },
+    ], warn);
+
+    expect(reg.listExperiments()).toEqual([HOOKS_EXPERIMENT]);
+    expect(warn).toHaveBeenCalledWith('Prompt experiment "hooks-2026-10" skipped: duplicate id');
+    expect(warn).toHaveBeenCalledWith(
+      'Prompt experiment "hooks-other" skipped: buildHookGeneratorPrompt is already in experiment hooks-2026-10');
+  });
+
+  it('ignores disabled experiments without a warning and warns once for unparseable config', () => {
+    const warn = vi.fn();
+    expect(registry([{ ...HOOKS_EXPERIMENT, enabled: false }], warn).listExperiments()).toEqual([]);
+    expect(warn).not.toHaveBeenCalled();
+
+    registry(null, warn);
+    expect(warn).toHaveBeenCalledTimes(1);
+  });
+});
+
+describe('forUser and assignments', () => {
+  const reg = registry([{ ...HOOKS_EXPERIMENT, versions: { v2: 1 } }]);
+
+  it("builds with the user's version and reports the builder called last", () => {
+    const { prompts, chosen } = reg.forUser(7);
+    expect(chosen()).toBeNull();
+
+    expect(prompts.buildHookGeneratorPrompt('kickoffs')).toBe('v2 hooks: kickoffs');
+    expect(chosen()).toEqual({ builder: 'buildHookGeneratorPrompt', version: 'v2', experiment: 'hooks-2026-10' });
+    expect(prompts.buildPostWriterPrompt('kickoffs')).toBe('v1 post: kickoffs');
+    expect(chosen()).toEqual({ builder: 'buildPostWriterPrompt', version: 'v1', experiment: null });
+  });
+
+  it("lists the user's arm in every running experiment", () => {
+    expect(reg.assignments(7)).toEqual({ 'hooks-2026-10': 'v2' });
+    expect(reg.assignments(null)).toEqual({});
+  });
+
+  it('lists the versions of a builder', () => {
+    expect(reg.versionsOf('buildHookGeneratorPrompt')).toEqual(['v1', 'v2', 'v3']);
+    expect(reg.versionsOf('buildNothing')).toEqual([]);
+  });
+});
@@ -0,0 +1,33 @@
+// Idempotency-Key handling (services/idempotency.js): which outcomes are kept
+// for replay and which release the key so a retry runs again.
+
+import { describe, it, expect, vi } from 'vitest';
+import { createIdempotencyService } from '../services/idempotency.js';
+
+function createKeyStore() {
+  return {
+    claimIdempotencyKey: vi.fn(async () => ({ claimed: true })),
+    completeIdempotencyKey: vi.fn(async () => {}),
+    releaseIdempotencyKey: vi.fn(async () => {}),
+  };
+}
+
+describe('finish', () => {
+  it('stores a successful or invalid-request outcome for replay', async () => {
+    const store = createKeyStore();
+    const idempotency = createIdempotencyService({ persistence: store });
+    for (const status of [200, 400]) await idempotency.finish(1, 'k', { status, body: {} });
+
+    expect(store.completeIdempotencyKey).toHaveBeenCalledTimes(2);
+    expect(store.releaseIdempotencyKey).not.toHaveBeenCalled();
+  });
+
+  it('releases the key on plan refusals, cancellations, quota refusals and failures', async () => {
+    const store = createKeyStore();
+    const idempotency = createIdempotencyService({ persistence: store });
+    for (const status of [402, 403, 409, 429, 500, 503]) await idempotency.finish(1, 'k', { status, body: {} });
+
+    expect(store.releaseIdempotencyKey).toHaveBeenCalledTimes(6);
+    expect(store.completeIdempotencyKey).not.toHaveBeenCalled();
+  });
+});
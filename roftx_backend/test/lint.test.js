@@ -0,0 +1,155 @@
+// Post linting (services/lint.js): each section of the lintPost report, the
+// issues it raises, and the summary attached to a finalized post.
+
+import { describe, it, expect } from 'vitest';
+import { lintPost, summarizeLint, LINKEDIN_MAX_CHARS, PREVIEW_CHARS } from '../services/lint.js';
+
+const codes = (report) => report.issues.map((i) => i.code);
+
+const CLEAN = `Most projects fail in the first week.
+
+Not because the plan is wrong.
+Because the first decision has no owner.
+
+Name one owner before the kickoff ends.`;
+
+describe('lintPost', () => {
+  it('passes a short, well-shaped post without issues', () => {
+    const report = lintPost(CLEAN);
+    expect(report.ok).toBe(true);
+    expect(report.issues).toEqual([]);
+  });
+
+  describe('length', () => {
+    it("counts characters against LinkedIn's limit", () => {
+      expect(lintPost('Hi 👋').length).toEqual({ chars: 4, limit: LINKEDIN_MAX_CHARS, remaining: 2996 });
+    });
+
+    it('makes an empty or over-long post an error', () => {
+      expect(lintPost('  \n ')).toMatchObject({ ok: false, length: { chars: 0 } });
+      expect(codes(lintPost(''))).toContain('empty');
+
+      const long = lintPost(`${'Short line here.\n\n'.repeat(170)}`);
+      expect(long.ok).toBe(false);
+      expect(long.issues[0]).toEqual({
+        code: 'too_long', severity: 'error', message: `The post is ${long.length.chars} characters; LinkedIn allows 3000.`,
+      });
+    });
+  });
+
+  describe('preview', () => {
+    it('is the whole post when it fits before "see more"', () => {
+      expect(lintPost('One.\nTwo.').preview).toEqual({ text: 'One.\nTwo.', chars: 9, truncated: false, hookVisible: true });
+    });
+
+    it('cuts after three lines, keeping a hook that ends before the cut', () => {
+      const { preview, issues } = lintPost('One.\nTwo.\nThree.\nFour.');
+      expect(preview).toMatchObject({ text: 'One.\nTwo.\nThree.', truncated: true, hookVisible: true });
+      expect(issues).toEqual([]);
+    });
+
+    it('finds a hook with a hashtag in the preview', () => {
+      const report = lintPost('Why #AI will not take your job.\nTwo.\nThree.\nFour.');
+      expect(report.preview).toMatchObject({ truncated: true, hookVisible: true });
+      expect(codes(report)).not.toContain('hook_cut');
+    });
+
+    it('cuts at a word boundary and flags a hook that runs past the cut', () => {
+      const hook = `Here is ${'a very long opening '.repeat(12)}sentence.`;
+      const content = `${hook}\n\nMore.`;
+      const report = lintPost(content);
+      expect(report.preview.chars).toBeLessThanOrEqual(PREVIEW_CHARS);
+      expect(content.startsWith(`${report.preview.text} `)).toBe(true);
+      expect(report.preview.hookVisible).toBe(false);
+      expect(codes(report)).toContain('hook_cut');
+    });
+  });
+
+  describe('rhythm', () => {
+    it('counts lines, paragraphs, sentences and words', () => {
+      expect(lintPost(CLEAN).rhythm).toEqual({
+        lines: 4,
+        paragraphs: 3,
+        sentences: 4,
+        words: 27,
+        avgWordsPerSentence: 6.8,
+        longestSentenceWords: 7,
+        longestParagraphChars: 71,
+      });
+    });
+
+    it('flags a single block, a long paragraph and long sentences', () => {
+      const sentence = 'We planned the launch for months and still missed the most obvious risk in the room. ';
+      expect(codes(lintPost(sentence.repeat(4)))).toContain('wall_of_text');
+      expect(codes(lintPost(`Hook.\n\n${sentence.repeat(4)}`))).toContain('long_paragraph');
+
+      const rambling = `${'and then we kept going '.repeat(6)}until the end.`;
+      expect(codes(lintPost(rambling))).toContain('long_sentences');
+    });
+  });
+
+  describe('hashtags', () => {
+    it('counts standalone hashtags only, and warns above five', () => {
+      expect(lintPost('C# and &#39; are not tags. #one #Two').hashtags).toEqual({ count: 2, tags: ['#one', '#Two'], max: 5 });
+      expect(codes(lintPost('Post. #a #b #c #d #e'))).not.toContain('too_many_hashtags');
+      expect(codes(lintPost('Post. #a #b #c #d #e #f'))).toContain('too_many_hashtags');
+    });
+  });
+
+  describe('emoji', () => {
+    it('measures emoji density per 100 words', () => {
+      expect(lintPost(`${'word '.repeat(99)}end 🚀`).emoji).toEqual({ count: 1, perHundredWords: 1, max: 3 });
+      expect(codes(lintPost('Big news 🚀🔥🎉'))).toContain('emoji_density');
+    });
+  });
+
+  describe('readability', () => {
+    it('estimates the Flesch-Kincaid grade and warns above 10', () => {
+      expect(lintPost('').readability).toEqual({ grade: 0, max: 10 });
+      expect(lintPost('I ran. We won.').readability.grade).toBe(0);
+
+      const dense = 'Organizational transformation necessitates comprehensive stakeholder communication infrastructure.';
+      const report = lintPost(dense);
+      expect(report.readability.grade).toBeGreaterThan(10);
+      expect(codes(report)).toContain('hard_to_read');
+    });
+  });
+
+  describe('cliches', () => {
+    it('finds banned phrases as whole words, in text order, either apostrophe', () => {
+      const report = lintPost('I’m excited to share our new ecosystem. We will leverage it, not leverages.');
+      expect(report.cliches.map((c) => c.phrase)).toEqual(["i'm excited to share", 'ecosystem', 'leverage']);
+      expect(report.cliches[0]).toEqual({ phrase: "i'm excited to share", match: 'I’m excited to share', index: 0 });
+      expect(report.issues[0]).toEqual({ code: 'cliche', severity: 'warning', message: 'Corporate cliché: "I’m excited to share".' });
+    });
+
+    it('uses the bannedPhrases option instead of the configured list', () => {
+      const report = lintPost('A leverage play with real grit.', { bannedPhrases: ['real grit'] });
+      expect(report.cliches.map((c) => c.match)).toEqual(['real grit']);
+    });
+  });
+
+  describe('absolute claims', () => {
+    it('flags absolute words in prose but not in hashtags or longer words', () => {
+      const report = lintPost('Nobody reads this. It never works. Nevertheless, try. #never');
+      expect(report.absoluteClaims.map((c) => c.match)).toEqual(['Nobody', 'never']);
+      expect(codes(report)).toEqual(['absolute_claim', 'absolute_claim']);
+      expect(report.ok).toBe(true);
+    });
+  });
+});
+
+describe('summarizeLint', () => {
+  it('counts errors and warnings and keeps only the messages', () => {
+    const report = lintPost('');
+    report.issues.push({ code: 'cliche', severity: 'warning', message: 'Corporate cliché: "synergy".' });
+
+    expect(summarizeLint(report)).toEqual({
+      ok: false,
+      errors: 1,
+      warnings: 1,
+      chars: 0,
+      issues: ['The post is empty.', 'Corporate cliché: "synergy".'],
+    });
+  });
+});
@@ -0,0 +1,145 @@
+// Offline AI providers: the deterministic mock and the record/replay fixture
+// store (services/mock.js), through the same dispatcher and generation pipeline
+// the server uses.
+
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import os from 'os';
+import path from 'path';
+import { promises as fs } from 'fs';
+import {
+  createMockProvider,
+  createFixtureStore,
+  createReplayProvider,
+  withRecording,
+  fixtureKey,
+} from '../services/mock.js';
+import {
+  createCallAI,
+  createStreamAI,
+  createBreakerRegistry,
+  createProviderRegistry,
+  createGenerationService,
+} from '../services/generation.js';
+import { REPURPOSE_FORMATS } from '../services/repurpose.js';
+
+function dispatchers(adapter) {
+  const options = {
+    registry: createProviderRegistry([adapter]),
+    chain: [adapter.id],
+    breakers: createBreakerRegistry(),
+    maxRetries: 0,
+  };
+  return { callAI: createCallAI(options), streamAI: createStreamAI(options) };
+}
+
+let dir;
+beforeEach(async () => {
+  dir = await fs.mkdtemp(path.join(os.tmpdir(), 'roftx-fixtures-'));
+});
+afterEach(async () => {
+  vi.restoreAllMocks();
+  await fs.rm(dir, { recursive: true, force: true });
+});
+
+describe('mock provider', () => {
+  const { callAI, streamAI } = dispatchers(createMockProvider());
+  const service = createGenerationService({ callAI, streamAI, structuredOutput: false });
+
+  const requests = {
+    topics: { niche: 'project management' },
+    voice: { writingSample: 'I write short, direct posts.' },
+    hooks: { niche: 'project management', topic: 'kickoffs' },
+    post: { niche: 'project management', topic: 'kickoffs', chosenHook: 'Most projects fail early.' },
+    refine: { currentPost: 'A draft.', instruction: 'Make it shorter.' },
+    regenerate: { currentPost: 'A draft.', niche: 'project management', topic: 'kickoffs' },
+    carousel: { niche: 'project management', topic: 'kickoffs', chosenHook: 'Most projects fail early.' },
+    reply: { comment: 'Great point!', currentPost: 'A post.' },
+    ...Object.fromEntries(Object.keys(REPURPOSE_FORMATS).map((format) => [
+      `repurpose:${format}`, { format, currentPost: 'A post.' },
+    ])),
+  };
+
+  it.each(Object.entries(requests))('answers %s with a response its parser accepts', async (name, body) => {
+    const type = name.split(':')[0];
+    const first = await service.generate(type, body);
+    expect(first.status).toBe(200);
+    expect(await service.generate(type, body)).toEqual(first);
+  });
+
+  it('streams the same text it returns, word by word', async () => {
+    const deltas = [];
+    const trace = { genType: 'post' };
+    const text = await streamAI('prompt', 'quality', (delta) => deltas.push(delta), trace);
+    expect(deltas.length).toBeGreaterThan(1);
+    expect(deltas.join('').trim()).toBe(text);
+    expect(trace).toMatchObject({ provider: 'mock', model: 'mock-quality' });
+    expect(trace.inputTokens).toBeGreaterThan(0);
+    expect(trace.outputTokens).toBeGreaterThan(0);
+  });
+
+  it('falls back to the post response for an unknown type', async () => {
+    const mock = createMockProvider({ responses: { post: ' the post ' } });
+    await expect(mock.call('p', 'fast', { genType: 'legacy' })).resolves.toBe('the post');
+  });
+});
+
+describe('record and replay', () => {
+  function fakeLiveProvider(text) {
+    return {
+      id: 'openai',
+      label: 'OpenAI',
+      models: { fast: 'gpt-fast', quality: 'gpt-quality' },
+      configured: true,
+      calls: 0,
+      async call(prompt, tier, { onUsage } = {}) {
+        this.calls += 1;
+        onUsage?.({ inputTokens: 12, outputTokens: 34 });
+        return text;
+      },
+      async stream(prompt, tier, onDelta, options) {
+        const result = await this.call(prompt, tier, options);
+        onDelta(result);
+        return result;
+      },
+    };
+  }
+
+  it('replays exactly what was recorded for the same prompt and tier', async () => {
+    const store = createFixtureStore(dir);
+    const live = fakeLiveProvider('recorded answer');
+    const recording = withRecording(live, store);
+
+    await expect(recording.call('the prompt', 'quality', { genType: 'post' })).resolves.toBe('recorded answer');
+    const saved = JSON.parse(await fs.readFile(path.join(dir, `${fixtureKey('the prompt', 'quality')}.json`), 'utf8'));
+    expect(saved).toMatchObject({
+      tier: 'quality', genType: 'post', provider: 'openai', model: 'gpt-quality',
+      usage: { inputTokens: 12, outputTokens: 34 }, text: 'recorded answer',
+    });
+
+    const { callAI } = dispatchers(createReplayProvider(store));
+    const trace = {};
+    await expect(callAI('the prompt', 'quality', trace)).resolves.toBe('recorded answer');
+    expect(trace).toMatchObject({ provider: 'replay', inputTokens: 12, outputTokens: 34 });
+    expect(live.calls).toBe(1);
+  });
+
+  it('misses with a 404 naming the key when the prompt or tier differs', async () => {
+    const store = createFixtureStore(dir);
+    await withRecording(fakeLiveProvider('x'), store).call('the prompt', 'fast');
+    const replay = createReplayProvider(store);
+
+    await expect(replay.call('the prompt', 'quality')).rejects.toMatchObject({
+      status: 404,
+      message: expect.stringContaining(fixtureKey('the prompt', 'quality')),
+    });
+    await expect(replay.call('another prompt', 'fast')).rejects.toMatchObject({ status: 404 });
+  });
+
+  it('keeps the generation going when a fixture cannot be written', async () => {
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+    const store = { dir, load: async () => null, save: async () => { throw new Error('disk full'); } };
+    const recording = withRecording(fakeLiveProvider('still served'), store);
+    await expect(recording.call('p', 'fast')).resolves.toBe('still served');
+    expect(console.error).toHaveBeenCalled();
+  });
+});
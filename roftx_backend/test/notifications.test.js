@@ -0,0 +1,131 @@
+// Usage notifications (services/notifications.js): each quota threshold is
+// notified once per period, and a mail that fails is recorded on the
+// notification instead of failing the caller.
+
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { createNotificationService } from '../services/notifications.js';
+
+// Notification persistence keeping one record per (user, key), like the
+// unique index on notifications.
+function createNotificationStore({ email = 'ada@example.com' } = {}) {
+  const store = {
+    records: [],
+    async recordNotification(userId, { kind, key, subject, body, data = {} }) {
+      if (store.records.some((r) => r.userId === userId && r.key === key)) return null;
+      const notification = { id: store.records.length + 1, userId, kind, key, subject, body, data, delivery: null };
+      store.records.push(notification);
+      return { notification: { ...notification }, email };
+    },
+    async finishNotification(id, { delivery, error = null }) {
+      const record = store.records.find((r) => r.id === id);
+      Object.assign(record, { delivery, error });
+      return { ...record };
+    },
+  };
+  return store;
+}
+
+let usage;
+let store;
+let mailer;
+
+function service(options = {}) {
+  return createNotificationService({
+    persistence: store,
+    mailer,
+    quota: { report: async () => ({ period: '2026-10', credits: 0, ...usage }) },
+    catalog: { get: (plan) => ({ name: plan === 'free' ? 'Free' : plan }) },
+    thresholds: [80, 100],
+    ...options,
+  });
+}
+
+beforeEach(() => {
+  vi.spyOn(console, 'error').mockImplementation(() => {});
+  usage = { used: 0, allowance: 10 };
+  store = createNotificationStore();
+  mailer = { send: vi.fn(async () => {}) };
+});
+afterEach(() => {
+  vi.restoreAllMocks();
+});
+
+describe('checkQuota', () => {
+  it('notifies nothing below the first threshold', async () => {
+    usage.used = 7;
+    expect(await service().checkQuota(1, 'free')).toEqual([]);
+    expect(mailer.send).not.toHaveBeenCalled();
+  });
+
+  it('notifies each crossed threshold once per period', async () => {
+    const notifications = service();
+    usage.used = 8;
+    const [warning] = await notifications.checkQuota(1, 'free');
+    expect(warning).toMatchObject({
+      kind: 'quota',
+      key: 'quota:2026-10:80',
+      subject: 'You have used 80% of your posts for 2026-10',
+      delivery: 'sent',
+      data: { period: '2026-10', threshold: 80, used: 8, allowance: 10, credits: 0 },
+    });
+    expect(await notifications.checkQuota(1, 'free')).toEqual([]);
+
+    usage.used = 10;
+    const [exhausted] = await notifications.checkQuota(1, 'free');
+    expect(exhausted.key).toBe('quota:2026-10:100');
+    expect(exhausted.body).toBe('You have created 10 of the 10 posts your Free plan includes for 2026-10. '
+      + 'Further posts need prepaid credits or a plan upgrade until the next period starts.');
+    expect(mailer.send).toHaveBeenCalledTimes(2);
+    expect(mailer.send).toHaveBeenLastCalledWith({
+      to: 'ada@example.com', subject: 'You have used all 10 posts for 2026-10', text: exhausted.body,
+    });
+
+    usage.period = '2026-11';
+    usage.used = 8;
+    expect((await notifications.checkQuota(1, 'free')).map((n) => n.key)).toEqual(['quota:2026-11:80']);
+  });
+
+  it('notifies every threshold crossed at once, and mentions credits left', async () => {
+    usage = { used: 12, allowance: 10, credits: 5 };
+    const sent = await service().checkQuota(1, 'free');
+    expect(sent.map((n) => n.key)).toEqual(['quota:2026-10:80', 'quota:2026-10:100']);
+    expect(sent[1].body).toContain('Further posts this period use your prepaid credits (5 left).');
+  });
+
+  it('stops at the first threshold not yet crossed', async () => {
+    usage.used = 6;
+    const sent = await service({ thresholds: [50, 80, 100] }).checkQuota(1, 'free');
+    expect(sent.map((n) => n.key)).toEqual(['quota:2026-10:50']);
+  });
+
+  it('checks thresholds in ascending order whatever order they were given in', async () => {
+    usage.used = 8;
+    const sent = await service({ thresholds: [100, 80] }).checkQuota(1, 'free');
+    expect(sent.map((n) => n.key)).toEqual(['quota:2026-10:80']);
+  });
+
+  it('notifies nothing on a plan without an allowance', async () => {
+    usage = { used: 3, allowance: 0 };
+    expect(await service().checkQuota(1, 'free')).toEqual([]);
+  });
+
+  it('records a failed mail on the notification instead of throwing', async () => {
+    mailer.send.mockRejectedValueOnce(new Error('SMTP 421 try again later'));
+    usage.used = 8;
+    const [notification] = await service().checkQuota(1, 'free');
+
+    expect(notification).toMatchObject({ delivery: 'failed', error: 'SMTP 421 try again later' });
+    expect(store.records[0].delivery).toBe('failed');
+  });
+
+  it('records the notification as skipped without a mailer or an email address', async () => {
+    usage.used = 8;
+    mailer = null;
+    expect((await service().checkQuota(1, 'free'))[0].delivery).toBe('skipped');
+
+    store = createNotificationStore({ email: null });
+    mailer = { send: vi.fn() };
+    expect((await service().checkQuota(2, 'free'))[0].delivery).toBe('skipped');
+    expect(mailer.send).not.toHaveBeenCalled();
+  });
+});
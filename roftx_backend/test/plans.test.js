@@ -0,0 +1,190 @@
+// The plan catalog (services/plans.js): plan lookup, refresh from the plans
+// table, and the entitlement checks with their 402 upgrade hint or 403; and
+// the voice profile cap enforced by persistence.saveVoiceProfile.
+
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import { createPlanCatalog, normalizePlan } from '../services/plans.js';
+import { createPersistence } from '../db/persistence.js';
+
+const PLANS = {
+  free: {
+    id: 'free', name: 'Free', rank: 0, allowance: 10, monthlyPrice: 0, currency: 'usd',
+    genTypes: ['topics', 'hooks', 'post'], qualityTier: false, maxVoiceProfiles: 1, maxVariants: 1,
+    brandingRemovable: false,
+  },
+  pro: {
+    id: 'pro', name: 'Pro', rank: 1, allowance: 100, monthlyPrice: 1900, currency: 'usd',
+    genTypes: ['topics', 'hooks', 'post', 'carousel'], qualityTier: true, maxVoiceProfiles: 3, maxVariants: 3,
+    brandingRemovable: false,
+  },
+  agency: {
+    id: 'agency', name: 'Agency', rank: 2, allowance: 500, monthlyPrice: 9900, currency: 'usd',
+    genTypes: null, qualityTier: true, maxVoiceProfiles: null, maxVariants: 5, brandingRemovable: true,
+  },
+};
+
+const catalog = (deps = {}) => createPlanCatalog({ defaults: PLANS, ...deps });
+
+afterEach(() => {
+  vi.restoreAllMocks();
+});
+
+describe('plan lookup', () => {
+  it('resolves an unknown or unset plan to Free', () => {
+    const plans = catalog();
+    expect(plans.get('pro').id).toBe('pro');
+    expect(plans.get({ id: 'agency' }).id).toBe('agency');
+    for (const plan of ['enterprise', undefined, null, 'toString']) {
+      expect(plans.get(plan).id).toBe('free');
+    }
+  });
+
+  it('runs quality-tier generations on the fast tier without the quality entitlement', () => {
+    const plans = catalog();
+    expect(plans.tierFor('free', 'quality')).toBe('fast');
+    expect(plans.tierFor('pro', 'quality')).toBe('quality');
+    expect(plans.tierFor('free', 'fast')).toBe('fast');
+  });
+});
+
+describe('checkGenType', () => {
+  it('allows a listed type, or any type with genTypes null', () => {
+    const plans = catalog();
+    expect(plans.checkGenType('free', 'post')).toBeNull();
+    expect(plans.checkGenType('agency', 'reply')).toBeNull();
+  });
+
+  it('answers 402 naming the lowest ranked plan that allows it', () => {
+    expect(catalog().checkGenType('free', 'carousel')).toEqual({
+      status: 402,
+      body: {
+        error: 'Your plan does not include "carousel" generations. Upgrade to Pro to unlock it.',
+        entitlement: 'genTypes',
+        plan: 'free',
+        upgrade: { plan: 'pro', name: 'Pro', monthlyPrice: 1900, currency: 'usd' },
+      },
+    });
+    expect(catalog().checkGenType('free', 'reply').body.upgrade.plan).toBe('agency');
+  });
+
+  it('answers 403 when no plan on offer allows it', () => {
+    const plans = catalog({ defaults: { ...PLANS, agency: { ...PLANS.agency, active: false } } });
+    expect(plans.checkGenType('pro', 'reply')).toEqual({
+      status: 403,
+      body: { error: 'Your plan does not include "reply" generations.', entitlement: 'genTypes', plan: 'pro' },
+    });
+  });
+});
+
+describe('checkVariants', () => {
+  it('allows up to the plan maximum and reports it when refusing', () => {
+    const plans = catalog();
+    expect(plans.checkVariants('pro', 3)).toBeNull();
+
+    const refusal = plans.checkVariants('pro', 4);
+    expect(refusal.status).toBe(402);
+    expect(refusal.body).toMatchObject({ entitlement: 'maxVariants', maxVariants: 3, upgrade: { plan: 'agency' } });
+    expect(plans.checkVariants('agency', 6)).toMatchObject({ status: 403, body: { maxVariants: 5 } });
+  });
+});
+
+describe('checkVoiceProfiles', () => {
+  it('allows another profile below the cap, or always with no cap', () => {
+    const plans = catalog();
+    expect(plans.checkVoiceProfiles('free', 0)).toBeNull();
+    expect(plans.checkVoiceProfiles('agency', 1000)).toBeNull();
+  });
+
+  it('refuses at the cap with an upgrade to a plan that has room', () => {
+    const plans = catalog();
+    expect(plans.checkVoiceProfiles('free', 1)).toMatchObject({
+      status: 402,
+      body: { entitlement: 'maxVoiceProfiles', maxVoiceProfiles: 1, upgrade: { plan: 'pro' } },
+    });
+    expect(plans.checkVoiceProfiles('free', 3).body.upgrade.plan).toBe('agency');
+  });
+});
+
+describe('persistence.saveVoiceProfile', () => {
+  it('checks the cap in the INSERT and returns null when it is reached', async () => {
+    const queries = [];
+    const results = [{ rows: [{ id: 5 }] }, { rows: [] }];
+    const pool = {
+      async query(text, params) {
+        queries.push({ text, params });
+        return results.shift();
+      },
+    };
+    const persistence = createPersistence(pool);
+    const profile = { label: 'Plain', content: 'Short sentences.' };
+
+    expect(await persistence.saveVoiceProfile(7, profile, { maxProfiles: 1 })).toEqual({ id: 5 });
+    expect(await persistence.saveVoiceProfile(7, profile, { maxProfiles: 1 })).toBeNull();
+    expect(queries[0].text).toMatch(/INSERT INTO voice_profiles[\s\S]+WHERE \(SELECT COUNT\(\*\) FROM voice_profiles WHERE user_id = \$1\) < \$4/);
+    expect(queries[0].params).toEqual([7, 'Plain', 'Short sentences.', 1]);
+  });
+});
+
+describe('checkWhiteLabel', () => {
+  it('allows removing the branding only on plans that may', () => {
+    const plans = catalog();
+    expect(plans.checkWhiteLabel('agency')).toBeNull();
+    expect(plans.checkWhiteLabel('free')).toMatchObject({
+      status: 402,
+      body: {
+        error: 'Removing the #RoftX branding is not included in your plan. Upgrade to Agency to unlock it.',
+        upgrade: { plan: 'agency' },
+      },
+    });
+    expect(plans.checkWhiteLabel('agency-legacy').body.plan).toBe('free');
+  });
+});
+
+describe('refresh', () => {
+  function createPlanStore(rows = []) {
+    const store = {
+      rows: [...rows],
+      savePlan: vi.fn(async (record, { overwrite = true } = {}) => {
+        const existing = store.rows.findIndex((row) => row.id === record.id);
+        if (existing === -1) store.rows.push(record);
+        else if (overwrite) store.rows[existing] = record;
+      }),
+      listPlans: vi.fn(async () => store.rows),
+    };
+    return store;
+  }
+
+  it('seeds missing plans without overwriting edits, then loads the table', async () => {
+    const edited = { ...PLANS.pro, allowance: 250 };
+    const store = createPlanStore([edited]);
+    const plans = catalog({ persistence: store });
+
+    expect(await plans.refresh()).toBe(true);
+    expect(store.savePlan).toHaveBeenCalledTimes(3);
+    expect(plans.get('pro').allowance).toBe(250);
+    expect(plans.list().map((plan) => plan.id)).toEqual(['free', 'pro', 'agency']);
+  });
+
+  it('skips invalid rows and keeps the current catalog when the table cannot be read', async () => {
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+    const store = createPlanStore([{ ...PLANS.pro, rank: 'high' }]);
+    const plans = catalog({ persistence: store });
+
+    await plans.refresh();
+    expect(plans.get('pro').id).toBe('free');
+    expect(console.error).toHaveBeenCalledWith(expect.stringContaining('plan "pro" skipped'));
+
+    store.listPlans.mockRejectedValueOnce(new Error('connection refused'));
+    expect(await plans.refresh()).toBe(false);
+    expect(plans.get('agency').id).toBe('agency');
+  });
+
+  it('rejects an invalid plan before storing it', async () => {
+    const store = createPlanStore();
+    const result = await catalog({ persistence: store }).save({ id: 'Bad Id', name: '', rank: 1, allowance: -1 });
+    expect(result.ok).toBe(false);
+    expect(store.savePlan).not.toHaveBeenCalled();
+    expect(normalizePlan({ ...PLANS.pro, genTypes: ['post', 'poem'] }, { generationTypes: ['post'] }).errors)
+      .toEqual(['Unknown generation types: poem.']);
+  });
+});
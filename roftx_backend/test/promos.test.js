@@ -0,0 +1,139 @@
+// Promo code redemption: why persistence.redeemPromoCode refuses a code (read
+// from a pool that answers with scripted rows), and how the promo service
+// (services/promos.js) turns each refusal into a response.
+
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import { createPersistence, NotFoundError } from '../db/persistence.js';
+import { createPromoService, validatePromoCode } from '../services/promos.js';
+import { createPlanCatalog } from '../services/plans.js';
+
+const TRIAL_ENDS = new Date('2026-11-17T12:00:00Z');
+
+// A pool that answers each query with the next scripted result.
+function scriptedPool(...results) {
+  const pool = {
+    queries: [],
+    async query(text, params) {
+      pool.queries.push({ text, params });
+      return results.shift() || { rows: [] };
+    },
+  };
+  return pool;
+}
+
+const refusal = (state) => ({
+  rows: [{ user_exists: true, active: true, redeemed: false, expired: false, exhausted: false, ...state }],
+});
+
+afterEach(() => {
+  vi.restoreAllMocks();
+});
+
+describe('persistence.redeemPromoCode', () => {
+  it('returns the redemption it recorded, without asking why', async () => {
+    const pool = scriptedPool({
+      rows: [{
+        id: 3, code: 'LAUNCH', user_id: 7, plan: 'pro', previous_plan: 'free',
+        trial_ends_at: TRIAL_ENDS, redeemed_at: new Date('2026-10-18T12:00:00Z'),
+      }],
+    });
+    const result = await createPersistence(pool).redeemPromoCode(7, 'LAUNCH');
+
+    expect(result).toEqual({
+      redeemed: true,
+      redemption: {
+        id: 3, code: 'LAUNCH', userId: 7, plan: 'pro', previousPlan: 'free',
+        trialEndsAt: TRIAL_ENDS, redeemedAt: new Date('2026-10-18T12:00:00Z'),
+      },
+    });
+    expect(pool.queries).toHaveLength(1);
+    expect(pool.queries[0].params).toEqual([7, 'LAUNCH']);
+  });
+
+  it.each([
+    ['not_found', { active: null }],
+    ['not_found', { active: false, redeemed: true }],
+    ['already_redeemed', { redeemed: true, expired: true }],
+    ['expired', { expired: true }],
+    ['exhausted', { exhausted: true }],
+  ])('refuses with %s for %o', async (reason, state) => {
+    const pool = scriptedPool({ rows: [] }, refusal(state));
+    await expect(createPersistence(pool).redeemPromoCode(7, 'LAUNCH')).resolves.toEqual({ redeemed: false, reason });
+    expect(pool.queries[1].params).toEqual([7, 'LAUNCH']);
+  });
+
+  it('throws NotFoundError for an unknown user', async () => {
+    const pool = scriptedPool({ rows: [] }, refusal({ user_exists: false, active: null }));
+    await expect(createPersistence(pool).redeemPromoCode(99, 'LAUNCH')).rejects.toBeInstanceOf(NotFoundError);
+  });
+});
+
+describe('promo service', () => {
+  function service({ promo = { code: 'LAUNCH', plan: 'pro', active: true }, plan = 'free', result } = {}) {
+    const persistence = {
+      getPromoCode: vi.fn(async () => promo),
+      getUserPlan: vi.fn(async () => plan),
+      redeemPromoCode: vi.fn(async () => result),
+    };
+    return { persistence, promos: createPromoService({ persistence, catalog: createPlanCatalog() }) };
+  }
+
+  it('redeems a code typed in any case', async () => {
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+    const { persistence, promos } = service({
+      result: { redeemed: true, redemption: { plan: 'pro', previousPlan: 'free', trialEndsAt: TRIAL_ENDS } },
+    });
+    const response = await promos.redeem(7, ' launch ');
+
+    expect(response).toEqual({
+      status: 200,
+      body: { ok: true, code: 'LAUNCH', plan: 'pro', previousPlan: 'free', trialEndsAt: TRIAL_ENDS },
+    });
+    expect(persistence.redeemPromoCode).toHaveBeenCalledWith(7, 'LAUNCH');
+  });
+
+  it.each([
+    ['not_found', 404],
+    ['already_redeemed', 409],
+    ['expired', 410],
+    ['exhausted', 410],
+  ])('answers %s with %i', async (reason, status) => {
+    const { promos } = service({ result: { redeemed: false, reason } });
+    const response = await promos.redeem(7, 'LAUNCH');
+    expect(response.status).toBe(status);
+    expect(response.body.error).toEqual(expect.any(String));
+  });
+
+  it('refuses a malformed, unknown or inactive code before redeeming', async () => {
+    expect((await service().promos.redeem(7, '!')).status).toBe(400);
+
+    for (const promo of [null, { code: 'LAUNCH', plan: 'pro', active: false }]) {
+      const { persistence, promos } = service({ promo });
+      expect((await promos.redeem(7, 'LAUNCH')).status).toBe(404);
+      expect(persistence.redeemPromoCode).not.toHaveBeenCalled();
+    }
+  });
+
+  it('refuses a trial that would not move the user up', async () => {
+    const { persistence, promos } = service({ plan: 'team' });
+    const response = await promos.redeem(7, 'LAUNCH');
+    expect(response).toMatchObject({ status: 409, body: { plan: 'team' } });
+    expect(persistence.redeemPromoCode).not.toHaveBeenCalled();
+  });
+
+  it('validates a new code against the plan catalog', () => {
+    const { plans } = createPlanCatalog();
+    const now = () => new Date('2026-10-18T12:00:00Z');
+    expect(validatePromoCode({ code: 'launch', plan: 'pro', durationDays: 30 }, { plans, now })).toEqual({
+      ok: true,
+      value: { code: 'LAUNCH', plan: 'pro', durationDays: 30, maxRedemptions: null, expiresAt: null },
+    });
+
+    const invalid = validatePromoCode(
+      { code: 'x', plan: 'free', durationDays: 0, maxRedemptions: 0, expiresAt: '2026-01-01T00:00:00Z' },
+      { plans, now },
+    );
+    expect(invalid.ok).toBe(false);
+    expect(invalid.errors).toHaveLength(5);
+  });
+});
@@ -0,0 +1,186 @@
+// Quota reservations under concurrency: reserve → commit | release, with
+// prepaid credits past the allowance. The in-memory store below applies each
+// persistence call as one atomic step, like the single SQL statements in
+// db/persistence.js, and yields between calls so concurrent requests
+// interleave.
+
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import fc from 'fast-check';
+import { createQuotaService } from '../services/quota.js';
+import { createGenerationService } from '../services/generation.js';
+
+const PLANS = {
+  free: { id: 'free', allowance: 3, maxVariants: 1 },
+  paid: { id: 'paid', allowance: 10, maxVariants: 3 },
+};
+const NOW = () => new Date('2026-10-18T12:00:00Z');
+const PERIOD = '2026-10';
+
+const tick = () => new Promise((resolve) => setImmediate(resolve));
+
+function createMemoryStore({ credits = 0 } = {}) {
+  const counters = new Map();
+  const store = {
+    credits,
+    ledger: [],
+    counter(userId, period) {
+      const key = `${userId}:${period}`;
+      if (!counters.has(key)) counters.set(key, { used: 0, reserved: 0 });
+      return counters.get(key);
+    },
+    async getUsage(userId, period) {
+      await tick();
+      return store.counter(userId, period).used;
+    },
+    async getCredits() {
+      await tick();
+      return store.credits;
+    },
+    async reserveQuota(userId, period, allowance) {
+      await tick();
+      const row = store.counter(userId, period);
+      if (row.used + row.reserved < allowance) {
+        row.reserved += 1;
+        return { reserved: true, used: row.used + row.reserved };
+      }
+      return { reserved: false, used: row.used };
+    },
+    async reserveCredit(userId, period) {
+      await tick();
+      if (store.credits <= 0) return { reserved: false, credits: store.credits };
+      store.credits -= 1;
+      store.ledger.push({ kind: 'consumption', delta: -1, balance: store.credits });
+      store.counter(userId, period).reserved += 1;
+      return { reserved: true, credits: store.credits };
+    },
+    async commitQuota(userId, period) {
+      await tick();
+      const row = store.counter(userId, period);
+      row.used += 1;
+      row.reserved = Math.max(row.reserved - 1, 0);
+    },
+    async releaseQuota(userId, period, { credit = false } = {}) {
+      await tick();
+      const row = store.counter(userId, period);
+      row.reserved = Math.max(row.reserved - 1, 0);
+      if (credit) {
+        store.credits += 1;
+        store.ledger.push({ kind: 'refund', delta: 1, balance: store.credits });
+      }
+    },
+  };
+  return store;
+}
+
+function quotaFor(store) {
+  return createQuotaService({ persistence: store, plans: PLANS, now: NOW });
+}
+
+afterEach(() => {
+  vi.restoreAllMocks();
+});
+
+describe('reserve under concurrency', () => {
+  // Feature: roftx-platform, Property 16: a request is refused before the AI call if and only if the period's usage has reached the Plan's allowance and no prepaid credit is left
+  it('never reserves more than the allowance plus the credit balance', async () => {
+    await fc.assert(
+      fc.asyncProperty(
+        fc.integer({ min: 0, max: 6 }),
+        fc.integer({ min: 0, max: 4 }),
+        fc.integer({ min: 1, max: 15 }),
+        async (allowance, credits, requests) => {
+          const store = createMemoryStore({ credits });
+          const quota = createQuotaService({
+            persistence: store,
+            plans: { free: { id: 'free', allowance } },
+            now: NOW,
+          });
+
+          const verdicts = await Promise.all(Array.from({ length: requests }, () => quota.reserve(1, 'free')));
+          const granted = verdicts.filter((v) => !v.exceeded);
+          const paid = granted.filter((v) => v.credit);
+
+          expect(granted).toHaveLength(Math.min(requests, allowance + credits));
+          expect(paid).toHaveLength(Math.max(0, Math.min(requests, allowance + credits) - allowance));
+          expect(store.credits).toBe(credits - paid.length);
+          expect(store.counter(1, PERIOD)).toEqual({ used: 0, reserved: granted.length });
+        },
+      ),
+      { numRuns: 100 },
+    );
+  });
+
+  it('keeps users and periods apart', async () => {
+    const store = createMemoryStore();
+    const quota = quotaFor(store);
+    await Promise.all([1, 1, 1, 2, 2, 2].map((userId) => quota.reserve(userId, 'free')));
+    expect(store.counter(1, PERIOD).reserved).toBe(3);
+    expect(store.counter(2, PERIOD).reserved).toBe(3);
+    expect((await quota.reserve(1, 'free')).exceeded).toBe(true);
+  });
+});
+
+describe('commit and release', () => {
+  it('turns a committed reservation into a used post and frees a released one', async () => {
+    const store = createMemoryStore();
+    const quota = quotaFor(store);
+    const [a, b, c] = await Promise.all([1, 2, 3].map(() => quota.reserve(7, 'free')));
+    expect((await quota.reserve(7, 'free')).exceeded).toBe(true);
+
+    await Promise.all([quota.commit(7, a.period), quota.commit(7, b.period), quota.release(7, c.period)]);
+    expect(store.counter(7, PERIOD)).toEqual({ used: 2, reserved: 0 });
+
+    const again = await quota.reserve(7, 'free');
+    expect(again).toMatchObject({ exceeded: false, used: 3, allowance: 3, period: PERIOD, credit: false });
+  });
+
+  it('refunds the credit of a released credit-paid reservation, and only that one', async () => {
+    const store = createMemoryStore({ credits: 2 });
+    const quota = quotaFor(store);
+    store.counter(7, PERIOD).used = 3;
+
+    const first = await quota.reserve(7, 'free');
+    const second = await quota.reserve(7, 'free');
+    expect([first.credit, second.credit]).toEqual([true, true]);
+    expect(store.credits).toBe(0);
+    expect((await quota.reserve(7, 'free')).exceeded).toBe(true);
+
+    await quota.release(7, first.period, { credit: first.credit });
+    await quota.commit(7, second.period);
+    expect(store.credits).toBe(1);
+    expect(store.counter(7, PERIOD)).toEqual({ used: 4, reserved: 0 });
+    expect(store.ledger.map((entry) => entry.kind)).toEqual(['consumption', 'consumption', 'refund']);
+  });
+
+  it('settles every reservation of concurrent generations with their outcome', async () => {
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+    const store = createMemoryStore({ credits: 1 });
+    let calls = 0;
+    const callAI = async () => {
+      calls += 1;
+      await tick();
+      if (calls % 2 === 0) throw Object.assign(new Error('provider down'), { status: 502 });
+      return 'A generated post.';
+    };
+    const service = createGenerationService({
+      callAI,
+      streamAI: null,
+      quota: quotaFor(store),
+      structuredOutput: false,
+    });
+    const body = { niche: 'n', topic: 't', chosenHook: 'h' };
+
+    const outcomes = await Promise.all(
+      Array.from({ length: 6 }, () => service.generate('post', body, { userId: 9, plan: 'free' })),
+    );
+    const statuses = outcomes.map((o) => o.status);
+
+    // Three posts fit the allowance and one more is paid with the credit; the
+    // other two are refused before any AI call.
+    expect(statuses.filter((s) => s === 429)).toHaveLength(2);
+    expect(calls).toBe(4);
+    const succeeded = statuses.filter((s) => s === 200).length;
+    expect(store.counter(9, PERIOD)).toEqual({ used: succeeded, reserved: 0 });
+  });
+});
@@ -0,0 +1,60 @@
+// Comment replies: parseReplies in services/generation.js, including how a
+// REPLY header's label maps onto an intent.
+
+import { describe, it, expect } from 'vitest';
+import { parseReplies, REPLY_INTENTS } from '../services/generation.js';
+
+const REPLY = `Here are three options.
+
+REPLY 1 — THANK
+Thanks so much, that means a lot.
+
+REPLY [2]: EXTEND THE DISCUSSION
+Agreed — and the same goes for retros.
+What has worked for you?
+
+reply (3) - PUSH BACK
+I see it differently: kickoffs matter less than week two.`;
+
+describe('parseReplies', () => {
+  it('splits the reply options on tolerant REPLY headers, dropping the preamble', () => {
+    expect(parseReplies(REPLY)).toEqual([
+      { intent: 'thank', text: 'Thanks so much, that means a lot.' },
+      { intent: 'extend', text: 'Agreed — and the same goes for retros.\nWhat has worked for you?' },
+      { intent: 'pushback', text: 'I see it differently: kickoffs matter less than week two.' },
+    ]);
+  });
+
+  it('maps the common spellings of each intent label', () => {
+    const intents = (label) => parseReplies(`REPLY 1 — ${label}\nText.`).map((r) => r.intent);
+
+    expect(intents('Thank you')).toEqual(['thank']);
+    expect(intents('Discuss')).toEqual(['extend']);
+    for (const label of ['PUSHBACK', 'Disagree politely', 'CHALLENGE']) {
+      expect(intents(label)).toEqual(['pushback']);
+    }
+  });
+
+  it('falls back to the intent expected at that position for unknown or missing labels', () => {
+    const replies = parseReplies('REPLY 1\nOne.\nREPLY 2 — WARM\nTwo.\nREPLY 3:\nThree.\nREPLY 4 — BONUS\nFour.');
+    expect(replies.map((r) => r.intent)).toEqual(REPLY_INTENTS);
+  });
+
+  it('reads reply text written on the header line after the label', () => {
+    expect(parseReplies('REPLY 1 — THANK: Thanks so much, that means a lot.\nREPLY 2 — EXTEND: Agreed.\nWhat about retros?'))
+      .toEqual([
+        { intent: 'thank', text: 'Thanks so much, that means a lot.' },
+        { intent: 'extend', text: 'Agreed.\nWhat about retros?' },
+      ]);
+  });
+
+  it('keeps the first reply per intent and drops empty ones', () => {
+    const replies = parseReplies('REPLY 1 — THANK\n\nREPLY 2 — EXTEND\nFirst.\nREPLY 3 — EXTEND\nSecond.');
+    expect(replies).toEqual([{ intent: 'extend', text: 'First.' }]);
+  });
+
+  it('returns [] without REPLY headers or for anything but a string', () => {
+    expect(parseReplies('Thanks so much!')).toEqual([]);
+    expect(parseReplies(undefined)).toEqual([]);
+  });
+});
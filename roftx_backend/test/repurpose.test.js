@@ -0,0 +1,100 @@
+// Repurposing formats (services/repurpose.js): X's tweet length, each format's
+// parser, and the platform limits its validator reports.
+
+import { describe, it, expect } from 'vitest';
+import {
+  REPURPOSE_FORMATS,
+  TWEET_MAX_CHARS,
+  INSTAGRAM_CAPTION_MAX_CHARS,
+  INSTAGRAM_HASHTAGS_MAX,
+  tweetLength,
+} from '../services/repurpose.js';
+
+const { x_thread: thread, newsletter, instagram, video_script: video } = REPURPOSE_FORMATS;
+
+const words = (n) => Array.from({ length: n }, () => 'word').join(' ');
+
+describe('tweetLength', () => {
+  it('counts every link as 23 characters, whatever its length', () => {
+    expect(tweetLength('Read this: https://example.com/a/very/long/path?with=query')).toBe(11 + 23);
+    expect(tweetLength('http://x.io and HTTPS://example.org')).toBe(23 + 5 + 23);
+  });
+
+  it('counts everything else per code point', () => {
+    expect(tweetLength('café 🚀')).toBe(6);
+    expect(tweetLength(undefined)).toBe(0);
+  });
+});
+
+describe('x_thread', () => {
+  it('parses tolerant TWEET headers, with the text on the same line or below', () => {
+    const raw = 'Here you go.\nTWEET 1/3 — Kickoffs decide projects.\n\ntweet [2]:\nName one owner.\nTWEET (3) - Follow for more.';
+    expect(thread.parse(raw)).toEqual({ tweets: ['Kickoffs decide projects.', 'Name one owner.', 'Follow for more.'] });
+    expect(thread.parse('No headers here.')).toBeNull();
+  });
+
+  it('requires 2-15 tweets of at most 280 characters', () => {
+    expect(thread.validate({ tweets: ['One.', 'Two.'] })).toEqual([]);
+    expect(thread.validate({ tweets: ['One.'] })).toEqual(['thread has 1 tweets (expected 2-15)']);
+    expect(thread.validate({ tweets: Array(16).fill('T.') })).toEqual(['thread has 16 tweets (expected 2-15)']);
+
+    const long = 'x'.repeat(TWEET_MAX_CHARS + 1);
+    expect(thread.validate({ tweets: ['One.', long] })).toEqual(['tweet 2 is 281 characters (limit 280)']);
+    const linked = `${'x'.repeat(TWEET_MAX_CHARS - 24)} https://example.com/${'p'.repeat(100)}`;
+    expect(thread.validate({ tweets: ['One.', linked] })).toEqual([]);
+  });
+});
+
+describe('newsletter', () => {
+  it('parses a headline and body, or takes an unlabelled reply as the body', () => {
+    expect(newsletter.parse('HEADLINE: Kickoffs\nBODY:\nThree short words.')).toEqual({
+      headline: 'Kickoffs', body: 'Three short words.', wordCount: 3,
+    });
+    expect(newsletter.parse('Just prose.')).toEqual({ headline: '', body: 'Just prose.', wordCount: 2 });
+    expect(newsletter.parse('HEADLINE: Only a headline')).toBeNull();
+  });
+
+  it('requires 80-600 words', () => {
+    expect(newsletter.validate({ wordCount: 80 })).toEqual([]);
+    expect(newsletter.validate({ wordCount: 600 })).toEqual([]);
+    expect(newsletter.validate({ wordCount: 79 })).toEqual(['newsletter section is 79 words (expected 80-600)']);
+    expect(newsletter.validate({ wordCount: 601 })).toEqual(['newsletter section is 601 words (expected 80-600)']);
+  });
+});
+
+describe('instagram', () => {
+  it('separates labelled or trailing hashtags from the caption, without duplicates', () => {
+    expect(instagram.parse('CAPTION: Kickoffs matter.\nHASHTAGS: #pm #Leadership #pm')).toEqual({
+      caption: 'Kickoffs matter.', hashtags: ['#pm', '#Leadership'],
+    });
+    expect(instagram.parse('Kickoffs #matter.\n\n#pm #teams\n#work')).toEqual({
+      caption: 'Kickoffs #matter.', hashtags: ['#pm', '#teams', '#work'],
+    });
+    expect(instagram.parse('HASHTAGS: #only #tags')).toBeNull();
+  });
+
+  it('limits the caption, hashtags included, to 2,200 characters and 30 hashtags', () => {
+    const tags = (n) => Array.from({ length: n }, (_, i) => `#t${i}`);
+    expect(instagram.validate({ caption: 'Hi.', hashtags: tags(INSTAGRAM_HASHTAGS_MAX) })).toEqual([]);
+    expect(instagram.validate({ caption: 'Hi.', hashtags: tags(31) })).toEqual(['caption has 31 hashtags (limit 30)']);
+
+    const caption = 'x'.repeat(INSTAGRAM_CAPTION_MAX_CHARS - 5);
+    expect(instagram.validate({ caption, hashtags: [] })).toEqual([]);
+    expect(instagram.validate({ caption, hashtags: ['#abcd'] })).toEqual(['caption is 2202 characters (limit 2200)']);
+    expect(instagram.text({ caption: 'Hi.', hashtags: ['#a', '#b'] })).toBe('Hi.\n\n#a #b');
+  });
+});
+
+describe('video_script', () => {
+  it('parses hook, script and CTA, timing only the spoken words', () => {
+    const parsed = video.parse(`HOOK: ${words(5)}\nSCRIPT:\n[on screen: title] ${words(20)}\nCTA: ${words(5)}`);
+    expect(parsed).toMatchObject({ hook: words(5), cta: words(5), wordCount: 30, estimatedSeconds: 12 });
+    expect(video.parse('HOOK: A hook without a script')).toBeNull();
+  });
+
+  it('limits the script to about 75 seconds', () => {
+    expect(video.validate({ estimatedSeconds: 75 })).toEqual([]);
+    expect(video.validate({ estimatedSeconds: 76 })).toEqual(['script runs about 76 seconds (limit 75)']);
+    expect(video.validate(video.parse(`SCRIPT: ${words(190)}`))).toEqual(['script runs about 76 seconds (limit 75)']);
+  });
+});
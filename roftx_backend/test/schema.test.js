@@ -0,0 +1,24 @@
+// Schema migrations (db/schema.js): the opening credit grant for users created
+// before the credit ledger runs once the ledger exists and is idempotent.
+
+import { describe, it, expect } from 'vitest';
+import { ensureSchema } from '../db/schema.js';
+
+function recordingPool() {
+  const statements = [];
+  return { statements, query: async (sql) => { statements.push(sql); return { rows: [] }; } };
+}
+
+describe('ensureSchema', () => {
+  it('records legacy balances as a grant after creating the credit ledger', async () => {
+    const pool = recordingPool();
+    await ensureSchema(pool);
+
+    const ledger = pool.statements.findIndex((sql) => sql.includes('CREATE TABLE IF NOT EXISTS credit_ledger'));
+    const grant = pool.statements.findIndex((sql) => sql.includes('INSERT INTO credit_ledger'));
+    expect(ledger).toBeGreaterThanOrEqual(0);
+    expect(grant).toBeGreaterThan(ledger);
+    expect(pool.statements[grant]).toContain("'grant'");
+    expect(pool.statements[grant]).toMatch(/credits_remaining = 10\s+AND NOT EXISTS \(SELECT 1 FROM credit_ledger/);
+  });
+});
@@ -0,0 +1,248 @@
+// Stripe billing offline: the Stripe-Signature check (services/stripe.js) and
+// the fake Stripe (services/stripe-fake.js) driving checkout, renewals and
+// cancellations end to end through the webhook log (services/webhooks.js).
+// Deliveries go straight to `webhooks.receive` through an injected fetch, and
+// the Stripe API calls go to the fake on a loopback port.
+
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import fc from 'fast-check';
+import {
+  STRIPE_SIGNATURE_TOLERANCE_S,
+  signStripePayload,
+  verifyStripeSignature,
+  createStripeProvider,
+} from '../services/stripe.js';
+import { createFakeStripe, loadStripeFixture, FIXTURE_WEBHOOK_SECRET } from '../services/stripe-fake.js';
+import { createBillingService } from '../services/billing.js';
+import { createWebhookService } from '../services/webhooks.js';
+import { createMemoryWebhookStore } from './webhook-store.js';
+
+const SECRET = 'whsec_test';
+const T = 1767225600;
+const at = (seconds) => () => new Date(seconds * 1000);
+
+const FIXTURES = [
+  'checkout-session-completed',
+  'invoice-paid',
+  'subscription-cancel-at-period-end',
+  'subscription-deleted',
+];
+
+// Billing persistence that records each plan or credit change it is asked for.
+function createBillingStore() {
+  const store = {
+    changes: [],
+    credits: 0,
+    references: new Set(),
+    async updateUserPlan(userId, plan, allowance) {
+      store.changes.push(['plan', userId, plan, allowance]);
+    },
+    async scheduleDowngrade(userId, plan, effectiveAt) {
+      store.changes.push(['downgrade', userId, plan, effectiveAt]);
+    },
+    async addCredits(userId, n, { reference }) {
+      if (reference && store.references.has(reference)) return { added: false, credits: store.credits };
+      store.references.add(reference);
+      store.credits += n;
+      store.changes.push(['credits', userId, n]);
+      return { added: true, credits: store.credits };
+    },
+  };
+  return store;
+}
+
+beforeEach(() => {
+  vi.spyOn(console, 'error').mockImplementation(() => {});
+});
+afterEach(() => {
+  vi.restoreAllMocks();
+});
+
+describe('verifyStripeSignature', () => {
+  const payload = JSON.stringify({ id: 'evt_1', type: 'invoice.paid' });
+  const header = signStripePayload(payload, SECRET, T);
+
+  it('accepts the payload it was signed over, with the secret it was signed with', () => {
+    expect(header).toMatch(/^t=\d+,v1=[0-9a-f]{64}$/);
+    expect(verifyStripeSignature(payload, header, SECRET, { now: at(T) })).toBe(true);
+  });
+
+  it('rejects a changed payload, another secret, or a missing header or secret', () => {
+    expect(verifyStripeSignature(`${payload} `, header, SECRET, { now: at(T) })).toBe(false);
+    expect(verifyStripeSignature(payload, header, 'whsec_other', { now: at(T) })).toBe(false);
+    expect(verifyStripeSignature(payload, undefined, SECRET, { now: at(T) })).toBe(false);
+    expect(verifyStripeSignature(payload, header, '', { now: at(T) })).toBe(false);
+  });
+
+  it('rejects a malformed header', () => {
+    const v1 = header.split(',')[1];
+    for (const bad of [v1, `t=${T}`, `t=abc,${v1}`, 'garbage', `t=${T},v0=${v1.slice(3)}`]) {
+      expect(verifyStripeSignature(payload, bad, SECRET, { now: at(T) })).toBe(false);
+    }
+  });
+
+  it('allows the clock to drift by the tolerance either way, and no further', () => {
+    const tolerance = STRIPE_SIGNATURE_TOLERANCE_S;
+    expect(verifyStripeSignature(payload, header, SECRET, { now: at(T + tolerance) })).toBe(true);
+    expect(verifyStripeSignature(payload, header, SECRET, { now: at(T - tolerance) })).toBe(true);
+    expect(verifyStripeSignature(payload, header, SECRET, { now: at(T + tolerance + 1) })).toBe(false);
+    expect(verifyStripeSignature(payload, header, SECRET, { now: at(T - tolerance - 1) })).toBe(false);
+  });
+
+  it('honors a custom tolerance', () => {
+    expect(verifyStripeSignature(payload, header, SECRET, { tolerance: 10, now: at(T + 10) })).toBe(true);
+    expect(verifyStripeSignature(payload, header, SECRET, { tolerance: 10, now: at(T + 11) })).toBe(false);
+  });
+
+  it('accepts a header where any one of several v1 signatures matches (secret rotation)', () => {
+    const old = signStripePayload(payload, 'whsec_old', T).split(',')[1];
+    const current = header.split(',')[1];
+    expect(verifyStripeSignature(payload, `t=${T},${old},${current}`, SECRET, { now: at(T) })).toBe(true);
+    expect(verifyStripeSignature(payload, `t=${T},${old}`, SECRET, { now: at(T) })).toBe(false);
+  });
+
+  it.each(FIXTURES)('verifies the %s fixture against a clock set to its timestamp', async (name) => {
+    const fixture = await loadStripeFixture(name);
+    expect(fixture.secret).toBe(FIXTURE_WEBHOOK_SECRET);
+    const verify = (now) => verifyStripeSignature(fixture.payload, fixture.signature, fixture.secret, { now });
+    expect(verify(at(fixture.timestamp + 60))).toBe(true);
+    expect(verify(at(fixture.timestamp + STRIPE_SIGNATURE_TOLERANCE_S + 1))).toBe(false);
+  });
+});
+
+describe('webhook signature gate', () => {
+  // Feature: roftx-platform, Property 20: a webhook whose signature does not verify is rejected with 400 and changes no plan
+  it('rejects a tampered payload or signature with a 400 and no plan change', async () => {
+    const fixture = await loadStripeFixture('checkout-session-completed');
+    await fc.assert(
+      fc.asyncProperty(
+        fc.oneof(
+          fc.string({ minLength: 1 }).map((extra) => ({ payload: fixture.payload + extra, signature: fixture.signature })),
+          fc.hexaString({ minLength: 64, maxLength: 64 })
+            .filter((hex) => !fixture.signature.endsWith(hex))
+            .map((hex) => ({ payload: fixture.payload, signature: `t=${fixture.timestamp},v1=${hex}` })),
+        ),
+        async (delivery) => {
+          const store = createBillingStore();
+          const billing = createBillingService({
+            billingEnabled: true,
+            persistence: store,
+            webhookSecret: FIXTURE_WEBHOOK_SECRET,
+            provider: createStripeProvider({ secretKey: 'sk_test_1', now: at(fixture.timestamp + 60) }),
+          });
+          const webhooks = createWebhookService({ persistence: createMemoryWebhookStore(), billing });
+
+          const result = await webhooks.receive(delivery);
+          expect(result.status).toBe(400);
+          expect(result.body.planChanged).toBe(false);
+          expect(store.changes).toEqual([]);
+        },
+      ),
+      { numRuns: 100 },
+    );
+  });
+});
+
+describe('fake Stripe end to end', () => {
+  let fake;
+  let store;
+  let log;
+  let billing;
+  let webhooks;
+
+  beforeEach(async () => {
+    store = createBillingStore();
+    log = createMemoryWebhookStore();
+    fake = createFakeStripe({
+      webhookUrl: 'http://roftx.test/api/billing/webhook',
+      webhookSecret: SECRET,
+      fetch: async (url, { headers, body }) => {
+        const { status } = await webhooks.receive({ payload: body, signature: headers['Stripe-Signature'] });
+        return { status };
+      },
+    });
+    const apiBase = await fake.listen(0);
+    billing = createBillingService({
+      billingEnabled: true,
+      persistence: store,
+      webhookSecret: SECRET,
+      provider: createStripeProvider({
+        secretKey: 'sk_test_1',
+        priceIds: { paid: 'price_paid', 'credits-50': 'price_credits_50' },
+        successUrl: 'http://roftx.test/billing/success',
+        cancelUrl: 'http://roftx.test/billing/cancel',
+        apiBase,
+      }),
+    });
+    webhooks = createWebhookService({ persistence: log, billing });
+  });
+  afterEach(async () => {
+    await fake.close();
+  });
+
+  async function checkout(args) {
+    const { url } = await billing.createCheckoutSession(args);
+    return fake.completeCheckout(url.split('/').pop());
+  }
+
+  it('upgrades on checkout, keeps the plan on renewal and downgrades on cancellation', async () => {
+    const completed = await checkout({ userId: 7, plan: 'paid' });
+    expect(completed.status).toBe(200);
+    expect(store.changes).toEqual([['plan', 7, 'paid', expect.any(Number)]]);
+
+    const [subscription] = fake.subscriptions.keys();
+    await fake.payInvoice(subscription);
+    await fake.cancelSubscription(subscription);
+    await fake.cancelSubscription(subscription, { atPeriodEnd: false });
+
+    expect(fake.deliveries.map((d) => [d.event.type, d.status])).toEqual([
+      ['checkout.session.completed', 200],
+      ['invoice.paid', 200],
+      ['customer.subscription.updated', 200],
+      ['customer.subscription.deleted', 200],
+    ]);
+    expect(store.changes.map(([kind, userId, plan]) => [kind, userId, plan])).toEqual([
+      ['plan', 7, 'paid'],
+      ['plan', 7, 'paid'],
+      ['downgrade', 7, 'free'],
+      ['downgrade', 7, 'free'],
+    ]);
+    expect(log.events.map((e) => [e.provider, e.status, e.verified])).toEqual(
+      Array.from({ length: 4 }, () => ['stripe', 'processed', true]),
+    );
+  });
+
+  it('adds the credits of a paid credit pack once, however often the event arrives', async () => {
+    const { event } = await checkout({ userId: 7, pack: 'credits-50' });
+    expect(store.credits).toBe(50);
+
+    const payload = JSON.stringify(event);
+    const again = await webhooks.receive({ payload, signature: signStripePayload(payload, SECRET) });
+    expect(again).toMatchObject({ status: 200, body: { duplicate: true, planChanged: false } });
+    expect(store.credits).toBe(50);
+    expect(log.events).toHaveLength(1);
+    expect(log.events[0].deliveryCount).toBe(2);
+
+    const replayed = await webhooks.replay(log.events[0].id);
+    expect(replayed.status).toBe(200);
+    expect(replayed.body.credits).toBe(0);
+    expect(store.credits).toBe(50);
+  });
+
+  it('answers a redelivered fixture as a duplicate without applying it twice', async () => {
+    const first = await fake.replayFixture('checkout-session-completed');
+    const second = await fake.replayFixture('checkout-session-completed');
+    expect([first.status, second.status]).toEqual([200, 200]);
+    expect(store.changes).toEqual([['plan', 1, 'paid', expect.any(Number)]]);
+    expect(log.events).toHaveLength(1);
+  });
+
+  it('stores a delivery signed with another secret as rejected, with no plan change', async () => {
+    const event = JSON.stringify((await fake.replayFixture('invoice-paid')).event);
+    store.changes.length = 0;
+    const result = await webhooks.receive({ payload: event, signature: signStripePayload(event, 'whsec_wrong') });
+    expect(result.status).toBe(400);
+    expect(store.changes).toEqual([]);
+    expect(log.events.at(-1)).toMatchObject({ status: 'rejected', verified: false });
+  });
+});
@@ -0,0 +1,223 @@
+// Structured output (services/structured.js): the JSON-schema subset checker,
+// reply parsing, normalization onto the tolerant parsers' shapes, and the
+// fallback in `generate` from a rejected structured reply to the text parsers.
+
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import {
+  TOPICS_OUTPUT,
+  HOOKS_OUTPUT,
+  structuredInstruction,
+  validateSchema,
+  parseStructuredOutput,
+  normalizeTopics,
+  normalizeHooks,
+} from '../services/structured.js';
+import { createGenerationService } from '../services/generation.js';
+
+// The generation service warns whenever a structured reply is rejected.
+beforeEach(() => {
+  vi.spyOn(console, 'warn').mockImplementation(() => {});
+});
+afterEach(() => {
+  vi.restoreAllMocks();
+});
+
+function topic(fields = {}) {
+  return {
+    triggerType: 'contrarian',
+    secondaryTrigger: 'Curiosity',
+    category: 'Leadership',
+    audiencePain: 'Meetings eat the week.',
+    beliefChallenged: 'More syncs mean more alignment.',
+    tension: 'Visibility versus deep work.',
+    premise: ' Status meetings exist to make managers feel safe. ',
+    uniquePerspective: 'Treat meetings as a cost line.',
+    whyItWorks: 'Everyone sat through one this week.',
+    whyComment: 'They will defend or confess.',
+    whySave: 'It ends with a checklist.',
+    storyDirections: ['The week I cancelled every meeting', ' ', 'What shipped instead'],
+    hookDirections: ['Contrarian', 'Story'],
+    emotionalArc: { beginning: 'frustration', middle: '', ending: 'relief' },
+    ctaDirection: 'Ask which meeting to cancel first. #RoftX',
+    brandPositioning: 'The pragmatic operator',
+    longevity: 'Timeless',
+    scores: { originality: 8, discussionPotential: 7.5, savePotential: 11, sharePotential: -1 },
+    confidence: 'High',
+    ...fields,
+  };
+}
+
+const hook = (fields = {}) => ({ type: 'EXPECTATION FLIP', text: 'Most projects fail early.', whyItWorks: 'It stings.', ...fields });
+
+describe('validateSchema', () => {
+  it('accepts values that match, counting an integer as a number', () => {
+    expect(validateSchema({ topics: [topic()] }, TOPICS_OUTPUT.schema)).toEqual([]);
+    expect(validateSchema(3, { type: 'number' })).toEqual([]);
+  });
+
+  it('reports a type mismatch at its path and stops descending there', () => {
+    expect(validateSchema({ hooks: {} }, HOOKS_OUTPUT.schema)).toEqual(['$.hooks: expected array, got object']);
+    expect(validateSchema(1.5, { type: 'integer' })).toEqual(['$: expected integer, got number']);
+    expect(validateSchema(null, { type: 'string' })).toEqual(['$: expected string, got null']);
+  });
+
+  it('reports missing, extra and out-of-enum properties on array items', () => {
+    const { text, ...noText } = hook();
+    const errors = validateSchema({ hooks: [hook(), { ...noText, extra: 1 }] }, HOOKS_OUTPUT.schema);
+    expect(errors).toEqual(['$.hooks[1].text: required', '$.hooks[1].extra: not allowed']);
+
+    const enumErrors = validateSchema({ topics: [topic({ confidence: 'Certain' })] }, TOPICS_OUTPUT.schema);
+    expect(enumErrors).toEqual(['$.topics[0].confidence: must be one of High, Medium, Low']);
+  });
+});
+
+describe('parseStructuredOutput', () => {
+  const reply = JSON.stringify({ hooks: [hook()] });
+
+  it('parses and validates a JSON reply', () => {
+    expect(parseStructuredOutput(reply, HOOKS_OUTPUT)).toEqual({ ok: true, value: { hooks: [hook()] } });
+  });
+
+  it('strips a Markdown code fence around the JSON', () => {
+    for (const fenced of [`\`\`\`json\n${reply}\n\`\`\``, `  \`\`\`\n${reply}\n\`\`\`  `, `\`\`\`JSON ${reply}\`\`\``]) {
+      expect(parseStructuredOutput(fenced, HOOKS_OUTPUT)).toMatchObject({ ok: true });
+    }
+  });
+
+  it('rejects invalid JSON and an empty reply', () => {
+    for (const raw of ['HOOK 1 — FLIP\nMost projects fail early.', '{"hooks": [', '', undefined]) {
+      const result = parseStructuredOutput(raw, HOOKS_OUTPUT);
+      expect(result.ok).toBe(false);
+      expect(result.errors).toEqual([expect.stringMatching(/^invalid JSON: /)]);
+    }
+  });
+
+  it('rejects JSON that does not match the schema, with the violations', () => {
+    const result = parseStructuredOutput('{"hooks": [{"text": 1}]}', HOOKS_OUTPUT);
+    expect(result.ok).toBe(false);
+    expect(result.errors).toContain('$.hooks[0].text: expected string, got integer');
+    expect(result.errors).toContain('$.hooks[0].type: required');
+  });
+});
+
+describe('normalizeTopics', () => {
+  it('returns the parseTopics shape by default', () => {
+    expect(normalizeTopics({ topics: [topic(), topic({ triggerType: ' ', whyItWorks: '' })] })).toEqual([
+      {
+        triggerType: 'CONTRARIAN',
+        premise: 'Status meetings exist to make managers feel safe.',
+        whyItWorks: 'Everyone sat through one this week.',
+      },
+      {
+        triggerType: 'INSIGHT',
+        premise: 'Status meetings exist to make managers feel safe.',
+        whyItWorks: '',
+      },
+    ]);
+  });
+
+  it("keeps every field with detail: 'full', blanks as null and out-of-range scores dropped", () => {
+    const [full] = normalizeTopics({ topics: [topic({ category: '  ' })] }, { detail: 'full' });
+    expect(full).toMatchObject({
+      triggerType: 'CONTRARIAN',
+      category: null,
+      storyDirections: ['The week I cancelled every meeting', 'What shipped instead'],
+      hookDirections: ['Contrarian', 'Story'],
+      emotionalArc: { beginning: 'frustration', middle: null, ending: 'relief' },
+      longevity: 'Timeless',
+      scores: { originality: 8, discussionPotential: 7.5, savePotential: null, sharePotential: null },
+      confidence: 'High',
+    });
+  });
+
+  it('drops topics without a premise, and returns null when none is left', () => {
+    expect(normalizeTopics({ topics: [topic({ premise: ' ' }), topic()] })).toHaveLength(1);
+    expect(normalizeTopics({ topics: [topic({ premise: '' })] })).toBeNull();
+    expect(normalizeTopics({ topics: [] })).toBeNull();
+  });
+});
+
+describe('normalizeHooks', () => {
+  it('returns the parseHooks shape, naming untyped hooks by position', () => {
+    expect(normalizeHooks({ hooks: [hook({ text: ' Trimmed. ' }), hook({ type: '' })] })).toEqual([
+      { type: 'EXPECTATION FLIP', text: 'Trimmed.', whyItWorks: 'It stings.' },
+      { type: 'HOOK 2', text: 'Most projects fail early.', whyItWorks: 'It stings.' },
+    ]);
+  });
+
+  it('drops hooks without text, and returns null when none is left', () => {
+    expect(normalizeHooks({ hooks: [hook({ text: '' }), hook()] })).toHaveLength(1);
+    expect(normalizeHooks({ hooks: [hook({ text: '  ' })] })).toBeNull();
+  });
+});
+
+describe('structured generation', () => {
+  const HOOKS_TEXT = 'HOOK 1 — EXPECTATION FLIP\nMost projects fail early.\nWhy this works: It stings.';
+  const body = { niche: 'project management', topic: 'kickoffs' };
+
+  // A callAI fake answering each call with the next scripted reply.
+  function scriptedAI(...replies) {
+    const callAI = vi.fn(async () => replies.shift());
+    return callAI;
+  }
+
+  it('asks for the schema and uses a valid reply as is', async () => {
+    const callAI = scriptedAI(JSON.stringify({ hooks: [hook()] }));
+    const service = createGenerationService({ callAI, streamAI: null, structuredOutput: true });
+    const result = await service.generate('hooks', body);
+
+    expect(result).toEqual({ status: 200, body: { hooks: normalizeHooks({ hooks: [hook()] }), parsePath: 'schema' } });
+    const [prompt, , , options] = callAI.mock.calls[0];
+    expect(prompt.endsWith(structuredInstruction(HOOKS_OUTPUT))).toBe(true);
+    expect(options).toEqual({ schema: HOOKS_OUTPUT });
+  });
+
+  it('parses a reply that ignored the schema with the text parsers', async () => {
+    const callAI = scriptedAI(HOOKS_TEXT);
+    const service = createGenerationService({ callAI, streamAI: null, structuredOutput: true });
+    const result = await service.generate('hooks', body);
+
+    expect(result.status).toBe(200);
+    expect(result.body).toMatchObject({ hooks: [{ text: 'Most projects fail early.' }], parsePath: 'tolerant' });
+    expect(callAI).toHaveBeenCalledTimes(1);
+  });
+
+  it('falls back to a plain-text generation when the reply is unusable either way', async () => {
+    const TOPICS_TEXT = 'CONVERSATION [1]\nPrimary Trigger: Story\nConversation Premise: Kickoffs set the tone.';
+    const callAI = scriptedAI(JSON.stringify({ topics: [topic({ premise: '' })] }), TOPICS_TEXT);
+    const service = createGenerationService({ callAI, streamAI: null, structuredOutput: true });
+    const result = await service.generate('topics', body);
+
+    expect(result.body).toMatchObject({ topics: [{ premise: 'Kickoffs set the tone.' }], parsePath: 'tolerant' });
+    expect(callAI).toHaveBeenCalledTimes(2);
+    const [prompt, , , options] = callAI.mock.calls[1];
+    expect(prompt).not.toContain('OUTPUT FORMAT: Return the content described above as one JSON object');
+    expect(options?.schema).toBeUndefined();
+  });
+
+  it('answers 500 when the plain-text generation does not parse either', async () => {
+    const service = createGenerationService({ callAI: scriptedAI('{}', 'nothing useful'), streamAI: null, structuredOutput: true });
+    expect((await service.generate('topics', body)).status).toBe(500);
+  });
+
+  it("lets the request's structured field override the default either way", async () => {
+    const on = scriptedAI(JSON.stringify({ hooks: [hook()] }));
+    await createGenerationService({ callAI: on, streamAI: null }).generate('hooks', { ...body, structured: true });
+    expect(on.mock.calls[0][3]).toEqual({ schema: HOOKS_OUTPUT });
+
+    const off = scriptedAI(HOOKS_TEXT);
+    const result = await createGenerationService({ callAI: off, streamAI: null, structuredOutput: true })
+      .generate('hooks', { ...body, structured: false });
+    expect(off.mock.calls[0][3]?.schema).toBeUndefined();
+    expect(result.body).not.toHaveProperty('parsePath');
+  });
+
+  it('leaves types without a schema on the text path', async () => {
+    const callAI = scriptedAI('A post.');
+    const service = createGenerationService({ callAI, streamAI: null, structuredOutput: true });
+    const result = await service.generate('post', { ...body, chosenHook: 'Most projects fail early.' });
+
+    expect(result).toEqual({ status: 200, body: { post: 'A post.' } });
+    expect(callAI.mock.calls[0][3]?.schema).toBeUndefined();
+  });
+});
@@ -0,0 +1,143 @@
+// The opt-in full topic analysis (parseTopicAnalysis in
+// services/generation.js): every labelled field of the topic-suggestions
+// format, the label tolerance it shares with parseTopics, and `detail: 'full'`
+// on a topics request.
+
+import { describe, it, expect } from 'vitest';
+import {
+  parseTopics,
+  parseTopicAnalysis,
+  createGenerationService,
+} from '../services/generation.js';
+
+const FULL_BLOCK = `CONVERSATION [1]
+Primary Trigger: contrarian
+Secondary Trigger: Curiosity
+Conversation Category: Leadership
+Primary Audience Pain: Meetings eat the week.
+Core Belief Being Challenged: More syncs mean more alignment.
+Professional Tension: Visibility versus deep work.
+Conversation Premise: Most status meetings exist to make managers feel safe,
+not to move work forward.
+Unique Perspective: Treat meetings as a cost line.
+Why This Stops The Scroll: Everyone has sat through one this week.
+Why Professionals Will Comment: They will defend or confess.
+Why Professionals Will Save It: It ends with a checklist.
+Potential Story Directions:
+- The week I cancelled every recurring meeting
+• What the team shipped instead
+1. How the managers reacted
+Potential Hook Directions: Contrarian / Curiosity / Story
+Recommended Emotional Arc: Beginning: frustration / Middle: experiment / Ending: relief
+Suggested CTA Direction: Ask which meeting they would cancel first. #RoftX
+Recommended Personal Brand Positioning: The pragmatic operator
+Conversation Longevity: Timeless
+Estimated Originality: 8/10
+Estimated Discussion Potential: 7.5 / 10
+Estimated Save Potential: /10
+Estimated Share Potential: 12
+Confidence: High`;
+
+describe('parseTopicAnalysis', () => {
+  it('recovers every field of a full block', () => {
+    const [topic] = parseTopicAnalysis(FULL_BLOCK);
+
+    expect(topic).toEqual({
+      triggerType: 'CONTRARIAN',
+      premise: 'Most status meetings exist to make managers feel safe,\nnot to move work forward.',
+      whyItWorks: 'Everyone has sat through one this week.',
+      secondaryTrigger: 'Curiosity',
+      category: 'Leadership',
+      audiencePain: 'Meetings eat the week.',
+      beliefChallenged: 'More syncs mean more alignment.',
+      tension: 'Visibility versus deep work.',
+      uniquePerspective: 'Treat meetings as a cost line.',
+      whyComment: 'They will defend or confess.',
+      whySave: 'It ends with a checklist.',
+      storyDirections: [
+        'The week I cancelled every recurring meeting',
+        'What the team shipped instead',
+        'How the managers reacted',
+      ],
+      hookDirections: ['Contrarian', 'Curiosity', 'Story'],
+      emotionalArc: { beginning: 'frustration', middle: 'experiment', ending: 'relief' },
+      ctaDirection: 'Ask which meeting they would cancel first. #RoftX',
+      brandPositioning: 'The pragmatic operator',
+      longevity: 'Timeless',
+      scores: { originality: 8, discussionPotential: 7.5, savePotential: null, sharePotential: null },
+      confidence: 'High',
+    });
+  });
+
+  it('returns a strict superset of what parseTopics returns', () => {
+    const text = `${FULL_BLOCK}\n\nCONVERSATION [2]\nConversation Premise: A second premise.`;
+    const full = parseTopicAnalysis(text);
+    const basic = parseTopics(text);
+
+    expect(full).toHaveLength(2);
+    full.forEach((topic, i) => expect(topic).toMatchObject(basic[i]));
+  });
+
+  it('tolerates label case, spacing and header variants', () => {
+    const text = [
+      '  conversation (1):',
+      '   primary    trigger :  story',
+      'CONVERSATION   premise: Onboarding is the product.',
+      '  estimated   ORIGINALITY:9 / 10',
+      '',
+      'CONVERSATION #{2}',
+      'Conversation Premise:   Hiring is a sales job.   ',
+    ].join('\n');
+    const topics = parseTopicAnalysis(text);
+
+    expect(topics.map((t) => t.premise)).toEqual(['Onboarding is the product.', 'Hiring is a sales job.']);
+    expect(topics[0]).toMatchObject({ triggerType: 'STORY', scores: { originality: 9 } });
+  });
+
+  it('keeps the first occurrence of a repeated label', () => {
+    const [topic] = parseTopicAnalysis([
+      'CONVERSATION 1',
+      'Conversation Premise: The first premise.',
+      'Primary Trigger: Data',
+      'Conversation Premise: A restated premise.',
+      'Primary Trigger: Story',
+    ].join('\n'));
+
+    expect(topic.premise).toBe('The first premise.');
+    expect(topic.triggerType).toBe('DATA');
+  });
+
+  it('skips a block without a premise and defaults the fields that are missing', () => {
+    const topics = parseTopicAnalysis('CONVERSATION 1\nPrimary Trigger: Data\n\nCONVERSATION 2\nConversation Premise: Only this.');
+
+    expect(topics).toHaveLength(1);
+    expect(topics[0]).toMatchObject({
+      triggerType: 'INSIGHT',
+      premise: 'Only this.',
+      whyItWorks: '',
+      category: null,
+      storyDirections: [],
+      hookDirections: [],
+      emotionalArc: { beginning: null, middle: null, ending: null },
+      scores: { originality: null, discussionPotential: null, savePotential: null, sharePotential: null },
+      confidence: null,
+    });
+  });
+
+  it('returns [] for anything but a string', () => {
+    expect(parseTopicAnalysis(undefined)).toEqual([]);
+    expect(parseTopicAnalysis(42)).toEqual([]);
+  });
+});
+
+describe("topics with detail: 'full'", () => {
+  const service = createGenerationService({ callAI: async () => FULL_BLOCK, streamAI: null });
+
+  it('answers with the full analysis only when asked', async () => {
+    const basic = await service.generate('topics', { niche: 'operations' });
+    const full = await service.generate('topics', { niche: 'operations', detail: 'full' });
+
+    expect(basic.body.topics[0]).toEqual(parseTopics(FULL_BLOCK)[0]);
+    expect(full.body.topics[0]).toEqual(parseTopicAnalysis(FULL_BLOCK)[0]);
+  });
+});
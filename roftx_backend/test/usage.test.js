@@ -0,0 +1,116 @@
+// A User's usage history (historyReport in services/usage.js): zero-filled
+// per-period and per-day counts, the cut-off at today, and the funnel ratios;
+// and the UTC bucketing of persistence.getGenerationHistory.
+
+import { describe, it, expect } from 'vitest';
+import { createUsageService } from '../services/usage.js';
+import { createPersistence } from '../db/persistence.js';
+
+const TYPES = ['topics', 'hooks', 'post', 'refine', 'regenerate'];
+
+function usageFor(history, now = '2026-10-18T12:00:00Z') {
+  const persistence = {
+    getGenerationCosts: async () => [],
+    getGenerationHistory: async () => history,
+  };
+  return createUsageService({ persistence, generationTypes: TYPES, now: () => new Date(now) });
+}
+
+const gen = (date, genType, count) => ({ date, period: date.slice(0, 7), genType, count });
+
+describe('historyReport', () => {
+  it('lists every period and every day up to today, with zero counts for unused types', async () => {
+    const report = await usageFor({ generations: [], posts: [] })
+      .historyReport({ userId: 1, fromPeriod: '2026-09', toPeriod: '2026-11' });
+
+    expect(report.types).toEqual(TYPES);
+    expect(report.periods.map((p) => p.period)).toEqual(['2026-09', '2026-10', '2026-11']);
+    expect(report.periods[2]).toMatchObject({ counts: { topics: 0, post: 0 }, posts: 0, finalized: 0 });
+    expect(report.days).toHaveLength(30 + 18);
+    expect(report.days[0]).toEqual({ date: '2026-09-01', counts: Object.fromEntries(TYPES.map((t) => [t, 0])) });
+    expect(report.days.at(-1).date).toBe('2026-10-18');
+  });
+
+  it('adds each row to its day, its period and the totals, keeping unknown types', async () => {
+    const report = await usageFor({
+      generations: [
+        gen('2026-10-01', 'topics', 2),
+        gen('2026-10-01', 'hooks', 1),
+        gen('2026-10-02', 'post', 3),
+        gen('2026-10-02', 'carousel', 1),
+        gen('2026-09-30', 'topics', 4),
+      ],
+      posts: [{ period: '2026-10', posts: 3, finalized: 1 }, { period: '2026-09', posts: 2, finalized: 2 }],
+    }).historyReport({ userId: 1, fromPeriod: '2026-09', toPeriod: '2026-10' });
+
+    expect(report.types).toEqual([...TYPES, 'carousel']);
+    expect(report.totals).toMatchObject({ counts: { topics: 6, hooks: 1, post: 3, carousel: 1 }, posts: 5, finalized: 3 });
+    expect(report.periods[1]).toMatchObject({ counts: { topics: 2, hooks: 1, post: 3, carousel: 1 }, posts: 3, finalized: 1 });
+    expect(report.days.find((d) => d.date === '2026-10-02').counts).toMatchObject({ post: 3, carousel: 1, topics: 0 });
+    expect(report.days.find((d) => d.date === '2026-09-30').counts.topics).toBe(4);
+  });
+
+  it('leaves days after today out of the series but not out of the counts', async () => {
+    // A row dated tomorrow (e.g. a clock skewed between app and database).
+    const report = await usageFor({ generations: [gen('2026-10-19', 'post', 1)], posts: [] })
+      .historyReport({ userId: 1, fromPeriod: '2026-10', toPeriod: '2026-10' });
+
+    expect(report.days.map((d) => d.date)).not.toContain('2026-10-19');
+    expect(report.periods[0].counts.post).toBe(1);
+    expect(report.totals.counts.post).toBe(1);
+  });
+
+  it('computes funnel ratios to three decimals, null while a denominator is 0', async () => {
+    const report = await usageFor({
+      generations: [
+        gen('2026-10-01', 'topics', 3),
+        gen('2026-10-01', 'hooks', 2),
+        gen('2026-10-01', 'post', 2),
+        gen('2026-10-01', 'refine', 5),
+      ],
+      posts: [{ period: '2026-10', posts: 3, finalized: 0 }],
+    }).historyReport({ userId: 1, fromPeriod: '2026-09', toPeriod: '2026-10' });
+
+    expect(report.periods[1].ratios).toEqual({
+      hooksPerTopics: 0.667,
+      postsPerHooks: 1,
+      finalizeRate: 0,
+      refinementsPerFinalizedPost: null,
+      regenerationsPerFinalizedPost: null,
+    });
+    expect(report.periods[0].ratios).toEqual({
+      hooksPerTopics: null,
+      postsPerHooks: null,
+      finalizeRate: null,
+      refinementsPerFinalizedPost: null,
+      regenerationsPerFinalizedPost: null,
+    });
+    expect(report.totals.ratios.hooksPerTopics).toBe(0.667);
+  });
+
+  it('ignores posts outside the range', async () => {
+    const report = await usageFor({ generations: [], posts: [{ period: '2026-08', posts: 9, finalized: 9 }] })
+      .historyReport({ userId: 1, fromPeriod: '2026-10', toPeriod: '2026-10' });
+    expect(report.totals).toMatchObject({ posts: 0, finalized: 0 });
+  });
+});
+
+describe('persistence.getGenerationHistory', () => {
+  it('buckets days and posts in UTC, filtering posts on the range of instants', async () => {
+    const queries = [];
+    const pool = {
+      async query(text, params) {
+        queries.push({ text, params });
+        return { rows: [] };
+      },
+    };
+    await createPersistence(pool).getGenerationHistory({ userId: 1, fromPeriod: '2026-11', toPeriod: '2026-12' });
+
+    const [generations, posts] = queries;
+    expect(generations.text).toContain("to_char(created_at::timestamptz AT TIME ZONE 'UTC', 'YYYY-MM-DD')");
+    expect(generations.params).toEqual([1, '2026-11', '2026-12']);
+    expect(posts.text).toContain("to_char(created_at::timestamptz AT TIME ZONE 'UTC', 'YYYY-MM')");
+    expect(posts.text).not.toContain('BETWEEN');
+    expect(posts.params).toEqual([1, new Date('2026-11-01T00:00:00Z'), new Date('2027-01-01T00:00:00Z')]);
+  });
+});
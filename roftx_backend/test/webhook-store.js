@@ -0,0 +1,76 @@
+// In-memory stand-in for the webhook_events half of db/persistence.js, with
+// the same contract: verified events are deduplicated per (provider, eventId),
+// a claim only succeeds from the given statuses (or on an abandoned
+// 'received' event with `staleMs`), and unknown ids throw NotFoundError.
+// `now` is the clock claims are stamped with, so a test can age one.
+
+import { NotFoundError } from '../db/persistence.js';
+
+export function createMemoryWebhookStore({ now = () => Date.now() } = {}) {
+  const events = [];
+
+  const view = ({ payload, ...event }) => ({ ...event });
+  const withPayload = (event) => ({ ...event });
+
+  return {
+    events,
+
+    async recordWebhookEvent({
+      provider, eventId = null, eventType = null, payload, signature = null, verified, status = 'received',
+    } = {}) {
+      if (verified === true && eventId) {
+        const existing = events.find((e) => e.verified && e.provider === provider && e.eventId === eventId);
+        if (existing) {
+          existing.deliveryCount += 1;
+          return { event: view(existing), duplicate: true };
+        }
+      }
+      const event = {
+        id: events.length + 1,
+        provider,
+        eventId,
+        eventType,
+        payload,
+        signature,
+        verified: verified === true,
+        status,
+        outcome: null,
+        error: null,
+        deliveryCount: 1,
+        replayCount: 0,
+        claimedAt: now(),
+      };
+      events.push(event);
+      return { event: view(event), duplicate: false };
+    },
+
+    async claimWebhookEvent(id, fromStatuses, { staleMs = null } = {}) {
+      const event = events.find((e) => e.id === id);
+      const abandoned = event?.status === 'received' && staleMs !== null && event.claimedAt < now() - staleMs;
+      if (!event || (!fromStatuses.includes(event.status) && !abandoned)) return null;
+      Object.assign(event, { status: 'received', error: null, claimedAt: now() });
+      return withPayload(event);
+    },
+
+    async finishWebhookEvent(id, { status, outcome = null, error = null, replayed = false } = {}) {
+      const event = events.find((e) => e.id === id);
+      if (!event) return null;
+      Object.assign(event, { status, outcome, error });
+      if (replayed) event.replayCount += 1;
+      return view(event);
+    },
+
+    async getWebhookEvent(id) {
+      const event = events.find((e) => e.id === id);
+      if (!event) throw new NotFoundError('Webhook event not found');
+      return withPayload(event);
+    },
+
+    async listWebhookEvents({ status, provider } = {}) {
+      return events
+        .filter((e) => (!status || e.status === status) && (!provider || e.provider === provider))
+        .reverse()
+        .map(view);
+    },
+  };
+}
@@ -0,0 +1,195 @@
+// The payment webhook log (services/webhooks.js): rejection of unverified
+// deliveries, deduplication of redeliveries, retries of failed and abandoned
+// events, and admin replay. The Billing_Service is a fake whose signature is
+// the literal string 'valid'.
+
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { createWebhookService } from '../services/webhooks.js';
+import { createPersistence, NotFoundError } from '../db/persistence.js';
+import { createMemoryWebhookStore } from './webhook-store.js';
+
+function createFakeBilling() {
+  const billing = {
+    providerName: 'test',
+    applied: [],
+    failures: 0,
+    verifyWebhookSignature: (payload, signature) => signature === 'valid',
+    parseWebhookEvent(payload) {
+      try {
+        const event = JSON.parse(payload);
+        return event && typeof event === 'object' ? event : null;
+      } catch {
+        return null;
+      }
+    },
+    async applyWebhookEvent(event) {
+      if (billing.failures > 0) {
+        billing.failures -= 1;
+        throw new Error('database unavailable');
+      }
+      billing.applied.push(event.id);
+      if (event.type === 'noise') return { ok: true, status: 200, planChanged: false, action: 'ignored' };
+      return { ok: true, status: 200, planChanged: true, action: 'upgrade', userId: event.userId };
+    },
+  };
+  return billing;
+}
+
+const delivery = (event, signature = 'valid') => ({ payload: JSON.stringify(event), signature });
+const UPGRADE = { id: 'evt_1', type: 'payment.succeeded', userId: 7 };
+
+let clock;
+let store;
+let billing;
+let webhooks;
+
+beforeEach(() => {
+  vi.spyOn(console, 'error').mockImplementation(() => {});
+  clock = 0;
+  store = createMemoryWebhookStore({ now: () => clock });
+  billing = createFakeBilling();
+  webhooks = createWebhookService({ persistence: store, billing, staleMs: 1000 });
+});
+afterEach(() => {
+  vi.restoreAllMocks();
+});
+
+describe('receive', () => {
+  it('stores an unverified or unparseable delivery as rejected and answers 400', async () => {
+    const unsigned = await webhooks.receive(delivery(UPGRADE, 'forged'));
+    const garbled = await webhooks.receive({ payload: '{not json', signature: 'valid' });
+
+    expect(unsigned).toMatchObject({ status: 400, body: { planChanged: false } });
+    expect(garbled.status).toBe(400);
+    expect(garbled.body.error).toMatch(/parsed/);
+    expect(billing.applied).toEqual([]);
+    expect(store.events.map((e) => [e.status, e.verified])).toEqual([['rejected', false], ['rejected', true]]);
+  });
+
+  it('keeps every rejected delivery, even for the same event id', async () => {
+    await webhooks.receive(delivery(UPGRADE, 'forged'));
+    await webhooks.receive(delivery(UPGRADE, 'forged'));
+    expect(store.events).toHaveLength(2);
+  });
+
+  it('processes a verified event once and answers its redeliveries as duplicates', async () => {
+    const first = await webhooks.receive(delivery(UPGRADE));
+    expect(first).toMatchObject({ status: 200, body: { planChanged: true, event: { status: 'processed' } } });
+
+    const again = await webhooks.receive(delivery(UPGRADE));
+    expect(again).toMatchObject({ status: 200, body: { ok: true, planChanged: false, duplicate: true } });
+    expect(billing.applied).toEqual(['evt_1']);
+    expect(store.events).toHaveLength(1);
+    expect(store.events[0].deliveryCount).toBe(2);
+  });
+
+  it('stores an event the Billing_Service has no use for as ignored', async () => {
+    const result = await webhooks.receive(delivery({ id: 'evt_2', type: 'noise' }));
+    expect(result.status).toBe(200);
+    expect(store.events[0].status).toBe('ignored');
+  });
+
+  it('answers 500 when processing fails, and processes the redelivery', async () => {
+    billing.failures = 1;
+    const failed = await webhooks.receive(delivery(UPGRADE));
+    expect(failed.status).toBe(500);
+    expect(store.events[0]).toMatchObject({ status: 'failed', error: 'database unavailable' });
+
+    const retried = await webhooks.receive(delivery(UPGRADE));
+    expect(retried.status).toBe(200);
+    expect(store.events[0]).toMatchObject({ status: 'processed', error: null, deliveryCount: 2 });
+    expect(billing.applied).toEqual(['evt_1']);
+  });
+
+  it('answers 409 to a redelivery while the event is still being processed', async () => {
+    let finish;
+    billing.applyWebhookEvent = vi.fn(() => new Promise((resolve) => {
+      finish = () => resolve({ ok: true, status: 200, planChanged: true, action: 'upgrade' });
+    }));
+
+    const pending = webhooks.receive(delivery(UPGRADE));
+    await vi.waitFor(() => expect(finish).toBeDefined());
+    const concurrent = await webhooks.receive(delivery(UPGRADE));
+    expect(concurrent.status).toBe(409);
+
+    finish();
+    expect((await pending).status).toBe(200);
+    expect(billing.applyWebhookEvent).toHaveBeenCalledTimes(1);
+  });
+
+  it('claims an event abandoned mid-processing once it is older than staleMs', async () => {
+    // A crash between recording the event and finishing it leaves it 'received'.
+    await store.recordWebhookEvent({
+      provider: 'test', eventId: 'evt_1', eventType: UPGRADE.type, payload: JSON.stringify(UPGRADE), verified: true,
+    });
+
+    clock = 1000;
+    expect((await webhooks.receive(delivery(UPGRADE))).status).toBe(409);
+
+    clock = 1001;
+    const reclaimed = await webhooks.receive(delivery(UPGRADE));
+    expect(reclaimed.status).toBe(200);
+    expect(store.events[0].status).toBe('processed');
+    expect(billing.applied).toEqual(['evt_1']);
+  });
+});
+
+describe('replay', () => {
+  it('processes a finished event again and counts the replay', async () => {
+    await webhooks.receive(delivery(UPGRADE));
+    await webhooks.receive(delivery({ id: 'evt_2', type: 'noise' }));
+    billing.failures = 1;
+    await webhooks.receive(delivery({ id: 'evt_3', type: 'payment.succeeded', userId: 8 }));
+
+    for (const event of store.events) {
+      const result = await webhooks.replay(event.id);
+      expect(result.status).toBe(200);
+    }
+    expect(billing.applied).toEqual(['evt_1', 'evt_2', 'evt_1', 'evt_2', 'evt_3']);
+    expect(store.events.map((e) => [e.status, e.replayCount])).toEqual([
+      ['processed', 1],
+      ['ignored', 1],
+      ['processed', 1],
+    ]);
+  });
+
+  it('refuses an unverified or unparseable event, and one still being processed', async () => {
+    await webhooks.receive(delivery(UPGRADE, 'forged'));
+    await store.recordWebhookEvent({ provider: 'test', payload: '{not json', verified: true, status: 'rejected' });
+    await store.recordWebhookEvent({
+      provider: 'test', eventId: 'evt_9', payload: JSON.stringify(UPGRADE), verified: true,
+    });
+
+    expect(await webhooks.replay(1)).toMatchObject({ status: 409, body: { error: expect.stringMatching(/verified/) } });
+    expect(await webhooks.replay(2)).toMatchObject({ status: 409, body: { error: expect.stringMatching(/parsed/) } });
+    expect(await webhooks.replay(3)).toMatchObject({ status: 409, body: { error: expect.stringMatching(/processed/) } });
+    expect(billing.applied).toEqual([]);
+  });
+
+  it('throws NotFoundError for an unknown id', async () => {
+    await expect(webhooks.replay(42)).rejects.toBeInstanceOf(NotFoundError);
+  });
+});
+
+describe('claimWebhookEvent', () => {
+  it('passes staleMs to the query, or null to claim only from the given statuses', async () => {
+    const queries = [];
+    const pool = {
+      async query(text, params) {
+        queries.push({ text, params });
+        return { rows: [] };
+      },
+    };
+    const persistence = createPersistence(pool);
+
+    expect(await persistence.claimWebhookEvent(5, ['failed'])).toBeNull();
+    await persistence.claimWebhookEvent(5, ['processed', 'failed'], { staleMs: 600000 });
+
+    expect(queries.map((q) => q.params)).toEqual([
+      [5, ['failed'], null],
+      [5, ['processed', 'failed'], 600000],
+    ]);
+    expect(queries[0].text).toMatch(/claimed_at = NOW\(\)/);
+    expect(queries[0].text).toMatch(/status = 'received' AND \$3::integer IS NOT NULL/);
+  });
+});